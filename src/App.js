@@ -37,6 +37,16 @@ import {
   Business as WarehouseIcon,
   Logout as LogoutIcon,
   Person as PersonIcon,
+  FactCheck as CycleCountIcon,
+  SwapHoriz as TransferIcon,
+  MoveDown as ReplenishmentIcon,
+  Category as ProductIcon,
+  Place as ZoneIcon,
+  PauseCircle as HoldIcon,
+  Insights as SlottingIcon,
+  MoveToInbox as ReceivingIcon,
+  ShoppingCart as OrderIcon,
+  Inventory2 as PackIcon,
 } from '@mui/icons-material';
 
 // New Components
@@ -48,12 +58,25 @@ import PutAwayOperations from './components/PutAwayOperations_Restructured';
 import PickOperations from './components/PickOperations_Restructured';
 import RackConfiguration from './components/RackConfiguration_Restructured';
 import Settings from './components/Settings';
+import CycleCounting from './components/CycleCounting';
+import BinTransfer from './components/BinTransfer';
+import Replenishment from './components/Replenishment';
+import ProductCatalogue from './components/ProductCatalogue';
+import ZoneManagement from './components/ZoneManagement';
+import StockHolds from './components/StockHolds';
+import SlottingAnalysis from './components/SlottingAnalysis';
+import Receiving from './components/Receiving';
+import OutboundOrders from './components/OutboundOrders';
+import PackStation from './components/PackStation';
 
 // Context Providers
 import { WarehouseProvider, useWarehouse } from './context/WarehouseContext';
 import { NotificationProvider, useNotification } from './context/NotificationContext';
 import { ThemeProvider, useTheme } from './context/ThemeContext';
 
+// Hooks
+import { useExpiryAlerts } from './hooks/useExpiryAlerts';
+
 // Services
 import { authService } from './services/authService_new';
 import { warehouseService } from './services/warehouseService';
@@ -92,6 +115,8 @@ function AppContent() {
   const { currentWarehouse, setCurrentWarehouse } = useWarehouse();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
+  useExpiryAlerts(!!user);
+
   useEffect(() => {
     // Initialize demo users and check authentication state
     const init = async () => {
@@ -162,14 +187,24 @@ function AppContent() {
     if (!user) return [];
     
     const commonTabs = [
-      { label: 'Put Away', icon: <PutAwayIcon />, component: <PutAwayOperations />, showInBottomNav: true },
-      { label: 'Pick Operations', icon: <PickIcon />, component: <PickOperations />, showInBottomNav: true },
+      { label: 'Receiving', icon: <ReceivingIcon />, component: <Receiving user={user} />, showInBottomNav: false },
+      { label: 'Put Away', icon: <PutAwayIcon />, component: <PutAwayOperations user={user} />, showInBottomNav: true },
+      { label: 'Orders', icon: <OrderIcon />, component: <OutboundOrders user={user} />, showInBottomNav: false },
+      { label: 'Pick Operations', icon: <PickIcon />, component: <PickOperations user={user} />, showInBottomNav: true },
+      { label: 'Pack Station', icon: <PackIcon />, component: <PackStation user={user} />, showInBottomNav: false },
+      { label: 'Transfers', icon: <TransferIcon />, component: <BinTransfer />, showInBottomNav: false },
+      { label: 'Replenishment', icon: <ReplenishmentIcon />, component: <Replenishment user={user} />, showInBottomNav: false },
+      { label: 'Cycle Count', icon: <CycleCountIcon />, component: <CycleCounting user={user} />, showInBottomNav: false },
+      { label: 'QC Holds', icon: <HoldIcon />, component: <StockHolds user={user} />, showInBottomNav: false },
     ];
 
     if (user.role === 'admin' || user.role === 'master') {
       return [
         { label: 'Dashboard', icon: <DashboardIcon />, component: <Dashboard />, showInBottomNav: true },
         { label: 'Row Config', icon: <RackIcon />, component: <RackConfiguration />, showInBottomNav: false },
+        { label: 'Zones', icon: <ZoneIcon />, component: <ZoneManagement />, showInBottomNav: false },
+        { label: 'Slotting', icon: <SlottingIcon />, component: <SlottingAnalysis />, showInBottomNav: false },
+        { label: 'Products', icon: <ProductIcon />, component: <ProductCatalogue />, showInBottomNav: false },
         ...commonTabs,
         { label: 'Settings', icon: <SettingsIcon />, component: <Settings />, showInBottomNav: false },
       ];
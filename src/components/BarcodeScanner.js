@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Alert,
+  TextField
+} from '@mui/material';
+import {
+  QrCodeScanner as ScanIcon,
+  Stop as StopIcon
+} from '@mui/icons-material';
+import { Html5Qrcode } from 'html5-qrcode';
+
+// The camera reports the same code many times a second while it stays in view
+const DUPLICATE_SCAN_WINDOW_MS = 1500;
+
+let scannerCount = 0;
+
+/**
+ * Camera barcode / QR scanner with a manual entry field for keyboard-wedge scanners
+ * Calls onScan(text) once per read.
+ */
+export default function BarcodeScanner({ onScan, placeholder = 'Scan or type a code' }) {
+  const [elementId] = useState(() => `barcode-scanner-${++scannerCount}`);
+  const [cameraActive, setCameraActive] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [manualCode, setManualCode] = useState('');
+
+  const scannerRef = useRef(null);
+  const lastScanRef = useRef({ text: null, at: 0 });
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  const stopCamera = async () => {
+    const scanner = scannerRef.current;
+    scannerRef.current = null;
+    setCameraActive(false);
+    if (!scanner) return;
+
+    try {
+      await scanner.stop();
+      scanner.clear();
+    } catch (error) {
+      console.error('Error stopping camera scanner:', error);
+    }
+  };
+
+  const startCamera = async () => {
+    setCameraError(null);
+    try {
+      const scanner = new Html5Qrcode(elementId);
+      scannerRef.current = scanner;
+      await scanner.start(
+        { facingMode: 'environment' },
+        { fps: 10, qrbox: { width: 250, height: 250 } },
+        (decodedText) => {
+          const now = Date.now();
+          const last = lastScanRef.current;
+          if (decodedText === last.text && now - last.at < DUPLICATE_SCAN_WINDOW_MS) return;
+          lastScanRef.current = { text: decodedText, at: now };
+          onScanRef.current(decodedText);
+        },
+        () => {} // No code in this frame
+      );
+      setCameraActive(true);
+    } catch (error) {
+      console.error('Error starting camera scanner:', error);
+      scannerRef.current = null;
+      setCameraError('Could not start the camera. Check the browser camera permission, or type the code instead.');
+    }
+  };
+
+  // Release the camera when the scanner is removed
+  useEffect(() => () => {
+    if (scannerRef.current) {
+      scannerRef.current.stop().catch(() => {});
+    }
+  }, []);
+
+  const handleManualSubmit = (event) => {
+    event.preventDefault();
+    const code = manualCode.trim();
+    if (!code) return;
+    setManualCode('');
+    onScan(code);
+  };
+
+  return (
+    <Box>
+      <Box id={elementId} sx={{ width: '100%', maxWidth: 400, mb: cameraActive ? 2 : 0 }} />
+
+      {cameraError && (
+        <Alert severity="warning" sx={{ mb: 2 }}>{cameraError}</Alert>
+      )}
+
+      <Box component="form" onSubmit={handleManualSubmit} display="flex" gap={1} flexWrap="wrap" alignItems="center">
+        {cameraActive ? (
+          <Button variant="outlined" color="secondary" startIcon={<StopIcon />} onClick={stopCamera}>
+            Stop Camera
+          </Button>
+        ) : (
+          <Button variant="outlined" startIcon={<ScanIcon />} onClick={startCamera}>
+            Start Camera
+          </Button>
+        )}
+        <TextField
+          size="small"
+          value={manualCode}
+          onChange={(e) => setManualCode(e.target.value)}
+          placeholder={placeholder}
+          sx={{ minWidth: 240 }}
+        />
+        <Button type="submit" variant="contained" disabled={!manualCode.trim()}>
+          Enter
+        </Button>
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,459 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Autocomplete
+} from '@mui/material';
+import {
+  SwapHoriz as TransferIcon,
+  CloudUpload as UploadIcon,
+  Download as DownloadIcon,
+  PlayArrow as ExecuteIcon,
+  Clear as ClearIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { excelService } from '../services/excelService';
+import { warehouseOperations } from '../services/warehouseOperations';
+import { historyService } from '../services/historyService';
+
+export default function BinTransfer() {
+  const { currentWarehouse, bins = [] } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [fromBin, setFromBin] = useState(null);
+  const [contentIndex, setContentIndex] = useState('');
+  const [toBin, setToBin] = useState(null);
+  const [quantity, setQuantity] = useState('');
+  const [transferring, setTransferring] = useState(false);
+
+  const [uploadedFile, setUploadedFile] = useState(null);
+  const [parsedData, setParsedData] = useState(null);
+  const [executing, setExecuting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null);
+
+  const sortedBins = useMemo(
+    () => [...bins].sort((a, b) => (a.code || '').localeCompare(b.code || '')),
+    [bins]
+  );
+  const stockedBins = useMemo(
+    () => sortedBins.filter(bin => warehouseOperations.getBinContents(bin).length > 0),
+    [sortedBins]
+  );
+
+  const sourceContents = fromBin ? warehouseOperations.getBinContents(fromBin) : [];
+  const selectedContent = contentIndex !== '' ? sourceContents[contentIndex] : null;
+
+  const getFreeSpace = (bin) => (parseInt(bin.capacity) || 0) - (parseInt(bin.currentQty) || 0);
+
+  const resetSingleTransfer = () => {
+    setFromBin(null);
+    setContentIndex('');
+    setToBin(null);
+    setQuantity('');
+  };
+
+  const saveTransferHistory = async (executionResults, fileName) => {
+    const historyItem = {
+      timestamp: new Date().toISOString(),
+      fileName,
+      totalItems: executionResults.summary.total,
+      successCount: executionResults.summary.successful,
+      failedCount: executionResults.summary.failed,
+      warehouseId: currentWarehouse.id,
+      warehouseName: currentWarehouse.name || 'Unknown',
+      executionDetails: executionResults,
+      type: 'transfer',
+      operationType: 'transfer'
+    };
+
+    try {
+      await historyService.saveOperationHistory(
+        currentWarehouse.id,
+        historyService.operationTypes.TRANSFER,
+        historyItem
+      );
+    } catch (error) {
+      console.error('Error saving transfer history:', error);
+      showError('Failed to save operation history');
+    }
+  };
+
+  const handleSingleTransfer = async () => {
+    if (!fromBin || !selectedContent || !toBin) {
+      showError('Select a source bin, a product and a destination bin');
+      return;
+    }
+
+    const moveQty = parseInt(quantity);
+    if (!moveQty || moveQty <= 0) {
+      showError('Enter a quantity greater than zero');
+      return;
+    }
+
+    if (moveQty > selectedContent.quantity) {
+      showError(`Only ${selectedContent.quantity} units of ${selectedContent.sku} are in ${fromBin.code}`);
+      return;
+    }
+
+    setTransferring(true);
+    try {
+      const transfer = await warehouseOperations.executeTransfer(currentWarehouse.id, {
+        sku: selectedContent.sku,
+        quantity: moveQty,
+        lotNumber: selectedContent.lotNumber,
+        fromBinId: fromBin.id,
+        toBinId: toBin.id
+      });
+
+      const item = { ...warehouseOperations.buildTransferHistoryItem(transfer), rowNumber: 1 };
+      const executionResults = {
+        items: [item],
+        summary: {
+          total: 1,
+          successful: 1,
+          failed: 0,
+          totalQuantity: transfer.quantity,
+          executedAt: transfer.movedAt,
+          operationType: 'transfer'
+        }
+      };
+
+      await saveTransferHistory(executionResults, 'Manual Transfer');
+      setResults(executionResults);
+      resetSingleTransfer();
+      showSuccess(`Moved ${transfer.quantity} units of ${transfer.sku} from ${transfer.fromBinCode} to ${transfer.toBinCode}`);
+    } catch (error) {
+      console.error('Error transferring stock:', error);
+      showError(error.message || 'Failed to transfer stock');
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      excelService.validateFile(file);
+      const data = await excelService.parseTransferFile(file);
+
+      setUploadedFile(file);
+      setParsedData(data);
+      setResults(null);
+
+      if (data.errors.length > 0) {
+        showWarning(`${data.errors.length} row(s) could not be read and will be skipped`);
+      } else {
+        showSuccess(`Loaded ${data.totalItems} transfers from ${file.name}`);
+      }
+    } catch (error) {
+      console.error('Error parsing transfer file:', error);
+      showError(error.message || 'Failed to read transfer file');
+    }
+  };
+
+  const handleBulkTransfer = async () => {
+    if (!parsedData || parsedData.items.length === 0) return;
+
+    setExecuting(true);
+    setProgress(0);
+    try {
+      const executionResults = await warehouseOperations.executeBulkTransfer(
+        currentWarehouse.id,
+        parsedData.items,
+        setProgress
+      );
+
+      await saveTransferHistory(executionResults, uploadedFile?.name || 'Bulk Transfer');
+      setResults(executionResults);
+      setUploadedFile(null);
+      setParsedData(null);
+
+      const { successful, failed } = executionResults.summary;
+      if (failed > 0) {
+        showWarning(`${successful} transfers completed, ${failed} failed`);
+      } else {
+        showSuccess(`All ${successful} transfers completed`);
+      }
+    } catch (error) {
+      console.error('Error executing bulk transfer:', error);
+      showError(error.message || 'Failed to execute transfers');
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  const handleClearUpload = () => {
+    setUploadedFile(null);
+    setParsedData(null);
+  };
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to transfer stock between bins.</Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Bin Transfers
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Move stock from one bin to another, including single products out of mixed bins.
+      </Typography>
+
+      {/* Single Transfer Section */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Single Transfer
+          </Typography>
+
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} sm={6} md={3}>
+              <Autocomplete
+                options={stockedBins}
+                value={fromBin}
+                onChange={(event, bin) => {
+                  setFromBin(bin);
+                  setContentIndex(bin && warehouseOperations.getBinContents(bin).length === 1 ? 0 : '');
+                  if (bin && toBin?.id === bin.id) setToBin(null);
+                }}
+                getOptionLabel={(bin) => `${bin.code} (${parseInt(bin.currentQty) || 0})`}
+                isOptionEqualToValue={(option, value) => option.id === value.id}
+                renderInput={(params) => <TextField {...params} label="From Bin" size="small" />}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <FormControl fullWidth size="small" disabled={!fromBin}>
+                <InputLabel>Product</InputLabel>
+                <Select
+                  value={contentIndex}
+                  label="Product"
+                  onChange={(e) => setContentIndex(e.target.value)}
+                >
+                  {sourceContents.map((content, index) => (
+                    <MenuItem key={`${content.sku}-${content.lotNumber || index}`} value={index}>
+                      {content.sku}{content.lotNumber ? ` / ${content.lotNumber}` : ''} ({content.quantity})
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={4} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Quantity"
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                inputProps={{ min: 1, max: selectedContent?.quantity }}
+                helperText={selectedContent ? `Max ${selectedContent.quantity}` : ''}
+              />
+            </Grid>
+            <Grid item xs={12} sm={8} md={3}>
+              <Autocomplete
+                options={sortedBins.filter(bin => bin.id !== fromBin?.id)}
+                value={toBin}
+                onChange={(event, bin) => setToBin(bin)}
+                getOptionLabel={(bin) => `${bin.code} (${getFreeSpace(bin)} free)`}
+                isOptionEqualToValue={(option, value) => option.id === value.id}
+                renderInput={(params) => <TextField {...params} label="To Bin" size="small" />}
+              />
+            </Grid>
+            <Grid item xs={12} md={1}>
+              <Button
+                fullWidth
+                variant="contained"
+                onClick={handleSingleTransfer}
+                disabled={transferring || !fromBin || !selectedContent || !toBin || !quantity}
+              >
+                <TransferIcon />
+              </Button>
+            </Grid>
+          </Grid>
+
+          {transferring && <LinearProgress sx={{ mt: 2 }} />}
+        </CardContent>
+      </Card>
+
+      {/* Bulk Transfer Section */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Bulk Transfer from Excel
+          </Typography>
+
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+            <Button
+              variant="outlined"
+              startIcon={<DownloadIcon />}
+              onClick={() => excelService.generateTransferTemplate()}
+            >
+              Download Template
+            </Button>
+            <Button
+              variant="contained"
+              component="label"
+              startIcon={<UploadIcon />}
+              disabled={executing}
+            >
+              Upload Excel
+              <input type="file" hidden accept=".xlsx,.xls" onChange={handleFileUpload} />
+            </Button>
+          </Box>
+
+          {parsedData && (
+            <>
+              <Typography variant="body2" gutterBottom>
+                {uploadedFile?.name}: {parsedData.totalItems} transfers, {parsedData.totalQuantity} units
+              </Typography>
+
+              {parsedData.errors.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  {parsedData.errors.map(error => (
+                    <div key={error}>{error}</div>
+                  ))}
+                </Alert>
+              )}
+
+              <TableContainer component={Paper} variant="outlined" sx={{ mb: 2, maxHeight: 320 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>Barcode</TableCell>
+                      <TableCell align="right">Quantity</TableCell>
+                      <TableCell>Lot</TableCell>
+                      <TableCell>From Bin</TableCell>
+                      <TableCell>To Bin</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {parsedData.items.map(item => (
+                      <TableRow key={item.rowNumber}>
+                        <TableCell>{item.rowNumber}</TableCell>
+                        <TableCell>{item.sku}</TableCell>
+                        <TableCell align="right">{item.quantity}</TableCell>
+                        <TableCell>{item.lotNumber || '-'}</TableCell>
+                        <TableCell>{item.fromBinCode}</TableCell>
+                        <TableCell>{item.toBinCode}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              {executing && (
+                <Box sx={{ mb: 2 }}>
+                  <LinearProgress variant="determinate" value={progress} />
+                  <Typography variant="caption">{progress}%</Typography>
+                </Box>
+              )}
+
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <Button
+                  variant="contained"
+                  color="success"
+                  startIcon={<ExecuteIcon />}
+                  onClick={handleBulkTransfer}
+                  disabled={executing || parsedData.items.length === 0}
+                >
+                  Execute Transfers
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<ClearIcon />}
+                  onClick={handleClearUpload}
+                  disabled={executing}
+                >
+                  Clear
+                </Button>
+              </Box>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Results Section */}
+      {results && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Last Transfer Results
+            </Typography>
+
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <Chip label={`${results.summary.successful} completed`} color="success" size="small" />
+              {results.summary.failed > 0 && (
+                <Chip label={`${results.summary.failed} failed`} color="error" size="small" />
+              )}
+              <Chip label={`${results.summary.totalQuantity} units moved`} size="small" />
+            </Box>
+
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Barcode</TableCell>
+                    <TableCell align="right">Quantity</TableCell>
+                    <TableCell>From Bin</TableCell>
+                    <TableCell>To Bin</TableCell>
+                    <TableCell>Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {results.items.map(item => (
+                    <TableRow key={item.rowNumber}>
+                      <TableCell>{item.rowNumber}</TableCell>
+                      <TableCell>{item.barcode}</TableCell>
+                      <TableCell align="right">{item.quantity}</TableCell>
+                      <TableCell>{item.fromBinCode}</TableCell>
+                      <TableCell>{item.toBinCode}</TableCell>
+                      <TableCell>
+                        {item.status === 'Completed' ? (
+                          <Chip label="Completed" color="success" size="small" />
+                        ) : (
+                          <Typography variant="body2" color="error">
+                            {item.error}
+                          </Typography>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  );
+}
@@ -57,6 +57,7 @@ import { useForm, Controller } from 'react-hook-form';
 import { useWarehouse } from '../context/WarehouseContext';
 import { useNotification } from '../context/NotificationContext';
 import { warehouseService } from '../services/warehouseService';
+import { warehouseOperations } from '../services/warehouseOperations';
 import { printService } from '../services/printService';
 import { barcodeService } from '../services/barcodeService';
 import { rackService } from '../services/rackService';
@@ -610,6 +611,14 @@ function EnhancedBinsList() {
                   {bin.currentQty} / {bin.capacity}
                 </Typography>
               </Grid>
+              {warehouseOperations.getReservedQuantity(bin) > 0 && (
+                <Grid item xs={6}>
+                  <Typography variant="caption" color="text.secondary">Reserved</Typography>
+                  <Typography variant="body2" fontWeight={500} color="info.main">
+                    {warehouseOperations.getReservedQuantity(bin)} ({[...new Set(warehouseOperations.getBinReservations(bin).map(r => r.ownerLabel))].join(', ')})
+                  </Typography>
+                </Grid>
+              )}
               <Grid item xs={6}>
                 <Typography variant="caption" color="text.secondary">Utilization</Typography>
                 <Typography variant="body2" fontWeight={500}>
@@ -727,6 +736,16 @@ function EnhancedBinsList() {
       width: 110,
       type: 'number',
     },
+    {
+      field: 'reservedQty',
+      headerName: 'Reserved',
+      width: 100,
+      type: 'number',
+      valueGetter: (value, row) => warehouseOperations.getReservedQuantity(row),
+      renderCell: (params) => params.value > 0
+        ? <Chip label={params.value} color="info" size="small" variant="outlined" />
+        : '-',
+    },
     { 
       field: 'capacity', 
       headerName: 'Capacity', 
@@ -0,0 +1,514 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Grid,
+  Tooltip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  PlaylistAdd as GenerateIcon,
+  Print as PrintIcon,
+  Save as SaveIcon,
+  Send as SubmitIcon,
+  CheckCircle as ApproveIcon,
+  Cancel as RejectIcon,
+  Visibility as VisibilityIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { cycleCountService } from '../services/cycleCountService';
+import { printService } from '../services/printService';
+import { productService } from '../services/productService';
+import { authService } from '../services/authService_new';
+
+const STATUS_COLORS = {
+  open: 'default',
+  counting: 'info',
+  'pending-approval': 'warning',
+  posted: 'success'
+};
+
+export default function CycleCounting({ user }) {
+  const { currentWarehouse, racks = [], zones = [] } = useWarehouse();
+  const { showSuccess, showError } = useNotification();
+  const isMaster = authService.isMaster(user);
+
+  const [scopeType, setScopeType] = useState(cycleCountService.scopeTypes.RACK);
+  const [scopeValue, setScopeValue] = useState('');
+  const [includeEmpty, setIncludeEmpty] = useState(true);
+  const [blindCount, setBlindCount] = useState(false);
+  const [countSheets, setCountSheets] = useState([]);
+  const [activeSheet, setActiveSheet] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [rejectOpen, setRejectOpen] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
+
+  const loadCountSheets = useCallback(async () => {
+    const sheets = await cycleCountService.getCycleCounts(currentWarehouse.id);
+    setCountSheets(sheets);
+  }, [currentWarehouse?.id]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadCountSheets();
+    }
+  }, [currentWarehouse?.id, loadCountSheets]);
+
+  const getScopeOptions = () => {
+    if (scopeType === cycleCountService.scopeTypes.RACK) {
+      return racks.map(rack => ({ value: rack.id, label: rack.name || rack.code }));
+    }
+    if (scopeType === cycleCountService.scopeTypes.ZONE) {
+      return [
+        { value: 'main', label: 'Main (unassigned)' },
+        ...zones.map(zone => ({ value: zone.id, label: zone.name || zone.id }))
+      ];
+    }
+    if (scopeType === cycleCountService.scopeTypes.FLAGGED) {
+      return [{ value: 'short-pick', label: 'Short-pick exceptions' }];
+    }
+    return ['A', 'B', 'C'].map(abcClass => ({ value: abcClass, label: `Class ${abcClass}` }));
+  };
+
+  const getScopeLabel = (sheet) => {
+    if (sheet.scopeType === cycleCountService.scopeTypes.RACK) {
+      const rack = racks.find(r => r.id === sheet.scopeValue);
+      return `Rack ${rack?.name || rack?.code || sheet.scopeValue}`;
+    }
+    if (sheet.scopeType === cycleCountService.scopeTypes.ZONE) {
+      const zone = zones.find(z => z.id === sheet.scopeValue);
+      return `Zone ${zone?.name || sheet.scopeValue}`;
+    }
+    if (sheet.scopeType === cycleCountService.scopeTypes.FLAGGED) {
+      return 'Flagged bins (short picks)';
+    }
+    return `ABC Class ${sheet.scopeValue}`;
+  };
+
+  const openSheet = (sheet) => {
+    setActiveSheet(sheet);
+    const initialCounts = {};
+    sheet.lines.forEach(line => {
+      initialCounts[line.lineId] = {
+        countedQty: line.countedQty ?? '',
+        sku: line.sku || ''
+      };
+    });
+    setCounts(initialCounts);
+  };
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    try {
+      const sheet = await cycleCountService.generateCountSheet(currentWarehouse.id, {
+        scopeType,
+        scopeValue,
+        includeEmpty,
+        blindCount,
+        createdBy: user
+      });
+      showSuccess(`Count sheet ${sheet.countNumber} created with ${sheet.lines.length} lines`);
+      await loadCountSheets();
+      openSheet(sheet);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePrint = async (sheet) => {
+    try {
+      const descriptions = await productService.getDescriptionMap(currentWarehouse.id);
+      await printService.printCycleCountSheet(sheet, { descriptions });
+    } catch (error) {
+      showError('Failed to print count sheet');
+    }
+  };
+
+  const handleCountChange = (lineId, field, value) => {
+    setCounts(prev => ({ ...prev, [lineId]: { ...prev[lineId], [field]: value } }));
+  };
+
+  const handleSaveCounts = async () => {
+    setLoading(true);
+    try {
+      const updated = await cycleCountService.recordCounts(currentWarehouse.id, activeSheet.id, counts, user);
+      openSheet(updated);
+      showSuccess(`Counts saved - ${updated.summary.countedLines}/${updated.summary.totalLines} lines counted`);
+      await loadCountSheets();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      await cycleCountService.recordCounts(currentWarehouse.id, activeSheet.id, counts, user);
+      const submitted = await cycleCountService.submitForApproval(currentWarehouse.id, activeSheet.id);
+      openSheet(submitted);
+      showSuccess('Count submitted for master approval');
+      await loadCountSheets();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async () => {
+    setLoading(true);
+    try {
+      const posted = await cycleCountService.approveAndPost(currentWarehouse.id, activeSheet.id, user);
+      openSheet(posted);
+      showSuccess(`Count approved - ${posted.adjustments.length} adjustment(s) posted to bins`);
+      await loadCountSheets();
+    } catch (error) {
+      showError(`Approval failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReject = async () => {
+    setLoading(true);
+    try {
+      await cycleCountService.rejectCount(currentWarehouse.id, activeSheet.id, user, rejectReason);
+      setRejectOpen(false);
+      setRejectReason('');
+      showSuccess('Count sent back for recount');
+      await loadCountSheets();
+      openSheet(await cycleCountService.getCycleCount(currentWarehouse.id, activeSheet.id));
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isEditable = activeSheet && ['open', 'counting'].includes(activeSheet.status);
+  // Blind counts only reveal expected quantities once the count has been submitted
+  const showExpected = activeSheet && (!activeSheet.blindCount || !isEditable);
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Cycle Counting
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Generate count sheets, record physical counts and post approved variances to bins.
+      </Typography>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {/* Generate Section */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            1. Generate Count Sheet
+          </Typography>
+
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Count By</InputLabel>
+                <Select
+                  value={scopeType}
+                  label="Count By"
+                  onChange={(e) => { setScopeType(e.target.value); setScopeValue(''); }}
+                >
+                  <MenuItem value="rack">Rack</MenuItem>
+                  <MenuItem value="zone">Zone</MenuItem>
+                  <MenuItem value="abc">ABC Class</MenuItem>
+                  <MenuItem value="flagged">Flagged Bins</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Scope</InputLabel>
+                <Select value={scopeValue} label="Scope" onChange={(e) => setScopeValue(e.target.value)}>
+                  {getScopeOptions().map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <FormControlLabel
+                control={<Switch checked={includeEmpty} onChange={(e) => setIncludeEmpty(e.target.checked)} />}
+                label="Include empty bins"
+              />
+              <FormControlLabel
+                control={<Switch checked={blindCount} onChange={(e) => setBlindCount(e.target.checked)} />}
+                label="Blind count"
+              />
+            </Grid>
+            <Grid item xs={12} sm={2}>
+              <Button
+                fullWidth
+                variant="contained"
+                startIcon={<GenerateIcon />}
+                onClick={handleGenerate}
+                disabled={!scopeValue || loading}
+              >
+                Generate
+              </Button>
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+
+      {/* Count Sheets */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Count Sheets
+            </Typography>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={loadCountSheets}>
+              Refresh
+            </Button>
+          </Box>
+
+          {countSheets.length === 0 ? (
+            <Alert severity="info">No count sheets yet. Generate one above to start counting.</Alert>
+          ) : (
+            <TableContainer component={Paper} sx={{ maxHeight: 300 }}>
+              <Table stickyHeader size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Count</TableCell>
+                    <TableCell>Scope</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Counted</TableCell>
+                    <TableCell>Variances</TableCell>
+                    <TableCell>Created</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {countSheets.map(sheet => (
+                    <TableRow key={sheet.id} hover selected={activeSheet?.id === sheet.id}>
+                      <TableCell>{sheet.countNumber}</TableCell>
+                      <TableCell>{getScopeLabel(sheet)}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={sheet.status} color={STATUS_COLORS[sheet.status] || 'default'} />
+                      </TableCell>
+                      <TableCell>{sheet.summary?.countedLines || 0}/{sheet.summary?.totalLines || sheet.lines.length}</TableCell>
+                      <TableCell>{sheet.summary?.linesWithVariance || 0}</TableCell>
+                      <TableCell>{new Date(sheet.createdAt).toLocaleString()}</TableCell>
+                      <TableCell>
+                        <Tooltip title="Open">
+                          <IconButton size="small" onClick={() => openSheet(sheet)}>
+                            <VisibilityIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Print Count Sheet">
+                          <IconButton size="small" onClick={() => handlePrint(sheet)}>
+                            <PrintIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Active Count Sheet */}
+      {activeSheet && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+              <Typography variant="h6">
+                2. {activeSheet.countNumber} - {getScopeLabel(activeSheet)}
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Chip label={activeSheet.status} color={STATUS_COLORS[activeSheet.status] || 'default'} />
+                {activeSheet.summary?.accuracy !== null && activeSheet.summary?.accuracy !== undefined && (
+                  <Chip label={`Accuracy ${activeSheet.summary.accuracy}%`} variant="outlined" />
+                )}
+                {showExpected && activeSheet.summary?.linesWithVariance > 0 && (
+                  <Chip
+                    label={`Net variance ${activeSheet.summary.netVariance > 0 ? '+' : ''}${activeSheet.summary.netVariance}`}
+                    color="warning"
+                    variant="outlined"
+                  />
+                )}
+              </Box>
+            </Box>
+
+            {activeSheet.rejectionReason && activeSheet.status === 'counting' && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Sent back by {activeSheet.rejectedBy}: {activeSheet.rejectionReason || 'Please recount'}
+              </Alert>
+            )}
+
+            {activeSheet.status === 'pending-approval' && !isMaster && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Waiting for a master user to approve the variances before they are posted to bins.
+              </Alert>
+            )}
+
+            <TableContainer component={Paper} sx={{ maxHeight: 500 }}>
+              <Table stickyHeader size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Bin</TableCell>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Lot</TableCell>
+                    {showExpected && <TableCell align="right">Expected</TableCell>}
+                    <TableCell align="right">Counted</TableCell>
+                    {showExpected && <TableCell align="right">Variance</TableCell>}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {activeSheet.lines.map(line => (
+                    <TableRow key={line.lineId}>
+                      <TableCell>
+                        {line.binCode}
+                        {line.isMixed && <Chip size="small" label="Mixed" color="warning" variant="outlined" sx={{ ml: 1 }} />}
+                      </TableCell>
+                      <TableCell>
+                        {line.sku || (isEditable ? (
+                          <TextField
+                            size="small"
+                            placeholder="SKU found"
+                            value={counts[line.lineId]?.sku || ''}
+                            onChange={(e) => handleCountChange(line.lineId, 'sku', e.target.value)}
+                          />
+                        ) : <em>Empty</em>)}
+                      </TableCell>
+                      <TableCell>{line.lotNumber || '-'}</TableCell>
+                      {showExpected && <TableCell align="right">{line.expectedQty}</TableCell>}
+                      <TableCell align="right">
+                        {isEditable ? (
+                          <TextField
+                            size="small"
+                            type="number"
+                            inputProps={{ min: 0, style: { textAlign: 'right' } }}
+                            sx={{ width: 100 }}
+                            value={counts[line.lineId]?.countedQty ?? ''}
+                            onChange={(e) => handleCountChange(line.lineId, 'countedQty', e.target.value)}
+                          />
+                        ) : (line.countedQty ?? '-')}
+                      </TableCell>
+                      {showExpected && (
+                        <TableCell align="right">
+                          {line.variance === null || line.variance === undefined ? '-' : (
+                            <Typography
+                              variant="body2"
+                              color={line.variance === 0 ? 'success.main' : 'error.main'}
+                              fontWeight={line.variance === 0 ? 'normal' : 'bold'}
+                            >
+                              {line.variance > 0 ? `+${line.variance}` : line.variance}
+                            </Typography>
+                          )}
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Box sx={{ display: 'flex', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+              {isEditable && (
+                <>
+                  <Button variant="outlined" startIcon={<SaveIcon />} onClick={handleSaveCounts} disabled={loading}>
+                    Save Counts
+                  </Button>
+                  <Button variant="contained" startIcon={<SubmitIcon />} onClick={handleSubmit} disabled={loading}>
+                    Submit for Approval
+                  </Button>
+                </>
+              )}
+              {activeSheet.status === 'pending-approval' && isMaster && (
+                <>
+                  <Button
+                    variant="contained"
+                    color="success"
+                    startIcon={<ApproveIcon />}
+                    onClick={handleApprove}
+                    disabled={loading}
+                  >
+                    Approve & Post ({activeSheet.summary?.linesWithVariance || 0} adjustments)
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    startIcon={<RejectIcon />}
+                    onClick={() => setRejectOpen(true)}
+                    disabled={loading}
+                  >
+                    Reject
+                  </Button>
+                </>
+              )}
+              <Button startIcon={<PrintIcon />} onClick={() => handlePrint(activeSheet)}>
+                Print
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Reject Dialog */}
+      <Dialog open={rejectOpen} onClose={() => setRejectOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Send Count Back for Recount</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRejectOpen(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleReject} disabled={loading}>
+            Reject
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
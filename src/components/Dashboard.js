@@ -52,6 +52,7 @@ import {
 import { useWarehouse } from '../context/WarehouseContext';
 import { useNotification } from '../context/NotificationContext';
 import { printService } from '../services/printService';
+import { reportService } from '../services/reportService';
 
 // Utility function to calculate metrics
 const calculateMetrics = (bins, putAwayTasks, pickTasks) => {
@@ -266,6 +267,74 @@ function RecentTasksTable({ tasks, type }) {
   );
 }
 
+function NearExpiryWidget({ bins, daysAhead }) {
+  const expiring = useMemo(() => reportService.getExpiringStock(bins, daysAhead), [bins, daysAhead]);
+
+  const expiredItems = expiring.filter(item => item.isExpired);
+  const nearExpiryItems = expiring.filter(item => !item.isExpired);
+  const sumQuantity = (items) => items.reduce((sum, item) => sum + item.quantity, 0);
+
+  return (
+    <Box>
+      <Box display="flex" gap={1} mb={2} flexWrap="wrap">
+        <Chip
+          icon={<ErrorIcon />}
+          label={`Expired: ${expiredItems.length} lots / ${sumQuantity(expiredItems)} units`}
+          color={expiredItems.length > 0 ? 'error' : 'default'}
+          size="small"
+        />
+        <Chip
+          icon={<PendingIcon />}
+          label={`Within ${daysAhead} days: ${nearExpiryItems.length} lots / ${sumQuantity(nearExpiryItems)} units`}
+          color={nearExpiryItems.length > 0 ? 'warning' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      {expiring.length === 0 ? (
+        <Typography color="textSecondary">No stock expiring within {daysAhead} days</Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>SKU</TableCell>
+                <TableCell>Location</TableCell>
+                <TableCell>Lot</TableCell>
+                <TableCell>Expiry</TableCell>
+                <TableCell align="right">Qty</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {expiring.slice(0, 5).map((item) => (
+                <TableRow key={`${item.binId}-${item.sku}-${item.lotNumber}-${item.expiryDate}`}>
+                  <TableCell>{item.sku}</TableCell>
+                  <TableCell>{item.location}</TableCell>
+                  <TableCell>{item.lotNumber || '-'}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={item.isExpired ? `${item.expiryDate} (expired)` : `${item.expiryDate} (${item.daysToExpiry}d)`}
+                      size="small"
+                      color={item.isExpired ? 'error' : 'warning'}
+                      variant="outlined"
+                    />
+                  </TableCell>
+                  <TableCell align="right">{item.quantity}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      {expiring.length > 5 && (
+        <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+          {expiring.length - 5} more lots - run the Expiry Report in Settings for the full list
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
 function AlertsSection({ bins, putAwayTasks, pickTasks }) {
   const alerts = useMemo(() => {
     const alertList = [];
@@ -517,6 +586,18 @@ export default function Dashboard() {
           </Paper>
         </Grid>
         
+        <Grid item xs={12}>
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="h6" gutterBottom>
+              Near-Expiry Stock
+            </Typography>
+            <NearExpiryWidget
+              bins={bins}
+              daysAhead={currentWarehouse.settings?.expiryAlertDays ?? reportService.defaultExpiryDays}
+            />
+          </Paper>
+        </Grid>
+
         <Grid item xs={12}>
           <Paper sx={{ p: 2 }}>
             <Typography variant="h6" gutterBottom>
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Chip,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Divider,
+  Stack,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import {
+  CheckCircle as ConfirmIcon,
+  SkipNext as SkipIcon,
+  RemoveCircleOutline as ShortIcon,
+  PlayArrow as StartIcon,
+  Stop as EndIcon,
+  Refresh as RefreshIcon,
+  ArrowForward as NextIcon
+} from '@mui/icons-material';
+import BarcodeScanner from './BarcodeScanner';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { printService } from '../services/printService';
+import { productService } from '../services/productService';
+import { warehouseOperations } from '../services/warehouseOperations';
+import { warehouseService } from '../services/warehouseService';
+
+// An unfinished session survives a reload of the handheld
+const getStorageKey = (warehouseId) => `guidedPick_${warehouseId}`;
+
+const loadSavedSession = (warehouseId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey(warehouseId)) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Mobile-first guided picking: one line at a time along the optimized route
+ * Every confirmation picks from the bin immediately rather than in one batch at the end.
+ */
+export default function GuidedPicking({ uploadedItems = [], uploadedFileName = null, onSessionCompleted }) {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [session, setSession] = useState(null);
+  const [pendingTasks, setPendingTasks] = useState([]);
+  const [products, setProducts] = useState(new Map());
+  const [binVerified, setBinVerified] = useState(false);
+  const [scanError, setScanError] = useState(null);
+  const [shortDialogOpen, setShortDialogOpen] = useState(false);
+  const [shortQuantity, setShortQuantity] = useState('');
+  const [shortReason, setShortReason] = useState(warehouseOperations.shortPickReasons.NOT_FOUND);
+  const [busy, setBusy] = useState(false);
+
+  const loadStartOptions = useCallback(async () => {
+    try {
+      const [tasks, lookup] = await Promise.all([
+        warehouseService.getPickTasks(currentWarehouse.id, { status: 'pending' }),
+        productService.getBarcodeLookup(currentWarehouse.id)
+      ]);
+      setPendingTasks(tasks);
+      setProducts(lookup);
+    } catch (error) {
+      console.error('Error loading guided picking options:', error);
+      showError('Failed to load pending pick tasks');
+    }
+  }, [currentWarehouse?.id, showError]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      setSession(loadSavedSession(currentWarehouse.id));
+      loadStartOptions();
+    }
+  }, [currentWarehouse?.id, loadStartOptions]);
+
+  const saveSession = (updated) => {
+    setSession(updated);
+    if (updated) {
+      localStorage.setItem(getStorageKey(currentWarehouse.id), JSON.stringify(updated));
+    } else {
+      localStorage.removeItem(getStorageKey(currentWarehouse.id));
+    }
+  };
+
+  const getDescription = (sku) => {
+    const entry = products.get(sku);
+    return entry ? entry.product.description || '' : '';
+  };
+
+  const startSession = async ({ items, label, taskId = null }) => {
+    setBusy(true);
+    try {
+      const plan = await warehouseOperations.planGuidedPick(currentWarehouse.id, items);
+      if (plan.lines.length === 0) {
+        showError('None of the items has stock available to pick');
+        return;
+      }
+
+      if (plan.unavailable.length > 0) {
+        showWarning(`Not enough stock for ${plan.unavailable.map(item => `${item.sku} (short ${item.shortfall})`).join(', ')}`);
+      }
+
+      saveSession({
+        id: `${Date.now()}`,
+        warehouseId: currentWarehouse.id,
+        label,
+        taskId,
+        items: items.map(item => ({ ...item, description: getDescription(item.sku) })),
+        lines: plan.lines,
+        totalDistance: plan.totalDistance,
+        reservationId: plan.reservationId,
+        reservationExpiresAt: plan.reservationExpiresAt,
+        startedAt: new Date().toISOString()
+      });
+      setBinVerified(false);
+      setScanError(null);
+    } catch (error) {
+      showError(`Could not start guided picking: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startFromTask = (task) => startSession({
+    items: (task.items || []).map(item => ({ sku: item.sku || item.barcode, quantity: parseInt(item.quantity) || 0 })),
+    label: task.orderNumber || task.id,
+    taskId: task.id
+  });
+
+  const startFromUpload = () => startSession({
+    items: uploadedItems.map(item => ({ sku: item.barcode, quantity: parseInt(item.quantity) || 0 })),
+    label: uploadedFileName || 'Uploaded file'
+  });
+
+  const openLines = session ? session.lines.filter(line => line.status === 'pending') : [];
+  const currentLine = openLines[0];
+  const nextLine = openLines[1];
+  const doneCount = session ? session.lines.length - openLines.length : 0;
+
+  // Replacement lines for a short pick follow straight after the line they cover
+  const updateLine = (updatedLine, replacementLines = []) => {
+    const lines = [];
+    session.lines.forEach(line => {
+      if (line.lineId === updatedLine.lineId) {
+        lines.push(updatedLine, ...replacementLines);
+      } else {
+        lines.push(line);
+      }
+    });
+    saveSession({ ...session, lines });
+    setBinVerified(false);
+    setScanError(null);
+  };
+
+  const confirmLine = async (quantity, reason = null) => {
+    if (!currentLine) return;
+
+    setBusy(true);
+    try {
+      const confirmed = await warehouseOperations.confirmGuidedPickLine(
+        currentWarehouse.id,
+        session.id,
+        currentLine,
+        quantity,
+        {
+          reason,
+          reservationId: session.reservationId,
+          taskId: session.taskId,
+          label: session.label,
+          excludeBinIds: openLines
+            .filter(line => line.lineId !== currentLine.lineId && line.sku === currentLine.sku)
+            .map(line => line.binId)
+        }
+      );
+
+      const exception = confirmed.exception;
+      const replacementLines = (exception?.replacementPlan || []).map((plan, index) => ({
+        ...plan,
+        lineId: `${currentLine.lineId}-R${index + 1}`,
+        stepNumber: null,
+        pickedQuantity: 0,
+        status: 'pending',
+        skipCount: 0,
+        replacementFor: currentLine.binCode
+      }));
+      updateLine(confirmed, replacementLines);
+
+      if (exception) {
+        const replanned = exception.replannedQuantity > 0
+          ? ` ${exception.replannedQuantity} re-planned from ${replacementLines.map(line => line.binCode).join(', ')}.`
+          : '';
+        const unresolved = exception.unresolvedQuantity > 0 ? ` ${exception.unresolvedQuantity} could not be covered.` : '';
+        showWarning(`Short pick (${exception.reasonLabel}) at ${currentLine.binCode}: ${confirmed.pickedQuantity}/${currentLine.quantity} × ${currentLine.sku}.${replanned}${unresolved} Bin flagged for a cycle count.`);
+      }
+    } catch (error) {
+      if (warehouseOperations.isStockChangedError(error)) {
+        showError(`${currentLine.binCode} changed since the route was planned - ${error.message}`);
+      } else {
+        showError(`Pick failed: ${error.message}`);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Skipped lines go to the back of the queue and come round again
+  const skipLine = () => {
+    if (!currentLine) return;
+    const skipped = { ...currentLine, skipCount: (currentLine.skipCount || 0) + 1 };
+    saveSession({
+      ...session,
+      lines: [...session.lines.filter(line => line.lineId !== currentLine.lineId), skipped]
+    });
+    setBinVerified(false);
+    setScanError(null);
+  };
+
+  const handleScan = (rawText) => {
+    if (!currentLine || busy) return;
+    const text = rawText.trim();
+    const qrData = printService.parseQRData(text);
+
+    if (qrData?.type === 'bin' || !binVerified) {
+      const isExpectedBin = qrData?.type === 'bin'
+        ? qrData.binId === currentLine.binId || qrData.code === currentLine.binCode
+        : text === currentLine.binCode;
+
+      if (!isExpectedBin) {
+        setScanError(`Wrong bin: scanned ${qrData?.code || text}, go to ${currentLine.binCode}`);
+        return;
+      }
+      setBinVerified(true);
+      setScanError(null);
+      return;
+    }
+
+    const resolved = products.size > 0 ? productService.resolveBarcode(products, text) : null;
+    const sku = resolved ? resolved.sku : text;
+    if (sku !== currentLine.sku) {
+      setScanError(`Wrong SKU: scanned ${sku}, this line is ${currentLine.sku}`);
+      return;
+    }
+
+    confirmLine(currentLine.quantity);
+  };
+
+  const handleShortPick = async () => {
+    const quantity = parseInt(shortQuantity);
+    if (isNaN(quantity) || quantity < 0 || quantity >= currentLine.quantity) {
+      showError(`Enter a quantity from 0 to ${currentLine.quantity - 1}`);
+      return;
+    }
+    setShortDialogOpen(false);
+    setShortQuantity('');
+    await confirmLine(quantity, shortReason);
+  };
+
+  const finishSession = async () => {
+    const completedAt = new Date().toISOString();
+    const finished = { ...session, completedAt };
+    const results = warehouseOperations.buildGuidedPickResults(finished);
+
+    setBusy(true);
+    try {
+      // Lines left open give their reserved stock back
+      await warehouseOperations.releasePlanReservations(currentWarehouse.id, { reservationId: session.reservationId, lines: openLines });
+
+      if (session.taskId) {
+        const pickedItems = session.lines
+          .filter(line => line.pickedQuantity > 0)
+          .map(line => ({
+            binId: line.binId,
+            binCode: line.binCode,
+            sku: line.sku,
+            quantity: line.pickedQuantity,
+            lotNumber: line.lotNumber || null,
+            expiryDate: line.expiryDate || null
+          }));
+        await warehouseService.updatePickTask(currentWarehouse.id, session.taskId, {
+          status: results.summary.successful === results.summary.total ? 'completed' : 'partial',
+          pickedItems,
+          totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
+          guided: true,
+          completedAt
+        });
+      }
+
+      if (onSessionCompleted) {
+        onSessionCompleted(results, `Guided pick - ${session.label}`);
+      }
+
+      showSuccess(`Guided pick finished: ${results.summary.successful}/${results.summary.total} items complete`);
+      saveSession(null);
+      await loadStartOptions();
+    } catch (error) {
+      showError(`Failed to finish guided pick: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEndSession = () => {
+    if (openLines.length > 0 &&
+        !window.confirm(`${openLines.length} line(s) are still open and will be recorded as not picked. End the session?`)) {
+      return;
+    }
+    finishSession();
+  };
+
+  if (!currentWarehouse) return null;
+
+  // Start screen
+  if (!session) {
+    return (
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+            <Typography variant="h6">Guided Picking</Typography>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={loadStartOptions} disabled={busy}>
+              Refresh
+            </Button>
+          </Box>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Pick one line at a time along the optimized route. Each confirmation takes the stock out of the bin straight away.
+          </Typography>
+
+          {busy && <LinearProgress sx={{ my: 2 }} />}
+
+          {uploadedItems.length > 0 && (
+            <Button
+              fullWidth
+              size="large"
+              variant="contained"
+              startIcon={<StartIcon />}
+              onClick={startFromUpload}
+              disabled={busy}
+              sx={{ my: 2 }}
+            >
+              Start with {uploadedFileName || 'uploaded file'} ({uploadedItems.length} items)
+            </Button>
+          )}
+
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>Pending pick tasks</Typography>
+          {pendingTasks.length === 0 ? (
+            <Alert severity="info" sx={{ mt: 1 }}>No pending pick tasks.</Alert>
+          ) : (
+            <List dense>
+              {pendingTasks.map(task => (
+                <ListItemButton key={task.id} onClick={() => startFromTask(task)} disabled={busy}>
+                  <ListItemText
+                    primary={task.orderNumber || task.id}
+                    secondary={`${(task.items || []).length} items, ${task.totalQuantity || 0} units`}
+                  />
+                  <StartIcon color="primary" />
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // Session finished - every line confirmed, short-picked or given up
+  if (!currentLine) {
+    const pickedUnits = session.lines.reduce((sum, line) => sum + line.pickedQuantity, 0);
+    const shortLines = session.lines.filter(line => line.status === 'short');
+    return (
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>Guided Pick Complete - {session.label}</Typography>
+          <Stack direction="row" spacing={1} sx={{ mb: 2 }} flexWrap="wrap">
+            <Chip color="success" label={`${pickedUnits} units picked`} />
+            <Chip label={`${session.lines.length} lines`} />
+            {shortLines.length > 0 && <Chip color="warning" label={`${shortLines.length} short`} />}
+          </Stack>
+          {shortLines.map(line => (
+            <Alert key={line.lineId} severity="warning" sx={{ mb: 1 }}>
+              {line.binCode}: picked {line.pickedQuantity} of {line.quantity} × {line.sku}
+              {line.exception ? ` - ${line.exception.reasonLabel}` : ''}
+              {line.exception?.unresolvedQuantity > 0 ? `, ${line.exception.unresolvedQuantity} not covered` : ''}
+            </Alert>
+          ))}
+          <Button fullWidth size="large" variant="contained" onClick={finishSession} disabled={busy}>
+            Finish & Save
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // Current line
+  const description = getDescription(currentLine.sku);
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+          <Typography variant="subtitle1"><strong>{session.label}</strong></Typography>
+          <Chip label={`Line ${doneCount + 1} of ${session.lines.length}`} />
+        </Box>
+        <LinearProgress
+          variant={busy ? 'indeterminate' : 'determinate'}
+          value={(doneCount / session.lines.length) * 100}
+          sx={{ mb: 2 }}
+        />
+
+        <Box sx={{ textAlign: 'center', py: 2, border: 2, borderColor: binVerified ? 'success.main' : 'primary.main', borderRadius: 2, mb: 2 }}>
+          <Typography variant="overline" color="text.secondary">Go to location</Typography>
+          <Typography variant="h4" sx={{ fontWeight: 'bold', wordBreak: 'break-all' }}>
+            {currentLine.binCode}
+          </Typography>
+          {binVerified && <Chip size="small" color="success" icon={<ConfirmIcon />} label="Bin scanned" sx={{ mt: 1 }} />}
+
+          <Divider sx={{ my: 2 }} />
+
+          <Typography variant="overline" color="text.secondary">Pick</Typography>
+          <Typography variant="h3" sx={{ fontWeight: 'bold' }}>{currentLine.quantity}</Typography>
+          <Typography variant="h6">{currentLine.sku}</Typography>
+          {description && <Typography variant="body2" color="text.secondary">{description}</Typography>}
+          {currentLine.lotNumber && (
+            <Typography variant="body2">
+              Lot {currentLine.lotNumber}{currentLine.expiryDate ? ` - exp ${currentLine.expiryDate}` : ''}
+            </Typography>
+          )}
+          {currentLine.replacementFor && (
+            <Chip size="small" color="info" label={`Replaces short pick at ${currentLine.replacementFor}`} sx={{ mt: 1 }} />
+          )}
+          {currentLine.skipCount > 0 && (
+            <Chip size="small" color="warning" label={`Skipped ${currentLine.skipCount}×`} sx={{ mt: 1 }} />
+          )}
+        </Box>
+
+        {scanError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setScanError(null)}>{scanError}</Alert>
+        )}
+
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {binVerified ? 'Scan the product barcode to confirm' : 'Scan the bin label, then the product - or tap Confirm'}
+          </Typography>
+          <BarcodeScanner onScan={handleScan} placeholder={binVerified ? 'Product barcode' : 'Bin code'} />
+        </Box>
+
+        <Stack spacing={1}>
+          <Button
+            fullWidth
+            size="large"
+            variant="contained"
+            color="success"
+            startIcon={<ConfirmIcon />}
+            onClick={() => confirmLine(currentLine.quantity)}
+            disabled={busy}
+          >
+            Confirm {currentLine.quantity}
+          </Button>
+          <Stack direction="row" spacing={1}>
+            <Button
+              fullWidth
+              variant="outlined"
+              color="warning"
+              startIcon={<ShortIcon />}
+              onClick={() => setShortDialogOpen(true)}
+              disabled={busy}
+            >
+              Short Pick
+            </Button>
+            <Button
+              fullWidth
+              variant="outlined"
+              startIcon={<SkipIcon />}
+              onClick={skipLine}
+              disabled={busy || openLines.length < 2}
+            >
+              Skip
+            </Button>
+          </Stack>
+        </Stack>
+
+        {nextLine && (
+          <Box display="flex" alignItems="center" gap={1} sx={{ mt: 2 }}>
+            <NextIcon fontSize="small" color="action" />
+            <Typography variant="body2" color="text.secondary">
+              Next: {nextLine.binCode} - {nextLine.quantity} × {nextLine.sku}
+            </Typography>
+          </Box>
+        )}
+
+        <Button size="small" color="error" startIcon={<EndIcon />} onClick={handleEndSession} disabled={busy} sx={{ mt: 2 }}>
+          End Session
+        </Button>
+      </CardContent>
+
+      <Dialog open={shortDialogOpen} onClose={() => setShortDialogOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Short Pick - {currentLine.binCode}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Planned {currentLine.quantity} × {currentLine.sku}. How many did you actually pick? The rest is
+            re-planned from the next FIFO bin and this bin is flagged for a cycle count.
+          </Typography>
+          <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+            <InputLabel>Reason</InputLabel>
+            <Select value={shortReason} label="Reason" onChange={(e) => setShortReason(e.target.value)}>
+              {Object.values(warehouseOperations.shortPickReasons).map(reason => (
+                <MenuItem key={reason} value={reason}>{warehouseOperations.shortPickReasonLabels[reason]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            autoFocus
+            fullWidth
+            type="number"
+            label="Quantity picked"
+            value={shortQuantity}
+            onChange={(e) => setShortQuantity(e.target.value)}
+            inputProps={{ min: 0, max: currentLine.quantity - 1 }}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShortDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" color="warning" onClick={handleShortPick} disabled={shortQuantity === ''}>
+            Record Short Pick
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,475 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton
+} from '@mui/material';
+import {
+  Upload as UploadIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { orderService } from '../services/orderService';
+import { warehouseOperations } from '../services/warehouseOperations';
+import { excelService } from '../services/excelService';
+import { productService } from '../services/productService';
+
+const EMPTY_ORDER = { orderNumber: '', customer: '', requiredDate: '' };
+const EMPTY_LINE = { sku: '', quantity: '' };
+
+const statusColors = {
+  new: 'default',
+  allocated: 'info',
+  picking: 'primary',
+  picked: 'warning',
+  packed: 'secondary',
+  shipped: 'success',
+  cancelled: 'error'
+};
+
+export default function OutboundOrders({ user }) {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError } = useNotification();
+
+  const [orders, setOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [form, setForm] = useState(EMPTY_ORDER);
+  const [lines, setLines] = useState([]);
+  const [newLine, setNewLine] = useState(EMPTY_LINE);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [atpBySku, setAtpBySku] = useState(new Map());
+
+  const loadOrders = useCallback(async () => {
+    setOrders(await orderService.getOrders(currentWarehouse.id, { status: statusFilter || undefined }));
+  }, [currentWarehouse?.id, statusFilter]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadOrders();
+    }
+  }, [currentWarehouse?.id, loadOrders]);
+
+  // Available-to-promise for the lines of an order that still has to be allocated
+  useEffect(() => {
+    if (currentWarehouse?.id && selectedOrder?.status === orderService.statuses.NEW) {
+      warehouseOperations.getAvailableToPromise(currentWarehouse.id)
+        .then(rows => setAtpBySku(new Map(rows.map(row => [row.sku, row]))))
+        .catch(() => setAtpBySku(new Map()));
+    }
+  }, [currentWarehouse?.id, selectedOrder?.id, selectedOrder?.status]);
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to manage orders.</Alert>
+    );
+  }
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const products = await productService.getBarcodeLookup(currentWarehouse.id);
+      const data = await excelService.parsePickFile(file, { products });
+      if (data.errors.length > 0) {
+        showError(`File parsed with ${data.errors.length} errors: ${data.errors.slice(0, 3).join('; ')}`);
+      }
+      setLines(data.items.map(item => ({ sku: item.barcode, quantity: item.quantity, description: item.description || '' })));
+      setForm(current => ({ ...current, orderNumber: current.orderNumber || file.name.replace(/\.[^.]+$/, '') }));
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handleAddLine = () => {
+    setLines([...lines, { sku: newLine.sku.trim(), quantity: parseInt(newLine.quantity) }]);
+    setNewLine(EMPTY_LINE);
+  };
+
+  const handleCreateOrder = async () => {
+    setWorking(true);
+    try {
+      const order = await orderService.createOrder(currentWarehouse.id, { ...form, items: lines }, user);
+      showSuccess(`Order ${order.orderNumber} created`);
+      setForm(EMPTY_ORDER);
+      setLines([]);
+      setSelectedOrder(order);
+      await loadOrders();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      const order = await action();
+      setSelectedOrder(order);
+      showSuccess(successMessage(order));
+      await loadOrders();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancel = (order) => {
+    const reason = window.prompt(`Cancel order ${order.orderNumber}? Enter a reason:`);
+    if (reason === null) return;
+    runAction(
+      () => orderService.cancelOrder(currentWarehouse.id, order.id, user, reason),
+      updated => `Order ${updated.orderNumber} cancelled`
+    );
+  };
+
+  const getActions = (order) => {
+    const { statuses } = orderService;
+    const actions = [];
+
+    switch (order.status) {
+      case statuses.NEW:
+        actions.push({
+          label: 'Allocate',
+          run: () => runAction(
+            () => orderService.allocateOrder(currentWarehouse.id, order.id, user),
+            updated => `Stock reserved for ${updated.orderNumber}`
+          )
+        });
+        break;
+      case statuses.ALLOCATED:
+        actions.push({
+          label: 'Start Picking',
+          run: () => runAction(
+            () => orderService.startPicking(currentWarehouse.id, order.id, user),
+            updated => `Pick task created for ${updated.orderNumber}`
+          )
+        });
+        break;
+      case statuses.PICKING:
+        actions.push({
+          label: 'Confirm Picked',
+          run: () => runAction(
+            () => orderService.confirmPicked(currentWarehouse.id, order.id, user),
+            updated => `${updated.orderNumber} picked`
+          )
+        });
+        break;
+      case statuses.PICKED:
+        actions.push({
+          label: 'Mark Packed',
+          run: () => runAction(
+            () => orderService.updateStatus(currentWarehouse.id, order.id, statuses.PACKED, user),
+            updated => `${updated.orderNumber} packed`
+          )
+        });
+        break;
+      case statuses.PACKED:
+        actions.push({
+          label: 'Mark Shipped',
+          run: () => runAction(
+            () => orderService.updateStatus(currentWarehouse.id, order.id, statuses.SHIPPED, user),
+            updated => `${updated.orderNumber} shipped`
+          )
+        });
+        break;
+      default:
+        break;
+    }
+
+    if (orderService.transitions[order.status].includes(statuses.CANCELLED)) {
+      actions.push({ label: 'Cancel', color: 'error', run: () => handleCancel(order) });
+    }
+
+    return actions;
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Orders
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Customer orders move from new to allocated, picking, picked, packed and shipped. Allocating reserves stock in
+        its bins without taking it out, so the same units cannot be promised to another order or picked by a pick file.
+      </Typography>
+
+      {/* New order */}
+      <Card sx={{ mb: 3, mt: 2 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>New Order</Typography>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" sx={{ mb: 2 }}>
+            <TextField
+              label="Order Number"
+              size="small"
+              value={form.orderNumber}
+              onChange={(e) => setForm({ ...form, orderNumber: e.target.value })}
+              placeholder="Generated if empty"
+            />
+            <TextField
+              label="Customer"
+              size="small"
+              value={form.customer}
+              onChange={(e) => setForm({ ...form, customer: e.target.value })}
+            />
+            <TextField
+              type="date"
+              label="Required Date"
+              size="small"
+              value={form.requiredDate}
+              onChange={(e) => setForm({ ...form, requiredDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <input
+              type="file"
+              accept=".xlsx,.xls"
+              onChange={handleFileUpload}
+              style={{ display: 'none' }}
+              id="order-upload"
+            />
+            <label htmlFor="order-upload">
+              <Button component="span" variant="outlined" startIcon={<UploadIcon />}>
+                Upload Lines
+              </Button>
+            </label>
+          </Box>
+
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" sx={{ mb: 2 }}>
+            <TextField
+              label="SKU / Barcode"
+              size="small"
+              value={newLine.sku}
+              onChange={(e) => setNewLine({ ...newLine, sku: e.target.value })}
+            />
+            <TextField
+              type="number"
+              label="Quantity"
+              size="small"
+              value={newLine.quantity}
+              onChange={(e) => setNewLine({ ...newLine, quantity: e.target.value })}
+              inputProps={{ min: 1 }}
+              sx={{ width: 110 }}
+            />
+            <Button startIcon={<AddIcon />} onClick={handleAddLine} disabled={!newLine.sku.trim() || !(parseInt(newLine.quantity) > 0)}>
+              Add Line
+            </Button>
+          </Box>
+
+          {lines.length > 0 && (
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell align="right">Quantity</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {lines.map((line, index) => (
+                    <TableRow key={`${line.sku}-${index}`}>
+                      <TableCell>{line.sku}</TableCell>
+                      <TableCell align="right">{line.quantity}</TableCell>
+                      <TableCell align="right">
+                        <IconButton size="small" onClick={() => setLines(lines.filter((_, i) => i !== index))}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <Button variant="contained" onClick={handleCreateOrder} disabled={working || lines.length === 0}>
+            Create Order
+          </Button>
+        </CardContent>
+      </Card>
+
+      {/* Orders */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box display="flex" gap={2} alignItems="center" sx={{ mb: 2 }}>
+            <Typography variant="h6">Orders</Typography>
+            <Box flexGrow={1} />
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Status</InputLabel>
+              <Select value={statusFilter} label="Status" onChange={(e) => setStatusFilter(e.target.value)}>
+                <MenuItem value="">All</MenuItem>
+                {Object.values(orderService.statuses).map(status => (
+                  <MenuItem key={status} value={status}>{status}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          {orders.length === 0 ? (
+            <Alert severity="info">No orders.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Order</TableCell>
+                    <TableCell>Customer</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Lines</TableCell>
+                    <TableCell align="right">Units</TableCell>
+                    <TableCell>Required</TableCell>
+                    <TableCell>Created</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {orders.map(order => (
+                    <TableRow
+                      key={order.id}
+                      hover
+                      selected={selectedOrder?.id === order.id}
+                      onClick={() => setSelectedOrder(order)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell><strong>{order.orderNumber}</strong></TableCell>
+                      <TableCell>{order.customer || '-'}</TableCell>
+                      <TableCell>
+                        <Chip size="small" color={statusColors[order.status] || 'default'} label={order.status} />
+                      </TableCell>
+                      <TableCell align="right">{order.lines.length}</TableCell>
+                      <TableCell align="right">{order.totalQuantity}</TableCell>
+                      <TableCell>{order.requiredDate || '-'}</TableCell>
+                      <TableCell>{new Date(order.createdAt).toLocaleString()}</TableCell>
+                      <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                        <Box display="flex" gap={1} justifyContent="flex-end">
+                          {getActions(order).map(action => (
+                            <Button
+                              key={action.label}
+                              size="small"
+                              color={action.color || 'primary'}
+                              variant={action.color ? 'text' : 'outlined'}
+                              onClick={action.run}
+                              disabled={working}
+                            >
+                              {action.label}
+                            </Button>
+                          ))}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Order detail */}
+      {selectedOrder && (
+        <Card>
+          <CardContent>
+            <Box display="flex" gap={1} alignItems="center" flexWrap="wrap" sx={{ mb: 2 }}>
+              <Typography variant="h6" sx={{ mr: 1 }}>{selectedOrder.orderNumber}</Typography>
+              <Chip size="small" color={statusColors[selectedOrder.status] || 'default'} label={selectedOrder.status} />
+              {selectedOrder.customer && <Chip size="small" variant="outlined" label={selectedOrder.customer} />}
+              {selectedOrder.cancelReason && <Chip size="small" variant="outlined" label={`Cancelled: ${selectedOrder.cancelReason}`} />}
+            </Box>
+
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell align="right">Ordered</TableCell>
+                    <TableCell align="right">Allocated</TableCell>
+                    <TableCell align="right">Picked</TableCell>
+                    {selectedOrder.status === orderService.statuses.NEW && <TableCell align="right">Available to Promise</TableCell>}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {selectedOrder.lines.map(line => (
+                    <TableRow key={line.lineId}>
+                      <TableCell>{line.sku}</TableCell>
+                      <TableCell align="right">{line.quantity}</TableCell>
+                      <TableCell align="right">{line.allocatedQty}</TableCell>
+                      <TableCell align="right">{line.pickedQty}</TableCell>
+                      {selectedOrder.status === orderService.statuses.NEW && (
+                        <TableCell align="right">
+                          <Typography
+                            variant="body2"
+                            color={(atpBySku.get(line.sku)?.atp || 0) < line.quantity ? 'error.main' : 'success.main'}
+                          >
+                            {atpBySku.get(line.sku)?.atp || 0}
+                          </Typography>
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {selectedOrder.allocations?.length > 0 && (
+              <>
+                <Typography variant="subtitle2" gutterBottom>
+                  {[orderService.statuses.ALLOCATED, orderService.statuses.PICKING].includes(selectedOrder.status)
+                    ? 'Reserved stock'
+                    : 'Allocated bins'}
+                </Typography>
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Bin</TableCell>
+                        <TableCell>SKU</TableCell>
+                        <TableCell>Lot</TableCell>
+                        <TableCell>Expiry</TableCell>
+                        <TableCell align="right">Quantity</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {selectedOrder.allocations.map(allocation => (
+                        <TableRow key={`${allocation.binId}-${allocation.sku}-${allocation.lotNumber || ''}-${allocation.expiryDate || ''}`}>
+                          <TableCell>{allocation.binCode}</TableCell>
+                          <TableCell>{allocation.sku}</TableCell>
+                          <TableCell>{allocation.lotNumber || '-'}</TableCell>
+                          <TableCell>{allocation.expiryDate || '-'}</TableCell>
+                          <TableCell align="right">{allocation.quantity}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  );
+}
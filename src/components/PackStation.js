@@ -0,0 +1,506 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  IconButton
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  LocalShipping as ShipIcon,
+  Print as PrintIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { packingService } from '../services/packingService';
+import { printService } from '../services/printService';
+import { productService } from '../services/productService';
+import BarcodeScanner from './BarcodeScanner';
+
+const EMPTY_DETAILS = { carrier: '', trackingNumber: '' };
+
+const getTaskLabel = (task) => task.orderNumber || task.notes || task.id;
+
+const newCarton = (cartonNumber) => ({ cartonNumber, items: [], weight: '', length: '', width: '', height: '' });
+
+// Cartons in progress survive a reload of the pack station
+const getStorageKey = (warehouseId) => `packStation_${warehouseId}`;
+
+const loadSavedPacking = (warehouseId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey(warehouseId)) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Pack station: scan the stock of a picked task into cartons, verify it against the pick,
+ * record carton weight and dimensions and close the shipment
+ */
+export default function PackStation({ user }) {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError } = useNotification();
+
+  const [tasks, setTasks] = useState([]);
+  const [shipments, setShipments] = useState([]);
+  const [products, setProducts] = useState(new Map());
+  const [packing, setPacking] = useState(null);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [lastShipment, setLastShipment] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [packableTasks, recentShipments] = await Promise.all([
+        packingService.getPackableTasks(currentWarehouse.id),
+        packingService.getShipments(currentWarehouse.id)
+      ]);
+      setTasks(packableTasks);
+      setShipments(recentShipments);
+    } catch (error) {
+      console.error('Error loading pack station:', error);
+      showError('Failed to load picked tasks');
+    }
+  }, [currentWarehouse?.id, showError]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      setPacking(loadSavedPacking(currentWarehouse.id));
+      setLastShipment(null);
+      loadData();
+      productService.getBarcodeLookup(currentWarehouse.id).then(setProducts).catch(() => setProducts(new Map()));
+    }
+  }, [currentWarehouse?.id, loadData]);
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to pack shipments.</Alert>
+    );
+  }
+
+  const savePacking = (updated) => {
+    setPacking(updated);
+    if (updated) {
+      localStorage.setItem(getStorageKey(currentWarehouse.id), JSON.stringify(updated));
+    } else {
+      localStorage.removeItem(getStorageKey(currentWarehouse.id));
+    }
+  };
+
+  const startPacking = (task) => {
+    if (packing && packing.task.id !== task.id && packing.cartons.some(carton => carton.items.length > 0) &&
+        !window.confirm(`Discard the cartons packed for ${getTaskLabel(packing.task)}?`)) {
+      return;
+    }
+    savePacking({ task, cartons: [newCarton(1)], activeCarton: 1 });
+    setDetails(EMPTY_DETAILS);
+    setLastShipment(null);
+  };
+
+  const updateCartons = (cartons, activeCarton = packing.activeCarton) => {
+    savePacking({ ...packing, cartons, activeCarton });
+  };
+
+  const handleNewCarton = () => {
+    const cartonNumber = packing.cartons.length + 1;
+    updateCartons([...packing.cartons, newCarton(cartonNumber)], cartonNumber);
+  };
+
+  const handleCartonField = (cartonNumber, field, value) => {
+    updateCartons(packing.cartons.map(carton =>
+      carton.cartonNumber === cartonNumber ? { ...carton, [field]: value } : carton
+    ));
+  };
+
+  const handleRemoveItem = (cartonNumber, sku) => {
+    updateCartons(packing.cartons.map(carton =>
+      carton.cartonNumber === cartonNumber
+        ? { ...carton, items: carton.items.filter(item => item.sku !== sku) }
+        : carton
+    ));
+  };
+
+  // Empty cartons are dropped and the rest renumbered, so labels read 1 of N without gaps
+  const handleRemoveCarton = (cartonNumber) => {
+    const cartons = packing.cartons
+      .filter(carton => carton.cartonNumber !== cartonNumber)
+      .map((carton, index) => ({ ...carton, cartonNumber: index + 1 }));
+    updateCartons(cartons.length > 0 ? cartons : [newCarton(1)], Math.min(packing.activeCarton, Math.max(cartons.length, 1)));
+  };
+
+  // One scan = one unit of the scanned barcode's unit of measure
+  const handleScan = (rawText) => {
+    const text = rawText.trim();
+    if (!text || !packing) return;
+
+    const resolved = products.size > 0 ? productService.resolveBarcode(products, text, 1) : null;
+    const sku = resolved ? resolved.sku : text;
+    const quantity = resolved ? resolved.quantity : 1;
+
+    const picked = packingService.getPickedQuantities(packing.task).find(line => line.sku === sku);
+    if (!picked) {
+      showError(`${sku} was not picked on this task`);
+      return;
+    }
+
+    const packed = packingService.getPackedQuantity(packing.cartons, sku);
+    if (packed + quantity > picked.quantity) {
+      showError(`${sku}: only ${picked.quantity - packed} left to pack`);
+      return;
+    }
+
+    updateCartons(packing.cartons.map(carton =>
+      carton.cartonNumber === packing.activeCarton
+        ? { ...carton, items: packingService.addToCarton(carton, sku, quantity) }
+        : carton
+    ));
+    showSuccess(`${sku} × ${quantity} → carton ${packing.activeCarton}`);
+  };
+
+  const handleCloseShipment = async () => {
+    if (!window.confirm(`Close the shipment of ${packing.cartons.length} carton(s)? The pick task will be marked shipped.`)) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const shipment = await packingService.closeShipment(currentWarehouse.id, packing.task, packing.cartons, details, user);
+      savePacking(null);
+      setDetails(EMPTY_DETAILS);
+      setLastShipment(shipment);
+      showSuccess(`Shipment ${shipment.shipmentNumber} closed`);
+      await loadData();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePrintPackingSlip = async (shipment) => {
+    try {
+      const descriptions = await productService.getDescriptionMap(currentWarehouse.id);
+      await printService.printPackingSlip(shipment, { descriptions });
+    } catch (error) {
+      showError('Failed to print packing slip');
+    }
+  };
+
+  const handlePrintCartonLabels = async (shipment) => {
+    try {
+      await printService.printCartonLabels(shipment);
+    } catch (error) {
+      showError('Failed to print carton labels');
+    }
+  };
+
+  const verification = packing ? packingService.verifyPacking(packing.task, packing.cartons) : null;
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Pack Station
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Select a picked task, scan its stock into cartons and enter each carton's weight and dimensions.
+        The shipment can be closed once every picked unit is packed.
+      </Typography>
+
+      {/* Picked tasks */}
+      <Card sx={{ mb: 3, mt: 2 }}>
+        <CardContent>
+          <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+            <Typography variant="h6">1. Picked Tasks</Typography>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={loadData}>Refresh</Button>
+          </Box>
+          {tasks.length === 0 ? (
+            <Alert severity="info">No picked tasks waiting to be packed.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Task</TableCell>
+                    <TableCell>Customer</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">SKUs</TableCell>
+                    <TableCell align="right">Units</TableCell>
+                    <TableCell>Picked</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {tasks.map(task => {
+                    const picked = packingService.getPickedQuantities(task);
+                    return (
+                      <TableRow key={task.id} selected={packing?.task.id === task.id}>
+                        <TableCell>{getTaskLabel(task)}</TableCell>
+                        <TableCell>{task.customer || '-'}</TableCell>
+                        <TableCell>
+                          <Chip size="small" color={task.status === 'partial' ? 'warning' : 'success'} label={task.status} />
+                        </TableCell>
+                        <TableCell align="right">{picked.length}</TableCell>
+                        <TableCell align="right">{picked.reduce((sum, line) => sum + line.quantity, 0)}</TableCell>
+                        <TableCell>{task.completedAt ? new Date(task.completedAt).toLocaleString() : '-'}</TableCell>
+                        <TableCell align="right">
+                          <Button size="small" onClick={() => startPacking(task)}>Pack</Button>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Cartons */}
+      {packing && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Box display="flex" gap={1} alignItems="center" flexWrap="wrap" sx={{ mb: 2 }}>
+              <Typography variant="h6" sx={{ mr: 1 }}>
+                2. Pack {getTaskLabel(packing.task)}
+              </Typography>
+              {packing.task.customer && <Chip size="small" label={packing.task.customer} />}
+              <Chip size="small" color="primary" label={`Packing into carton ${packing.activeCarton}`} />
+            </Box>
+
+            <BarcodeScanner onScan={handleScan} placeholder={`Scan product barcode into carton ${packing.activeCarton}`} />
+
+            <Box display="flex" gap={2} flexWrap="wrap" sx={{ mt: 2 }}>
+              {packing.cartons.map(carton => (
+                <Paper
+                  key={carton.cartonNumber}
+                  variant="outlined"
+                  sx={{
+                    p: 2,
+                    minWidth: 280,
+                    flex: '1 1 280px',
+                    borderColor: carton.cartonNumber === packing.activeCarton ? 'primary.main' : undefined,
+                    borderWidth: carton.cartonNumber === packing.activeCarton ? 2 : 1
+                  }}
+                >
+                  <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+                    <Typography variant="subtitle1">Carton {carton.cartonNumber}</Typography>
+                    <Box>
+                      {carton.cartonNumber !== packing.activeCarton && (
+                        <Button size="small" onClick={() => updateCartons(packing.cartons, carton.cartonNumber)}>
+                          Pack Here
+                        </Button>
+                      )}
+                      <IconButton size="small" onClick={() => handleRemoveCarton(carton.cartonNumber)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Box>
+                  </Box>
+
+                  {carton.items.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>Empty</Typography>
+                  ) : (
+                    <Table size="small" sx={{ mb: 1 }}>
+                      <TableBody>
+                        {carton.items.map(item => (
+                          <TableRow key={item.sku}>
+                            <TableCell>{item.sku}</TableCell>
+                            <TableCell align="right">{item.quantity}</TableCell>
+                            <TableCell align="right" padding="none">
+                              <IconButton size="small" onClick={() => handleRemoveItem(carton.cartonNumber, item.sku)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+
+                  <Box display="flex" gap={1} flexWrap="wrap">
+                    <TextField
+                      type="number"
+                      label="Weight (kg)"
+                      size="small"
+                      value={carton.weight}
+                      onChange={(e) => handleCartonField(carton.cartonNumber, 'weight', e.target.value)}
+                      inputProps={{ min: 0, step: 0.1 }}
+                      sx={{ width: 110 }}
+                    />
+                    {['length', 'width', 'height'].map(dimension => (
+                      <TextField
+                        key={dimension}
+                        type="number"
+                        label={`${dimension.charAt(0).toUpperCase()}${dimension.slice(1)} (cm)`}
+                        size="small"
+                        value={carton[dimension]}
+                        onChange={(e) => handleCartonField(carton.cartonNumber, dimension, e.target.value)}
+                        inputProps={{ min: 0 }}
+                        sx={{ width: 110 }}
+                      />
+                    ))}
+                  </Box>
+                </Paper>
+              ))}
+            </Box>
+
+            <Button variant="outlined" startIcon={<AddIcon />} onClick={handleNewCarton} sx={{ mt: 2 }}>
+              New Carton
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Verification and close */}
+      {packing && verification && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>3. Verify and Close Shipment</Typography>
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell align="right">Picked</TableCell>
+                    <TableCell align="right">Packed</TableCell>
+                    <TableCell>Check</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {verification.lines.map(line => (
+                    <TableRow key={line.sku}>
+                      <TableCell>{line.sku}</TableCell>
+                      <TableCell align="right">{line.picked}</TableCell>
+                      <TableCell align="right">{line.packed}</TableCell>
+                      <TableCell>
+                        {line.difference === 0 ? (
+                          <Chip size="small" color="success" label="OK" />
+                        ) : (
+                          <Chip size="small" color={line.difference < 0 ? 'warning' : 'error'} label={`${line.difference > 0 ? '+' : ''}${line.difference}`} />
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {verification.errors.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {verification.errors.slice(0, 8).map(error => (
+                  <Typography key={error} variant="body2">{error}</Typography>
+                ))}
+              </Alert>
+            )}
+
+            <Box display="flex" gap={2} flexWrap="wrap" alignItems="center">
+              <TextField
+                label="Carrier"
+                size="small"
+                value={details.carrier}
+                onChange={(e) => setDetails({ ...details, carrier: e.target.value })}
+              />
+              <TextField
+                label="Tracking Number"
+                size="small"
+                value={details.trackingNumber}
+                onChange={(e) => setDetails({ ...details, trackingNumber: e.target.value })}
+              />
+              <Button
+                variant="contained"
+                color="success"
+                startIcon={<ShipIcon />}
+                onClick={handleCloseShipment}
+                disabled={loading || !verification.complete}
+              >
+                Close Shipment
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      {lastShipment && (
+        <Alert
+          severity="success"
+          sx={{ mb: 3 }}
+          action={
+            <Box display="flex" gap={1}>
+              <Button size="small" startIcon={<PrintIcon />} onClick={() => handlePrintPackingSlip(lastShipment)}>
+                Packing Slip
+              </Button>
+              <Button size="small" startIcon={<PrintIcon />} onClick={() => handlePrintCartonLabels(lastShipment)}>
+                Carton Labels
+              </Button>
+            </Box>
+          }
+        >
+          Shipment {lastShipment.shipmentNumber} closed: {lastShipment.totalCartons} cartons, {lastShipment.totalQuantity} units, {lastShipment.totalWeight} kg
+        </Alert>
+      )}
+
+      {/* Recent shipments */}
+      <Card>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>Recent Shipments</Typography>
+          {shipments.length === 0 ? (
+            <Alert severity="info">No shipments yet.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Shipment</TableCell>
+                    <TableCell>Order</TableCell>
+                    <TableCell>Customer</TableCell>
+                    <TableCell>Carrier</TableCell>
+                    <TableCell>Tracking</TableCell>
+                    <TableCell align="right">Cartons</TableCell>
+                    <TableCell align="right">Units</TableCell>
+                    <TableCell>Shipped</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {shipments.map(shipment => (
+                    <TableRow key={shipment.id}>
+                      <TableCell>{shipment.shipmentNumber}</TableCell>
+                      <TableCell>{shipment.orderNumber || '-'}</TableCell>
+                      <TableCell>{shipment.customer || '-'}</TableCell>
+                      <TableCell>{shipment.carrier || '-'}</TableCell>
+                      <TableCell>{shipment.trackingNumber || '-'}</TableCell>
+                      <TableCell align="right">{shipment.totalCartons}</TableCell>
+                      <TableCell align="right">{shipment.totalQuantity}</TableCell>
+                      <TableCell>{new Date(shipment.shippedAt).toLocaleString()}</TableCell>
+                      <TableCell align="right">
+                        <Box display="flex" gap={1} justifyContent="flex-end">
+                          <Button size="small" onClick={() => handlePrintPackingSlip(shipment)}>Slip</Button>
+                          <Button size="small" onClick={() => handlePrintCartonLabels(shipment)}>Labels</Button>
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
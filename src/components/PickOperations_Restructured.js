@@ -45,18 +45,24 @@ import {
   Close as CloseIcon,
   Refresh as RefreshIcon,
   Visibility as VisibilityIcon,
-  Undo as UndoIcon
+  Undo as UndoIcon,
+  Waves as WaveIcon,
+  TouchApp as GuidedIcon
 } from '@mui/icons-material';
 import { useWarehouse } from '../context/WarehouseContext';
 import { useNotification } from '../context/NotificationContext';
 import { excelService } from '../services/excelService';
+import { productService } from '../services/productService';
 import { printService } from '../services/printService';
 import { warehouseOperations } from '../services/warehouseOperations';
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
 import { historyService } from '../services/historyService';
+import WavePicking from './WavePicking';
+import GuidedPicking from './GuidedPicking';
+import ScanConfirmation from './ScanConfirmation';
 
-export default function PickOperations() {
+export default function PickOperations({ user }) {
   const { currentWarehouse } = useWarehouse();
   const { showSuccess, showError } = useNotification();
   
@@ -65,6 +71,7 @@ export default function PickOperations() {
   const [executing, setExecuting] = useState(false);
   const [progress, setProgress] = useState(0);
   const [executionResults, setExecutionResults] = useState(null);
+  const [scanConfirmation, setScanConfirmation] = useState(null);
   const [executionHistory, setExecutionHistory] = useState([]);
   const [selectedHistoryItem, setSelectedHistoryItem] = useState(null);
   const [showHistory, setShowHistory] = useState(false);
@@ -72,6 +79,8 @@ export default function PickOperations() {
   const [isRollbackInProgress, setIsRollbackInProgress] = useState(false);
   const [hasExecuted, setHasExecuted] = useState(false);
   const [historyDateFilter, setHistoryDateFilter] = useState('');
+  const [showWavePlanner, setShowWavePlanner] = useState(false);
+  const [showGuidedPicking, setShowGuidedPicking] = useState(false);
 
   // Load history from Firestore when warehouse changes
   useEffect(() => {
@@ -124,7 +133,9 @@ export default function PickOperations() {
 
     try {
       // Parse Excel file
-      const data = await excelService.parsePickFile(file);
+      const data = await excelService.parsePickFile(file, {
+        products: await productService.getBarcodeLookup(currentWarehouse.id)
+      });
       
       setUploadedFile(file);
       setParsedData(data);
@@ -174,10 +185,10 @@ export default function PickOperations() {
     return obj;
   };
 
-  const addToHistory = async (results) => {
+  const addToHistory = async (results, fileName = null) => {
     const historyItem = {
       timestamp: new Date().toISOString(),
-      fileName: uploadedFile?.name || 'Manual Pick',
+      fileName: fileName || uploadedFile?.name || 'Manual Pick',
       totalItems: results.summary?.total || 0,
       successCount: results.summary?.successful || 0,
       partialCount: results.summary?.partial || 0,
@@ -230,8 +241,39 @@ export default function PickOperations() {
     setExecuting(true);
     setProgress(0);
     const results = [];
+    let scanCancelled = false;
+    // Every line of this run is saved on one pick task, so the picked stock can be packed and shipped
+    const runTaskId = `excel-pick-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    const taskRecord = { source: 'excel', notes: `Excel pick - ${uploadedFile?.name || 'Manual Pick'}`, customer: '' };
 
     try {
+      const scanProducts = await productService.getBarcodeLookup(currentWarehouse.id);
+
+      // Every bin and product of a plan is confirmed by scan before the plan is picked
+      const confirmPlanByScan = async (itemIndex, item, pickPlan) => {
+        if (scanCancelled) {
+          throw new Error('Pick cancelled at scan confirmation');
+        }
+
+        const confirmations = await confirmLinesByScan(pickPlan.map((plan, planIndex) => ({
+          key: `${itemIndex}-${planIndex}`,
+          binId: plan.id,
+          binCode: plan.code,
+          sku: item.barcode,
+          quantity: plan.pickQuantity,
+          lotNumber: plan.skuInfo?.lotNumber || null,
+          description: item.description || ''
+        })), scanProducts);
+
+        if (!confirmations) {
+          scanCancelled = true;
+          throw new Error(`Pick of ${item.barcode} cancelled - not every bin was confirmed by scan`);
+        }
+
+        const confirmedBy = user ? user.name || user.email || null : null;
+        return confirmations.map(confirmation => ({ ...confirmation, confirmedBy }));
+      };
+
       console.log('🔍 PHASE 1: Checking availability for ALL items before execution...');
       
       // PHASE 1: Check availability for ALL items first (MIXED BARCODE STRATEGY)
@@ -265,7 +307,9 @@ export default function PickOperations() {
             unavailableItems.push({
               ...safeItem,
               available: pickingResult?.totalAvailable || 0,
-              shortfall: parseInt(safeItem.quantity) - (pickingResult?.totalAvailable || 0)
+              shortfall: parseInt(safeItem.quantity) - (pickingResult?.totalAvailable || 0),
+              expiredBlocked: pickingResult?.expiredStockBlocked ? pickingResult.expiredQuantity || 0 : 0,
+              heldBlocked: pickingResult?.heldQuantity || 0
             });
             
             console.log(`❌ ${safeItem.barcode}: Insufficient quantity. Required: ${safeItem.quantity}, Available: ${pickingResult?.totalAvailable || 0}`);
@@ -308,7 +352,7 @@ export default function PickOperations() {
             results.push({
               ...safeOriginalItem,
               status: 'Failed',
-              error: unavailableItem.error || `Insufficient quantity available (searched all bins including mixed contents). Required: ${safeOriginalItem.quantity}, Available: ${unavailableItem.available}`,
+              error: unavailableItem.error || `Insufficient quantity available (searched all bins including mixed contents). Required: ${safeOriginalItem.quantity}, Available: ${unavailableItem.available}${unavailableItem.expiredBlocked > 0 ? `, Expired (blocked): ${unavailableItem.expiredBlocked}` : ''}${unavailableItem.heldBlocked > 0 ? `, On hold: ${unavailableItem.heldBlocked}` : ''}`,
               location: 'Unavailable',
               locations: 'Unavailable',
               pickedBins: [],
@@ -338,7 +382,7 @@ export default function PickOperations() {
         
         // Show detailed error message
         const errorDetails = unavailableItems.map(item => 
-          `${item.barcode}: Required ${item.quantity}, Available ${item.available} (Short ${item.shortfall})`
+          `${item.barcode}: Required ${item.quantity}, Available ${item.available} (Short ${item.shortfall}${item.expiredBlocked > 0 ? `, ${item.expiredBlocked} expired` : ''}${item.heldBlocked > 0 ? `, ${item.heldBlocked} on hold` : ''})`
         ).join('; ');
         
         showError(`🔍 Mixed Barcode Pick Check Failed! Unavailable items: ${errorDetails}`);
@@ -432,17 +476,19 @@ export default function PickOperations() {
               const pickedItems = partialPickingResult.pickPlan.map(plan => ({
                 binId: plan.id,
                 quantity: plan.pickQuantity,
-                sku: safeItem.barcode
+                sku: safeItem.barcode,
+                lotNumber: plan.skuInfo?.lotNumber || null,
+                expiryDate: plan.skuInfo?.expiryDate || null
               }));
               
-              // Create temporary pick task ID
-              const tempTaskId = `excel-pick-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-              
+              const scanConfirmations = await confirmPlanByScan(i, safeItem, partialPickingResult.pickPlan);
+
               // Execute the pick with FIFO compliance
               const pickExecutionResult = await warehouseOperations.executePick(
                 currentWarehouse.id,
-                tempTaskId,
-                pickedItems
+                runTaskId,
+                pickedItems,
+                { taskRecord }
               );
               
               if (!pickExecutionResult.success) {
@@ -466,13 +512,16 @@ export default function PickOperations() {
                   fifoReason: p.fifoReason || 'FIFO',
                   pickOrder: p.pickOrder || 0,
                   isMixed: p.isMixed || false,
-                  originalBinSKU: p.originalBinSKU || safeItem.barcode
+                  originalBinSKU: p.originalBinSKU || safeItem.barcode,
+                  lotNumber: p.skuInfo?.lotNumber || null,
+                  expiryDate: p.skuInfo?.expiryDate || null
                 })) || [],
                 executedAt: new Date().toISOString(),
                 availableQty: availableQuantity,
                 pickedQty: availableQuantity,
                 mixedBins: partialPickingResult.pickPlan?.filter(p => p.isMixed).length || 0,
                 fifoCompliant: true,
+                scanConfirmations,
                 note: `Partial pick due to shared bins with other SKUs. Earlier picks in this batch affected bin availability. Picked ${availableQuantity} of ${safeItem.quantity} requested.`
               });
               
@@ -485,17 +534,19 @@ export default function PickOperations() {
           const pickedItems = freshPickingResult.pickPlan.map(plan => ({
             binId: plan.id,
             quantity: plan.pickQuantity,
-            sku: safeItem.barcode
+            sku: safeItem.barcode,
+            lotNumber: plan.skuInfo?.lotNumber || null,
+            expiryDate: plan.skuInfo?.expiryDate || null
           }));
           
-          // Create temporary pick task ID
-          const tempTaskId = `excel-pick-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
-          
+          const scanConfirmations = await confirmPlanByScan(i, safeItem, freshPickingResult.pickPlan);
+
           // Execute the pick with FIFO compliance
           const pickExecutionResult = await warehouseOperations.executePick(
             currentWarehouse.id,
-            tempTaskId,
-            pickedItems
+            runTaskId,
+            pickedItems,
+            { taskRecord }
           );
           
           if (!pickExecutionResult.success) {
@@ -516,13 +567,16 @@ export default function PickOperations() {
               fifoReason: p.fifoReason || 'FIFO',
               pickOrder: p.pickOrder || 0,
               isMixed: p.isMixed || false,
-              originalBinSKU: p.originalBinSKU || safeItem.barcode
+              originalBinSKU: p.originalBinSKU || safeItem.barcode,
+              lotNumber: p.skuInfo?.lotNumber || null,
+              expiryDate: p.skuInfo?.expiryDate || null
             })) || [],
             executedAt: new Date().toISOString(),
             availableQty: freshPickingResult.totalAvailable || 0,
             pickedQty: parseInt(safeItem.quantity) || 0,
             mixedBins: freshPickingResult.pickPlan?.filter(p => p.isMixed).length || 0,
-            fifoCompliant: true
+            fifoCompliant: true,
+            scanConfirmations
           });
           
           console.log(`✅ Successfully picked ${safeItem.barcode} from ${freshPickingResult.pickPlan.length} bin(s) using FIFO logic`);
@@ -572,8 +626,13 @@ export default function PickOperations() {
       }
 
       setProgress(100);
+      // Only lines whose bins were all confirmed by scan count as scan-confirmed
+      const items = results.map(result => ({
+        ...result,
+        scanConfirmed: (result.scanConfirmations || []).length > 0
+      }));
       const executionResult = {
-        items: results || [],
+        items,
         summary: {
           total: results?.length || 0,
           successful: results?.filter(r => r.status === 'Completed').length || 0,
@@ -584,6 +643,7 @@ export default function PickOperations() {
           warehouseId: currentWarehouse?.id || 'unknown',
           mixedBins: results?.reduce((sum, r) => sum + (r.mixedBins || 0), 0) || 0,
           mixedBarcodeStrategy: true,
+          scanConfirmedItems: items.filter(item => item.scanConfirmed).length,
           operationType: 'pick'
         }
       };
@@ -617,11 +677,27 @@ export default function PickOperations() {
         handleClearScreen();
       }, 5000);
     } finally {
+      setScanConfirmation(null);
       setExecuting(false);
       setProgress(0);
     }
   };
 
+  const handleWaveExecuted = (results, waveNumber) => {
+    setExecutionResults(results);
+    addToHistory(results, waveNumber);
+  };
+
+  const handleGuidedSessionCompleted = (results, label) => {
+    setExecutionResults(results);
+    addToHistory(results, label);
+  };
+
+  // Resolves with the scan records once every line is confirmed, or null if the picker cancels
+  const confirmLinesByScan = (lines, products) => new Promise(resolve => {
+    setScanConfirmation({ lines, products, resolve });
+  });
+
   const handleDownloadTemplate = async () => {
     try {
       await excelService.generatePickTemplate();
@@ -1010,6 +1086,24 @@ export default function PickOperations() {
       {/* Action Buttons */}
       <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 3 }}>
         <ButtonGroup>
+          <Tooltip title="Pick one line at a time on a handheld">
+            <Button
+              startIcon={<GuidedIcon />}
+              onClick={() => setShowGuidedPicking(!showGuidedPicking)}
+              color={showGuidedPicking ? "primary" : "inherit"}
+            >
+              Guided Mode
+            </Button>
+          </Tooltip>
+          <Tooltip title="Batch several orders into one pick walk">
+            <Button
+              startIcon={<WaveIcon />}
+              onClick={() => setShowWavePlanner(!showWavePlanner)}
+              color={showWavePlanner ? "primary" : "inherit"}
+            >
+              Wave Picking
+            </Button>
+          </Tooltip>
           <Tooltip title="View Operation History">
             <Button
               startIcon={<HistoryIcon />}
@@ -1185,6 +1279,20 @@ export default function PickOperations() {
         </Card>
       </Collapse>
 
+      {/* Wave Planning Panel */}
+      <Collapse in={showWavePlanner} unmountOnExit>
+        <WavePicking onWaveExecuted={handleWaveExecuted} />
+      </Collapse>
+
+      {/* Guided Picking */}
+      <Collapse in={showGuidedPicking} unmountOnExit>
+        <GuidedPicking
+          uploadedItems={hasExecuted ? [] : parsedData?.items || []}
+          uploadedFileName={uploadedFile?.name}
+          onSessionCompleted={handleGuidedSessionCompleted}
+        />
+      </Collapse>
+
       {/* Upload Section */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
@@ -1276,6 +1384,23 @@ export default function PickOperations() {
         </Card>
       )}
 
+      {/* Scan Confirmation */}
+      {scanConfirmation && (
+        <ScanConfirmation
+          title="Scan to Confirm Before Picking"
+          lines={scanConfirmation.lines}
+          products={scanConfirmation.products}
+          onConfirmed={(confirmations) => {
+            setScanConfirmation(null);
+            scanConfirmation.resolve(confirmations);
+          }}
+          onClose={() => {
+            setScanConfirmation(null);
+            scanConfirmation.resolve(null);
+          }}
+        />
+      )}
+
       {/* Results Section */}
       {executionResults && executionResults.summary && executionResults.items && (
         <Card sx={{ mb: 3 }}>
@@ -1317,6 +1442,9 @@ export default function PickOperations() {
               {executionResults.summary.failed > 0 && (
                 <Chip label={`Failed: ${executionResults.summary.failed}`} color="error" />
               )}
+              {executionResults.summary.exceptions > 0 && (
+                <Chip label={`Short-pick Exceptions: ${executionResults.summary.exceptions}`} color="warning" variant="outlined" />
+              )}
               <Chip 
                 label={`Success Rate: ${((executionResults.summary.successful / executionResults.summary.total) * 100).toFixed(1)}%`} 
                 color="primary" 
@@ -1367,8 +1495,22 @@ export default function PickOperations() {
                 <TableBody>
                   {executionResults.items.map((item, index) => (
                     <TableRow key={index} sx={item.rolledBack ? { backgroundColor: 'rgba(255,0,0,0.05)' } : {}}>
-                      <TableCell>{item.barcode}</TableCell>
-                      <TableCell>{item.quantity}</TableCell>
+                      <TableCell>
+                        {item.barcode}
+                        {item.description && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            {item.description}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {item.quantity}
+                        {item.scannedUom && item.scannedUom !== item.unitOfMeasure && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            {item.scannedQuantity} {item.scannedUom} scanned
+                          </Typography>
+                        )}
+                      </TableCell>
                       <TableCell>{item.pickedQty || 0}</TableCell>
                       <TableCell>
                         <Chip
@@ -1530,8 +1672,22 @@ export default function PickOperations() {
                   <TableBody>
                     {selectedHistoryItem.executionDetails.items.map((item, index) => (
                       <TableRow key={index} sx={item.rolledBack ? { backgroundColor: 'rgba(255,0,0,0.05)' } : {}}>
-                        <TableCell>{item.barcode}</TableCell>
-                        <TableCell>{item.quantity}</TableCell>
+                        <TableCell>
+                          {item.barcode}
+                          {item.description && (
+                            <Typography variant="caption" display="block" color="text.secondary">
+                              {item.description}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {item.quantity}
+                          {item.scannedUom && item.scannedUom !== item.unitOfMeasure && (
+                            <Typography variant="caption" display="block" color="text.secondary">
+                              {item.scannedQuantity} {item.scannedUom} scanned
+                            </Typography>
+                          )}
+                        </TableCell>
                         <TableCell>{item.pickedQty || 0}</TableCell>
                         <TableCell>
                           <Chip
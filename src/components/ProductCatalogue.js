@@ -0,0 +1,509 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Grid,
+  Tooltip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Upload as UploadIcon,
+  Download as DownloadIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { productService } from '../services/productService';
+import { excelService } from '../services/excelService';
+
+const EMPTY_PRODUCT = {
+  sku: '',
+  description: '',
+  unitOfMeasure: 'EA',
+  orderingUnitOfMeasure: '',
+  casePack: 1,
+  length: '',
+  width: '',
+  height: '',
+  weight: '',
+  category: '',
+  alternateBarcodes: '',
+  temperatureClass: productService.temperatureClasses.AMBIENT,
+  hazardous: false,
+  stackable: true
+};
+
+// Flatten a product record into the edit form
+const toForm = (product) => ({
+  sku: product.sku,
+  description: product.description || '',
+  unitOfMeasure: product.unitOfMeasure || 'EA',
+  orderingUnitOfMeasure: product.orderingUnitOfMeasure || '',
+  casePack: product.casePack || 1,
+  length: product.dimensions?.length ?? '',
+  width: product.dimensions?.width ?? '',
+  height: product.dimensions?.height ?? '',
+  weight: product.weight ?? '',
+  category: product.category || '',
+  alternateBarcodes: productService.formatAlternateBarcodes(product),
+  temperatureClass: product.storageConstraints?.temperatureClass || productService.temperatureClasses.AMBIENT,
+  hazardous: product.storageConstraints?.hazardous === true,
+  stackable: product.storageConstraints?.stackable !== false
+});
+
+const fromForm = (form) => ({
+  sku: form.sku,
+  description: form.description,
+  unitOfMeasure: form.unitOfMeasure,
+  orderingUnitOfMeasure: form.orderingUnitOfMeasure,
+  casePack: form.casePack,
+  dimensions: { length: form.length, width: form.width, height: form.height },
+  weight: form.weight,
+  category: form.category,
+  alternateBarcodes: form.alternateBarcodes,
+  storageConstraints: {
+    temperatureClass: form.temperatureClass,
+    hazardous: form.hazardous,
+    stackable: form.stackable
+  }
+});
+
+export default function ProductCatalogue() {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [products, setProducts] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [form, setForm] = useState(EMPTY_PRODUCT);
+  const [saving, setSaving] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+
+  const loadProducts = useCallback(async () => {
+    setLoading(true);
+    try {
+      setProducts(await productService.getProducts(currentWarehouse.id));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentWarehouse?.id]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadProducts();
+    }
+  }, [currentWarehouse?.id, loadProducts]);
+
+  const searchTerm = search.trim().toLowerCase();
+  const filteredProducts = searchTerm
+    ? products.filter(product =>
+        product.sku.toLowerCase().includes(searchTerm) ||
+        (product.description || '').toLowerCase().includes(searchTerm) ||
+        (product.category || '').toLowerCase().includes(searchTerm) ||
+        productService.getAlternateBarcodes(product).some(entry => entry.barcode.toLowerCase().includes(searchTerm))
+      )
+    : products;
+
+  const openCreateDialog = () => {
+    setEditingProduct(null);
+    setForm(EMPTY_PRODUCT);
+    setDialogOpen(true);
+  };
+
+  const openEditDialog = (product) => {
+    setEditingProduct(product);
+    setForm(toForm(product));
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (editingProduct) {
+        await productService.updateProduct(currentWarehouse.id, editingProduct.id, fromForm(form));
+        showSuccess(`Product ${editingProduct.sku} updated`);
+      } else {
+        await productService.createProduct(currentWarehouse.id, fromForm(form));
+        showSuccess(`Product ${form.sku.trim()} created`);
+      }
+      setDialogOpen(false);
+      await loadProducts();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (product) => {
+    if (!window.confirm(`Delete product ${product.sku}? Stock stored under this SKU is not affected.`)) {
+      return;
+    }
+
+    try {
+      await productService.deleteProduct(currentWarehouse.id, product.id);
+      setProducts(products.filter(p => p.id !== product.id));
+      showSuccess(`Product ${product.sku} deleted`);
+    } catch (error) {
+      showError('Failed to delete product');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      excelService.validateFile(file);
+      const data = await excelService.parseProductFile(file);
+      const result = await productService.importProducts(currentWarehouse.id, data.items);
+      const errors = [...data.errors, ...result.errors];
+      setImportErrors(errors);
+
+      if (errors.length > 0) {
+        showWarning(`Imported ${result.created + result.updated} products, ${errors.length} row(s) rejected`);
+      } else {
+        showSuccess(`Imported products: ${result.created} created, ${result.updated} updated`);
+      }
+      await loadProducts();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDimensions = (dimensions) => {
+    if (!dimensions || [dimensions.length, dimensions.width, dimensions.height].every(v => v === null || v === undefined)) {
+      return '-';
+    }
+    return `${dimensions.length ?? '?'} × ${dimensions.width ?? '?'} × ${dimensions.height ?? '?'} cm`;
+  };
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to manage products.</Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Product Catalogue
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        SKU master data. Once products exist, put-away and pick files are checked against this catalogue.
+      </Typography>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" sx={{ mb: 2 }}>
+            <TextField
+              size="small"
+              label="Search SKU, description, category or barcode"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              sx={{ minWidth: 320 }}
+            />
+            <Button variant="contained" startIcon={<AddIcon />} onClick={openCreateDialog}>
+              Add Product
+            </Button>
+            <Button variant="outlined" component="label" startIcon={<UploadIcon />}>
+              Import Excel
+              <input type="file" hidden accept=".xlsx,.xls" onChange={handleImport} />
+            </Button>
+            <Button startIcon={<DownloadIcon />} onClick={() => excelService.generateProductTemplate()}>
+              Template
+            </Button>
+            <Tooltip title="Reload">
+              <IconButton onClick={loadProducts}>
+                <RefreshIcon />
+              </IconButton>
+            </Tooltip>
+            <Chip label={`${products.length} products`} />
+          </Box>
+
+          {importErrors.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setImportErrors([])}>
+              {importErrors.map(error => (
+                <div key={error}>{error}</div>
+              ))}
+            </Alert>
+          )}
+
+          {filteredProducts.length === 0 ? (
+            <Alert severity="info">
+              {products.length === 0 ? 'No products yet. Add them one by one or import an Excel file.' : 'No products match the search.'}
+            </Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>UOM</TableCell>
+                    <TableCell align="right">Case Pack</TableCell>
+                    <TableCell>Dimensions</TableCell>
+                    <TableCell align="right">Weight (kg)</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell>Alternate Barcodes</TableCell>
+                    <TableCell>Storage</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {filteredProducts.map(product => (
+                    <TableRow key={product.id}>
+                      <TableCell><strong>{product.sku}</strong></TableCell>
+                      <TableCell>{product.description || '-'}</TableCell>
+                      <TableCell>
+                        {product.unitOfMeasure}
+                        {productService.getOrderingUnit(product) && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            Ordered in {productService.getOrderingUnit(product).uom} of {productService.getOrderingUnit(product).multiplier}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{product.casePack}</TableCell>
+                      <TableCell>{formatDimensions(product.dimensions)}</TableCell>
+                      <TableCell align="right">{product.weight ?? '-'}</TableCell>
+                      <TableCell>{product.category || '-'}</TableCell>
+                      <TableCell>
+                        {productService.getAlternateBarcodes(product).length === 0 ? '-' : (
+                          productService.getAlternateBarcodes(product).map(entry => (
+                            <Typography key={entry.barcode} variant="body2">
+                              {entry.barcode}
+                              {entry.multiplier > 1 && (
+                                <Typography component="span" variant="caption" color="text.secondary">
+                                  {` (${entry.uom} × ${entry.multiplier})`}
+                                </Typography>
+                              )}
+                            </Typography>
+                          ))
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Box display="flex" gap={0.5} flexWrap="wrap">
+                          <Chip size="small" label={product.storageConstraints?.temperatureClass || 'ambient'} />
+                          {product.storageConstraints?.hazardous && <Chip size="small" color="error" label="Hazardous" />}
+                          {product.storageConstraints?.stackable === false && <Chip size="small" color="warning" label="Do not stack" />}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="right">
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => openEditDialog(product)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(product)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create / Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>{editingProduct ? `Edit Product ${editingProduct.sku}` : 'Add Product'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0.5 }}>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                size="small"
+                label="SKU"
+                value={form.sku}
+                onChange={(e) => setForm({ ...form, sku: e.target.value })}
+                disabled={!!editingProduct}
+                helperText={editingProduct ? 'SKU cannot be changed' : ''}
+                required
+              />
+            </Grid>
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Description"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Unit of Measure</InputLabel>
+                <Select
+                  value={form.unitOfMeasure}
+                  label="Unit of Measure"
+                  onChange={(e) => setForm({ ...form, unitOfMeasure: e.target.value })}
+                >
+                  {[...new Set([...productService.unitsOfMeasure, form.unitOfMeasure])].map(uom => (
+                    <MenuItem key={uom} value={uom}>{uom}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Case Pack"
+                value={form.casePack}
+                onChange={(e) => setForm({ ...form, casePack: e.target.value })}
+                inputProps={{ min: 1 }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Ordering UOM"
+                value={form.orderingUnitOfMeasure}
+                onChange={(e) => setForm({ ...form, orderingUnitOfMeasure: e.target.value.toUpperCase() })}
+                helperText="Blank = largest pack"
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Category"
+                value={form.category}
+                onChange={(e) => setForm({ ...form, category: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Length (cm)"
+                value={form.length}
+                onChange={(e) => setForm({ ...form, length: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Width (cm)"
+                value={form.width}
+                onChange={(e) => setForm({ ...form, width: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Height (cm)"
+                value={form.height}
+                onChange={(e) => setForm({ ...form, height: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Weight (kg)"
+                value={form.weight}
+                onChange={(e) => setForm({ ...form, weight: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Alternate Barcodes"
+                value={form.alternateBarcodes}
+                onChange={(e) => setForm({ ...form, alternateBarcodes: e.target.value })}
+                helperText="Comma-separated. Add a unit and multiplier for pack barcodes, e.g. 15012345678907:CASE:12 puts away 12 per scan"
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Temperature Class</InputLabel>
+                <Select
+                  value={form.temperatureClass}
+                  label="Temperature Class"
+                  onChange={(e) => setForm({ ...form, temperatureClass: e.target.value })}
+                >
+                  {Object.values(productService.temperatureClasses).map(temperatureClass => (
+                    <MenuItem key={temperatureClass} value={temperatureClass}>{temperatureClass}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} sm={4}>
+              <FormControlLabel
+                control={<Switch checked={form.hazardous} onChange={(e) => setForm({ ...form, hazardous: e.target.checked })} />}
+                label="Hazardous"
+              />
+            </Grid>
+            <Grid item xs={6} sm={4}>
+              <FormControlLabel
+                control={<Switch checked={form.stackable} onChange={(e) => setForm({ ...form, stackable: e.target.checked })} />}
+                label="Stackable"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.sku.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
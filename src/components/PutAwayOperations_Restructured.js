@@ -28,7 +28,11 @@ import {
   ListItem,
   ListItemText,
   ListItemIcon,
-  TextField
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
@@ -44,19 +48,23 @@ import {
   Close as CloseIcon,
   Refresh as RefreshIcon,
   Visibility as VisibilityIcon,
-  Undo as UndoIcon
+  Undo as UndoIcon,
+  CompareArrows as PreviewIcon
 } from '@mui/icons-material';
 import { useWarehouse } from '../context/WarehouseContext';
 import { useNotification } from '../context/NotificationContext';
 import { excelService } from '../services/excelService';
+import { productService } from '../services/productService';
 import { printService } from '../services/printService';
 import { warehouseOperations } from '../services/warehouseOperations';
+import { putAwayStrategyService } from '../services/putAwayStrategyService';
 import { warehouseService } from '../services/warehouseService';
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
 import { historyService } from '../services/historyService';
+import ScanConfirmation from './ScanConfirmation';
 
-export default function PutAwayOperations() {
+export default function PutAwayOperations({ user }) {
   const { currentWarehouse, refreshBins } = useWarehouse();
   const { showSuccess, showError } = useNotification();
   
@@ -78,6 +86,11 @@ export default function PutAwayOperations() {
   const [executing, setExecuting] = useState(false);
   const [progress, setProgress] = useState(0);
   const [executionResults, setExecutionResults] = useState(null);
+  const [scanConfirmation, setScanConfirmation] = useState(null);
+  const [rackSuggestion, setRackSuggestion] = useState(null);
+  const [strategyPreview, setStrategyPreview] = useState(null);
+  const [previewingStrategies, setPreviewingStrategies] = useState(false);
+  const [strategyOverride, setStrategyOverride] = useState('');
   const [executionHistory, setExecutionHistory] = useState([]);
   const [selectedHistoryItem, setSelectedHistoryItem] = useState(null);
   const [showHistory, setShowHistory] = useState(false);
@@ -192,11 +205,14 @@ export default function PutAwayOperations() {
 
     try {
       // Parse Excel file
-      const data = await excelService.parsePutawayFile(file);
+      const data = await excelService.parsePutawayFile(file, {
+        products: await productService.getBarcodeLookup(currentWarehouse.id)
+      });
       
       setUploadedFile(file);
       setParsedData(data);
       setExecutionResults(null);
+      setStrategyPreview(null);
       setHasExecuted(false); // Reset execution state
       
       if (data.errors.length > 0) {
@@ -213,6 +229,11 @@ export default function PutAwayOperations() {
 
   // No automatic bin creation - removed emergency bin creation helper function
 
+  // Resolves with the scan records once every line is confirmed, or null if the operator cancels
+  const confirmLinesByScan = (lines, products) => new Promise(resolve => {
+    setScanConfirmation({ lines, products, resolve });
+  });
+
   const handleClearScreen = () => {
     // Reset file upload input
     const fileInput = document.getElementById('excel-upload');
@@ -226,6 +247,9 @@ export default function PutAwayOperations() {
     setExecutionResults(null);
     setHasExecuted(false);
     setSelectedHistoryItem(null);
+    setRackSuggestion(null);
+    setStrategyPreview(null);
+    setStrategyOverride('');
     
     showInfo('Screen cleared. You can now upload a new file.');
   };
@@ -236,38 +260,33 @@ export default function PutAwayOperations() {
       return;
     }
 
-    // Check if there are any available bins before starting execution
+    // Check there is room for the file, then apply the warehouse's partial allocation policy
+    const { partialAllocationPolicies } = warehouseOperations;
+    let allocationPolicy;
+    setRackSuggestion(null);
     try {
-      const allBins = await warehouseOperations.getAllBins(currentWarehouse.id);
-      const availableBins = allBins.filter(bin => {
-        const currentQty = parseInt(bin.currentQty) || 0;
-        const capacity = parseInt(bin.capacity) || 0;
-        const isActive = (bin.status === 'available' || bin.status === 'occupied');
-        return isActive && capacity > currentQty; // Has available space
-      });
-
-      if (availableBins.length === 0) {
-        showError('All bins are occupied. Cannot proceed with put-away operations. Please free up some bin space or create new bins first.');
-        return;
-      }
-
-      // Calculate total available capacity
-      const totalAvailableCapacity = availableBins.reduce((sum, bin) => {
-        const currentQty = parseInt(bin.currentQty) || 0;
-        const capacity = parseInt(bin.capacity) || 0;
-        return sum + (capacity - currentQty);
-      }, 0);
-
-      const totalRequiredQuantity = parsedData.items.reduce((sum, item) => {
-        return sum + (parseInt(item.quantity) || 0);
-      }, 0);
-
-      if (totalAvailableCapacity < totalRequiredQuantity) {
-        showError(`Insufficient bin capacity. Available capacity: ${totalAvailableCapacity} units, Required: ${totalRequiredQuantity} units. Please free up more space or create additional bins.`);
-        return;
+      const capacity = await warehouseOperations.checkPutAwayCapacity(currentWarehouse.id, parsedData.items);
+      allocationPolicy = await warehouseOperations.getPartialAllocationPolicy(currentWarehouse.id);
+      const { availableBins, totalAvailableCapacity, totalRequiredQuantity, shortfall } = capacity;
+
+      if (shortfall > 0) {
+        if (allocationPolicy.policy === partialAllocationPolicies.ACCEPT_PARTIAL) {
+          showWarning(`Insufficient bin capacity: ${shortfall} of ${totalRequiredQuantity} units will be held at ${allocationPolicy.overflowLocation}.`);
+        } else if (allocationPolicy.policy === partialAllocationPolicies.SUGGEST_RACKS) {
+          const suggestion = await warehouseOperations.suggestRacksForShortfall(currentWarehouse.id, shortfall);
+          setRackSuggestion(suggestion);
+          showError(`Insufficient bin capacity. Add about ${suggestion.racksNeeded} rack(s) (${suggestion.binsNeeded} bins) for the ${shortfall} units that do not fit.`);
+          return;
+        } else if (availableBins === 0) {
+          showError('All bins are occupied. Cannot proceed with put-away operations. Please free up some bin space or create new bins first.');
+          return;
+        } else {
+          showError(`Insufficient bin capacity. Available capacity: ${totalAvailableCapacity} units, Required: ${totalRequiredQuantity} units. Please free up more space or create additional bins.`);
+          return;
+        }
       }
 
-      console.log(`✅ Pre-check passed: ${availableBins.length} bins available with ${totalAvailableCapacity} units of capacity for ${totalRequiredQuantity} units required.`);
+      console.log(`✅ Pre-check passed: ${availableBins} bins available with ${totalAvailableCapacity} units of capacity for ${totalRequiredQuantity} units required (${allocationPolicy.policy}).`);
     } catch (error) {
       showError(`Error checking bin availability: ${error.message}`);
       return;
@@ -276,8 +295,14 @@ export default function PutAwayOperations() {
     setExecuting(true);
     setProgress(0);
     const results = [];
+    let scanCancelled = false;
 
     try {
+      // Strategy per item comes from the warehouse settings and the product category unless overridden
+      const products = await productService.getProductMap(currentWarehouse.id);
+      const settings = currentWarehouse.settings || {};
+      const scanProducts = await productService.getBarcodeLookup(currentWarehouse.id);
+
       for (let i = 0; i < parsedData.items.length; i++) {
         const item = parsedData.items[i];
         setProgress((i / parsedData.items.length) * 100);
@@ -306,15 +331,32 @@ export default function PutAwayOperations() {
               item.barcode,
               quantity,
               {
-                preferExistingSku: true,
-                preferGroundLevel: true,
+                strategy: strategyOverride || null,
+                product: products.get(item.barcode) || null,
+                settings,
                 zoneId: item.zone || null
               }
             );
             
+            const allocationPlan = allocationResult?.allocationPlan || [];
+            const unallocatedQuantity = allocationResult?.remainingQuantity || 0;
+            const acceptPartial = allocationPolicy.policy === partialAllocationPolicies.ACCEPT_PARTIAL;
+
+            // Without accept-partial a short allocation fails the line instead of putting part of it away
+            if (unallocatedQuantity > 0 && !acceptPartial) {
+              results.push({
+                ...item,
+                status: 'Failed',
+                error: allocationResult.error,
+                unallocatedQuantity: quantity,
+                location: null
+              });
+              continue;
+            }
+
             // This should never happen with our guaranteed allocation, but if it does,
             // we no longer create emergency bins automatically
-            if (!allocationResult || !allocationResult.allocationPlan || allocationResult.allocationPlan.length === 0) {
+            if (allocationPlan.length === 0 && !acceptPartial) {
               console.log(`❌ No allocation plan available for ${item.barcode}`);
               results.push({
                 ...item,
@@ -326,49 +368,100 @@ export default function PutAwayOperations() {
             }
             
             // Get the first bin for simplified display
-            const primaryBin = allocationResult.allocationPlan[0].bin;
-            const locationCode = primaryBin.location?.fullCode || primaryBin.code || 'Unknown';
+            const primaryBin = allocationPlan[0]?.bin || {};
+            const locationCode = primaryBin.location?.fullCode || primaryBin.code || allocationPolicy.overflowLocation;
             
             // Create user-friendly bin location string if multiple bins were used
             let fullLocation = locationCode;
-            if (allocationResult.allocationPlan.length > 1) {
-              fullLocation = allocationResult.allocationPlan
+            if (allocationPlan.length > 1) {
+              fullLocation = allocationPlan
                 .map(plan => plan.bin.code)
                 .join(', ');
             }
             
-            // Execute the auto-allocation plan
-            const executionResult = await warehouseOperations.executeAutoAllocation(
-              currentWarehouse.id,
-              item.barcode,
-              allocationResult.allocationPlan,
-              {
-                lotNumber: null, // Excel import only has barcode and quantity
-                expiryDate: null, // Excel import only has barcode and quantity
-                notes: `Excel import - Batch ${uploadedFile.name || 'unknown'}`
+            const batchNote = `Excel import - Batch ${uploadedFile.name || 'unknown'}`;
+
+            // Every bin of the plan is confirmed by scan (bin label, then product) before stock is put into it
+            let scanConfirmations = [];
+            if (allocationPlan.length > 0) {
+              if (scanCancelled) {
+                throw new Error('Put-away cancelled at scan confirmation');
               }
-            );
+
+              const confirmations = await confirmLinesByScan(allocationPlan.map((plan, planIndex) => ({
+                key: `${i}-${planIndex}`,
+                binId: plan.bin.id || null,
+                binCode: plan.bin.code,
+                sku: item.barcode,
+                quantity: plan.allocatedQuantity,
+                lotNumber: item.lotNumber || null,
+                description: item.description || ''
+              })), scanProducts);
+
+              if (!confirmations) {
+                scanCancelled = true;
+                throw new Error(`Put-away of ${item.barcode} cancelled - not every bin was confirmed by scan`);
+              }
+
+              const confirmedBy = user ? user.name || user.email || null : null;
+              scanConfirmations = confirmations.map(confirmation => ({ ...confirmation, confirmedBy }));
+            }
+
+            // Execute the auto-allocation plan
+            if (allocationPlan.length > 0) {
+              await warehouseOperations.executeAutoAllocation(
+                currentWarehouse.id,
+                item.barcode,
+                allocationPlan,
+                {
+                  lotNumber: item.lotNumber || null,
+                  expiryDate: item.expiryDate || null,
+                  manufactureDate: item.manufactureDate || null,
+                  notes: batchNote,
+                  products
+                }
+              );
+            }
+
+            // The remainder waits at the overflow location until space is freed
+            if (unallocatedQuantity > 0) {
+              await warehouseOperations.stageOverflowStock(currentWarehouse.id, {
+                sku: item.barcode,
+                quantity: unallocatedQuantity,
+                lotNumber: item.lotNumber || null,
+                expiryDate: item.expiryDate || null,
+                manufactureDate: item.manufactureDate || null,
+                location: allocationPolicy.overflowLocation,
+                source: batchNote
+              });
+            }
             
             results.push({
               ...item,
-              status: 'Completed',
+              status: unallocatedQuantity > 0 ? 'Partial' : 'Completed',
               location: fullLocation,
-              binCode: primaryBin.code,
-              rackCode: primaryBin.rackCode,
+              binCode: primaryBin.code || null,
+              rackCode: primaryBin.rackCode || null,
               shelfCode: `G${String(primaryBin.gridLevel || 1).padStart(3, '0')}`,
               executedAt: new Date().toISOString(),
-              binCount: allocationResult.allocationPlan.length,
+              binCount: allocationPlan.length,
+              allocatedQuantity: quantity - unallocatedQuantity,
+              unallocatedQuantity,
+              overflowLocation: unallocatedQuantity > 0 ? allocationPolicy.overflowLocation : null,
+              strategy: allocationResult.strategy,
               autoCreatedBins: allocationResult.summary?.autoCreatedBins || 0,
               mixedAllocations: allocationResult.summary?.mixedBinAllocations || 0,
               // Store actual allocation details for accurate reporting
-              allocationPlan: allocationResult.allocationPlan.map(plan => ({
+              allocationPlan: allocationPlan.map(plan => ({
+                binId: plan.bin.id || null,
                 binCode: plan.bin.code,
                 binLocation: plan.bin.location?.fullCode || plan.bin.code,
                 allocatedQuantity: plan.allocatedQuantity,
                 reason: plan.reason,
                 isMixed: plan.isMixed || false,
                 priority: plan.priority
-              }))
+              })),
+              scanConfirmations
             });
             
           } catch (allocationError) {
@@ -378,7 +471,9 @@ export default function PutAwayOperations() {
             results.push({
               ...item,
               status: 'Failed',
-              error: `Allocation failed: ${allocationError.message}. No available bins found.`,
+              error: allocationError.code === 'bin-conflict'
+                ? allocationError.message
+                : `Allocation failed: ${allocationError.message}. No available bins found.`,
               location: null
             });
           }
@@ -394,46 +489,66 @@ export default function PutAwayOperations() {
       }
 
       setProgress(100);
+
+      // Only items whose bins were all confirmed by scan count as scan-confirmed
+      const items = results.map(result => ({
+        ...result,
+        scanConfirmed: (result.scanConfirmations || []).length > 0
+      }));
+      const scanConfirmedCount = items.filter(item => item.scanConfirmed).length;
       
       // Add auto-created bin count to the summary
       const autoCreatedBinsTotal = results.reduce((sum, r) => sum + (r.autoCreatedBins || 0), 0);
       const emergencyCount = results.filter(r => r.emergency).length;
+      const unallocatedQuantity = results
+        .filter(r => r.status === 'Partial')
+        .reduce((sum, r) => sum + (r.unallocatedQuantity || 0), 0);
       
       setExecutionResults({
-        items: results,
+        items,
         summary: {
           total: results.length,
           successful: results.filter(r => r.status === 'Completed').length,
+          partial: results.filter(r => r.status === 'Partial').length,
           failed: results.filter(r => r.status === 'Failed').length,
+          unallocatedQuantity,
           executedAt: new Date().toISOString(),
           warehouse: currentWarehouse.name,
           autoCreatedBins: autoCreatedBinsTotal,
           emergencyAllocations: emergencyCount,
           mixedAllocations: results.reduce((sum, r) => sum + (r.mixedAllocations || 0), 0),
-          mixedBarcodeStrategy: true
+          mixedBarcodeStrategy: true,
+          scanConfirmedItems: scanConfirmedCount
         }
       });
 
       // Add to history
       addToHistory({
-        items: results,
+        items,
         summary: {
           total: results.length,
           successful: results.filter(r => r.status === 'Completed').length,
+          partial: results.filter(r => r.status === 'Partial').length,
           failed: results.filter(r => r.status === 'Failed').length,
+          unallocatedQuantity,
           executedAt: new Date().toISOString(),
           warehouse: currentWarehouse.name,
           autoCreatedBins: autoCreatedBinsTotal,
-          emergencyAllocations: emergencyCount
+          emergencyAllocations: emergencyCount,
+          scanConfirmedItems: scanConfirmedCount
         }
       });
 
       const successCount = results.filter(r => r.status === 'Completed').length;
+      const partialCount = results.filter(r => r.status === 'Partial').length;
       const autoCreatedMessage = autoCreatedBinsTotal > 0 ? ` ${autoCreatedBinsTotal} bins auto-created.` : '';
       const emergencyMessage = emergencyCount > 0 ? ` ${emergencyCount} emergency allocations created.` : '';
       
       showSuccess(`Put-away completed! ${successCount}/${results.length} items processed successfully.${autoCreatedMessage}${emergencyMessage}`);
-      
+      if (partialCount > 0) {
+        showWarning(`${partialCount} item(s) partially put away - ${unallocatedQuantity} units held at ${allocationPolicy.overflowLocation}.`);
+      }
+
       // Set execution flag to block button
       setHasExecuted(true);
       
@@ -445,11 +560,29 @@ export default function PutAwayOperations() {
     } catch (error) {
       showError(`Execution failed: ${error.message}`);
     } finally {
+      setScanConfirmation(null);
       setExecuting(false);
       setProgress(0);
     }
   };
 
+  // Plan the file under every strategy without touching any bin
+  const handlePreviewStrategies = async () => {
+    if (!parsedData || parsedData.items.length === 0) return;
+
+    setPreviewingStrategies(true);
+    try {
+      const preview = await warehouseOperations.previewPutAwayStrategies(currentWarehouse.id, parsedData.items, {
+        products: await productService.getProductMap(currentWarehouse.id)
+      });
+      setStrategyPreview(preview);
+    } catch (error) {
+      showError(`Strategy preview failed: ${error.message}`);
+    } finally {
+      setPreviewingStrategies(false);
+    }
+  };
+
   const handleDownloadTemplate = async () => {
     try {
       await excelService.generatePutawayTemplate();
@@ -549,6 +682,9 @@ export default function PutAwayOperations() {
       doc.text(`Total Items: ${executionResults.summary.total}`, 20, 60);
       doc.text(`Successful: ${executionResults.summary.successful}`, 20, 70);
       doc.text(`Failed: ${executionResults.summary.failed}`, 20, 80);
+      if (executionResults.summary.unallocatedQuantity > 0) {
+        doc.text(`Unallocated: ${executionResults.summary.unallocatedQuantity} units`, 110, 80);
+      }
       doc.text(`Success Rate: ${((executionResults.summary.successful / executionResults.summary.total) * 100).toFixed(1)}%`, 20, 90);
       
       // Table
@@ -558,7 +694,7 @@ export default function PutAwayOperations() {
         item.quantity || '',
         item.status || '',
         item.location || '',
-        item.emergency ? 'Emergency allocation' : item.error || ''
+        getItemNote(item)
       ]);
       
       // Fallback method if autoTable is not available
@@ -611,11 +747,18 @@ export default function PutAwayOperations() {
   const getStatusColor = (status) => {
     switch (status) {
       case 'Completed': return 'success';
+      case 'Partial': return 'warning';
       case 'Failed': return 'error';
       default: return 'default';
     }
   };
 
+  const getItemNote = (item) => {
+    if (item.emergency) return 'Emergency allocation';
+    if (item.status === 'Partial') return `${item.unallocatedQuantity} unallocated - held at ${item.overflowLocation}`;
+    return item.error || '';
+  };
+
   // Effect to save history to Firestore when it changes - NO LONGER NEEDED
   // History is saved individually in addToHistory and other functions
   
@@ -806,7 +949,7 @@ export default function PutAwayOperations() {
       // Get all operations that haven't been rolled back yet
       const pendingOperations = operationToFullRollback.executionDetails.items
         .map((item, index) => ({ item, index }))
-        .filter(({ item }) => !item.rolledBack && item.status === 'Completed');
+        .filter(({ item }) => !item.rolledBack && (item.status === 'Completed' || (item.status === 'Partial' && item.binCount > 0)));
       
       // Process each operation
       const results = [];
@@ -1082,15 +1225,98 @@ export default function PutAwayOperations() {
               2. Execute Put-Away Operations
             </Typography>
             
-            <Button
-              variant="contained"
-              startIcon={<ExecuteIcon />}
-              onClick={handleExecutePutaway}
-              disabled={executing || !parsedData || parsedData.items.length === 0 || hasExecuted}
-              sx={{ mb: 2 }}
-            >
-              {executing ? 'Executing...' : hasExecuted ? 'Executed - Screen will clear in 5s' : 'Execute Put-Away'}
-            </Button>
+            <Box display="flex" gap={2} alignItems="center" flexWrap="wrap" sx={{ mb: 2 }}>
+              <Button
+                variant="contained"
+                startIcon={<ExecuteIcon />}
+                onClick={handleExecutePutaway}
+                disabled={executing || !parsedData || parsedData.items.length === 0 || hasExecuted}
+              >
+                {executing ? 'Executing...' : hasExecuted ? 'Executed - Screen will clear in 5s' : 'Execute Put-Away'}
+              </Button>
+              <FormControl size="small" sx={{ minWidth: 260 }}>
+                <InputLabel>Put-Away Strategy</InputLabel>
+                <Select
+                  value={strategyOverride}
+                  label="Put-Away Strategy"
+                  onChange={(e) => setStrategyOverride(e.target.value)}
+                  disabled={executing || hasExecuted}
+                >
+                  <MenuItem value="">Warehouse setting</MenuItem>
+                  {Object.values(putAwayStrategyService.strategies).map(strategy => (
+                    <MenuItem key={strategy} value={strategy}>{putAwayStrategyService.strategyLabels[strategy]}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button
+                variant="outlined"
+                startIcon={<PreviewIcon />}
+                onClick={handlePreviewStrategies}
+                disabled={previewingStrategies || executing || hasExecuted || parsedData.items.length === 0}
+              >
+                {previewingStrategies ? 'Planning...' : 'Compare Strategies'}
+              </Button>
+            </Box>
+
+            {strategyPreview && (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Dry run - nothing has been put away yet
+                </Typography>
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Strategy</TableCell>
+                        <TableCell align="right">Bins Used</TableCell>
+                        <TableCell align="right">Mixed Bins</TableCell>
+                        <TableCell align="right">Avg. Distance to Dock (m)</TableCell>
+                        <TableCell align="right">Ground Level</TableCell>
+                        <TableCell align="right">Unallocated</TableCell>
+                        <TableCell />
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {strategyPreview.map(plan => (
+                        <TableRow key={plan.strategy} selected={plan.strategy === strategyOverride}>
+                          <TableCell>
+                            {plan.label}
+                            <Typography variant="caption" display="block" color="text.secondary">
+                              {plan.lines.slice(0, 3).map(line =>
+                                `${line.sku}: ${line.allocations.map(a => `${a.binCode} (${a.quantity})`).join(', ') || 'none'}`
+                              ).join(' | ')}
+                              {plan.lines.length > 3 ? ` | +${plan.lines.length - 3} more` : ''}
+                            </Typography>
+                          </TableCell>
+                          <TableCell align="right">{plan.binsUsed}</TableCell>
+                          <TableCell align="right">{plan.mixedBins}</TableCell>
+                          <TableCell align="right">{plan.averageDockDistance}</TableCell>
+                          <TableCell align="right">{plan.groundLevelShare}%</TableCell>
+                          <TableCell align="right">
+                            {plan.unallocated > 0 ? (
+                              <Chip size="small" color="warning" label={plan.unallocated} />
+                            ) : 0}
+                          </TableCell>
+                          <TableCell>
+                            <Button size="small" onClick={() => setStrategyOverride(plan.strategy)}>
+                              Use
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            )}
+
+            {rackSuggestion && (
+              <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setRackSuggestion(null)}>
+                {rackSuggestion.shortfall} units do not fit in the current bins. Add about {rackSuggestion.racksNeeded} rack(s)
+                of {rackSuggestion.binsPerRack} bins at {rackSuggestion.binCapacity} units per bin ({rackSuggestion.binsNeeded} bins),
+                or change the partial allocation policy in Settings.
+              </Alert>
+            )}
 
             {executing && (
               <Box sx={{ mb: 2 }}>
@@ -1104,6 +1330,23 @@ export default function PutAwayOperations() {
         </Card>
       )}
 
+      {/* Scan Confirmation */}
+      {scanConfirmation && (
+        <ScanConfirmation
+          title="Scan to Confirm Before Put-Away"
+          lines={scanConfirmation.lines}
+          products={scanConfirmation.products}
+          onConfirmed={(confirmations) => {
+            setScanConfirmation(null);
+            scanConfirmation.resolve(confirmations);
+          }}
+          onClose={() => {
+            setScanConfirmation(null);
+            scanConfirmation.resolve(null);
+          }}
+        />
+      )}
+
       {/* Results Section */}
       {executionResults && executionResults.summary && executionResults.items && (
         <Card>
@@ -1139,9 +1382,15 @@ export default function PutAwayOperations() {
             <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
               <Chip label={`Total: ${executionResults.summary.total}`} />
               <Chip label={`Success: ${executionResults.summary.successful}`} color="success" />
+              {executionResults.summary.partial > 0 && (
+                <Chip label={`Partial: ${executionResults.summary.partial}`} color="warning" />
+              )}
               {executionResults.summary.failed > 0 ? (
                 <Chip label={`Failed: ${executionResults.summary.failed}`} color="error" />
               ) : null}
+              {executionResults.summary.unallocatedQuantity > 0 && (
+                <Chip label={`Unallocated: ${executionResults.summary.unallocatedQuantity} units`} color="warning" variant="outlined" />
+              )}
               <Chip 
                 label={`Success Rate: ${((executionResults.summary.successful / executionResults.summary.total) * 100).toFixed(1)}%`} 
                 color="primary" 
@@ -1197,6 +1446,7 @@ export default function PutAwayOperations() {
                     <TableCell>Row</TableCell>
                     <TableCell>Barcode</TableCell>
                     <TableCell>Quantity</TableCell>
+                    <TableCell>Lot / Expiry</TableCell>
                     <TableCell>Status</TableCell>
                     <TableCell>Location</TableCell>
                     <TableCell>Notes</TableCell>
@@ -1208,14 +1458,31 @@ export default function PutAwayOperations() {
                   {executionResults.items.slice(0, 10).map((item, index) => (
                     <TableRow key={index}>
                       <TableCell>{index + 1}</TableCell>
-                      <TableCell>{item.barcode}</TableCell>
-                      <TableCell>{item.quantity}</TableCell>
+                      <TableCell>
+                        {item.barcode}
+                        {item.description && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            {item.description}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {item.quantity}
+                        {item.scannedUom && item.scannedUom !== item.unitOfMeasure && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            {item.scannedQuantity} {item.scannedUom} scanned
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {item.lotNumber || '-'}{item.expiryDate ? ` (exp ${item.expiryDate})` : ''}
+                      </TableCell>
                       <TableCell>
                         <Chip
                           label={item.status}
                           color={getStatusColor(item.status)}
                           size="small"
-                          icon={item.status === 'Completed' ? <SuccessIcon /> : <ErrorIcon />}
+                          icon={item.status === 'Failed' ? <ErrorIcon /> : <SuccessIcon />}
                         />
                       </TableCell>
                       <TableCell>
@@ -1224,8 +1491,8 @@ export default function PutAwayOperations() {
                         </Typography>
                       </TableCell>
                       <TableCell>
-                        <Typography variant="body2" color={item.emergency ? 'warning' : 'error'}>
-                          {item.emergency ? 'Emergency allocation' : item.error || ''}
+                        <Typography variant="body2" color={item.emergency || item.status === 'Partial' ? 'warning' : 'error'}>
+                          {getItemNote(item)}
                         </Typography>
                       </TableCell>
                       <TableCell>
@@ -1449,6 +1716,7 @@ export default function PutAwayOperations() {
                         <TableCell>Row</TableCell>
                         <TableCell>Barcode</TableCell>
                         <TableCell>Quantity</TableCell>
+                        <TableCell>Lot / Expiry</TableCell>
                         <TableCell>Status</TableCell>
                         <TableCell>Location</TableCell>
                         <TableCell>Notes</TableCell>
@@ -1460,14 +1728,31 @@ export default function PutAwayOperations() {
                       {selectedHistoryItem?.executionDetails?.items?.map((item, index) => (
                         <TableRow key={index} sx={item.rolledBack ? { backgroundColor: 'rgba(255,0,0,0.05)' } : {}}>
                           <TableCell>{index + 1}</TableCell>
-                          <TableCell>{item.barcode}</TableCell>
-                          <TableCell>{item.quantity}</TableCell>
+                          <TableCell>
+                            {item.barcode}
+                            {item.description && (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                {item.description}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {item.quantity}
+                            {item.scannedUom && item.scannedUom !== item.unitOfMeasure && (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                {item.scannedQuantity} {item.scannedUom} scanned
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {item.lotNumber || '-'}{item.expiryDate ? ` (exp ${item.expiryDate})` : ''}
+                          </TableCell>
                           <TableCell>
                             <Chip
                               label={item.status}
                               color={getStatusColor(item.status)}
                               size="small"
-                              icon={item.status === 'Completed' ? <SuccessIcon /> : <ErrorIcon />}
+                              icon={item.status === 'Failed' ? <ErrorIcon /> : <SuccessIcon />}
                             />
                           </TableCell>
                           <TableCell>
@@ -1476,8 +1761,8 @@ export default function PutAwayOperations() {
                             </Typography>
                           </TableCell>
                           <TableCell>
-                            <Typography variant="body2" color={item.emergency ? 'warning' : 'error'}>
-                              {item.emergency ? 'Emergency allocation' : item.error || ''}
+                            <Typography variant="body2" color={item.emergency || item.status === 'Partial' ? 'warning' : 'error'}>
+                              {getItemNote(item)}
                             </Typography>
                           </TableCell>
                           <TableCell>
@@ -1627,7 +1912,7 @@ export default function PutAwayOperations() {
                 <Typography><strong>Total Items:</strong> {operationToFullRollback.totalItems}</Typography>
                 <Typography><strong>Items to rollback:</strong> {
                   operationToFullRollback.executionDetails.items
-                    .filter(item => !item.rolledBack && item.status === 'Completed')
+                    .filter(item => !item.rolledBack && (item.status === 'Completed' || (item.status === 'Partial' && item.binCount > 0)))
                     .length
                 }</Typography>
               </Box>
@@ -48,12 +48,20 @@ import {
   ViewList as TableViewIcon,
   ExpandMore as ExpandMoreIcon,
   ExpandLess as ExpandLessIcon,
-  Info as InfoIcon
+  Info as InfoIcon,
+  Rule as RulesIcon,
+  Place as ZoneIcon
 } from '@mui/icons-material';
 import { useForm, Controller } from 'react-hook-form';
 import { useWarehouse } from '../context/WarehouseContext';
 import { useNotification } from '../context/NotificationContext';
 import { rackService } from '../services/rackService_restructured';
+import { warehouseService } from '../services/warehouseService';
+import { warehouseOperations } from '../services/warehouseOperations';
+import { productService } from '../services/productService';
+import { binCapacityService } from '../services/binCapacityService';
+import { zoneService } from '../services/zoneService';
+import StorageRulesDialog from './StorageRulesDialog';
 
 const steps = [
   'Basic Information',
@@ -87,7 +95,8 @@ function RackConfigurationDialog({ open, onClose, rack = null, onSave }) {
         height: rack?.dimensions?.height || '',
         width: rack?.dimensions?.width || '',
         depth: rack?.dimensions?.depth || ''
-      }
+      },
+      levelDimensions: rack?.levelDimensions || {}
     }
   });
 
@@ -110,7 +119,8 @@ function RackConfigurationDialog({ open, onClose, rack = null, onSave }) {
           height: rack.dimensions?.height || '',
           width: rack.dimensions?.width || '',
           depth: rack.dimensions?.depth || ''
-        }
+        },
+        levelDimensions: rack.levelDimensions || {}
       });
     }
   }, [isEdit, rack, reset]);
@@ -316,6 +326,9 @@ function RackConfigurationDialog({ open, onClose, rack = null, onSave }) {
           if (result.summary.changes.capacityUpdated) {
             changes.push(`bin capacity updated to ${data.maxProductsPerBin}`);
           }
+          if (result.summary.changes.dimensionsUpdated) {
+            changes.push('bin dimensions updated');
+          }
           if (result.summary.changes.locationCodesUpdated) {
             changes.push('location codes updated');
           }
@@ -686,6 +699,53 @@ function RackConfigurationDialog({ open, onClose, rack = null, onSave }) {
                 </Grid>
               </Grid>
 
+              <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>
+                Bin Size per Level
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Inner bin size in cm and weight limit in kg. Bins with a size or weight limit are filled by product
+                volume and weight instead of Max Products per Bin. Leave a level empty to keep the unit count.
+              </Typography>
+              <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Level</TableCell>
+                      <TableCell>Width (cm)</TableCell>
+                      <TableCell>Depth (cm)</TableCell>
+                      <TableCell>Height (cm)</TableCell>
+                      <TableCell>Max Weight (kg)</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(watchedValues.levelsPerGrid || ['A', 'B', 'C']).map(level => (
+                      <TableRow key={level}>
+                        <TableCell><strong>{level}</strong></TableCell>
+                        {['width', 'depth', 'height', 'maxWeight'].map(field => (
+                          <TableCell key={field}>
+                            <Controller
+                              name={`levelDimensions.${level}.${field}`}
+                              control={control}
+                              defaultValue=""
+                              render={({ field: inputField }) => (
+                                <TextField
+                                  {...inputField}
+                                  value={inputField.value ?? ''}
+                                  type="number"
+                                  size="small"
+                                  inputProps={{ min: 0 }}
+                                  sx={{ width: 110 }}
+                                />
+                              )}
+                            />
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
               <Typography variant="h6" sx={{ mt: 3, mb: 2 }}>
                 Location Code Format Preview
               </Typography>
@@ -831,6 +891,20 @@ function RackConfigurationDialog({ open, onClose, rack = null, onSave }) {
                             )}
                           </TableCell>
                         </TableRow>
+                        <TableRow>
+                          <TableCell><strong>Bin Size per Level</strong></TableCell>
+                          <TableCell>
+                            {(previewData.levelsPerGrid || []).map(level => {
+                              const { dimensions, maxWeight } = binCapacityService.getLevelBinFields(previewData.levelDimensions, level);
+                              const size = dimensions.width ? `${dimensions.width}W × ${dimensions.depth}D × ${dimensions.height}H cm` : 'unit count';
+                              return (
+                                <Typography key={level} variant="body2">
+                                  {level}: {size}{maxWeight ? `, max ${maxWeight} kg` : ''}
+                                </Typography>
+                              );
+                            })}
+                          </TableCell>
+                        </TableRow>
                         <TableRow>
                           <TableCell><strong>Total Capacity</strong></TableCell>
                           <TableCell>
@@ -1075,6 +1149,7 @@ function RackDetailsDialog({ open, onClose, rack, bins }) {
                           <TableCell>Position</TableCell>
                           <TableCell>Status</TableCell>
                           <TableCell>Current Qty</TableCell>
+                          <TableCell>Reserved</TableCell>
                           <TableCell>Capacity</TableCell>
                           <TableCell>Utilization</TableCell>
                           <TableCell>SKU</TableCell>
@@ -1085,6 +1160,7 @@ function RackDetailsDialog({ open, onClose, rack, bins }) {
                       <TableBody>
                         {gridBins.map(bin => {
                           const binUtilization = bin.capacity > 0 ? (bin.currentQty / bin.capacity) * 100 : 0;
+                          const reservedQty = warehouseOperations.getReservedQuantity(bin);
                           
                           return (
                             <TableRow key={bin.id}>
@@ -1102,6 +1178,13 @@ function RackDetailsDialog({ open, onClose, rack, bins }) {
                                 />
                               </TableCell>
                               <TableCell>{bin.currentQty || 0}</TableCell>
+                              <TableCell>
+                                {reservedQty > 0 ? (
+                                  <Tooltip title={[...new Set(warehouseOperations.getBinReservations(bin).map(r => r.ownerLabel))].join(', ')}>
+                                    <Chip label={reservedQty} color="info" size="small" variant="outlined" />
+                                  </Tooltip>
+                                ) : '-'}
+                              </TableCell>
                               <TableCell>{bin.capacity || 0}</TableCell>
                               <TableCell>
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -1157,8 +1240,111 @@ function RackDetailsDialog({ open, onClose, rack, bins }) {
   );
 }
 
-function RackCard({ rack, onEdit, onDelete, onPrint, onViewDetails }) {
-  const { bins, currentWarehouse } = useWarehouse();
+/**
+ * Assign a rack, or some of its grids, to a zone
+ */
+function ZoneAssignmentDialog({ open, onClose, rack }) {
+  const { currentWarehouse, zones, bins } = useWarehouse();
+  const { showSuccess, showError } = useNotification();
+  const [zoneId, setZoneId] = useState('');
+  const [gridNumbers, setGridNumbers] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && rack) {
+      setZoneId(rack.zoneId || zoneService.mainZoneId);
+      setGridNumbers([]);
+    }
+  }, [open, rack]);
+
+  if (!rack) return null;
+
+  const gridCount = rack.gridCount || rack.shelfCount || 0;
+  const rackBins = bins.filter(bin => bin.rackId === rack.id);
+  const zoneLabel = (id) => {
+    const zone = zones.find(z => z.id === id);
+    return zone ? `${zone.code || zone.name} - ${zoneService.zoneTypeLabels[zone.type] || zone.type}` : 'Main (unassigned)';
+  };
+
+  const handleAssign = async () => {
+    setSaving(true);
+    try {
+      const target = zoneId === zoneService.mainZoneId ? null : zoneId;
+      const count = await zoneService.assignRackToZone(
+        currentWarehouse.id,
+        rack,
+        bins,
+        target,
+        gridNumbers.length > 0 ? gridNumbers : null
+      );
+      showSuccess(`${count} bins of ${rack.name} assigned to ${zoneLabel(zoneId)}`);
+      onClose();
+    } catch (error) {
+      console.error('Error assigning zone:', error);
+      showError(`Error assigning zone: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Assign Zone - {rack.name}</DialogTitle>
+      <DialogContent>
+        <FormControl fullWidth sx={{ mt: 1, mb: 2 }}>
+          <InputLabel>Zone</InputLabel>
+          <Select value={zoneId} label="Zone" onChange={(e) => setZoneId(e.target.value)}>
+            <MenuItem value={zoneService.mainZoneId}>Main (unassigned)</MenuItem>
+            {zones.map(zone => (
+              <MenuItem key={zone.id} value={zone.id}>{zoneLabel(zone.id)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Grids</InputLabel>
+          <Select
+            multiple
+            value={gridNumbers}
+            label="Grids"
+            onChange={(e) => setGridNumbers(e.target.value)}
+            renderValue={(selected) => selected.length === 0 ? 'Whole rack' : selected.map(n => `G${String(n).padStart(2, '0')}`).join(', ')}
+            displayEmpty
+          >
+            {Array.from({ length: gridCount }, (_, i) => i + 1).map(gridNumber => (
+              <MenuItem key={gridNumber} value={gridNumber}>
+                <Checkbox checked={gridNumbers.includes(gridNumber)} />
+                Grid {String(gridNumber).padStart(2, '0')}
+              </MenuItem>
+            ))}
+          </Select>
+          <FormHelperText>Leave empty to assign the whole rack</FormHelperText>
+        </FormControl>
+
+        <Typography variant="subtitle2" gutterBottom>Current zones</Typography>
+        <Box display="flex" gap={1} flexWrap="wrap">
+          {[...new Set(rackBins.map(bin => zoneService.getBinZoneId(bin)))].map(id => (
+            <Chip
+              key={id}
+              size="small"
+              label={`${zoneLabel(id)}: ${rackBins.filter(bin => zoneService.getBinZoneId(bin) === id).length} bins`}
+            />
+          ))}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleAssign} disabled={saving}>
+          Assign
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+function RackCard({ rack, onEdit, onDelete, onPrint, onViewDetails, onEditRules, onAssignZone }) {
+  const { bins, currentWarehouse, zones } = useWarehouse();
+  const rackZone = zones.find(zone => zone.id === rack.zoneId);
   
   const rackBins = bins.filter(bin => bin.rackId === rack.id);
   const occupiedBins = rackBins.filter(bin => bin.currentQty > 0);
@@ -1171,11 +1357,20 @@ function RackCard({ rack, onEdit, onDelete, onPrint, onViewDetails }) {
           <Typography variant="h6">
             {rack.name}
           </Typography>
-          <Chip 
-            label={rack.floor} 
-            size="small"
-            color="primary"
-          />
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {rackZone && (
+              <Chip
+                label={`${rackZone.code || rackZone.name} · ${zoneService.zoneTypeLabels[rackZone.type] || rackZone.type}`}
+                size="small"
+                variant="outlined"
+              />
+            )}
+            <Chip 
+              label={rack.floor} 
+              size="small"
+              color="primary"
+            />
+          </Box>
         </Box>
 
         <Grid container spacing={2} sx={{ mb: 2 }}>
@@ -1255,6 +1450,16 @@ function RackCard({ rack, onEdit, onDelete, onPrint, onViewDetails }) {
               <PrintIcon />
             </IconButton>
           </Tooltip>
+          <Tooltip title="Storage Rules">
+            <IconButton size="small" onClick={() => onEditRules && onEditRules(rack)}>
+              <RulesIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Assign Zone">
+            <IconButton size="small" onClick={() => onAssignZone && onAssignZone(rack)}>
+              <ZoneIcon />
+            </IconButton>
+          </Tooltip>
         </Box>
       </CardContent>
     </Card>
@@ -1269,6 +1474,9 @@ export default function RackConfiguration() {
   const [viewMode, setViewMode] = useState('cards'); // 'cards' or 'table'
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
   const [rackForDetails, setRackForDetails] = useState(null);
+  const [rulesRackId, setRulesRackId] = useState(null);
+  const [zoneRack, setZoneRack] = useState(null);
+  const [productCategories, setProductCategories] = useState([]);
 
   if (!currentWarehouse) {
     return (
@@ -1400,6 +1608,51 @@ export default function RackConfiguration() {
     setSelectedRack(null);
   };
 
+  const handleEditRules = async (rack) => {
+    setRulesRackId(rack.id);
+    try {
+      const products = await productService.getProducts(currentWarehouse.id);
+      setProductCategories([...new Set(products.map(product => product.category).filter(Boolean))].sort());
+    } catch (error) {
+      console.error('Error loading product categories:', error);
+    }
+  };
+
+  // Rules can be set for the whole rack, one grid or one bin; racks and bins come from the live context
+  const rulesRack = racks.find(rack => rack.id === rulesRackId);
+  const rulesTargets = rulesRack ? [
+    { key: 'rack', type: 'rack', label: `Whole rack ${rulesRack.name}`, rules: rulesRack.storageRules },
+    ...Array.from({ length: rulesRack.gridCount || rulesRack.shelfCount || 0 }, (_, i) => ({
+      key: `grid-${i + 1}`,
+      type: 'grid',
+      gridNumber: i + 1,
+      label: `Grid ${String(i + 1).padStart(2, '0')}`,
+      rules: rulesRack.gridStorageRules?.[i + 1]
+    })),
+    ...bins
+      .filter(bin => bin.rackId === rulesRack.id)
+      .sort((a, b) => (a.code || '').localeCompare(b.code || ''))
+      .map(bin => ({ key: `bin-${bin.id}`, type: 'bin', binId: bin.id, label: `Bin ${bin.code}`, rules: bin.storageRules }))
+  ] : [];
+
+  const handleSaveRules = async (target, rules) => {
+    try {
+      if (target.type === 'bin') {
+        await warehouseService.updateBin(currentWarehouse.id, target.binId, { storageRules: rules });
+      } else if (target.type === 'grid') {
+        await warehouseService.updateRack(currentWarehouse.id, rulesRack.id, {
+          gridStorageRules: { ...(rulesRack.gridStorageRules || {}), [target.gridNumber]: rules }
+        });
+      } else {
+        await warehouseService.updateRack(currentWarehouse.id, rulesRack.id, { storageRules: rules });
+      }
+      showSuccess(`Storage rules saved for ${target.label}`);
+    } catch (error) {
+      console.error('Error saving storage rules:', error);
+      showError(`Error saving storage rules: ${error.message}`);
+    }
+  };
+
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
@@ -1614,6 +1867,16 @@ export default function RackConfiguration() {
                             <PrintIcon />
                           </IconButton>
                         </Tooltip>
+                        <Tooltip title="Storage Rules">
+                          <IconButton size="small" onClick={() => handleEditRules(rack)}>
+                            <RulesIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Assign Zone">
+                          <IconButton size="small" onClick={() => setZoneRack(rack)}>
+                            <ZoneIcon />
+                          </IconButton>
+                        </Tooltip>
                       </Box>
                     </TableCell>
                   </TableRow>
@@ -1632,6 +1895,8 @@ export default function RackConfiguration() {
                 onDelete={handleDeleteRack}
                 onPrint={handlePrintLabels}
                 onViewDetails={handleShowRackDetails}
+                onEditRules={handleEditRules}
+                onAssignZone={setZoneRack}
               />
             </Grid>
           ))}
@@ -1651,6 +1916,21 @@ export default function RackConfiguration() {
         rack={rackForDetails}
         bins={bins}
       />
+
+      <StorageRulesDialog
+        open={!!rulesRack}
+        title={rulesRack ? `Storage Rules - ${rulesRack.name}` : 'Storage Rules'}
+        targets={rulesTargets}
+        categories={productCategories}
+        onClose={() => setRulesRackId(null)}
+        onSave={handleSaveRules}
+      />
+
+      <ZoneAssignmentDialog
+        open={!!zoneRack}
+        onClose={() => setZoneRack(null)}
+        rack={zoneRack}
+      />
     </Box>
   );
 }
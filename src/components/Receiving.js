@@ -0,0 +1,494 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  LinearProgress
+} from '@mui/material';
+import {
+  Upload as UploadIcon,
+  Download as DownloadIcon,
+  Save as SaveIcon,
+  CheckCircle as CloseReceiptIcon,
+  CallReceived as PutAwayIcon,
+  Add as AddIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { receivingService } from '../services/receivingService';
+import { excelService } from '../services/excelService';
+import { productService } from '../services/productService';
+import BarcodeScanner from './BarcodeScanner';
+
+const EMPTY_ASN = { reference: '', supplier: '', expectedDate: '' };
+const EMPTY_ENTRY = { sku: '', quantity: '', lotNumber: '', expiryDate: '' };
+
+const statusColors = {
+  'expected': 'default',
+  'receiving': 'info',
+  'received': 'warning',
+  'put-away': 'success'
+};
+
+const discrepancyColors = {
+  over: 'warning',
+  under: 'error',
+  unexpected: 'secondary'
+};
+
+export default function Receiving({ user }) {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [receipts, setReceipts] = useState([]);
+  const [asn, setAsn] = useState(EMPTY_ASN);
+  const [parsedAsn, setParsedAsn] = useState(null);
+  const [activeReceipt, setActiveReceipt] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [products, setProducts] = useState(new Map());
+  const [putAwayResults, setPutAwayResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadReceipts = useCallback(async () => {
+    setReceipts(await receivingService.getReceipts(currentWarehouse.id));
+  }, [currentWarehouse?.id]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadReceipts();
+      productService.getBarcodeLookup(currentWarehouse.id).then(setProducts).catch(() => setProducts(new Map()));
+    }
+  }, [currentWarehouse?.id, loadReceipts]);
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to receive stock.</Alert>
+    );
+  }
+
+  const isReceivable = activeReceipt &&
+    [receivingService.statuses.EXPECTED, receivingService.statuses.RECEIVING].includes(activeReceipt.status);
+
+  const openReceipt = (receipt) => {
+    setActiveReceipt(receipt);
+    setQuantities({});
+    setEntry(EMPTY_ENTRY);
+    setPutAwayResults(null);
+  };
+
+  const refreshReceipt = async (receipt) => {
+    setActiveReceipt(receipt);
+    setQuantities({});
+    await loadReceipts();
+  };
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = await excelService.parsePutawayFile(file, { products });
+      setParsedAsn({ ...data, fileName: file.name });
+      if (data.errors.length > 0) {
+        showError(`File parsed with ${data.errors.length} errors. Please review before creating the receipt.`);
+      } else {
+        showSuccess(`Parsed ${data.totalItems} expected lines from ${file.name}`);
+      }
+    } catch (error) {
+      showError(error.message);
+      setParsedAsn(null);
+    }
+  };
+
+  const handleCreateReceipt = async () => {
+    setLoading(true);
+    try {
+      const receipt = await receivingService.createReceipt(currentWarehouse.id, { ...asn, items: parsedAsn.items }, user);
+      showSuccess(`Receipt ${receipt.receiptNumber} created for ${receipt.reference}`);
+      setAsn(EMPTY_ASN);
+      setParsedAsn(null);
+      await loadReceipts();
+      openReceipt(receipt);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const receive = async (item) => {
+    try {
+      const { receipt, line } = await receivingService.receiveItem(currentWarehouse.id, activeReceipt.id, item, user);
+      await refreshReceipt(receipt);
+      const discrepancy = receivingService.getDiscrepancy(line);
+      const message = `${line.sku}: ${line.receivedQty} of ${line.expectedQty} received`;
+      if (discrepancy === receivingService.discrepancyTypes.UNEXPECTED || discrepancy === receivingService.discrepancyTypes.OVER) {
+        showWarning(`${message} (${receivingService.discrepancyLabels[discrepancy]})`);
+      } else {
+        showSuccess(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  // One scan = one unit of the scanned barcode's unit of measure
+  const handleScan = (rawText) => {
+    const text = rawText.trim();
+    if (!text || !isReceivable) return;
+    const resolved = productService.resolveBarcode(products, text, 1);
+    receive({
+      sku: resolved ? resolved.sku : text,
+      quantity: resolved ? resolved.quantity : 1,
+      lotNumber: entry.lotNumber,
+      expiryDate: entry.expiryDate || null
+    });
+  };
+
+  const handleManualReceive = async () => {
+    const resolved = productService.resolveBarcode(products, entry.sku.trim(), parseInt(entry.quantity));
+    await receive({
+      sku: resolved ? resolved.sku : entry.sku,
+      quantity: resolved ? resolved.quantity : parseInt(entry.quantity),
+      lotNumber: entry.lotNumber,
+      expiryDate: entry.expiryDate || null
+    });
+    setEntry({ ...EMPTY_ENTRY, lotNumber: entry.lotNumber, expiryDate: entry.expiryDate });
+  };
+
+  const handleSaveQuantities = async () => {
+    try {
+      const receipt = await receivingService.recordReceivedQuantities(currentWarehouse.id, activeReceipt.id, quantities, user);
+      await refreshReceipt(receipt);
+      showSuccess('Received quantities saved');
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handleCloseReceipt = async () => {
+    const { underLines, overLines, unexpectedLines } = receivingService.calculateSummary(activeReceipt.lines);
+    const discrepancies = underLines + overLines + unexpectedLines;
+    if (!window.confirm(`Close receipt ${activeReceipt.receiptNumber}${discrepancies > 0 ? ` with ${discrepancies} discrepancies` : ''}? No more stock can be received on it.`)) {
+      return;
+    }
+
+    try {
+      const receipt = await receivingService.closeReceipt(currentWarehouse.id, activeReceipt.id, user);
+      await refreshReceipt(receipt);
+      showSuccess(`Receipt ${receipt.receiptNumber} closed`);
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handleGeneratePutAway = async () => {
+    setLoading(true);
+    try {
+      const result = await receivingService.generatePutAwayTasks(currentWarehouse.id, activeReceipt.id, user);
+      await refreshReceipt(result.receipt);
+      setPutAwayResults(result);
+      if (result.summary.failed > 0 || result.summary.partial > 0) {
+        showWarning(`${result.summary.successful} lines put away, ${result.summary.unallocatedQuantity} units still waiting for space`);
+      } else {
+        showSuccess(`${result.summary.successful} lines put away`);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      await excelService.generateReceivingDiscrepancyReport(activeReceipt, receivingService.getDiscrepancyLines(activeReceipt));
+    } catch (error) {
+      showError(`Failed to export discrepancies: ${error.message}`);
+    }
+  };
+
+  const summary = activeReceipt ? receivingService.calculateSummary(activeReceipt.lines) : null;
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Receiving
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Import the expected receipt (ASN or purchase order), receive against it by scan or entry, then close it to
+        fix the over, under and unexpected lines. Put-away tasks are generated from the received quantities.
+      </Typography>
+
+      {/* Import ASN */}
+      <Card sx={{ mb: 3, mt: 2 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>1. Import Expected Receipt</Typography>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center">
+            <TextField
+              label="ASN / PO Number"
+              size="small"
+              value={asn.reference}
+              onChange={(e) => setAsn({ ...asn, reference: e.target.value })}
+            />
+            <TextField
+              label="Supplier"
+              size="small"
+              value={asn.supplier}
+              onChange={(e) => setAsn({ ...asn, supplier: e.target.value })}
+            />
+            <TextField
+              type="date"
+              label="Expected Date"
+              size="small"
+              value={asn.expectedDate}
+              onChange={(e) => setAsn({ ...asn, expectedDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <input
+              type="file"
+              accept=".xlsx,.xls"
+              onChange={handleFileUpload}
+              style={{ display: 'none' }}
+              id="asn-upload"
+            />
+            <label htmlFor="asn-upload">
+              <Button component="span" variant="outlined" startIcon={<UploadIcon />}>
+                Upload ASN File
+              </Button>
+            </label>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleCreateReceipt}
+              disabled={loading || !parsedAsn || parsedAsn.items.length === 0 || !asn.reference.trim()}
+            >
+              Create Receipt
+            </Button>
+          </Box>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            Same columns as the put-away template: barcode, quantity and optional lot, expiry and manufacture date.
+          </Typography>
+          {parsedAsn && (
+            <Alert severity={parsedAsn.errors.length > 0 ? 'warning' : 'info'} sx={{ mt: 2 }}>
+              {parsedAsn.fileName}: {parsedAsn.totalItems} lines, {parsedAsn.totalQuantity} units expected
+              {parsedAsn.errors.slice(0, 5).map(error => (
+                <Typography key={error} variant="body2">{error}</Typography>
+              ))}
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Receipts */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>Receipts</Typography>
+          {receipts.length === 0 ? (
+            <Alert severity="info">No receipts yet.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Receipt</TableCell>
+                    <TableCell>ASN / PO</TableCell>
+                    <TableCell>Supplier</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Expected</TableCell>
+                    <TableCell align="right">Received</TableCell>
+                    <TableCell>Created</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {receipts.map(receipt => (
+                    <TableRow key={receipt.id} selected={activeReceipt?.id === receipt.id}>
+                      <TableCell>{receipt.receiptNumber}</TableCell>
+                      <TableCell>{receipt.reference}</TableCell>
+                      <TableCell>{receipt.supplier || '-'}</TableCell>
+                      <TableCell>
+                        <Chip size="small" color={statusColors[receipt.status] || 'default'} label={receipt.status} />
+                      </TableCell>
+                      <TableCell align="right">{receipt.summary?.expectedQty ?? '-'}</TableCell>
+                      <TableCell align="right">{receipt.summary?.receivedQty ?? '-'}</TableCell>
+                      <TableCell>{new Date(receipt.createdAt).toLocaleString()}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" onClick={() => openReceipt(receipt)}>Open</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Active receipt */}
+      {activeReceipt && (
+        <Card>
+          <CardContent>
+            <Box display="flex" gap={1} alignItems="center" flexWrap="wrap" sx={{ mb: 2 }}>
+              <Typography variant="h6" sx={{ mr: 1 }}>
+                2. {activeReceipt.receiptNumber} — {activeReceipt.reference}
+              </Typography>
+              <Chip size="small" color={statusColors[activeReceipt.status] || 'default'} label={activeReceipt.status} />
+              <Chip size="small" label={`${summary.receivedQty} / ${summary.expectedQty} units`} />
+              {summary.overLines > 0 && <Chip size="small" color="warning" label={`${summary.overLines} over`} />}
+              {summary.underLines > 0 && <Chip size="small" color="error" label={`${summary.underLines} under`} />}
+              {summary.unexpectedLines > 0 && <Chip size="small" color="secondary" label={`${summary.unexpectedLines} unexpected`} />}
+            </Box>
+
+            {isReceivable && (
+              <Box sx={{ mb: 2 }}>
+                <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" sx={{ mb: 2 }}>
+                  <TextField
+                    label="SKU / Barcode"
+                    size="small"
+                    value={entry.sku}
+                    onChange={(e) => setEntry({ ...entry, sku: e.target.value })}
+                  />
+                  <TextField
+                    type="number"
+                    label="Quantity"
+                    size="small"
+                    value={entry.quantity}
+                    onChange={(e) => setEntry({ ...entry, quantity: e.target.value })}
+                    inputProps={{ min: 1 }}
+                    sx={{ width: 110 }}
+                  />
+                  <TextField
+                    label="Lot"
+                    size="small"
+                    value={entry.lotNumber}
+                    onChange={(e) => setEntry({ ...entry, lotNumber: e.target.value })}
+                    sx={{ width: 140 }}
+                  />
+                  <TextField
+                    type="date"
+                    label="Expiry"
+                    size="small"
+                    value={entry.expiryDate}
+                    onChange={(e) => setEntry({ ...entry, expiryDate: e.target.value })}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <Button variant="contained" onClick={handleManualReceive} disabled={!entry.sku || !entry.quantity}>
+                    Receive
+                  </Button>
+                </Box>
+                <BarcodeScanner onScan={handleScan} placeholder="Scan product barcode (uses the lot and expiry above)" />
+              </Box>
+            )}
+
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Lot</TableCell>
+                    <TableCell>Expiry</TableCell>
+                    <TableCell align="right">Expected</TableCell>
+                    <TableCell align="right">Received</TableCell>
+                    <TableCell>Discrepancy</TableCell>
+                    <TableCell align="right">Put Away</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {activeReceipt.lines.map(line => {
+                    const discrepancy = receivingService.getDiscrepancy(line);
+                    return (
+                      <TableRow key={line.lineId}>
+                        <TableCell>
+                          <strong>{line.sku}</strong>
+                          {line.description && (
+                            <Typography variant="caption" display="block" color="text.secondary">{line.description}</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{line.lotNumber || '-'}</TableCell>
+                        <TableCell>{line.expiryDate || '-'}</TableCell>
+                        <TableCell align="right">{line.expectedQty}</TableCell>
+                        <TableCell align="right">
+                          {isReceivable ? (
+                            <TextField
+                              type="number"
+                              size="small"
+                              value={quantities[line.lineId] ?? line.receivedQty}
+                              onChange={(e) => setQuantities({ ...quantities, [line.lineId]: e.target.value })}
+                              inputProps={{ min: 0, style: { textAlign: 'right' } }}
+                              sx={{ width: 100 }}
+                            />
+                          ) : line.receivedQty}
+                        </TableCell>
+                        <TableCell>
+                          {discrepancy ? (
+                            <Chip
+                              size="small"
+                              color={discrepancyColors[discrepancy]}
+                              label={`${receivingService.discrepancyLabels[discrepancy]} ${line.receivedQty - line.expectedQty > 0 ? '+' : ''}${line.receivedQty - line.expectedQty}`}
+                            />
+                          ) : (
+                            <Chip size="small" color="success" variant="outlined" label="Matched" />
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{line.putAwayQty || 0}</TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Box display="flex" gap={2} flexWrap="wrap">
+              {isReceivable && (
+                <>
+                  <Button startIcon={<SaveIcon />} onClick={handleSaveQuantities} disabled={Object.keys(quantities).length === 0}>
+                    Save Quantities
+                  </Button>
+                  <Button variant="contained" color="warning" startIcon={<CloseReceiptIcon />} onClick={handleCloseReceipt}>
+                    Close Receipt
+                  </Button>
+                </>
+              )}
+              {activeReceipt.status === receivingService.statuses.RECEIVED && (
+                <Button variant="contained" startIcon={<PutAwayIcon />} onClick={handleGeneratePutAway} disabled={loading}>
+                  Generate Put-Away Tasks
+                </Button>
+              )}
+              <Button startIcon={<DownloadIcon />} onClick={handleExport}>
+                Export Discrepancies
+              </Button>
+            </Box>
+            {loading && <LinearProgress sx={{ mt: 2 }} />}
+
+            {putAwayResults && (
+              <Alert severity={putAwayResults.summary.unallocatedQuantity > 0 ? 'warning' : 'success'} sx={{ mt: 2 }}>
+                {putAwayResults.items.map(item => (
+                  <Typography key={`${item.barcode}-${item.lotNumber || ''}`} variant="body2">
+                    {item.barcode}: {item.allocatedQuantity} of {item.quantity} units → {item.location || 'not put away'}
+                    {item.error ? ` (${item.error})` : ''}
+                  </Typography>
+                ))}
+              </Alert>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  );
+}
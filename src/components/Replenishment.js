@@ -0,0 +1,454 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Autocomplete,
+  Tooltip,
+  IconButton
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Delete as DeleteIcon,
+  Autorenew as ScanIcon,
+  Print as PrintIcon,
+  CheckCircle as CompleteIcon,
+  Cancel as CancelIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { replenishmentService } from '../services/replenishmentService';
+import { printService } from '../services/printService';
+import { productService } from '../services/productService';
+import { zoneService } from '../services/zoneService';
+
+const EMPTY_RULE = {
+  sku: '',
+  scopeType: replenishmentService.ruleScopes.BIN,
+  bin: null,
+  zoneId: '',
+  minQty: '',
+  maxQty: ''
+};
+
+export default function Replenishment({ user }) {
+  const { currentWarehouse, bins = [], zones = [] } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [rules, setRules] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [shortfalls, setShortfalls] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyTaskId, setBusyTaskId] = useState(null);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [loadedRules, pendingTasks] = await Promise.all([
+        replenishmentService.getRules(currentWarehouse.id),
+        replenishmentService.getTasks(currentWarehouse.id, { status: replenishmentService.taskStatuses.PENDING })
+      ]);
+      setRules(loadedRules);
+      setTasks(pendingTasks);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentWarehouse?.id]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadData();
+    }
+  }, [currentWarehouse?.id, loadData]);
+
+  const zoneOptions = [
+    { value: 'main', label: 'Main (unassigned)' },
+    ...zones.map(zone => ({ value: zone.id, label: zone.name || zone.id }))
+  ];
+  const zonesById = zoneService.getZoneMap(zones);
+  const forwardPickBins = bins
+    .filter(bin => replenishmentService.isForwardPickBin(bin, zonesById))
+    .sort((a, b) => (a.code || '').localeCompare(b.code || ''));
+
+  const getRuleStock = (rule) => {
+    if (rule.scopeType === replenishmentService.ruleScopes.BIN) {
+      const bin = bins.find(b => b.id === rule.binId);
+      return bin ? replenishmentService.getSkuQuantity(bin, rule.sku) : null;
+    }
+    return bins
+      .filter(bin => (bin.zoneId || 'main') === rule.zoneId && replenishmentService.isForwardPickBin(bin, zonesById))
+      .reduce((sum, bin) => sum + replenishmentService.getSkuQuantity(bin, rule.sku), 0);
+  };
+
+  const getRuleScopeLabel = (rule) => {
+    if (rule.scopeType === replenishmentService.ruleScopes.BIN) {
+      return `Bin ${rule.binCode || rule.binId}`;
+    }
+    const zone = zoneOptions.find(option => option.value === rule.zoneId);
+    return `Zone ${zone?.label || rule.zoneName || rule.zoneId}`;
+  };
+
+  const handleSaveRule = async () => {
+    try {
+      const zone = zoneOptions.find(option => option.value === ruleForm.zoneId);
+      await replenishmentService.saveRule(currentWarehouse.id, {
+        sku: ruleForm.sku,
+        scopeType: ruleForm.scopeType,
+        binId: ruleForm.bin?.id,
+        binCode: ruleForm.bin?.code,
+        zoneId: ruleForm.zoneId,
+        zoneName: zone?.label,
+        minQty: ruleForm.minQty,
+        maxQty: ruleForm.maxQty
+      });
+      showSuccess(`Min/max rule saved for ${ruleForm.sku}`);
+      setRuleForm(EMPTY_RULE);
+      setRules(await replenishmentService.getRules(currentWarehouse.id));
+    } catch (error) {
+      showError(error.message || 'Failed to save rule');
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    try {
+      await replenishmentService.deleteRule(currentWarehouse.id, rule.id);
+      setRules(rules.filter(r => r.id !== rule.id));
+    } catch (error) {
+      showError('Failed to delete rule');
+    }
+  };
+
+  const handleScan = async () => {
+    setLoading(true);
+    try {
+      const result = await replenishmentService.generateReplenishmentTasks(currentWarehouse.id, { createdBy: user });
+      setShortfalls(result.shortfalls);
+
+      if (result.tasks.length === 0) {
+        showWarning(result.shortfalls.length > 0
+          ? 'Forward-pick bins are low but no reserve stock could be planned'
+          : 'All forward-pick bins are above their minimum');
+      } else {
+        showSuccess(`${result.tasks.length} replenishment move(s) created`);
+      }
+
+      setTasks(await replenishmentService.getTasks(currentWarehouse.id, { status: replenishmentService.taskStatuses.PENDING }));
+    } catch (error) {
+      showError(error.message || 'Failed to run replenishment scan');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCompleteTask = async (task) => {
+    setBusyTaskId(task.id);
+    try {
+      await replenishmentService.completeTask(currentWarehouse.id, task.id, user);
+      showSuccess(`Moved ${task.quantity} units of ${task.sku} to ${task.toBinCode}`);
+      setTasks(tasks.filter(t => t.id !== task.id));
+    } catch (error) {
+      showError(error.message || 'Failed to complete replenishment move');
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  const handleCancelTask = async (task) => {
+    setBusyTaskId(task.id);
+    try {
+      await replenishmentService.cancelTask(currentWarehouse.id, task.id);
+      setTasks(tasks.filter(t => t.id !== task.id));
+    } catch (error) {
+      showError('Failed to cancel replenishment move');
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  const handlePrint = async () => {
+    try {
+      const descriptions = await productService.getDescriptionMap(currentWarehouse.id);
+      await printService.printReplenishmentList(tasks, { descriptions });
+    } catch (error) {
+      showError('Failed to print replenishment list');
+    }
+  };
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to manage replenishment.</Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Replenishment
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Keep ground-level pick faces stocked from reserve bins on the upper levels.
+      </Typography>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {/* Rules Section */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Min / Max Rules
+          </Typography>
+
+          <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+            <Grid item xs={12} sm={6} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                label="SKU"
+                value={ruleForm.sku}
+                onChange={(e) => setRuleForm({ ...ruleForm, sku: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Applies To</InputLabel>
+                <Select
+                  value={ruleForm.scopeType}
+                  label="Applies To"
+                  onChange={(e) => setRuleForm({ ...ruleForm, scopeType: e.target.value, bin: null, zoneId: '' })}
+                >
+                  <MenuItem value={replenishmentService.ruleScopes.BIN}>Bin</MenuItem>
+                  <MenuItem value={replenishmentService.ruleScopes.ZONE}>Zone</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              {ruleForm.scopeType === replenishmentService.ruleScopes.BIN ? (
+                <Autocomplete
+                  options={forwardPickBins}
+                  value={ruleForm.bin}
+                  onChange={(event, bin) => setRuleForm({ ...ruleForm, bin })}
+                  getOptionLabel={(bin) => bin.code}
+                  isOptionEqualToValue={(option, value) => option.id === value.id}
+                  renderInput={(params) => <TextField {...params} label="Forward-Pick Bin" size="small" />}
+                />
+              ) : (
+                <FormControl fullWidth size="small">
+                  <InputLabel>Zone</InputLabel>
+                  <Select
+                    value={ruleForm.zoneId}
+                    label="Zone"
+                    onChange={(e) => setRuleForm({ ...ruleForm, zoneId: e.target.value })}
+                  >
+                    {zoneOptions.map(option => (
+                      <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+            </Grid>
+            <Grid item xs={6} sm={3} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Min"
+                value={ruleForm.minQty}
+                onChange={(e) => setRuleForm({ ...ruleForm, minQty: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Max"
+                value={ruleForm.maxQty}
+                onChange={(e) => setRuleForm({ ...ruleForm, maxQty: e.target.value })}
+                inputProps={{ min: 1 }}
+              />
+            </Grid>
+            <Grid item xs={12} md={1}>
+              <Button fullWidth variant="contained" onClick={handleSaveRule}>
+                <SaveIcon />
+              </Button>
+            </Grid>
+          </Grid>
+
+          {rules.length === 0 ? (
+            <Alert severity="info">No min/max rules yet.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Applies To</TableCell>
+                    <TableCell align="right">Min</TableCell>
+                    <TableCell align="right">Max</TableCell>
+                    <TableCell align="right">On Pick Face</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rules.map(rule => {
+                    const stock = getRuleStock(rule);
+                    return (
+                      <TableRow key={rule.id}>
+                        <TableCell>{rule.sku}</TableCell>
+                        <TableCell>{getRuleScopeLabel(rule)}</TableCell>
+                        <TableCell align="right">{rule.minQty}</TableCell>
+                        <TableCell align="right">{rule.maxQty}</TableCell>
+                        <TableCell align="right">
+                          {stock === null ? (
+                            <Chip label="Bin missing" size="small" />
+                          ) : (
+                            <Chip
+                              label={stock}
+                              size="small"
+                              color={stock <= rule.minQty ? 'warning' : 'success'}
+                            />
+                          )}
+                        </TableCell>
+                        <TableCell align="right">
+                          <Tooltip title="Delete rule">
+                            <IconButton size="small" onClick={() => handleDeleteRule(rule)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Tasks Section */}
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Typography variant="h6">
+              Replenishment Moves ({tasks.length})
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                variant="contained"
+                startIcon={<ScanIcon />}
+                onClick={handleScan}
+                disabled={loading || rules.length === 0}
+              >
+                Run Scan
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<PrintIcon />}
+                onClick={handlePrint}
+                disabled={tasks.length === 0}
+              >
+                Print List
+              </Button>
+              <IconButton onClick={loadData} disabled={loading}>
+                <RefreshIcon />
+              </IconButton>
+            </Box>
+          </Box>
+
+          {shortfalls.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {shortfalls.map(shortfall => (
+                <div key={`${shortfall.sku}-${shortfall.scopeLabel}`}>
+                  {shortfall.sku} ({shortfall.scopeLabel}): {shortfall.reason}
+                  {shortfall.shortfall > 0 ? ` - ${shortfall.shortfall} units short` : ''}
+                </div>
+              ))}
+            </Alert>
+          )}
+
+          {tasks.length === 0 ? (
+            <Alert severity="info">No pending replenishment moves.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>From (Reserve)</TableCell>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Lot</TableCell>
+                    <TableCell align="right">Qty</TableCell>
+                    <TableCell>To (Pick Face)</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {tasks.map(task => (
+                    <TableRow key={task.id}>
+                      <TableCell>{task.fromBinCode}</TableCell>
+                      <TableCell>{task.sku}</TableCell>
+                      <TableCell>{task.lotNumber || '-'}</TableCell>
+                      <TableCell align="right">{task.quantity}</TableCell>
+                      <TableCell>{task.toBinCode}</TableCell>
+                      <TableCell>
+                        <Typography variant="caption" color="text.secondary">{task.reason}</Typography>
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="Mark as moved">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="success"
+                              onClick={() => handleCompleteTask(task)}
+                              disabled={busyTaskId === task.id}
+                            >
+                              <CompleteIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Cancel move">
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleCancelTask(task)}
+                              disabled={busyTaskId === task.id}
+                            >
+                              <CancelIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
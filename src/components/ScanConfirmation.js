@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip
+} from '@mui/material';
+import {
+  CheckCircle as ConfirmedIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import BarcodeScanner from './BarcodeScanner';
+import { useNotification } from '../context/NotificationContext';
+import { printService } from '../services/printService';
+import { productService } from '../services/productService';
+
+const matchesBin = (line, scannedBin) =>
+  (scannedBin.binId && line.binId === scannedBin.binId) || line.binCode === scannedBin.code;
+
+/**
+ * Scan-to-confirm for planned put-away or pick lines, before they are executed
+ * For each line the operator scans the bin QR label, then the product barcode. A line is
+ * confirmed only when both match the plan; wrong bins and wrong products are reported.
+ * Once every line is confirmed, onConfirmed receives one record per line with what was scanned.
+ *
+ * @param {Array} lines - { key, binId, binCode, sku, quantity, lotNumber, description }
+ * @param {Map} products - barcode lookup from productService.getBarcodeLookup, so alternate barcodes resolve
+ * @param {Function} onConfirmed - (confirmations) => void, called when the last line is confirmed
+ */
+export default function ScanConfirmation({ title, lines, products, onConfirmed, onClose }) {
+  const { showSuccess } = useNotification();
+
+  const [confirmations, setConfirmations] = useState([]);
+  const [activeBin, setActiveBin] = useState(null);
+  const [scanError, setScanError] = useState(null);
+  const [lastConfirmed, setLastConfirmed] = useState(null);
+
+  // Start over when a different set of lines is loaded
+  const linesSignature = lines.map(line => line.key).join('|');
+  useEffect(() => {
+    setConfirmations([]);
+    setActiveBin(null);
+    setScanError(null);
+    setLastConfirmed(null);
+  }, [linesSignature]);
+
+  const confirmedKeys = confirmations.map(confirmation => confirmation.key);
+  const openLines = lines.filter(line => !confirmedKeys.includes(line.key));
+  const nextLine = openLines[0];
+
+  const handleBinScan = (text) => {
+    const qrData = printService.parseQRData(text);
+    if (qrData && qrData.type !== 'bin') {
+      setScanError(`That is a ${qrData.type} label - scan the bin label instead`);
+      return;
+    }
+
+    const scannedBin = qrData ? { binId: qrData.binId, code: qrData.code } : { binId: null, code: text };
+    const binLines = lines.filter(line => matchesBin(line, scannedBin));
+
+    if (binLines.length === 0) {
+      setScanError(
+        `Wrong bin: ${scannedBin.code} is not on this list${nextLine ? ` - go to ${nextLine.binCode}` : ''}`
+      );
+      return;
+    }
+    if (binLines.every(line => confirmedKeys.includes(line.key))) {
+      setScanError(`Every line for bin ${scannedBin.code} is already confirmed`);
+      return;
+    }
+
+    setActiveBin({ binId: binLines[0].binId, code: binLines[0].binCode, scanned: text });
+    setScanError(null);
+  };
+
+  const handleProductScan = (text) => {
+    const resolved = products && products.size > 0 ? productService.resolveBarcode(products, text) : null;
+    const sku = resolved ? resolved.sku : text;
+    const binLines = openLines.filter(line => matchesBin(line, activeBin));
+    const line = binLines.find(candidate => candidate.sku === sku);
+
+    if (!line) {
+      const expected = [...new Set(binLines.map(candidate => candidate.sku))].join(', ');
+      setScanError(`Wrong SKU: scanned ${sku}${resolved && resolved.scannedBarcode !== sku ? ` (${resolved.scannedBarcode})` : ''}, bin ${activeBin.code} expects ${expected}`);
+      return;
+    }
+
+    const updated = [...confirmations, {
+      key: line.key,
+      binId: line.binId,
+      binCode: line.binCode,
+      sku: line.sku,
+      lotNumber: line.lotNumber || null,
+      quantity: line.quantity,
+      scannedBin: activeBin.scanned,
+      scannedBarcode: text,
+      confirmedAt: new Date().toISOString()
+    }];
+    setConfirmations(updated);
+    setLastConfirmed(line);
+    setScanError(null);
+
+    // Stay on the bin while it still has open lines
+    if (binLines.length === 1) {
+      setActiveBin(null);
+    }
+
+    if (updated.length === lines.length) {
+      showSuccess(`All ${lines.length} lines confirmed by scan`);
+      if (onConfirmed) onConfirmed(updated);
+    }
+  };
+
+  const handleScan = (rawText) => {
+    const text = rawText.trim();
+    if (!text) return;
+
+    // A bin label scanned mid-line switches to that bin
+    if (!activeBin || printService.parseQRData(text)?.type === 'bin') {
+      handleBinScan(text);
+    } else {
+      handleProductScan(text);
+    }
+  };
+
+  const allConfirmed = lines.length > 0 && confirmedKeys.length === lines.length;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+          <Typography variant="h6">{title}</Typography>
+          <Box display="flex" gap={1} alignItems="center">
+            <Chip
+              label={`${confirmedKeys.length}/${lines.length} confirmed`}
+              color={allConfirmed ? 'success' : 'default'}
+            />
+            {onClose && (
+              <Button size="small" startIcon={<CloseIcon />} onClick={onClose}>
+                Close
+              </Button>
+            )}
+          </Box>
+        </Box>
+
+        <LinearProgress
+          variant="determinate"
+          value={lines.length > 0 ? (confirmedKeys.length / lines.length) * 100 : 0}
+          sx={{ mb: 2 }}
+        />
+
+        {allConfirmed ? (
+          <Alert severity="success" sx={{ mb: 2 }}>Every line has been confirmed.</Alert>
+        ) : (
+          <Alert severity={activeBin ? 'info' : 'warning'} sx={{ mb: 2 }}>
+            {activeBin
+              ? `Bin ${activeBin.code} scanned - now scan the product barcode`
+              : `Scan the bin label${nextLine ? ` (next: ${nextLine.binCode})` : ''}`}
+          </Alert>
+        )}
+
+        {scanError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setScanError(null)}>
+            {scanError}
+          </Alert>
+        )}
+
+        {lastConfirmed && !scanError && !allConfirmed && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            Confirmed {lastConfirmed.quantity} × {lastConfirmed.sku} in {lastConfirmed.binCode}
+          </Alert>
+        )}
+
+        {!allConfirmed && (
+          <Box sx={{ mb: 2 }}>
+            <BarcodeScanner
+              onScan={handleScan}
+              placeholder={activeBin ? 'Product barcode' : 'Bin code'}
+            />
+          </Box>
+        )}
+
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Bin</TableCell>
+                <TableCell>SKU</TableCell>
+                <TableCell>Lot</TableCell>
+                <TableCell align="right">Quantity</TableCell>
+                <TableCell>Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {lines.map(line => {
+                const confirmed = confirmedKeys.includes(line.key);
+                const inActiveBin = !confirmed && activeBin && matchesBin(line, activeBin);
+                return (
+                  <TableRow key={line.key} selected={!!inActiveBin}>
+                    <TableCell><strong>{line.binCode}</strong></TableCell>
+                    <TableCell>
+                      {line.sku}
+                      {line.description && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {line.description}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{line.lotNumber || '-'}</TableCell>
+                    <TableCell align="right">{line.quantity}</TableCell>
+                    <TableCell>
+                      {confirmed ? (
+                        <Chip size="small" color="success" icon={<ConfirmedIcon />} label="Confirmed" />
+                      ) : (
+                        <Chip size="small" label={inActiveBin ? 'Scan product' : 'Pending'} />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </CardContent>
+    </Card>
+  );
+}
@@ -54,7 +54,8 @@ import {
   TrendingUp as MovementIcon,
   Storage as StorageIcon,
   Warning as WarningIcon,
-  Upload as UploadIcon
+  Upload as UploadIcon,
+  Tune as OperationsIcon
 } from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -65,6 +66,11 @@ import { backupService } from '../services/backupService';
 import { reportService } from '../services/reportService';
 import { printService } from '../services/printService';
 import { warehouseService } from '../services/warehouseService';
+import { warehouseOperations } from '../services/warehouseOperations';
+import { putAwayStrategyService } from '../services/putAwayStrategyService';
+import { productService } from '../services/productService';
+import { storageRuleService } from '../services/storageRuleService';
+import StorageRulesDialog from './StorageRulesDialog';
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -85,7 +91,7 @@ function TabPanel({ children, value, index, ...other }) {
 }
 
 export default function Settings() {
-  const { currentWarehouse } = useWarehouse();
+  const { currentWarehouse, dispatch, zones = [] } = useWarehouse();
   const { showSuccess, showError, showInfo } = useNotification();
   
   const [tabValue, setTabValue] = useState(0);
@@ -107,6 +113,7 @@ export default function Settings() {
   const [reportGenerating, setReportGenerating] = useState(false);
   const [reportScope, setReportScope] = useState('full'); // Default to full report as requested
   const [selectedSkus, setSelectedSkus] = useState(''); // For selected items reporting
+  const [expiryDaysAhead, setExpiryDaysAhead] = useState(30); // Look-ahead window for expiry reports
 
   // Delete Warehouse State
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
@@ -122,14 +129,146 @@ export default function Settings() {
   // Delete progress tracking
   const [deleteProgressStep, setDeleteProgressStep] = useState('');
 
+  // Operation Rules State
+  const [blockExpiredPicks, setBlockExpiredPicks] = useState(false);
+  const [expiryAlertDays, setExpiryAlertDays] = useState(30);
+  const [putAwayPartialPolicy, setPutAwayPartialPolicy] = useState(warehouseOperations.partialAllocationPolicies.REJECT_ALL);
+  const [overflowLocation, setOverflowLocation] = useState(warehouseOperations.defaultOverflowLocation);
+  const [putAwayStrategy, setPutAwayStrategy] = useState(putAwayStrategyService.defaultStrategy);
+  const [heavyItemWeight, setHeavyItemWeight] = useState(putAwayStrategyService.defaultHeavyItemWeight);
+  const [strategyByCategory, setStrategyByCategory] = useState({});
+  const [zoneByCategory, setZoneByCategory] = useState({});
+  const [productCategories, setProductCategories] = useState([]);
+  const [savingOperationRules, setSavingOperationRules] = useState(false);
+  const [storageRulesDialogOpen, setStorageRulesDialogOpen] = useState(false);
+
   useEffect(() => {
     loadBackups();
     initializeAutoBackup();
   }, [currentWarehouse]);
 
-  // Reset report scope when changing report type - inventory summary only supports 'full'
   useEffect(() => {
-    if (reportType === 'inventory_summary' && reportScope !== 'full') {
+    setBlockExpiredPicks(currentWarehouse?.settings?.blockExpiredPicks === true);
+    setExpiryAlertDays(currentWarehouse?.settings?.expiryAlertDays ?? 30);
+    setExpiryDaysAhead(currentWarehouse?.settings?.expiryAlertDays ?? 30);
+    setPutAwayPartialPolicy(currentWarehouse?.settings?.putAwayPartialPolicy || warehouseOperations.partialAllocationPolicies.REJECT_ALL);
+    setOverflowLocation(currentWarehouse?.settings?.overflowLocation || warehouseOperations.defaultOverflowLocation);
+    setPutAwayStrategy(putAwayStrategyService.resolveStrategy(currentWarehouse?.settings));
+    setHeavyItemWeight(currentWarehouse?.settings?.heavyItemWeight ?? putAwayStrategyService.defaultHeavyItemWeight);
+    setStrategyByCategory(currentWarehouse?.settings?.putAwayStrategyByCategory || {});
+    setZoneByCategory(currentWarehouse?.settings?.putAwayZoneByCategory || {});
+  }, [currentWarehouse]);
+
+  // Category overrides are offered for the categories used in the product catalogue
+  useEffect(() => {
+    if (!currentWarehouse?.id) return;
+
+    productService.getProducts(currentWarehouse.id)
+      .then(products => setProductCategories([...new Set(products.map(product => product.category).filter(Boolean))].sort()))
+      .catch(error => console.error('Error loading product categories:', error));
+  }, [currentWarehouse?.id]);
+
+  // Persist operation rules and keep the warehouse in context in step
+  const saveOperationRules = async (settings) => {
+    await warehouseService.updateWarehouseSettings(currentWarehouse.id, settings);
+    dispatch({
+      type: 'SET_CURRENT_WAREHOUSE',
+      payload: { ...currentWarehouse, settings: { ...(currentWarehouse.settings || {}), ...settings } }
+    });
+  };
+
+  const handleToggleBlockExpiredPicks = async (enabled) => {
+    if (!currentWarehouse?.id) return;
+
+    setSavingOperationRules(true);
+    try {
+      await saveOperationRules({ blockExpiredPicks: enabled });
+      setBlockExpiredPicks(enabled);
+      showSuccess(enabled ? 'Expired stock will no longer be picked' : 'Expired stock can be picked again');
+    } catch (error) {
+      showError('Failed to update operation rules');
+    } finally {
+      setSavingOperationRules(false);
+    }
+  };
+
+  const handleSaveExpiryAlertDays = async () => {
+    const days = parseInt(expiryAlertDays);
+    if (!currentWarehouse?.id || isNaN(days) || days < 0) {
+      showError('Enter a valid number of days');
+      return;
+    }
+
+    setSavingOperationRules(true);
+    try {
+      await saveOperationRules({ expiryAlertDays: days });
+      showSuccess(`Expiry alerts will fire ${days} days before expiry`);
+    } catch (error) {
+      showError('Failed to update operation rules');
+    } finally {
+      setSavingOperationRules(false);
+    }
+  };
+
+  const handleSavePutAwayCapacityRules = async () => {
+    const location = overflowLocation.trim();
+    if (!currentWarehouse?.id || !location) {
+      showError('Enter an overflow location');
+      return;
+    }
+
+    setSavingOperationRules(true);
+    try {
+      await saveOperationRules({ putAwayPartialPolicy, overflowLocation: location });
+      showSuccess('Put-away capacity rules saved');
+    } catch (error) {
+      showError('Failed to update operation rules');
+    } finally {
+      setSavingOperationRules(false);
+    }
+  };
+
+  const handleSavePutAwayStrategy = async () => {
+    const weight = parseFloat(heavyItemWeight);
+    if (!currentWarehouse?.id || isNaN(weight) || weight < 0) {
+      showError('Enter a valid heavy item weight');
+      return;
+    }
+
+    // Leave out categories that follow the warehouse default
+    const dropEmpty = (map) => Object.fromEntries(Object.entries(map).filter(([, value]) => value));
+
+    setSavingOperationRules(true);
+    try {
+      await saveOperationRules({
+        putAwayStrategy,
+        heavyItemWeight: weight,
+        putAwayStrategyByCategory: dropEmpty(strategyByCategory),
+        putAwayZoneByCategory: dropEmpty(zoneByCategory)
+      });
+      showSuccess('Put-away strategy saved');
+    } catch (error) {
+      showError('Failed to update operation rules');
+    } finally {
+      setSavingOperationRules(false);
+    }
+  };
+
+  const handleSaveStorageRules = async (target, rules) => {
+    try {
+      await saveOperationRules({ storageRules: rules });
+      showSuccess('Warehouse storage rules saved');
+      setStorageRulesDialogOpen(false);
+    } catch (error) {
+      showError('Failed to update operation rules');
+    }
+  };
+
+  const warehouseStorageRules = storageRuleService.normalizeRules(currentWarehouse?.settings?.storageRules);
+
+  // Reset report scope when changing report type - only stock movements support date ranges
+  useEffect(() => {
+    if (reportType !== 'stock_movements' && reportScope !== 'full') {
       setReportScope('full');
     }
   }, [reportType, reportScope]);
@@ -305,6 +444,7 @@ export default function Settings() {
         selectedSkus: (reportScope === 'selected' || reportScope === 'by_category' || reportScope === 'by_location') 
           ? selectedSkus.split(',').map(item => item.trim()).filter(item => item) 
           : null,
+        daysAhead: reportType === 'expiry_report' ? parseInt(expiryDaysAhead) : undefined,
         includeCharts: reportFormat === 'excel',
         includeMetrics: true,
         generatedAt: new Date().toISOString(),
@@ -329,6 +469,9 @@ export default function Settings() {
         } else if (report.data.operations) {
           itemCount = report.data.operations.length;
           isEmpty = itemCount === 0;
+        } else if (report.data.items) {
+          itemCount = report.data.items.length;
+          isEmpty = itemCount === 0;
         }
         
         if (isEmpty && reportScope === 'date_range') {
@@ -488,6 +631,8 @@ export default function Settings() {
         return '📦 Complete stock movement history including date, location, put-away operations, pick operations, quantity movements, and closing stock levels for comprehensive tracking.';
       case 'inventory_summary': 
         return '📊 Current inventory levels showing real-time stock quantities, bin locations, and storage occupancy across all warehouse areas.';
+      case 'expiry_report':
+        return '⏰ Stock that has expired or will expire within the chosen number of days, listed per lot and location and grouped by SKU.';
       // case 'putaway_summary': 
       //   return '📥 Put-away operations summary with detailed statistics, success rates, and storage allocation performance metrics.';
       // case 'pick_summary': 
@@ -513,6 +658,7 @@ export default function Settings() {
     switch (type) {
       case 'stock_movements': return 'Stock Movement Report';
       case 'inventory_summary': return 'Inventory Summary Report';
+      case 'expiry_report': return 'Expiry Report';
       case 'putaway_summary': return 'Put-Away Operations Report';
       case 'pick_summary': return 'Pick Operations Report';
       case 'bin_utilization': return 'Bin Utilization Report';
@@ -547,6 +693,16 @@ export default function Settings() {
             • <strong>Last Updated:</strong> When inventory was last modified
           </>
         );
+      case 'expiry_report':
+        return (
+          <>
+            • <strong>Barcode:</strong> SKU/Product identifier<br/>
+            • <strong>Location:</strong> Bin holding the lot<br/>
+            • <strong>Lot & Expiry:</strong> Lot number and expiry date<br/>
+            • <strong>Days To Expiry:</strong> Negative once expired<br/>
+            • <strong>SKU Totals:</strong> Expired and near-expiry quantity per SKU
+          </>
+        );
       case 'putaway_summary':
         return (
           <>
@@ -701,6 +857,7 @@ export default function Settings() {
           >
             {/* <Tab icon={<BackupIcon />} label="Backup & Restore" /> */}
             <Tab icon={<ReportIcon />} label="Report Generation" />
+            <Tab icon={<OperationsIcon />} label="Operation Rules" />
             <Tab icon={<DeleteIcon />} label="Delete Warehouse" />
           </Tabs>
 
@@ -913,6 +1070,7 @@ export default function Settings() {
                           >
                             <MenuItem value="stock_movements">📦 Stock Movements (Complete)</MenuItem>
                             <MenuItem value="inventory_summary">📊 Current Inventory Summary</MenuItem>
+                            <MenuItem value="expiry_report">⏰ Expiry & Near-Expiry Stock</MenuItem>
                             {/* <MenuItem value="putaway_summary">📥 Put-Away Operations Summary</MenuItem>
                             <MenuItem value="pick_summary">📤 Pick Operations Summary</MenuItem>
                             <MenuItem value="bin_utilization">📈 Bin Utilization Analysis</MenuItem>
@@ -950,6 +1108,20 @@ export default function Settings() {
                         </FormControl>
                       </Grid>
 
+                      {reportType === 'expiry_report' && (
+                        <Grid item xs={12} md={6}>
+                          <TextField
+                            fullWidth
+                            type="number"
+                            label="Expiring Within (Days)"
+                            value={expiryDaysAhead}
+                            onChange={(e) => setExpiryDaysAhead(e.target.value)}
+                            inputProps={{ min: 0 }}
+                            helperText="Already expired stock is always included"
+                          />
+                        </Grid>
+                      )}
+
                       {reportScope === 'date_range' && (
                         <>
                           <Grid item xs={12} md={6}>
@@ -1061,6 +1233,8 @@ export default function Settings() {
                         <Alert severity="info" sx={{ mt: 1 }}>
                           {reportType === 'inventory_summary' 
                             ? '📊 Inventory Summary reports always show the complete current state of all items. Date range filtering is not applicable for inventory snapshots.'
+                            : reportType === 'expiry_report'
+                            ? '⏰ Expiry reports are based on current bin contents. Only lots with an expiry date are listed.'
                             : '📈 Stock Movement reports support both full historical data and custom date range filtering for focused analysis of specific time periods.'
                           }
                         </Alert>
@@ -1260,7 +1434,236 @@ export default function Settings() {
           </TabPanel>
 
           {/* Delete Warehouse Tab */}
+          {/* Operation Rules Tab */}
           <TabPanel value={tabValue} index={1}>
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={8}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Picking Rules
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      Picks always take the earliest expiring lot first (FEFO). Lots without an expiry date are picked after dated lots.
+                    </Typography>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={blockExpiredPicks}
+                          onChange={(e) => handleToggleBlockExpiredPicks(e.target.checked)}
+                          disabled={savingOperationRules}
+                        />
+                      }
+                      label="Block picking of expired stock"
+                    />
+                    <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                      When enabled, lots past their expiry date are left in their bins and reported as expired instead of being picked.
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+
+              <Grid item xs={12} md={8}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Expiry Alerts
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      The dashboard and in-app alerts flag lots that expire within this many days.
+                    </Typography>
+                    <Box display="flex" gap={2} alignItems="center">
+                      <TextField
+                        type="number"
+                        label="Alert Window (Days)"
+                        value={expiryAlertDays}
+                        onChange={(e) => setExpiryAlertDays(e.target.value)}
+                        inputProps={{ min: 0 }}
+                        size="small"
+                      />
+                      <Button
+                        variant="contained"
+                        onClick={handleSaveExpiryAlertDays}
+                        disabled={savingOperationRules}
+                      >
+                        Save
+                      </Button>
+                    </Box>
+                  </CardContent>
+                </Card>
+              </Grid>
+
+              <Grid item xs={12} md={8}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Put-Away Capacity
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      What happens when the free bin space cannot hold a whole put-away file.
+                    </Typography>
+                    <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+                      <FormControl size="small" sx={{ minWidth: 280 }}>
+                        <InputLabel>When Space Runs Out</InputLabel>
+                        <Select
+                          value={putAwayPartialPolicy}
+                          label="When Space Runs Out"
+                          onChange={(e) => setPutAwayPartialPolicy(e.target.value)}
+                        >
+                          <MenuItem value={warehouseOperations.partialAllocationPolicies.REJECT_ALL}>Reject the whole file</MenuItem>
+                          <MenuItem value={warehouseOperations.partialAllocationPolicies.ACCEPT_PARTIAL}>Accept partial, hold the remainder</MenuItem>
+                          <MenuItem value={warehouseOperations.partialAllocationPolicies.SUGGEST_RACKS}>Reject and suggest racks to add</MenuItem>
+                        </Select>
+                      </FormControl>
+                      <TextField
+                        label="Overflow Location"
+                        value={overflowLocation}
+                        onChange={(e) => setOverflowLocation(e.target.value)}
+                        size="small"
+                        disabled={putAwayPartialPolicy !== warehouseOperations.partialAllocationPolicies.ACCEPT_PARTIAL}
+                      />
+                      <Button
+                        variant="contained"
+                        onClick={handleSavePutAwayCapacityRules}
+                        disabled={savingOperationRules}
+                      >
+                        Save
+                      </Button>
+                    </Box>
+                    <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                      Held stock is recorded against the overflow location and listed as unallocated in the put-away report.
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+
+              <Grid item xs={12} md={8}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Put-Away Strategy
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      Decides which bins a put-away fills first. Categories can use their own strategy and dedicated zone;
+                      use Compare Strategies on the Put-Away screen to dry-run a file first.
+                    </Typography>
+                    <Box display="flex" gap={2} alignItems="center" flexWrap="wrap" sx={{ mb: 2 }}>
+                      <FormControl size="small" sx={{ minWidth: 260 }}>
+                        <InputLabel>Warehouse Default</InputLabel>
+                        <Select value={putAwayStrategy} label="Warehouse Default" onChange={(e) => setPutAwayStrategy(e.target.value)}>
+                          {Object.values(putAwayStrategyService.strategies).map(strategy => (
+                            <MenuItem key={strategy} value={strategy}>{putAwayStrategyService.strategyLabels[strategy]}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                      <TextField
+                        type="number"
+                        label="Heavy Item Weight (kg/unit)"
+                        value={heavyItemWeight}
+                        onChange={(e) => setHeavyItemWeight(e.target.value)}
+                        inputProps={{ min: 0 }}
+                        size="small"
+                      />
+                    </Box>
+
+                    {productCategories.length > 0 ? (
+                      <TableContainer sx={{ mb: 2 }}>
+                        <Table size="small">
+                          <TableHead>
+                            <TableRow>
+                              <TableCell>Category</TableCell>
+                              <TableCell>Strategy</TableCell>
+                              <TableCell>Dedicated Zone</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {productCategories.map(category => (
+                              <TableRow key={category}>
+                                <TableCell>{category}</TableCell>
+                                <TableCell>
+                                  <Select
+                                    size="small"
+                                    displayEmpty
+                                    value={strategyByCategory[category] || ''}
+                                    onChange={(e) => setStrategyByCategory({ ...strategyByCategory, [category]: e.target.value })}
+                                    sx={{ minWidth: 220 }}
+                                  >
+                                    <MenuItem value="">Warehouse default</MenuItem>
+                                    {Object.values(putAwayStrategyService.strategies).map(strategy => (
+                                      <MenuItem key={strategy} value={strategy}>{putAwayStrategyService.strategyLabels[strategy]}</MenuItem>
+                                    ))}
+                                  </Select>
+                                </TableCell>
+                                <TableCell>
+                                  <Select
+                                    size="small"
+                                    displayEmpty
+                                    value={zoneByCategory[category] || ''}
+                                    onChange={(e) => setZoneByCategory({ ...zoneByCategory, [category]: e.target.value })}
+                                    sx={{ minWidth: 160 }}
+                                  >
+                                    <MenuItem value="">None</MenuItem>
+                                    <MenuItem value="main">Main (unassigned)</MenuItem>
+                                    {zones.map(zone => (
+                                      <MenuItem key={zone.id} value={zone.id}>{zone.name || zone.id}</MenuItem>
+                                    ))}
+                                  </Select>
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </TableContainer>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                        Add categories to the product catalogue to set per-category strategies.
+                      </Typography>
+                    )}
+
+                    <Button
+                      variant="contained"
+                      onClick={handleSavePutAwayStrategy}
+                      disabled={savingOperationRules}
+                    >
+                      Save
+                    </Button>
+                  </CardContent>
+                </Card>
+              </Grid>
+
+              <Grid item xs={12} md={8}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Storage Rules
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      Warehouse defaults for SKU mixing, category segregation, level weight and temperature class.
+                      Racks, grids and bins can override them from Row Configuration. Put-away allocation, put-away
+                      execution and transfers skip or reject bins that break a rule.
+                    </Typography>
+                    <Box display="flex" gap={1} flexWrap="wrap" sx={{ mb: 2 }}>
+                      <Chip size="small" label={`Max SKUs per bin: ${warehouseStorageRules.maxSkusPerBin ?? 'no limit'}`} />
+                      <Chip size="small" label={`Max weight per level: ${warehouseStorageRules.maxWeightPerLevel !== null ? `${warehouseStorageRules.maxWeightPerLevel} kg` : 'no limit'}`} />
+                      <Chip size="small" label={`Temperature class: ${warehouseStorageRules.temperatureClass || 'any'}`} />
+                      {warehouseStorageRules.disallowedCategoryPairs.map((pair, index) => (
+                        <Chip key={index} size="small" color="warning" label={`${pair.first} ✕ ${pair.second}`} />
+                      ))}
+                    </Box>
+                    <Button
+                      variant="contained"
+                      onClick={() => setStorageRulesDialogOpen(true)}
+                      disabled={savingOperationRules}
+                    >
+                      Edit Rules
+                    </Button>
+                  </CardContent>
+                </Card>
+              </Grid>
+            </Grid>
+          </TabPanel>
+
+          <TabPanel value={tabValue} index={2}>
             <Grid container spacing={3}>
               <Grid item xs={12}>
                 <Alert severity="error" sx={{ mb: 3 }}>
@@ -1556,6 +1959,15 @@ export default function Settings() {
             </Button>
           </DialogActions>
         </Dialog>
+
+        <StorageRulesDialog
+          open={storageRulesDialogOpen}
+          title="Warehouse Storage Rules"
+          targets={[{ key: 'warehouse', label: 'Warehouse default', rules: currentWarehouse?.settings?.storageRules }]}
+          categories={productCategories}
+          onClose={() => setStorageRulesDialogOpen(false)}
+          onSave={handleSaveStorageRules}
+        />
       </Box>
     </LocalizationProvider>
   );
@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  LinearProgress
+} from '@mui/material';
+import {
+  Insights as AnalyzeIcon,
+  PlayArrow as ExecuteIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { slottingService } from '../services/slottingService';
+import { excelService } from '../services/excelService';
+
+const classColors = {
+  A: 'success',
+  B: 'warning',
+  C: 'default'
+};
+
+export default function SlottingAnalysis() {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [range, setRange] = useState(slottingService.getDefaultRange());
+  const [maxMoves, setMaxMoves] = useState(slottingService.defaultMaxMoves);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [executing, setExecuting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null);
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to analyse slotting.</Alert>
+    );
+  }
+
+  const handleAnalyze = async () => {
+    setLoading(true);
+    setResults(null);
+    try {
+      const newPlan = await slottingService.buildSlottingPlan(currentWarehouse.id, {
+        ...range,
+        maxMoves: parseInt(maxMoves) || slottingService.defaultMaxMoves
+      });
+      setPlan(newPlan);
+      if (newPlan.moves.length === 0) {
+        showSuccess('No class A stock needs to move');
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    if (!window.confirm(`Execute ${plan.moves.length} transfers (${plan.summary.unitsToMove} units)?`)) {
+      return;
+    }
+
+    setExecuting(true);
+    setProgress(0);
+    try {
+      const executionResults = await slottingService.executeMoves(currentWarehouse.id, plan.moves, setProgress);
+      setResults(executionResults);
+      if (executionResults.summary.failed > 0) {
+        showWarning(`${executionResults.summary.successful} moves done, ${executionResults.summary.failed} failed`);
+      } else {
+        showSuccess(`${executionResults.summary.successful} moves done`);
+      }
+      setPlan(null);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      await excelService.generateSlottingMoveList(plan);
+    } catch (error) {
+      showError(`Failed to export move list: ${error.message}`);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Slotting
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Classes SKUs A/B/C by how often and how many units were picked, then lists moves that bring class A stock
+        from upper levels and far racks into empty ground-level bins near the dock. Run the moves here or export
+        them and upload the file on the Transfers screen.
+      </Typography>
+
+      <Card sx={{ mb: 3, mt: 2 }}>
+        <CardContent>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="center">
+            <TextField
+              type="date"
+              label="From"
+              size="small"
+              value={range.startDate}
+              onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="date"
+              label="To"
+              size="small"
+              value={range.endDate}
+              onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="number"
+              label="Max Moves"
+              size="small"
+              value={maxMoves}
+              onChange={(e) => setMaxMoves(e.target.value)}
+              inputProps={{ min: 1 }}
+              sx={{ width: 120 }}
+            />
+            <Button variant="contained" startIcon={<AnalyzeIcon />} onClick={handleAnalyze} disabled={loading || executing}>
+              Analyse
+            </Button>
+          </Box>
+          {loading && <LinearProgress sx={{ mt: 2 }} />}
+        </CardContent>
+      </Card>
+
+      {results && (
+        <Alert severity={results.summary.failed > 0 ? 'warning' : 'success'} sx={{ mb: 3 }}>
+          {results.summary.successful} of {results.summary.total} moves done ({results.summary.totalQuantity} units).
+          {results.items.filter(item => item.status === 'Failed').map(item => (
+            <Typography key={item.rowNumber} variant="body2">
+              {item.barcode} {item.fromBinCode} → {item.toBinCode}: {item.error}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      {plan && (
+        <>
+          <Box display="flex" gap={2} flexWrap="wrap" sx={{ mb: 3 }}>
+            {['A', 'B', 'C'].map(abcClass => (
+              <Paper key={abcClass} sx={{ p: 2, textAlign: 'center', flex: '1 1 140px' }}>
+                <Typography variant="h5" color={abcClass === 'C' ? 'text.secondary' : `${classColors[abcClass]}.main`}>
+                  {plan.summary.classCounts[abcClass]}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">Class {abcClass} SKUs</Typography>
+              </Paper>
+            ))}
+            <Paper sx={{ p: 2, textAlign: 'center', flex: '1 1 140px' }}>
+              <Typography variant="h5">{plan.summary.outOfPlaceLots}</Typography>
+              <Typography variant="body2" color="text.secondary">Class A lots out of place</Typography>
+            </Paper>
+            <Paper sx={{ p: 2, textAlign: 'center', flex: '1 1 140px' }}>
+              <Typography variant="h5">{plan.summary.freePrimeBins}</Typography>
+              <Typography variant="body2" color="text.secondary">Empty prime bins left</Typography>
+            </Paper>
+          </Box>
+
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Box display="flex" gap={2} alignItems="center" flexWrap="wrap" sx={{ mb: 2 }}>
+                <Typography variant="h6">Move List</Typography>
+                <Chip label={`${plan.moves.length} moves`} />
+                <Chip label={`${plan.summary.unitsToMove} units`} variant="outlined" />
+                <Chip label={`Prime: level A within ${plan.primeDistance} m of the dock`} variant="outlined" />
+                <Box flexGrow={1} />
+                <Button startIcon={<DownloadIcon />} onClick={handleExport} disabled={plan.moves.length === 0}>
+                  Export
+                </Button>
+                <Button
+                  variant="contained"
+                  startIcon={<ExecuteIcon />}
+                  onClick={handleExecute}
+                  disabled={executing || plan.moves.length === 0}
+                >
+                  Execute Moves
+                </Button>
+              </Box>
+              {executing && <LinearProgress variant="determinate" value={progress} sx={{ mb: 2 }} />}
+
+              {plan.summary.truncated && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  More class A stock is out of place than the move limit allows. Run the analysis again after these moves.
+                </Alert>
+              )}
+              {plan.unplaced.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  No empty prime bin fits {plan.unplaced.length} class A lot(s):{' '}
+                  {plan.unplaced.slice(0, 10).map(item => `${item.sku} in ${item.binCode}`).join(', ')}
+                  {plan.unplaced.length > 10 ? ', ...' : ''}
+                </Alert>
+              )}
+
+              {plan.moves.length === 0 ? (
+                <Alert severity="success">All class A stock is already in prime bins.</Alert>
+              ) : (
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>#</TableCell>
+                        <TableCell>SKU</TableCell>
+                        <TableCell>Lot</TableCell>
+                        <TableCell align="right">Qty</TableCell>
+                        <TableCell>From</TableCell>
+                        <TableCell>To</TableCell>
+                        <TableCell align="right">Distance (m)</TableCell>
+                        <TableCell>Reason</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {plan.moves.map((move, index) => (
+                        <TableRow key={`${move.fromBinId}-${move.sku}-${move.lotNumber || index}`}>
+                          <TableCell>{index + 1}</TableCell>
+                          <TableCell><strong>{move.sku}</strong></TableCell>
+                          <TableCell>{move.lotNumber || '-'}</TableCell>
+                          <TableCell align="right">{move.quantity}</TableCell>
+                          <TableCell>{move.fromBinCode}</TableCell>
+                          <TableCell>{move.toBinCode}</TableCell>
+                          <TableCell align="right">{move.fromDistance} → {move.toDistance}</TableCell>
+                          <TableCell>{move.reason}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>ABC Velocity</Typography>
+              {plan.classes.length === 0 ? (
+                <Alert severity="info">No picks or stock in this warehouse yet.</Alert>
+              ) : (
+                <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 480 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>SKU</TableCell>
+                        <TableCell>Class</TableCell>
+                        <TableCell align="right">Pick Lines</TableCell>
+                        <TableCell align="right">Units Picked</TableCell>
+                        <TableCell>By Frequency / Units</TableCell>
+                        <TableCell align="right">Stock</TableCell>
+                        <TableCell align="right">Bins</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {plan.classes.map(row => (
+                        <TableRow key={row.sku}>
+                          <TableCell>{row.sku}</TableCell>
+                          <TableCell>
+                            <Chip size="small" color={classColors[row.abcClass]} label={row.abcClass} />
+                          </TableCell>
+                          <TableCell align="right">{row.pickLines}</TableCell>
+                          <TableCell align="right">{row.units}</TableCell>
+                          <TableCell>{row.frequencyClass} / {row.unitsClass}</TableCell>
+                          <TableCell align="right">{row.stockQty}</TableCell>
+                          <TableCell align="right">{row.binCount}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  PauseCircle as HoldIcon,
+  PlayArrow as ReleaseIcon,
+  DeleteForever as ScrapIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { stockHoldService } from '../services/stockHoldService';
+import { warehouseOperations } from '../services/warehouseOperations';
+import { authService } from '../services/authService_new';
+
+const EMPTY_HOLD = {
+  sku: '',
+  lotNumber: '',
+  binId: '',
+  reason: stockHoldService.holdReasons.QC_INSPECTION,
+  notes: ''
+};
+
+const statusColors = {
+  active: 'warning',
+  released: 'success',
+  scrapped: 'error'
+};
+
+export default function StockHolds({ user }) {
+  const { currentWarehouse, bins = [] } = useWarehouse();
+  const { showSuccess, showError } = useNotification();
+  const isMaster = authService.isMaster(user);
+
+  const [holds, setHolds] = useState([]);
+  const [form, setForm] = useState(EMPTY_HOLD);
+  const [saving, setSaving] = useState(false);
+  const [resolving, setResolving] = useState(null); // { hold, action }
+  const [resolutionNotes, setResolutionNotes] = useState('');
+
+  const loadHolds = useCallback(async () => {
+    try {
+      setHolds(await stockHoldService.getHolds(currentWarehouse.id));
+    } catch (error) {
+      showError(`Failed to load holds: ${error.message}`);
+    }
+  }, [currentWarehouse?.id, showError]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadHolds();
+    }
+  }, [currentWarehouse?.id, loadHolds]);
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to manage stock holds.</Alert>
+    );
+  }
+
+  const getContents = (bin) => warehouseOperations.getBinContents(bin);
+  const stockedSkus = [...new Set(bins.flatMap(bin => getContents(bin).map(content => content.sku)))].sort();
+  const skuBins = bins.filter(bin => getContents(bin).some(content => content.sku === form.sku));
+  const skuLots = [...new Set(skuBins.flatMap(bin => getContents(bin)
+    .filter(content => content.sku === form.sku && content.lotNumber)
+    .map(content => content.lotNumber)))];
+
+  const getHeldQuantity = (hold) => stockHoldService.getHeldStock(hold, bins, getContents)
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+
+  const activeHolds = holds.filter(hold => hold.status === stockHoldService.statuses.ACTIVE);
+  const resolvedHolds = holds.filter(hold => hold.status !== stockHoldService.statuses.ACTIVE);
+  const preview = form.sku
+    ? getHeldQuantity({ sku: form.sku, lotNumber: form.lotNumber || null, binId: form.binId || null })
+    : 0;
+
+  const handlePlaceHold = async () => {
+    setSaving(true);
+    try {
+      const hold = await stockHoldService.placeHold(currentWarehouse.id, form, user, bins);
+      showSuccess(`${hold.sku}${hold.lotNumber ? ` lot ${hold.lotNumber}` : ''} put on hold (${hold.quantityAtHold} units)`);
+      setForm(EMPTY_HOLD);
+      await loadHolds();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openResolve = (hold, action) => {
+    setResolving({ hold, action });
+    setResolutionNotes('');
+  };
+
+  const handleResolve = async () => {
+    const { hold, action } = resolving;
+    setSaving(true);
+    try {
+      if (action === 'scrap') {
+        const result = await stockHoldService.scrapHold(currentWarehouse.id, hold.id, user, resolutionNotes);
+        showSuccess(`Scrapped ${result.scrappedQuantity} units of ${hold.sku}`);
+      } else {
+        await stockHoldService.releaseHold(currentWarehouse.id, hold.id, user, resolutionNotes);
+        showSuccess(`Hold on ${hold.sku} released`);
+      }
+      setResolving(null);
+      await loadHolds();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describeScope = (hold) => [
+    hold.lotNumber ? `Lot ${hold.lotNumber}` : 'All lots',
+    hold.binCode ? `in ${hold.binCode}` : 'in all bins'
+  ].join(' ');
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        QC Holds
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Put a SKU, a lot or a bin's stock on hold. Held stock stays where it is but is not picked, and the inventory
+        report lists it separately. Only master users can release or scrap a hold.
+      </Typography>
+
+      <Card sx={{ mb: 3, mt: 2 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>Place Hold</Typography>
+          <Box display="flex" gap={2} flexWrap="wrap" alignItems="flex-start">
+            <Autocomplete
+              freeSolo
+              options={stockedSkus}
+              value={form.sku}
+              onInputChange={(e, value) => setForm({ ...form, sku: value || '', lotNumber: '', binId: '' })}
+              renderInput={(params) => <TextField {...params} label="SKU / Barcode" size="small" />}
+              sx={{ minWidth: 220 }}
+            />
+            <Autocomplete
+              freeSolo
+              options={skuLots}
+              value={form.lotNumber}
+              onInputChange={(e, value) => setForm({ ...form, lotNumber: value || '' })}
+              renderInput={(params) => <TextField {...params} label="Lot (optional)" size="small" />}
+              sx={{ minWidth: 180 }}
+            />
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Bin</InputLabel>
+              <Select value={form.binId} label="Bin" onChange={(e) => setForm({ ...form, binId: e.target.value })}>
+                <MenuItem value="">All bins</MenuItem>
+                {skuBins.map(bin => (
+                  <MenuItem key={bin.id} value={bin.id}>{bin.code}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Reason</InputLabel>
+              <Select value={form.reason} label="Reason" onChange={(e) => setForm({ ...form, reason: e.target.value })}>
+                {Object.values(stockHoldService.holdReasons).map(reason => (
+                  <MenuItem key={reason} value={reason}>{stockHoldService.holdReasonLabels[reason]}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Notes"
+              size="small"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              sx={{ flex: '1 1 200px' }}
+            />
+            <Button
+              variant="contained"
+              color="warning"
+              startIcon={<HoldIcon />}
+              onClick={handlePlaceHold}
+              disabled={saving || !form.sku}
+            >
+              Place Hold
+            </Button>
+          </Box>
+          {form.sku && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {preview} units currently in stock would be held.
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box display="flex" gap={2} alignItems="center" sx={{ mb: 2 }}>
+            <Typography variant="h6">Active Holds</Typography>
+            <Chip label={`${activeHolds.length} holds`} />
+            <Chip
+              color="warning"
+              variant="outlined"
+              label={`${activeHolds.reduce((sum, hold) => sum + getHeldQuantity(hold), 0)} units held`}
+            />
+          </Box>
+
+          {!isMaster && activeHolds.length > 0 && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Ask a master user to release or scrap held stock.
+            </Alert>
+          )}
+
+          {activeHolds.length === 0 ? (
+            <Alert severity="success">No stock is on hold.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Scope</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell align="right">Held Qty</TableCell>
+                    <TableCell>Placed By</TableCell>
+                    <TableCell>Notes</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {activeHolds.map(hold => (
+                    <TableRow key={hold.id}>
+                      <TableCell><strong>{hold.sku}</strong></TableCell>
+                      <TableCell>{describeScope(hold)}</TableCell>
+                      <TableCell>{stockHoldService.getReasonLabel(hold)}</TableCell>
+                      <TableCell align="right">{getHeldQuantity(hold)}</TableCell>
+                      <TableCell>
+                        {hold.createdBy}
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {hold.createdAt ? new Date(hold.createdAt).toLocaleString() : ''}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{hold.notes || '-'}</TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Button
+                          size="small"
+                          color="success"
+                          startIcon={<ReleaseIcon />}
+                          disabled={!isMaster}
+                          onClick={() => openResolve(hold, 'release')}
+                        >
+                          Release
+                        </Button>
+                        <Button
+                          size="small"
+                          color="error"
+                          startIcon={<ScrapIcon />}
+                          disabled={!isMaster}
+                          onClick={() => openResolve(hold, 'scrap')}
+                        >
+                          Scrap
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {resolvedHolds.length > 0 && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>Resolved Holds</Typography>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Scope</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell>Outcome</TableCell>
+                    <TableCell align="right">Scrapped Qty</TableCell>
+                    <TableCell>Resolved By</TableCell>
+                    <TableCell>Notes</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {resolvedHolds.map(hold => (
+                    <TableRow key={hold.id}>
+                      <TableCell>{hold.sku}</TableCell>
+                      <TableCell>{describeScope(hold)}</TableCell>
+                      <TableCell>{stockHoldService.getReasonLabel(hold)}</TableCell>
+                      <TableCell>
+                        <Chip size="small" color={statusColors[hold.status] || 'default'} label={hold.status} />
+                      </TableCell>
+                      <TableCell align="right">{hold.status === stockHoldService.statuses.SCRAPPED ? hold.scrappedQuantity || 0 : '-'}</TableCell>
+                      <TableCell>
+                        {hold.resolvedBy}
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {hold.resolvedAt ? new Date(hold.resolvedAt).toLocaleString() : ''}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{hold.resolutionNotes || '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Release / Scrap Dialog */}
+      <Dialog open={Boolean(resolving)} onClose={() => setResolving(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {resolving?.action === 'scrap' ? 'Scrap Held Stock' : 'Release Hold'}
+        </DialogTitle>
+        <DialogContent>
+          {resolving && (
+            <Alert severity={resolving.action === 'scrap' ? 'error' : 'info'} sx={{ mb: 2, mt: 1 }}>
+              {resolving.action === 'scrap'
+                ? `${getHeldQuantity(resolving.hold)} units of ${resolving.hold.sku} (${describeScope(resolving.hold)}) will be removed from stock and logged as an adjustment.`
+                : `${resolving.hold.sku} (${describeScope(resolving.hold)}) can be picked again.`}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Notes"
+            value={resolutionNotes}
+            onChange={(e) => setResolutionNotes(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResolving(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={resolving?.action === 'scrap' ? 'error' : 'success'}
+            onClick={handleResolve}
+            disabled={saving}
+          >
+            {resolving?.action === 'scrap' ? 'Scrap' : 'Release'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
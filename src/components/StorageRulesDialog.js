@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Typography,
+  IconButton,
+  Alert,
+  Autocomplete
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { storageRuleService } from '../services/storageRuleService';
+import { productService } from '../services/productService';
+
+const toForm = (rules = {}) => ({
+  maxSkusPerBin: rules.maxSkusPerBin ?? '',
+  maxWeightPerLevel: rules.maxWeightPerLevel ?? '',
+  temperatureClass: rules.temperatureClass || '',
+  disallowedCategoryPairs: (rules.disallowedCategoryPairs || []).map(pair => ({ ...pair }))
+});
+
+/**
+ * Edit storage constraint rules for one of several locations (warehouse, rack, grid or bin)
+ * Empty fields inherit the rule from the next level up.
+ *
+ * @param {Array} targets - { key, label, rules }
+ * @param {Array} categories - product categories offered for segregation pairs
+ * @param {Function} onSave - async (target, rules)
+ */
+export default function StorageRulesDialog({ open, title, targets, categories = [], onClose, onSave }) {
+  const [selectedKey, setSelectedKey] = useState('');
+  const [form, setForm] = useState(toForm());
+  const [saving, setSaving] = useState(false);
+
+  const selectedTarget = targets.find(target => target.key === selectedKey) || targets[0];
+  const firstTargetKey = targets[0]?.key || '';
+  const selectedRules = selectedTarget?.rules;
+
+  useEffect(() => {
+    if (open) setSelectedKey(firstTargetKey);
+  }, [open, firstTargetKey]);
+
+  // Reset the form when another location is picked or its saved rules change
+  useEffect(() => {
+    setForm(toForm(selectedRules));
+  }, [selectedTarget?.key, selectedRules, open]);
+
+  const categoryOptions = [...new Set([storageRuleService.hazardousCategory, ...categories])];
+
+  const updatePair = (index, field, value) => {
+    const pairs = form.disallowedCategoryPairs.map((pair, i) => (i === index ? { ...pair, [field]: value || '' } : pair));
+    setForm({ ...form, disallowedCategoryPairs: pairs });
+  };
+
+  const handleSave = async () => {
+    if (!selectedTarget) return;
+
+    setSaving(true);
+    try {
+      await onSave(selectedTarget, storageRuleService.normalizeRules(form));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title || 'Storage Rules'}</DialogTitle>
+      <DialogContent>
+        {targets.length > 1 && (
+          <FormControl fullWidth size="small" sx={{ mt: 1, mb: 2 }}>
+            <InputLabel>Apply To</InputLabel>
+            <Select value={selectedTarget?.key || ''} label="Apply To" onChange={(e) => setSelectedKey(e.target.value)}>
+              {targets.map(target => (
+                <MenuItem key={target.key} value={target.key}>{target.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+
+        <Alert severity="info" sx={{ mb: 2, mt: targets.length > 1 ? 0 : 1 }}>
+          Leave a field empty to inherit it. Bin rules override grid rules, grid rules override rack rules
+          and rack rules override the warehouse defaults. Category pairs add up across levels.
+        </Alert>
+
+        <Box display="flex" gap={2} flexWrap="wrap" sx={{ mb: 2 }}>
+          <TextField
+            type="number"
+            label="Max SKUs per Bin"
+            value={form.maxSkusPerBin}
+            onChange={(e) => setForm({ ...form, maxSkusPerBin: e.target.value })}
+            inputProps={{ min: 1 }}
+            size="small"
+          />
+          <TextField
+            type="number"
+            label="Max Weight per Level (kg)"
+            value={form.maxWeightPerLevel}
+            onChange={(e) => setForm({ ...form, maxWeightPerLevel: e.target.value })}
+            inputProps={{ min: 0 }}
+            size="small"
+          />
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Temperature Class</InputLabel>
+            <Select
+              value={form.temperatureClass}
+              label="Temperature Class"
+              onChange={(e) => setForm({ ...form, temperatureClass: e.target.value })}
+            >
+              <MenuItem value="">Inherit / any</MenuItem>
+              {Object.values(productService.temperatureClasses).map(temperatureClass => (
+                <MenuItem key={temperatureClass} value={temperatureClass}>{temperatureClass}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <Typography variant="subtitle2" gutterBottom>
+          Categories that may not share a grid
+        </Typography>
+        {form.disallowedCategoryPairs.map((pair, index) => (
+          <Box key={index} display="flex" gap={1} alignItems="center" sx={{ mb: 1 }}>
+            <Autocomplete
+              freeSolo
+              options={categoryOptions}
+              value={pair.first}
+              onInputChange={(e, value) => updatePair(index, 'first', value)}
+              renderInput={(params) => <TextField {...params} label="Category" size="small" />}
+              sx={{ flex: 1 }}
+            />
+            <Typography variant="body2">with</Typography>
+            <Autocomplete
+              freeSolo
+              options={categoryOptions}
+              value={pair.second}
+              onInputChange={(e, value) => updatePair(index, 'second', value)}
+              renderInput={(params) => <TextField {...params} label="Category" size="small" />}
+              sx={{ flex: 1 }}
+            />
+            <IconButton
+              size="small"
+              color="error"
+              onClick={() => setForm({ ...form, disallowedCategoryPairs: form.disallowedCategoryPairs.filter((_, i) => i !== index) })}
+            >
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+        ))}
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={() => setForm({ ...form, disallowedCategoryPairs: [...form.disallowedCategoryPairs, { first: '', second: '' }] })}
+        >
+          Add Pair
+        </Button>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !selectedTarget}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,440 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Divider
+} from '@mui/material';
+import {
+  CloudUpload as UploadIcon,
+  PlayArrow as ExecuteIcon,
+  Refresh as RefreshIcon,
+  Delete as DeleteIcon,
+  Route as RouteIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { excelService } from '../services/excelService';
+import { productService } from '../services/productService';
+import { warehouseService } from '../services/warehouseService';
+import { warehouseOperations } from '../services/warehouseOperations';
+
+export default function WavePicking({ onWaveExecuted }) {
+  const { currentWarehouse } = useWarehouse();
+  const { showSuccess, showError, showWarning } = useNotification();
+
+  const [pendingTasks, setPendingTasks] = useState([]);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [fileOrders, setFileOrders] = useState([]);
+  const [wavePlan, setWavePlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [executing, setExecuting] = useState(false);
+  const [loadingTasks, setLoadingTasks] = useState(false);
+
+  const loadPendingTasks = useCallback(async () => {
+    setLoadingTasks(true);
+    try {
+      const tasks = await warehouseService.getPickTasks(currentWarehouse.id, { status: 'pending' });
+      setPendingTasks(tasks);
+      setSelectedTaskIds(ids => ids.filter(id => tasks.some(task => task.id === id)));
+    } catch (error) {
+      console.error('Error loading pending pick tasks:', error);
+      showError('Failed to load pending pick tasks');
+    } finally {
+      setLoadingTasks(false);
+    }
+  }, [currentWarehouse?.id, showError]);
+
+  useEffect(() => {
+    if (currentWarehouse?.id) {
+      loadPendingTasks();
+    }
+  }, [currentWarehouse?.id, loadPendingTasks]);
+
+  // A discarded plan hands its reserved stock back straight away instead of letting it expire
+  const discardWavePlan = () => {
+    if (wavePlan) {
+      warehouseOperations.releasePlanReservations(currentWarehouse.id, wavePlan);
+    }
+    setWavePlan(null);
+  };
+
+  const toggleTask = (taskId) => {
+    setSelectedTaskIds(ids =>
+      ids.includes(taskId) ? ids.filter(id => id !== taskId) : [...ids, taskId]
+    );
+    discardWavePlan();
+  };
+
+  const handleFilesUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    const parsedOrders = [];
+    const products = await productService.getBarcodeLookup(currentWarehouse.id);
+    for (const file of files) {
+      try {
+        const data = await excelService.parsePickFile(file, { products });
+        if (data.errors.length > 0) {
+          showWarning(`${file.name}: ${data.errors.length} row(s) skipped - ${data.errors.join(', ')}`);
+        }
+        parsedOrders.push({
+          orderNumber: file.name.replace(/\.[^.]+$/, ''),
+          source: 'file',
+          fileName: file.name,
+          items: data.items.map(item => ({ sku: item.barcode, quantity: item.quantity }))
+        });
+      } catch (error) {
+        showError(`${file.name}: ${error.message}`);
+      }
+    }
+
+    if (parsedOrders.length > 0) {
+      setFileOrders(orders => [...orders, ...parsedOrders]);
+      discardWavePlan();
+      showSuccess(`Added ${parsedOrders.length} order file(s) to the wave`);
+    }
+  };
+
+  const removeFileOrder = (index) => {
+    setFileOrders(orders => orders.filter((_, i) => i !== index));
+    discardWavePlan();
+  };
+
+  const getWaveOrders = () => {
+    const taskOrders = pendingTasks
+      .filter(task => selectedTaskIds.includes(task.id))
+      .map(task => ({
+        orderNumber: task.orderNumber || task.id,
+        taskId: task.id,
+        source: 'task',
+        items: (task.items || []).map(item => ({ sku: item.sku, quantity: item.quantity }))
+      }));
+
+    return [...taskOrders, ...fileOrders];
+  };
+
+  const handlePlanWave = async () => {
+    const orders = getWaveOrders();
+    if (orders.length < 2) {
+      showError('Select or upload at least two orders to build a wave');
+      return;
+    }
+
+    setPlanning(true);
+    try {
+      await warehouseOperations.releasePlanReservations(currentWarehouse.id, wavePlan);
+      const plan = await warehouseOperations.planPickWave(currentWarehouse.id, orders);
+      setWavePlan(plan);
+
+      if (plan.totalShortfall > 0) {
+        showWarning(`Wave planned with a shortfall of ${plan.totalShortfall} units - short orders will be picked partially`);
+      } else {
+        showSuccess(`Wave planned: ${plan.lines.length} stops, ${plan.totalDistance} m`);
+      }
+    } catch (error) {
+      showError(`Wave planning failed: ${error.message}`);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const handleExecuteWave = async () => {
+    if (!wavePlan) return;
+
+    setExecuting(true);
+    try {
+      const wave = await warehouseOperations.createPickWave(currentWarehouse.id, wavePlan);
+      const result = await warehouseOperations.executePickWave(currentWarehouse.id, wave);
+
+      if (onWaveExecuted) {
+        onWaveExecuted(buildExecutionResult(wave, result), wave.waveNumber);
+      }
+
+      showSuccess(`Wave ${wave.waveNumber} picked: ${result.summary.totalQuantityPicked} units for ${result.summary.totalOrders} orders`);
+      setWavePlan(null);
+      setSelectedTaskIds([]);
+      setFileOrders([]);
+      await loadPendingTasks();
+    } catch (error) {
+      if (warehouseOperations.isStockChangedError(error)) {
+        showError(`${error.message} Re-plan the wave to pick from the current stock.`);
+        setWavePlan(null);
+      } else {
+        showError(`Wave execution failed: ${error.message}`);
+      }
+      await loadPendingTasks();
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  // Shape the wave result like a regular pick execution so history and reports can reuse it
+  const buildExecutionResult = (wave, result) => {
+    const executedAt = new Date().toISOString();
+    const items = [];
+
+    result.orders.forEach(order => {
+      order.items.forEach(item => {
+        const pickedBins = order.pickedItems.filter(picked => picked.sku === item.sku);
+        const pickedQty = pickedBins.reduce((sum, picked) => sum + picked.quantity, 0);
+        const locations = pickedBins.map(picked => picked.binCode).join(', ') || 'Unavailable';
+
+        items.push({
+          barcode: item.sku,
+          quantity: item.quantity,
+          orderNumber: order.orderNumber,
+          toteId: order.toteId,
+          status: pickedQty === item.quantity ? 'Completed' : pickedQty > 0 ? 'Partial' : 'Failed',
+          error: pickedQty < item.quantity ? `Short by ${item.quantity - pickedQty} units` : null,
+          location: locations,
+          locations,
+          pickedBins,
+          pickedQty,
+          executedAt,
+          fifoCompliant: true
+        });
+      });
+    });
+
+    return {
+      items,
+      summary: {
+        total: items.length,
+        successful: items.filter(r => r.status === 'Completed').length,
+        partial: items.filter(r => r.status === 'Partial').length,
+        failed: items.filter(r => r.status === 'Failed').length,
+        executedAt,
+        warehouse: currentWarehouse?.name || 'Unknown',
+        warehouseId: currentWarehouse?.id || 'unknown',
+        waveId: wave.id,
+        waveNumber: wave.waveNumber,
+        totalDistance: wave.totalDistance,
+        operationType: 'pick'
+      }
+    };
+  };
+
+  const waveOrderCount = selectedTaskIds.length + fileOrders.length;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Wave Picking
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Combine several pick orders into one walk. Identical SKUs are picked together and
+          sorted into one tote per order.
+        </Typography>
+
+        {/* Order selection */}
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2, mb: 1 }}>
+          <Typography variant="subtitle2">
+            Pending Pick Tasks
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <input
+              type="file"
+              accept=".xlsx,.xls"
+              multiple
+              onChange={handleFilesUpload}
+              style={{ display: 'none' }}
+              id="excel-upload-wave"
+            />
+            <label htmlFor="excel-upload-wave">
+              <Button component="span" size="small" variant="outlined" startIcon={<UploadIcon />}>
+                Add Order Files
+              </Button>
+            </label>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={loadPendingTasks} disabled={loadingTasks}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {loadingTasks && <LinearProgress sx={{ mb: 1 }} />}
+
+        {pendingTasks.length === 0 && fileOrders.length === 0 ? (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            No pending pick tasks. Upload one Excel pick file per order to build a wave.
+          </Alert>
+        ) : (
+          <TableContainer component={Paper} sx={{ maxHeight: 260, mb: 2 }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>Order</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Lines</TableCell>
+                  <TableCell>Total Qty</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {pendingTasks.map(task => (
+                  <TableRow key={task.id} hover onClick={() => toggleTask(task.id)} sx={{ cursor: 'pointer' }}>
+                    <TableCell padding="checkbox">
+                      <Checkbox size="small" checked={selectedTaskIds.includes(task.id)} />
+                    </TableCell>
+                    <TableCell>{task.orderNumber || task.id}</TableCell>
+                    <TableCell><Chip size="small" label="Task" /></TableCell>
+                    <TableCell>{task.totalItems ?? task.items?.length ?? 0}</TableCell>
+                    <TableCell>{task.totalQuantity ?? 0}</TableCell>
+                    <TableCell />
+                  </TableRow>
+                ))}
+                {fileOrders.map((order, index) => (
+                  <TableRow key={`${order.fileName}-${index}`}>
+                    <TableCell padding="checkbox">
+                      <Checkbox size="small" checked disabled />
+                    </TableCell>
+                    <TableCell>{order.orderNumber}</TableCell>
+                    <TableCell><Chip size="small" label="File" color="primary" variant="outlined" /></TableCell>
+                    <TableCell>{order.items.length}</TableCell>
+                    <TableCell>{order.items.reduce((sum, item) => sum + item.quantity, 0)}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Remove from wave">
+                        <IconButton size="small" onClick={() => removeFileOrder(index)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <Button
+            variant="contained"
+            startIcon={<RouteIcon />}
+            onClick={handlePlanWave}
+            disabled={planning || executing || waveOrderCount < 2}
+          >
+            {planning ? 'Planning...' : `Plan Wave (${waveOrderCount} orders)`}
+          </Button>
+          {wavePlan && (
+            <Button
+              variant="contained"
+              color="success"
+              startIcon={<ExecuteIcon />}
+              onClick={handleExecuteWave}
+              disabled={executing || wavePlan.lines.length === 0}
+            >
+              {executing ? 'Picking...' : 'Execute Wave'}
+            </Button>
+          )}
+        </Box>
+
+        {(planning || executing) && <LinearProgress sx={{ mt: 2 }} />}
+
+        {/* Wave plan */}
+        {wavePlan && (
+          <Box sx={{ mt: 3 }}>
+            <Divider sx={{ mb: 2 }} />
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              <Chip label={`${wavePlan.totalOrders} Orders`} color="primary" />
+              <Chip label={`${wavePlan.skuSummary.length} SKUs`} />
+              <Chip label={`${wavePlan.lines.length} Stops`} />
+              <Chip label={`${wavePlan.totalQuantity} Units`} />
+              <Chip label={`${wavePlan.totalDistance} m`} />
+              <Chip label={`~${wavePlan.estimatedTime} min`} />
+              {wavePlan.reservationExpiresAt && (
+                <Chip label={`Reserved until ${new Date(wavePlan.reservationExpiresAt).toLocaleTimeString()}`} variant="outlined" />
+              )}
+              {wavePlan.totalShortfall > 0 && (
+                <Chip label={`Short ${wavePlan.totalShortfall} units`} color="warning" />
+              )}
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              {wavePlan.orders.map(order => (
+                <Chip
+                  key={order.toteId}
+                  size="small"
+                  variant="outlined"
+                  color={order.status === 'short' ? 'warning' : 'success'}
+                  label={`${order.toteId}: ${order.orderNumber} (${order.allocatedQuantity}/${order.requestedQuantity})`}
+                />
+              ))}
+            </Box>
+
+            <TableContainer component={Paper} sx={{ maxHeight: 400 }}>
+              <Table stickyHeader size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Step</TableCell>
+                    <TableCell>Bin</TableCell>
+                    <TableCell>Aisle / Grid / Level</TableCell>
+                    <TableCell>SKU</TableCell>
+                    <TableCell>Pick Qty</TableCell>
+                    <TableCell>Sort To Totes</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {wavePlan.lines.map(line => (
+                    <TableRow key={`${line.stepNumber}-${line.binId}-${line.sku}`}>
+                      <TableCell>{line.stepNumber}</TableCell>
+                      <TableCell>{line.binCode}</TableCell>
+                      <TableCell>{`A${line.aisle} / G${String(line.grid).padStart(2, '0')} / ${line.level}`}</TableCell>
+                      <TableCell>
+                        {line.sku}
+                        {line.lotNumber && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            Lot {line.lotNumber}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{line.quantity}</TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                          {line.sortInstructions.map(sort => (
+                            <Chip
+                              key={sort.toteId}
+                              size="small"
+                              label={`${sort.toteId} × ${sort.quantity}`}
+                              title={sort.orderNumber}
+                            />
+                          ))}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {wavePlan.skuSummary.some(s => s.shortfall > 0) && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                Short SKUs: {wavePlan.skuSummary
+                  .filter(s => s.shortfall > 0)
+                  .map(s => `${s.sku} (${s.allocatedQuantity}/${s.totalQuantity})`)
+                  .join(', ')}
+              </Alert>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  Tooltip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { zoneService } from '../services/zoneService';
+
+const EMPTY_ZONE = {
+  name: '',
+  code: '',
+  type: zoneService.zoneTypes.RESERVE,
+  description: ''
+};
+
+const zoneTypeColors = {
+  'forward-pick': 'success',
+  'reserve': 'primary',
+  'quarantine': 'error',
+  'returns': 'warning',
+  'staging': 'info'
+};
+
+export default function ZoneManagement() {
+  const { currentWarehouse, zones = [], bins = [], racks = [] } = useWarehouse();
+  const { showSuccess, showError } = useNotification();
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingZone, setEditingZone] = useState(null);
+  const [form, setForm] = useState(EMPTY_ZONE);
+  const [saving, setSaving] = useState(false);
+
+  if (!currentWarehouse) {
+    return (
+      <Alert severity="info">Select a warehouse to manage zones.</Alert>
+    );
+  }
+
+  const getZoneStats = (zoneId) => {
+    const zoneBins = bins.filter(bin => zoneService.getBinZoneId(bin) === zoneId);
+    return {
+      bins: zoneBins.length,
+      units: zoneBins.reduce((sum, bin) => sum + (parseInt(bin.currentQty) || 0), 0),
+      racks: racks.filter(rack => rack.zoneId === zoneId).map(rack => rack.name)
+    };
+  };
+  const mainStats = getZoneStats(zoneService.mainZoneId);
+
+  const openCreateDialog = () => {
+    setEditingZone(null);
+    setForm(EMPTY_ZONE);
+    setDialogOpen(true);
+  };
+
+  const openEditDialog = (zone) => {
+    setEditingZone(zone);
+    setForm({
+      name: zone.name || '',
+      code: zone.code || '',
+      type: zone.type || zoneService.zoneTypes.RESERVE,
+      description: zone.description || ''
+    });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (editingZone) {
+        await zoneService.updateZone(currentWarehouse.id, editingZone.id, form, zones);
+        showSuccess(`Zone ${form.code.trim().toUpperCase()} updated`);
+      } else {
+        await zoneService.createZone(currentWarehouse.id, form, zones);
+        showSuccess(`Zone ${form.code.trim().toUpperCase()} created`);
+      }
+      setDialogOpen(false);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    const stats = getZoneStats(zone.id);
+    if (!window.confirm(`Delete zone ${zone.code || zone.name}? Its ${stats.bins} bins go back to the main area.`)) {
+      return;
+    }
+
+    try {
+      await zoneService.deleteZone(currentWarehouse.id, zone.id);
+      showSuccess(`Zone ${zone.code || zone.name} deleted`);
+    } catch (error) {
+      showError(`Failed to delete zone: ${error.message}`);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Zones
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        Group bins into zones. Forward-pick and reserve bins are picked from and filled by put-away. Quarantine,
+        returns and staging bins are never picked from, and put-away only uses them when the zone is asked for.
+        Assign racks and grids to zones from Row Config.
+      </Typography>
+
+      <Box display="flex" gap={2} flexWrap="wrap" sx={{ mb: 3, mt: 1 }}>
+        {Object.values(zoneService.zoneTypes).map(type => {
+          const typeZones = zones.filter(zone => zone.type === type);
+          const binCount = typeZones.reduce((sum, zone) => sum + getZoneStats(zone.id).bins, 0);
+          return (
+            <Paper key={type} sx={{ p: 2, textAlign: 'center', flex: '1 1 160px' }}>
+              <Typography variant="h5" color={`${zoneTypeColors[type]}.main`}>
+                {binCount}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {zoneService.zoneTypeLabels[type]} bins ({typeZones.length} zone{typeZones.length === 1 ? '' : 's'})
+              </Typography>
+            </Paper>
+          );
+        })}
+      </Box>
+
+      <Card>
+        <CardContent>
+          <Box display="flex" gap={2} alignItems="center" sx={{ mb: 2 }}>
+            <Button variant="contained" startIcon={<AddIcon />} onClick={openCreateDialog}>
+              Add Zone
+            </Button>
+            <Chip label={`${zones.length} zones`} />
+            <Chip label={`${mainStats.bins} bins unassigned`} variant="outlined" />
+          </Box>
+
+          {zones.length === 0 ? (
+            <Alert severity="info">
+              No zones yet. All bins are in the main area and behave as forward-pick or reserve by level.
+            </Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Code</TableCell>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Racks</TableCell>
+                    <TableCell align="right">Bins</TableCell>
+                    <TableCell align="right">Units</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {zones.map(zone => {
+                    const stats = getZoneStats(zone.id);
+                    return (
+                      <TableRow key={zone.id}>
+                        <TableCell><strong>{zone.code || '-'}</strong></TableCell>
+                        <TableCell>{zone.name}</TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            color={zoneTypeColors[zone.type] || 'default'}
+                            label={zoneService.zoneTypeLabels[zone.type] || zone.type || 'Untyped'}
+                          />
+                        </TableCell>
+                        <TableCell>{stats.racks.length > 0 ? stats.racks.join(', ') : '-'}</TableCell>
+                        <TableCell align="right">{stats.bins}</TableCell>
+                        <TableCell align="right">{stats.units}</TableCell>
+                        <TableCell>{zone.description || '-'}</TableCell>
+                        <TableCell align="right">
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => openEditDialog(zone)}>
+                              <EditIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <IconButton size="small" color="error" onClick={() => handleDelete(zone)}>
+                              <DeleteIcon />
+                            </IconButton>
+                          </Tooltip>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create / Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingZone ? `Edit Zone ${editingZone.code || editingZone.name}` : 'Add Zone'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Code"
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value })}
+                helperText="e.g. FP1, QA"
+              />
+            </Grid>
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                label="Name"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <FormControl fullWidth>
+                <InputLabel>Type</InputLabel>
+                <Select value={form.type} label="Type" onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                  {Object.values(zoneService.zoneTypes).map(type => (
+                    <MenuItem key={type} value={type}>{zoneService.zoneTypeLabels[type]}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                label="Description"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -1,22 +1,23 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useCallback } from 'react';
 
 const NotificationContext = createContext();
 
 export function NotificationProvider({ children }) {
   const [notification, setNotification] = useState(null);
 
-  const showNotification = (message, type = 'info') => {
+  // Stable across renders so components can list them as hook dependencies
+  const showNotification = useCallback((message, type = 'info') => {
     setNotification({ message, type });
-  };
+  }, []);
 
-  const hideNotification = () => {
+  const hideNotification = useCallback(() => {
     setNotification(null);
-  };
+  }, []);
 
-  const showSuccess = (message) => showNotification(message, 'success');
-  const showError = (message) => showNotification(message, 'error');
-  const showWarning = (message) => showNotification(message, 'warning');
-  const showInfo = (message) => showNotification(message, 'info');
+  const showSuccess = useCallback((message) => showNotification(message, 'success'), [showNotification]);
+  const showError = useCallback((message) => showNotification(message, 'error'), [showNotification]);
+  const showWarning = useCallback((message) => showNotification(message, 'warning'), [showNotification]);
+  const showInfo = useCallback((message) => showNotification(message, 'info'), [showNotification]);
 
   const value = {
     notification,
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useWarehouse } from '../context/WarehouseContext';
+import { useNotification } from '../context/NotificationContext';
+import { reportService } from '../services/reportService';
+
+// Re-check hourly so lots that cross the threshold with the date change are reported
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const getStorageKey = (warehouseId) => `expiryAlerts_${warehouseId}`;
+
+const getLotKey = (item) =>
+  `${item.binId}|${item.sku}|${item.lotNumber || ''}|${item.expiryDate}|${item.isExpired ? 'expired' : 'near'}`;
+
+const loadAlertedKeys = (warehouseId) => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(getStorageKey(warehouseId)) || '[]'));
+  } catch (error) {
+    return new Set();
+  }
+};
+
+/**
+ * Raise an in-app warning whenever a lot newly enters the warehouse's expiry alert window
+ * or newly expires. Lots already alerted are remembered per warehouse in localStorage.
+ */
+export function useExpiryAlerts(enabled = true) {
+  const { currentWarehouse, bins } = useWarehouse();
+  const { showWarning } = useNotification();
+
+  const warehouseId = currentWarehouse?.id;
+  const alertDays = currentWarehouse?.settings?.expiryAlertDays ?? reportService.defaultExpiryDays;
+
+  const binsRef = useRef(bins);
+  const showWarningRef = useRef(showWarning);
+  binsRef.current = bins;
+  showWarningRef.current = showWarning;
+
+  const checkExpiringStock = useCallback(() => {
+    // Bins arrive from a live subscription - don't treat the initial empty list as "nothing expiring"
+    if (!enabled || !warehouseId || binsRef.current.length === 0) return;
+
+    const items = reportService.getExpiringStock(binsRef.current, alertDays);
+    const alertedKeys = loadAlertedKeys(warehouseId);
+    const newItems = items.filter(item => !alertedKeys.has(getLotKey(item)));
+
+    // Only keep keys for lots still in the window so the stored list stays small
+    localStorage.setItem(getStorageKey(warehouseId), JSON.stringify(items.map(getLotKey)));
+
+    if (newItems.length === 0) return;
+
+    const expired = newItems.filter(item => item.isExpired);
+    const nearExpiry = newItems.filter(item => !item.isExpired);
+    const skus = [...new Set(newItems.map(item => item.sku))];
+
+    const parts = [];
+    if (expired.length > 0) parts.push(`${expired.length} lot(s) expired`);
+    if (nearExpiry.length > 0) parts.push(`${nearExpiry.length} lot(s) expiring within ${alertDays} days`);
+
+    console.log(`⏰ Expiry alert for ${warehouseId}:`, newItems);
+    showWarningRef.current(
+      `⏰ Expiry alert: ${parts.join(', ')} - ${skus.slice(0, 5).join(', ')}${skus.length > 5 ? ` and ${skus.length - 5} more` : ''}`
+    );
+  }, [enabled, warehouseId, alertDays]);
+
+  // Check whenever bin contents change
+  useEffect(() => {
+    checkExpiringStock();
+  }, [bins, checkExpiringStock]);
+
+  // Scheduled check for lots crossing the threshold while nothing else changes
+  useEffect(() => {
+    if (!enabled || !warehouseId) return undefined;
+
+    const intervalId = setInterval(checkExpiringStock, CHECK_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [enabled, warehouseId, checkExpiringStock]);
+}
@@ -0,0 +1,188 @@
+/**
+ * Volumetric bin capacity
+ *
+ * Bins can carry inner dimensions in cm (bin.dimensions { width, depth, height }) and a
+ * weight limit in kg (bin.maxWeight), set per level in the rack configuration. For such
+ * bins the space left for a product is worked out from its catalogue dimensions and
+ * weight instead of the unit count in bin.capacity.
+ *
+ * Bins without dimensions or weight limit, and products without dimensions or weight,
+ * keep using the unit count. Stock of uncatalogued products in a volumetric bin is
+ * counted as one unit slot (bin volume / bin.capacity) per unit.
+ */
+export class BinCapacityService {
+  constructor() {
+    this.limits = {
+      UNITS: 'units',
+      CUBE: 'cube',
+      WEIGHT: 'weight',
+      SIZE: 'size'
+    };
+
+    this.limitLabels = {
+      units: 'unit capacity',
+      cube: 'bin volume',
+      weight: 'bin weight limit',
+      size: 'product larger than the bin'
+    };
+  }
+
+  getBinDimensions(bin) {
+    const dims = bin?.dimensions || {};
+    const values = [dims.width, dims.depth, dims.height].map(value => parseFloat(value) || 0);
+    return values.every(value => value > 0) ? values : null;
+  }
+
+  getProductDimensions(product) {
+    const dims = product?.dimensions || {};
+    const values = [dims.length, dims.width, dims.height].map(value => parseFloat(value) || 0);
+    return values.every(value => value > 0) ? values : null;
+  }
+
+  getBinVolume(bin) {
+    const dims = this.getBinDimensions(bin);
+    return dims ? dims[0] * dims[1] * dims[2] : 0;
+  }
+
+  getUnitVolume(product) {
+    const dims = this.getProductDimensions(product);
+    return dims ? dims[0] * dims[1] * dims[2] : 0;
+  }
+
+  getMaxWeight(bin) {
+    return parseFloat(bin?.maxWeight) || 0;
+  }
+
+  /**
+   * Whether the bin's space is measured by volume and weight rather than units
+   */
+  isVolumetric(bin) {
+    return this.getBinVolume(bin) > 0 || this.getMaxWeight(bin) > 0;
+  }
+
+  /**
+   * A unit fits when its sides, longest to shortest, are no longer than the bin's
+   */
+  fitsInside(product, bin) {
+    const productDims = this.getProductDimensions(product);
+    const binDims = this.getBinDimensions(bin);
+    if (!productDims || !binDims) return true;
+
+    const sortDesc = (values) => [...values].sort((a, b) => b - a);
+    const [p, b] = [sortDesc(productDims), sortDesc(binDims)];
+    return p.every((side, i) => side <= b[i]);
+  }
+
+  getStoredItems(bin) {
+    if (Array.isArray(bin.mixedContents) && bin.mixedContents.length > 0) {
+      return bin.mixedContents.map(content => ({ sku: content.sku, quantity: parseInt(content.quantity) || 0 }));
+    }
+    const quantity = parseInt(bin.currentQty) || 0;
+    return bin.sku && quantity > 0 ? [{ sku: bin.sku, quantity }] : [];
+  }
+
+  /**
+   * Volume (cm³) and weight (kg) the bin's stock takes up
+   * @param {Map} products - barcode -> catalogue product
+   */
+  getUsage(bin, products = null) {
+    const slotVolume = (parseInt(bin.capacity) || 0) > 0 ? this.getBinVolume(bin) / parseInt(bin.capacity) : 0;
+
+    return this.getStoredItems(bin).reduce((usage, item) => {
+      const product = products?.get(item.sku) || null;
+      const unitVolume = this.getUnitVolume(product) || slotVolume;
+      return {
+        volume: usage.volume + item.quantity * unitVolume,
+        weight: usage.weight + item.quantity * (parseFloat(product?.weight) || 0)
+      };
+    }, { volume: 0, weight: 0 });
+  }
+
+  /**
+   * How many more units of a SKU the bin can take, and what limits it
+   * @returns {Object} { quantity, limitedBy }
+   */
+  getFitQuantity(bin, sku, products = null) {
+    const unitSpace = { quantity: Math.max(0, (parseInt(bin.capacity) || 0) - (parseInt(bin.currentQty) || 0)), limitedBy: this.limits.UNITS };
+    if (!this.isVolumetric(bin)) return unitSpace;
+
+    const product = products?.get(sku) || null;
+    const usage = this.getUsage(bin, products);
+    const fits = [];
+
+    const binVolume = this.getBinVolume(bin);
+    const unitVolume = this.getUnitVolume(product);
+    if (binVolume > 0 && unitVolume > 0) {
+      if (!this.fitsInside(product, bin)) {
+        return { quantity: 0, limitedBy: this.limits.SIZE };
+      }
+      fits.push({ quantity: Math.floor((binVolume - usage.volume) / unitVolume), limitedBy: this.limits.CUBE });
+    }
+
+    const maxWeight = this.getMaxWeight(bin);
+    const unitWeight = parseFloat(product?.weight) || 0;
+    if (maxWeight > 0 && unitWeight > 0) {
+      fits.push({ quantity: Math.floor((maxWeight - usage.weight) / unitWeight), limitedBy: this.limits.WEIGHT });
+    }
+
+    // Nothing to measure the product by - fall back to the unit count
+    if (fits.length === 0) return unitSpace;
+
+    const tightest = fits.reduce((min, fit) => (fit.quantity < min.quantity ? fit : min));
+    return { quantity: Math.max(0, tightest.quantity), limitedBy: tightest.limitedBy };
+  }
+
+  /**
+   * Whether any space is left, before knowing which product goes in
+   */
+  hasFreeSpace(bin, products = null) {
+    if (!this.isVolumetric(bin)) {
+      return (parseInt(bin.capacity) || 0) > (parseInt(bin.currentQty) || 0);
+    }
+
+    const usage = this.getUsage(bin, products);
+    const binVolume = this.getBinVolume(bin);
+    const maxWeight = this.getMaxWeight(bin);
+    return (binVolume === 0 || usage.volume < binVolume) && (maxWeight === 0 || usage.weight < maxWeight);
+  }
+
+  /**
+   * Fill percentage - the fuller of volume and weight for volumetric bins
+   */
+  getUtilization(bin, products = null) {
+    if (!this.isVolumetric(bin)) {
+      const capacity = parseInt(bin.capacity) || 0;
+      return capacity > 0 ? ((parseInt(bin.currentQty) || 0) / capacity) * 100 : 0;
+    }
+
+    const usage = this.getUsage(bin, products);
+    const binVolume = this.getBinVolume(bin);
+    const maxWeight = this.getMaxWeight(bin);
+    return Math.max(
+      binVolume > 0 ? (usage.volume / binVolume) * 100 : 0,
+      maxWeight > 0 ? (usage.weight / maxWeight) * 100 : 0
+    );
+  }
+
+  /**
+   * Bin volume and weight fields for a rack level from rack.levelDimensions
+   */
+  getLevelBinFields(levelDimensions, level) {
+    const spec = levelDimensions?.[level] || {};
+    const toNumber = (value) => {
+      const num = parseFloat(value);
+      return isNaN(num) || num <= 0 ? null : num;
+    };
+
+    return {
+      dimensions: {
+        width: toNumber(spec.width),
+        depth: toNumber(spec.depth),
+        height: toNumber(spec.height)
+      },
+      maxWeight: toNumber(spec.maxWeight)
+    };
+  }
+}
+
+export const binCapacityService = new BinCapacityService();
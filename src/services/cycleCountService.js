@@ -0,0 +1,565 @@
+import { db } from '../firebase';
+import { collection, addDoc, getDocs, getDoc, query, where, orderBy, doc, updateDoc, limit, serverTimestamp } from 'firebase/firestore';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { authService } from './authService_new';
+
+/**
+ * Cycle counting
+ *
+ * Count sheets are stored in WHT/{warehouseId}/cycleCounts. A sheet moves through
+ * open -> counting -> pending-approval -> posted, and goes back to counting when a
+ * master user rejects it. Bins are only adjusted when a master user approves.
+ */
+export class CycleCountService {
+  constructor() {
+    this.scopeTypes = {
+      RACK: 'rack',
+      ZONE: 'zone',
+      ABC: 'abc',
+      FLAGGED: 'flagged'
+    };
+
+    this.statuses = {
+      OPEN: 'open',
+      COUNTING: 'counting',
+      PENDING_APPROVAL: 'pending-approval',
+      POSTED: 'posted'
+    };
+
+    // Cumulative share of picked units that makes a SKU class A / B, the rest is C
+    this.abcThresholds = { A: 0.8, B: 0.95 };
+  }
+
+  /**
+   * Classify SKUs into A/B/C by picked quantity over the last N days
+   * SKUs in stock that were never picked are class C
+   */
+  async getAbcClassification(warehouseId, options = {}) {
+    const { days = 90, bins = null } = options;
+
+    try {
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+
+      const pickHistory = await historyService.getOperationHistory(
+        warehouseId,
+        historyService.operationTypes.PICK,
+        { startDate: startDate.toISOString() }
+      );
+
+      const pickedBySku = {};
+      pickHistory.forEach(entry => {
+        (entry.executionDetails?.items || []).forEach(item => {
+          const picked = parseInt(item.pickedQty) || 0;
+          if (item.barcode && picked > 0) {
+            pickedBySku[item.barcode] = (pickedBySku[item.barcode] || 0) + picked;
+          }
+        });
+      });
+
+      const classification = this.classifyAbc(pickedBySku);
+
+      const stockBins = bins || await warehouseService.getBins(warehouseId);
+      stockBins.forEach(bin => {
+        warehouseOperations.getBinContents(bin).forEach(content => {
+          if (!classification[content.sku]) classification[content.sku] = 'C';
+        });
+      });
+
+      return classification;
+    } catch (error) {
+      console.error('Error building ABC classification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split SKUs into A/B/C along the cumulative curve of a measure (units picked, pick count, ...)
+   * @param {Object} valuesBySku - sku -> value
+   * @returns {Object} sku -> 'A' | 'B' | 'C'
+   */
+  classifyAbc(valuesBySku) {
+    const total = Object.values(valuesBySku).reduce((sum, value) => sum + value, 0);
+    const classification = {};
+    let cumulative = 0;
+
+    Object.entries(valuesBySku)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([sku, value]) => {
+        // Class is decided by where the SKU starts in the cumulative curve
+        const share = total > 0 ? cumulative / total : 1;
+        classification[sku] = share < this.abcThresholds.A ? 'A' : share < this.abcThresholds.B ? 'B' : 'C';
+        cumulative += value;
+      });
+
+    return classification;
+  }
+
+  /**
+   * Generate and save a count sheet for a rack, a zone, an ABC class or the bins
+   * flagged for a count (scopeValue is the flag source, e.g. 'short-pick')
+   * @param {Object} options - { scopeType, scopeValue, includeEmpty, blindCount, createdBy }
+   */
+  async generateCountSheet(warehouseId, options = {}) {
+    const {
+      scopeType,
+      scopeValue,
+      includeEmpty = scopeType !== this.scopeTypes.ABC,
+      blindCount = false,
+      createdBy = null
+    } = options;
+
+    if (!Object.values(this.scopeTypes).includes(scopeType)) {
+      throw new Error(`Unknown count scope: ${scopeType}`);
+    }
+    if (!scopeValue) {
+      throw new Error('Select a rack, zone or ABC class to count');
+    }
+
+    try {
+      const bins = await warehouseService.getBins(warehouseId);
+      let scopedBins;
+
+      if (scopeType === this.scopeTypes.RACK) {
+        scopedBins = bins.filter(bin => bin.rackId === scopeValue || bin.rackCode === scopeValue);
+      } else if (scopeType === this.scopeTypes.ZONE) {
+        scopedBins = bins.filter(bin => (bin.zoneId || 'main') === scopeValue);
+      } else if (scopeType === this.scopeTypes.FLAGGED) {
+        scopedBins = bins.filter(bin => bin.countRequested && bin.countRequested.source === scopeValue);
+      } else {
+        const classification = await this.getAbcClassification(warehouseId, { bins });
+        scopedBins = bins.filter(bin =>
+          warehouseOperations.getBinContents(bin).some(content => classification[content.sku] === scopeValue)
+        );
+      }
+
+      const lines = [];
+      scopedBins.forEach(bin => {
+        const contents = warehouseOperations.getBinContents(bin);
+
+        if (contents.length === 0 && !includeEmpty) return;
+
+        // Empty bins get one line so stock found there can be recorded
+        const countable = contents.length > 0
+          ? contents
+          : [{ sku: null, quantity: 0, lotNumber: null, expiryDate: null }];
+
+        countable.forEach(content => {
+          lines.push({
+            lineId: `L${String(lines.length + 1).padStart(4, '0')}`,
+            binId: bin.id,
+            binCode: bin.code,
+            rackCode: bin.rackCode || null,
+            zoneId: bin.zoneId || 'main',
+            sku: content.sku,
+            lotNumber: content.lotNumber,
+            expiryDate: content.expiryDate,
+            isMixed: contents.length > 1,
+            expectedQty: content.quantity,
+            countedQty: null,
+            variance: null
+          });
+        });
+      });
+
+      if (lines.length === 0) {
+        throw new Error('No bins found for the selected count scope');
+      }
+
+      const countSheet = {
+        countNumber: `CC-${Date.now()}`,
+        scopeType,
+        scopeValue,
+        blindCount,
+        status: this.statuses.OPEN,
+        lines,
+        summary: this.calculateVarianceSummary(lines),
+        createdBy: createdBy ? { uid: createdBy.uid || null, name: createdBy.name || createdBy.email || null } : null,
+        createdAt: new Date().toISOString()
+      };
+
+      const countsRef = collection(db, 'WHT', warehouseId, 'cycleCounts');
+      const docRef = await addDoc(countsRef, { ...countSheet, updatedAt: serverTimestamp() });
+
+      console.log(`📋 Count sheet ${countSheet.countNumber} generated: ${lines.length} lines in ${scopedBins.length} bins (${scopeType} ${scopeValue})`);
+
+      return { id: docRef.id, ...countSheet };
+    } catch (error) {
+      console.error('Error generating count sheet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get count sheets, newest first
+   */
+  async getCycleCounts(warehouseId, filters = {}) {
+    try {
+      const countsRef = collection(db, 'WHT', warehouseId, 'cycleCounts');
+      const constraints = filters.status
+        ? [where('status', '==', filters.status), limit(filters.limit || 50)]
+        : [orderBy('createdAt', 'desc'), limit(filters.limit || 50)];
+
+      const snapshot = await getDocs(query(countsRef, ...constraints));
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      console.error('Error getting cycle counts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single count sheet
+   */
+  async getCycleCount(warehouseId, countId) {
+    const countRef = doc(db, 'WHT', warehouseId, 'cycleCounts', countId);
+    const countDoc = await getDoc(countRef);
+
+    if (!countDoc.exists()) {
+      throw new Error('Count sheet not found');
+    }
+
+    return { id: countDoc.id, ...countDoc.data() };
+  }
+
+  /**
+   * Save counted quantities
+   * @param {Object} counts - lineId -> { countedQty, sku } (sku only needed for stock found in an empty bin)
+   */
+  async recordCounts(warehouseId, countId, counts, countedBy = null) {
+    try {
+      const countSheet = await this.getCycleCount(warehouseId, countId);
+
+      if (![this.statuses.OPEN, this.statuses.COUNTING].includes(countSheet.status)) {
+        throw new Error(`Count sheet ${countSheet.countNumber} is ${countSheet.status} and can no longer be edited`);
+      }
+
+      const lines = countSheet.lines.map(line => {
+        const entry = counts[line.lineId];
+        if (!entry || entry.countedQty === '' || entry.countedQty === null || entry.countedQty === undefined) {
+          return line;
+        }
+
+        const countedQty = Number(entry.countedQty);
+        if (!Number.isInteger(countedQty) || countedQty < 0) {
+          throw new Error(`Counted quantity for bin ${line.binCode} must be a whole number of zero or more`);
+        }
+
+        const sku = line.sku || entry.sku || null;
+        if (!sku && countedQty > 0) {
+          throw new Error(`Enter the SKU found in empty bin ${line.binCode}`);
+        }
+
+        return {
+          ...line,
+          sku,
+          countedQty,
+          variance: countedQty - line.expectedQty,
+          countedAt: new Date().toISOString()
+        };
+      });
+
+      const updates = {
+        lines,
+        status: this.statuses.COUNTING,
+        summary: this.calculateVarianceSummary(lines),
+        countedBy: countedBy ? { uid: countedBy.uid || null, name: countedBy.name || countedBy.email || null } : null,
+        updatedAt: serverTimestamp()
+      };
+
+      await updateDoc(doc(db, 'WHT', warehouseId, 'cycleCounts', countId), updates);
+
+      return { ...countSheet, ...updates };
+    } catch (error) {
+      console.error('Error recording counts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Variance totals for a set of count lines
+   */
+  calculateVarianceSummary(lines) {
+    const counted = lines.filter(line => line.countedQty !== null && line.countedQty !== undefined);
+    const withVariance = counted.filter(line => line.variance !== 0);
+    const expectedTotal = counted.reduce((sum, line) => sum + line.expectedQty, 0);
+    const absoluteVariance = withVariance.reduce((sum, line) => sum + Math.abs(line.variance), 0);
+
+    return {
+      totalLines: lines.length,
+      countedLines: counted.length,
+      linesWithVariance: withVariance.length,
+      netVariance: withVariance.reduce((sum, line) => sum + line.variance, 0),
+      absoluteVariance,
+      accuracy: counted.length > 0
+        ? Number(((counted.length - withVariance.length) / counted.length * 100).toFixed(1))
+        : null,
+      valueAccuracy: expectedTotal > 0
+        ? Number((Math.max(0, 1 - absoluteVariance / expectedTotal) * 100).toFixed(1))
+        : null
+    };
+  }
+
+  /**
+   * Hand a fully counted sheet over for approval
+   */
+  async submitForApproval(warehouseId, countId) {
+    try {
+      const countSheet = await this.getCycleCount(warehouseId, countId);
+      const uncounted = countSheet.lines.filter(line => line.countedQty === null || line.countedQty === undefined);
+
+      if (uncounted.length > 0) {
+        throw new Error(`${uncounted.length} line(s) have not been counted yet`);
+      }
+
+      const updates = {
+        status: this.statuses.PENDING_APPROVAL,
+        submittedAt: new Date().toISOString(),
+        updatedAt: serverTimestamp()
+      };
+      await updateDoc(doc(db, 'WHT', warehouseId, 'cycleCounts', countId), updates);
+
+      return { ...countSheet, ...updates };
+    } catch (error) {
+      console.error('Error submitting count for approval:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a count back to the counters
+   * The status is checked in a transaction, so a sheet posted in the meantime is not reopened.
+   */
+  async rejectCount(warehouseId, countId, approver, reason = '') {
+    this.assertCanApprove(approver);
+
+    try {
+      const updates = {
+        status: this.statuses.COUNTING,
+        rejectedAt: new Date().toISOString(),
+        rejectedBy: approver.name || approver.email,
+        rejectionReason: reason
+      };
+
+      await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+        if (!docs.countSheet || docs.countSheet.status !== this.statuses.PENDING_APPROVAL) {
+          throw new Error(`Count sheet ${docs.countSheet?.countNumber || countId} is no longer waiting for approval - it was posted or rejected in the meantime`);
+        }
+        return { taskWrites: [{ collectionName: 'cycleCounts', taskId: countId, data: updates }] };
+      }, { reads: { countSheet: { collectionName: 'cycleCounts', docId: countId } } });
+
+      return updates;
+    } catch (error) {
+      console.error('Error rejecting count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a count and post its variances to the bins
+   * The bin adjustments and the move to posted are written in one transaction that re-checks
+   * the sheet is still waiting for approval, so a second approval or a retry cannot post twice.
+   * Each adjustment is logged to operationHistory as an 'adjustment' operation.
+   */
+  async approveAndPost(warehouseId, countId, approver) {
+    this.assertCanApprove(approver);
+
+    try {
+      const countSheet = await this.getCycleCount(warehouseId, countId);
+
+      if (countSheet.status !== this.statuses.PENDING_APPROVAL) {
+        throw new Error(`Count sheet ${countSheet.countNumber} is not waiting for approval`);
+      }
+
+      const varianceBinIds = [...new Set(countSheet.lines.filter(line => line.variance).map(line => line.binId))];
+      // Flagged counts also clear the count flag of counted bins without a variance
+      const binIds = countSheet.scopeType === this.scopeTypes.FLAGGED
+        ? [...new Set(countSheet.lines.map(line => line.binId))]
+        : varianceBinIds;
+      const approvedAt = new Date().toISOString();
+      const approvedBy = approver.name || approver.email;
+
+      if (varianceBinIds.length > 0) {
+        await warehouseOperations.validateBinOperationAgainstPickLocks(warehouseId, varianceBinIds, 'adjust');
+      }
+
+      const { result: adjustments } = await warehouseService.runBinTransaction(warehouseId, binIds, (bins, docs) => {
+        const currentSheet = docs.countSheet;
+        if (!currentSheet || currentSheet.status !== this.statuses.PENDING_APPROVAL) {
+          throw new Error(`Count sheet ${countSheet.countNumber} is no longer waiting for approval - it was posted or rejected in the meantime`);
+        }
+
+        const varianceLines = currentSheet.lines.filter(line => line.variance);
+        if (varianceLines.some(line => !bins[line.binId])) {
+          throw new Error(`Count sheet ${countSheet.countNumber} changed while it was being approved, please try again`);
+        }
+
+        const binUpdates = {};
+        const binAdjustments = [];
+
+        binIds.forEach(binId => {
+          const lines = varianceLines.filter(line => line.binId === binId);
+          const countFields = { countRequested: null, lastCountedAt: approvedAt, lastCycleCountId: countId };
+
+          if (lines.length === 0) {
+            binUpdates[binId] = countFields;
+            return;
+          }
+
+          const { binUpdate, adjustments: lineAdjustments } = this.applyCountToBin(bins[binId], lines);
+          binUpdates[binId] = { ...binUpdate, ...countFields };
+          binAdjustments.push(...lineAdjustments);
+        });
+
+        return {
+          binUpdates,
+          taskWrites: [{
+            collectionName: 'cycleCounts',
+            taskId: countId,
+            data: {
+              status: this.statuses.POSTED,
+              approvedAt,
+              approvedBy,
+              postedAdjustments: binAdjustments.length
+            }
+          }],
+          result: binAdjustments
+        };
+      }, { reads: { countSheet: { collectionName: 'cycleCounts', docId: countId } } });
+
+      // One history entry per posted adjustment
+      for (const adjustment of adjustments) {
+        await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.ADJUSTMENT, {
+          ...adjustment,
+          timestamp: approvedAt,
+          cycleCountId: countId,
+          countNumber: countSheet.countNumber,
+          reason: 'Cycle count variance',
+          countedBy: countSheet.countedBy?.name || null,
+          approvedBy,
+          warehouseId
+        });
+      }
+
+      console.log(`✅ Count ${countSheet.countNumber} approved by ${approvedBy}: ${adjustments.length} adjustment(s) posted`);
+
+      return {
+        ...countSheet,
+        status: this.statuses.POSTED,
+        approvedAt,
+        approvedBy,
+        postedAdjustments: adjustments.length,
+        adjustments
+      };
+    } catch (error) {
+      console.error('Error approving cycle count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply counted variances to a bin read inside the transaction (no writes)
+   * Variances are applied as deltas so stock moved after counting is preserved.
+   * Reservations on stock the count found missing are trimmed to what is left; the adjustments
+   * list the reservations that lost units.
+   */
+  applyCountToBin(bin, lines) {
+    const contents = warehouseOperations.getBinContents(bin);
+    const adjustments = [];
+    const previousBinQty = parseInt(bin.currentQty) || 0;
+
+    lines.forEach(line => {
+      const existing = contents.find(content => warehouseOperations.isSameLot(content, line)) ||
+        contents.find(content => content.sku === line.sku && (content.lotNumber || null) === (line.lotNumber || null)) ||
+        contents.find(content => content.sku === line.sku);
+
+      const before = existing ? existing.quantity : 0;
+      const after = before + line.variance;
+
+      if (after < 0) {
+        throw new Error(`Adjustment of ${line.variance} for ${line.sku} in bin ${bin.code} would leave ${after} units - the bin changed since it was counted, please recount`);
+      }
+
+      if (existing) {
+        existing.quantity = after;
+      } else {
+        contents.push({ sku: line.sku, quantity: after, lotNumber: line.lotNumber || null, expiryDate: line.expiryDate || null });
+      }
+
+      adjustments.push({
+        binId: bin.id,
+        binCode: bin.code,
+        sku: line.sku,
+        lotNumber: line.lotNumber || null,
+        expectedQty: line.expectedQty,
+        countedQty: line.countedQty,
+        variance: line.variance,
+        quantityBefore: before,
+        quantityAfter: after
+      });
+    });
+
+    const remaining = contents.filter(content => content.quantity > 0);
+    const newQty = remaining.reduce((sum, content) => sum + content.quantity, 0);
+    const { reservations, trimmed } = warehouseOperations.fitReservationsToStock(
+      warehouseOperations.getBinReservations(bin),
+      remaining
+    );
+    let binUpdate;
+
+    if (remaining.length === 0) {
+      binUpdate = { currentQty: 0, status: 'available', sku: null, lotNumber: null, expiryDate: null, manufactureDate: null, mixedContents: null };
+    } else if (remaining.length === 1) {
+      const [content] = remaining;
+      binUpdate = {
+        currentQty: content.quantity,
+        status: 'occupied',
+        sku: content.sku,
+        lotNumber: content.lotNumber,
+        expiryDate: content.expiryDate,
+        manufactureDate: content.manufactureDate || null,
+        mixedContents: null
+      };
+    } else {
+      // Keep the bin's primary SKU if it is still there
+      const primary = remaining.find(content => content.sku === bin.sku) || remaining[0];
+      binUpdate = {
+        currentQty: newQty,
+        status: 'occupied',
+        sku: primary.sku,
+        lotNumber: primary.lotNumber,
+        expiryDate: primary.expiryDate,
+        manufactureDate: primary.manufactureDate || null,
+        mixedContents: remaining
+      };
+    }
+
+    binUpdate.reservations = reservations;
+
+    return {
+      binUpdate,
+      adjustments: adjustments.map(adjustment => ({
+        ...adjustment,
+        previousBinQty,
+        newBinQty: newQty,
+        reservationsTrimmed: trimmed.filter(reservation => reservation.sku === adjustment.sku &&
+          (reservation.lotNumber || null) === (adjustment.lotNumber || null))
+      }))
+    };
+  }
+
+  /**
+   * Only master users may approve or reject count variances
+   */
+  assertCanApprove(user) {
+    if (!authService.isMaster(user)) {
+      throw new Error('Only master users can approve cycle count adjustments');
+    }
+  }
+}
+
+export const cycleCountService = new CycleCountService();
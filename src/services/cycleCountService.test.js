@@ -0,0 +1,120 @@
+import { cycleCountService } from './cycleCountService';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+const master = { role: 'master', name: 'Supervisor' };
+
+describe('classifyAbc', () => {
+  test('splits SKUs along the cumulative picked quantity', () => {
+    const classification = cycleCountService.classifyAbc({ A1: 700, A2: 150, B1: 100, C1: 40, C2: 10 });
+    expect(classification).toEqual({ A1: 'A', A2: 'A', B1: 'B', C1: 'C', C2: 'C' });
+  });
+
+  test('returns nothing for no picks', () => {
+    expect(cycleCountService.classifyAbc({})).toEqual({});
+  });
+});
+
+describe('applyCountToBin', () => {
+  test('applies the variance as a delta to the counted lot', () => {
+    const bin = { id: 'b1', code: 'A-01', sku: 'S1', lotNumber: 'L1', currentQty: 10 };
+    const { binUpdate, adjustments } = cycleCountService.applyCountToBin(bin, [
+      { sku: 'S1', lotNumber: 'L1', expectedQty: 10, countedQty: 8, variance: -2 }
+    ]);
+
+    expect(binUpdate).toMatchObject({ currentQty: 8, sku: 'S1', status: 'occupied' });
+    expect(adjustments[0]).toMatchObject({ quantityBefore: 10, quantityAfter: 8, previousBinQty: 10, newBinQty: 8 });
+  });
+
+  test('empties the bin when nothing is left', () => {
+    const bin = { id: 'b1', code: 'A-01', sku: 'S1', currentQty: 3 };
+    const { binUpdate } = cycleCountService.applyCountToBin(bin, [{ sku: 'S1', expectedQty: 3, countedQty: 0, variance: -3 }]);
+    expect(binUpdate).toMatchObject({ currentQty: 0, status: 'available', sku: null });
+  });
+
+  test('rejects a variance that would leave negative stock', () => {
+    const bin = { id: 'b1', code: 'A-01', sku: 'S1', currentQty: 1 };
+    expect(() => cycleCountService.applyCountToBin(bin, [{ sku: 'S1', variance: -2 }])).toThrow(/recount/);
+  });
+});
+
+describe('approveAndPost', () => {
+  const sheet = {
+    id: 'c1',
+    countNumber: 'CC-1',
+    status: 'pending-approval',
+    scopeType: 'rack',
+    lines: [{ binId: 'b1', sku: 'S1', expectedQty: 5, countedQty: 4, variance: -1 }]
+  };
+  const bins = { b1: { id: 'b1', code: 'A-01', sku: 'S1', currentQty: 5 } };
+
+  beforeEach(() => {
+    jest.spyOn(cycleCountService, 'getCycleCount').mockResolvedValue(sheet);
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('posts the sheet in the same transaction as the bin adjustments', async () => {
+    let committed;
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) => {
+      committed = applyChanges(bins, { countSheet: sheet });
+      return { result: committed.result };
+    });
+
+    const posted = await cycleCountService.approveAndPost('w1', 'c1', master);
+
+    expect(posted.status).toBe('posted');
+    expect(committed.binUpdates.b1.currentQty).toBe(4);
+    expect(committed.taskWrites).toEqual([
+      expect.objectContaining({ collectionName: 'cycleCounts', taskId: 'c1', data: expect.objectContaining({ status: 'posted' }) })
+    ]);
+  });
+
+  test('does not post again when the sheet was posted in the meantime', async () => {
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges(bins, { countSheet: { ...sheet, status: 'posted' } })
+    );
+
+    await expect(cycleCountService.approveAndPost('w1', 'c1', master)).rejects.toThrow(/no longer waiting for approval/);
+    expect(historyService.saveOperationHistory).not.toHaveBeenCalled();
+  });
+
+  test('only master users can approve', async () => {
+    await expect(cycleCountService.approveAndPost('w1', 'c1', { role: 'user' })).rejects.toThrow(/master/);
+  });
+});
+
+describe('rejectCount', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('reopens a sheet that is waiting for approval', async () => {
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({}, { countSheet: { id: 'c1', status: 'pending-approval' } })
+    );
+
+    await cycleCountService.rejectCount('w1', 'c1', master, 'Recount aisle A');
+
+    const { taskWrites } = await run.mock.results[0].value;
+    expect(taskWrites).toEqual([
+      { collectionName: 'cycleCounts', taskId: 'c1', data: expect.objectContaining({ status: 'counting', rejectionReason: 'Recount aisle A' }) }
+    ]);
+  });
+
+  test('does not reopen a sheet posted in the meantime', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({}, { countSheet: { id: 'c1', countNumber: 'CC-1', status: 'posted' } })
+    );
+
+    await expect(cycleCountService.rejectCount('w1', 'c1', master)).rejects.toThrow(/CC-1 is no longer waiting for approval/);
+  });
+});
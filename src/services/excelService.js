@@ -1,5 +1,6 @@
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
+import { productService } from './productService';
 
 export class ExcelService {
   /**
@@ -20,6 +21,26 @@ export class ExcelService {
     return [header, ...dataRows];
   }
 
+  /**
+   * Insert a Description column after the barcode column of already sorted report rows
+   * Left out when none of the items has a product catalogue description
+   */
+  insertDescriptionColumn(rows, items) {
+    const descriptions = new Map();
+    items.forEach(item => {
+      const sku = item.barcode || item.sku;
+      if (sku && item.description) descriptions.set(sku, item.description);
+    });
+
+    if (descriptions.size === 0) return rows;
+
+    const [header, ...dataRows] = rows;
+    return [
+      [header[0], 'Description', ...header.slice(1)],
+      ...dataRows.map(row => [row[0], descriptions.get(row[0]) || '', ...row.slice(1)])
+    ];
+  }
+
   /**
    * Compare two location strings for sorting
    */
@@ -116,7 +137,7 @@ export class ExcelService {
   /**
    * Parse Excel file and extract putaway data
    */
-  async parsePutawayFile(file) {
+  async parsePutawayFile(file, options = {}) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       
@@ -137,10 +158,13 @@ export class ExcelService {
             return;
           }
 
-          // Parse data - simplify to focus on barcode and quantity only
+          // Barcode and quantity are required; lot, expiry and manufacture date are optional
           const headers = jsonData[0].map(h => h?.toString().toLowerCase().trim());
           const barcodeIndex = this.findColumnIndex(headers, ['barcode', 'sku', 'product code', 'item code']);
           const quantityIndex = this.findColumnIndex(headers, ['quantity', 'qty', 'amount']);
+          const lotIndex = this.findColumnIndex(headers, ['lot number', 'lot', 'batch']);
+          const expiryIndex = this.findColumnIndex(headers, ['expiry', 'expiration', 'exp date', 'best before', 'use by']);
+          const manufactureIndex = this.findColumnIndex(headers, ['manufacture', 'manufacturing', 'mfg', 'production date']);
 
           if (barcodeIndex === -1) {
             reject(new Error('Could not find barcode/SKU column. Expected headers: barcode or sku'));
@@ -174,10 +198,39 @@ export class ExcelService {
               continue;
             }
 
+            const resolved = this.findCatalogueProduct(barcode, options.products, quantity);
+            if (resolved === null) {
+              errors.push(`Row ${i + 1}: Unknown barcode ${barcode} - not in the product catalogue`);
+              continue;
+            }
+
+            const lotNumber = lotIndex !== -1 ? row[lotIndex]?.toString().trim() || null : null;
+            const rawExpiry = expiryIndex !== -1 ? row[expiryIndex] : null;
+            const rawManufacture = manufactureIndex !== -1 ? row[manufactureIndex] : null;
+            const expiryDate = this.parseDate(rawExpiry);
+            const manufactureDate = this.parseDate(rawManufacture);
+
+            if (rawExpiry && !expiryDate) {
+              errors.push(`Row ${i + 1}: Invalid expiry date (${rawExpiry})`);
+              continue;
+            }
+
+            if (rawManufacture && !manufactureDate) {
+              errors.push(`Row ${i + 1}: Invalid manufacture date (${rawManufacture})`);
+              continue;
+            }
+
+            if (expiryDate && manufactureDate && manufactureDate > expiryDate) {
+              errors.push(`Row ${i + 1}: Manufacture date ${manufactureDate} is after expiry date ${expiryDate}`);
+              continue;
+            }
+
             items.push({
               rowNumber: i + 1,
-              barcode,
-              quantity
+              ...this.getCatalogueFields(barcode, quantity, resolved),
+              lotNumber,
+              expiryDate,
+              manufactureDate
             });
           }
 
@@ -204,7 +257,7 @@ export class ExcelService {
   /**
    * Parse Excel file and extract pick data
    */
-  async parsePickFile(file) {
+  async parsePickFile(file, options = {}) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       
@@ -262,10 +315,126 @@ export class ExcelService {
               continue;
             }
 
+            const resolved = this.findCatalogueProduct(barcode, options.products, quantity);
+            if (resolved === null) {
+              errors.push(`Row ${i + 1}: Unknown barcode ${barcode} - not in the product catalogue`);
+              continue;
+            }
+
+            items.push({
+              rowNumber: i + 1,
+              ...this.getCatalogueFields(barcode, quantity, resolved)
+            });
+          }
+
+          resolve({
+            items,
+            errors,
+            totalItems: items.length,
+            totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0)
+          });
+          
+        } catch (error) {
+          reject(new Error(`Error parsing Excel file: ${error.message}`));
+        }
+      };
+
+      reader.onerror = () => {
+        reject(new Error('Error reading file'));
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * Parse Excel file and extract bin-to-bin transfer data
+   */
+  async parseTransferFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      
+      reader.onload = (e) => {
+        try {
+          const data = new Uint8Array(e.target.result);
+          const workbook = XLSX.read(data, { type: 'array' });
+          
+          // Get first worksheet
+          const worksheetName = workbook.SheetNames[0];
+          const worksheet = workbook.Sheets[worksheetName];
+          
+          // Convert to JSON
+          const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+          
+          if (jsonData.length < 2) {
+            reject(new Error('Excel file must contain at least a header row and one data row'));
+            return;
+          }
+
+          const headers = jsonData[0].map(h => h?.toString().toLowerCase().trim());
+          const barcodeIndex = this.findColumnIndex(headers, ['barcode', 'sku', 'product code', 'item code']);
+          const quantityIndex = this.findColumnIndex(headers, ['quantity', 'qty', 'amount']);
+          const fromBinIndex = this.findColumnIndex(headers, ['from bin', 'source', 'from location', 'from']);
+          const toBinIndex = this.findColumnIndex(headers, ['to bin', 'destination', 'to location', 'target']);
+          const lotIndex = this.findColumnIndex(headers, ['lot number', 'lot', 'batch']);
+
+          if (barcodeIndex === -1) {
+            reject(new Error('Could not find barcode/SKU column. Expected headers: barcode or sku'));
+            return;
+          }
+
+          if (quantityIndex === -1) {
+            reject(new Error('Could not find quantity column. Expected headers: quantity or qty'));
+            return;
+          }
+
+          if (fromBinIndex === -1 || toBinIndex === -1) {
+            reject(new Error('Could not find bin columns. Expected headers: from bin and to bin'));
+            return;
+          }
+
+          const items = [];
+          const errors = [];
+
+          // Process data rows
+          for (let i = 1; i < jsonData.length; i++) {
+            const row = jsonData[i];
+            
+            if (!row || row.length === 0) continue; // Skip empty rows
+
+            const sku = row[barcodeIndex]?.toString().trim();
+            const quantity = this.parseNumber(row[quantityIndex]);
+            const fromBinCode = row[fromBinIndex]?.toString().trim();
+            const toBinCode = row[toBinIndex]?.toString().trim();
+            const lotNumber = lotIndex !== -1 ? row[lotIndex]?.toString().trim() || null : null;
+
+            if (!sku) {
+              errors.push(`Row ${i + 1}: Missing barcode`);
+              continue;
+            }
+
+            if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) {
+              errors.push(`Row ${i + 1}: Invalid quantity (${row[quantityIndex]})`);
+              continue;
+            }
+
+            if (!fromBinCode || !toBinCode) {
+              errors.push(`Row ${i + 1}: Missing from or to bin`);
+              continue;
+            }
+
+            if (fromBinCode === toBinCode) {
+              errors.push(`Row ${i + 1}: From and to bin are the same (${fromBinCode})`);
+              continue;
+            }
+
             items.push({
               rowNumber: i + 1,
-              barcode,
-              quantity
+              sku,
+              quantity,
+              fromBinCode,
+              toBinCode,
+              lotNumber
             });
           }
 
@@ -300,8 +469,8 @@ export class ExcelService {
 
       const workbook = XLSX.utils.book_new();
       
-      // Only include successful items
-      const successfulItems = executionData.items.filter(item => item.status === 'Completed');
+      // Only include items that went into bins - a partial put-away reports the part that did
+      const successfulItems = executionData.items.filter(item => item.status === 'Completed' || item.status === 'Partial');
       
       // Simple data with only barcode, location, quantity, and operation
       const reportData = [
@@ -355,11 +524,20 @@ export class ExcelService {
       });
 
       // Sort the report data by location
-      const sortedReportData = this.sortLocationData(reportData);
+      const sortedReportData = this.insertUomColumns(
+        this.insertDescriptionColumn(this.sortLocationData(reportData), successfulItems),
+        successfulItems
+      );
 
       const reportSheet = XLSX.utils.aoa_to_sheet(sortedReportData);
       XLSX.utils.book_append_sheet(workbook, reportSheet, 'Putaway Report');
 
+      const unallocatedRows = this.getUnallocatedRows(executionData);
+      if (unallocatedRows.length > 1) {
+        const unallocatedSheet = XLSX.utils.aoa_to_sheet(unallocatedRows);
+        XLSX.utils.book_append_sheet(workbook, unallocatedSheet, 'Unallocated');
+      }
+
       // Generate and download
       const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
       const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -485,11 +663,21 @@ export class ExcelService {
       });
 
       // Sort the report data by location
-      const sortedReportData = this.sortLocationData(reportData);
+      const sortedReportData = this.insertUomColumns(
+        this.insertDescriptionColumn(this.sortLocationData(reportData), successfulItems),
+        successfulItems
+      );
 
       const reportSheet = XLSX.utils.aoa_to_sheet(sortedReportData);
       XLSX.utils.book_append_sheet(workbook, reportSheet, 'Pick Report');
 
+      // Short picks go on their own sheet so the pick rows stay a clean record of what moved
+      const exceptionRows = this.getPickExceptionRows(executionData);
+      if (exceptionRows.length > 1) {
+        const exceptionSheet = XLSX.utils.aoa_to_sheet(exceptionRows);
+        XLSX.utils.book_append_sheet(workbook, exceptionSheet, 'Exceptions');
+      }
+
       // Generate and download
       const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
       const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -529,11 +717,31 @@ export class ExcelService {
       });
 
       // Sort the report data by location
-      const sortedReportRows = this.sortLocationData(reportRows);
+      const sortedReportRows = this.insertUomColumns(
+        this.insertDescriptionColumn(this.sortLocationData(reportRows), reportData.data.inventory),
+        reportData.data.inventory
+      );
 
       const reportSheet = XLSX.utils.aoa_to_sheet(sortedReportRows);
       XLSX.utils.book_append_sheet(workbook, reportSheet, 'Inventory Report');
 
+      // Held stock gets its own sheet with the hold reason
+      const heldInventory = reportData.data.heldInventory || [];
+      if (heldInventory.length > 0) {
+        const heldRows = [
+          ['Barcode', 'Location', 'Lot Number', 'Expiry Date', 'Quantity', 'Hold Reason'],
+          ...heldInventory.map(item => [
+            item.barcode || item.sku || '',
+            item.location || item.binCode || '',
+            item.lotNumber || '',
+            item.expiryDate || '',
+            item.quantity || 0,
+            item.holdReason || ''
+          ])
+        ];
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(heldRows), 'On Hold');
+      }
+
       // Generate and download
       const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
       const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -555,8 +763,8 @@ export class ExcelService {
         throw new Error('No valid execution data to report');
       }
 
-      // Only include successful items
-      const successfulItems = executionData.items.filter(item => item.status === 'Completed');
+      // Only include items that went into bins - a partial put-away reports the part that did
+      const successfulItems = executionData.items.filter(item => item.status === 'Completed' || item.status === 'Partial');
       
       // Build report data
       const reportData = [
@@ -602,10 +810,18 @@ export class ExcelService {
       });
 
       // Sort the report data by location
-      const sortedReportData = this.sortLocationData(reportData);
+      const sortedReportData = this.insertUomColumns(
+        this.insertDescriptionColumn(this.sortLocationData(reportData), successfulItems),
+        successfulItems
+      );
+
+      const unallocatedRows = this.getUnallocatedRows(executionData);
+      const extraSections = unallocatedRows.length > 1
+        ? [{ title: 'Unallocated Remainder', rows: unallocatedRows }]
+        : [];
 
       // Generate HTML for printing
-      return this.generatePrintHTML('Putaway Report', sortedReportData, new Date().toLocaleDateString());
+      return this.generatePrintHTML('Putaway Report', sortedReportData, new Date().toLocaleDateString(), extraSections);
     } catch (error) {
       console.error('Error generating putaway print report:', error);
       throw error;
@@ -708,16 +924,79 @@ export class ExcelService {
       });
 
       // Sort the report data by location
-      const sortedReportData = this.sortLocationData(reportData);
+      const sortedReportData = this.insertUomColumns(
+        this.insertDescriptionColumn(this.sortLocationData(reportData), successfulItems),
+        successfulItems
+      );
+
+      const exceptionRows = this.getPickExceptionRows(executionData);
+      const extraSections = exceptionRows.length > 1
+        ? [{ title: 'Pick Exceptions', rows: exceptionRows }]
+        : [];
 
       // Generate HTML for printing
-      return this.generatePrintHTML('Pick Report', sortedReportData, new Date().toLocaleDateString());
+      return this.generatePrintHTML('Pick Report', sortedReportData, new Date().toLocaleDateString(), extraSections);
     } catch (error) {
       console.error('Error generating pick print report:', error);
       throw error;
     }
   }
 
+  /**
+   * Build the unallocated remainder per SKU (header first) for a put-away execution
+   */
+  getUnallocatedRows(executionData) {
+    const bySku = new Map();
+
+    (executionData.items || [])
+      .filter(item => item.unallocatedQuantity > 0)
+      .forEach(item => {
+        const sku = item.barcode || item.sku || '';
+        const entry = bySku.get(sku) || { requested: 0, putAway: 0, unallocated: 0, heldAt: new Set() };
+
+        entry.requested += parseInt(item.quantity) || 0;
+        entry.putAway += item.allocatedQuantity || 0;
+        entry.unallocated += item.unallocatedQuantity;
+        entry.heldAt.add(item.overflowLocation || 'Not received');
+        bySku.set(sku, entry);
+      });
+
+    const rows = [['Barcode', 'Requested', 'Put Away', 'Unallocated', 'Held At']];
+    bySku.forEach((entry, sku) => {
+      rows.push([sku, entry.requested, entry.putAway, entry.unallocated, [...entry.heldAt].join(', ')]);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Build the short-pick exception rows (header first) for a pick execution
+   */
+  getPickExceptionRows(executionData) {
+    const exceptions = executionData.exceptions ||
+      (executionData.items || []).flatMap(item => item.exceptions || []);
+
+    const rows = [
+      ['Barcode', 'Location', 'Lot Number', 'Planned', 'Found', 'Short', 'Reason', 'Re-planned To', 'Unresolved']
+    ];
+
+    exceptions.forEach(exception => {
+      rows.push([
+        exception.sku || '',
+        exception.binCode || '',
+        exception.lotNumber || '',
+        exception.plannedQuantity || 0,
+        exception.foundQuantity || 0,
+        exception.shortQuantity || 0,
+        exception.reasonLabel || exception.reason || '',
+        (exception.replacementPlan || []).map(plan => `${plan.binCode} (${plan.quantity})`).join(', '),
+        exception.unresolvedQuantity || 0
+      ]);
+    });
+
+    return rows;
+  }
+
   /**
    * Generate print-friendly HTML report for inventory
    */
@@ -742,7 +1021,10 @@ export class ExcelService {
       });
 
       // Sort the report data by location
-      const sortedReportRows = this.sortLocationData(reportRows);
+      const sortedReportRows = this.insertUomColumns(
+        this.insertDescriptionColumn(this.sortLocationData(reportRows), reportData.data.inventory),
+        reportData.data.inventory
+      );
 
       // Generate HTML for printing
       return this.generatePrintHTML('Inventory Report', sortedReportRows, new Date().toLocaleDateString());
@@ -754,20 +1036,26 @@ export class ExcelService {
 
   /**
    * Generate HTML content for printing
+   * extraSections - optional [{ title, rows }] tables (header row first) printed after the main table
    */
-  generatePrintHTML(title, reportData, date) {
+  generatePrintHTML(title, reportData, date, extraSections = []) {
     const header = reportData[0];
     const dataRows = reportData.slice(1);
 
+    // Column positions shift when a Description column is present
+    const locationIndex = header.indexOf('Location');
+    const quantityIndex = header.indexOf('Quantity');
+    const operationIndex = header.findIndex(cell => cell === 'Operation' || cell === 'Status');
+
     // Calculate summary statistics
     const totalRecords = dataRows.length;
-    const totalQuantity = dataRows.reduce((sum, row) => sum + (parseInt(row[2]) || 0), 0);
+    const totalQuantity = dataRows.reduce((sum, row) => sum + (parseInt(row[quantityIndex]) || 0), 0);
     
     // Group by SKU/Barcode to show unique items and their total quantities
     const skuSummary = {};
     dataRows.forEach(row => {
       const barcode = row[0] || 'Unknown';
-      const quantity = parseInt(row[2]) || 0;
+      const quantity = parseInt(row[quantityIndex]) || 0;
       
       if (!skuSummary[barcode]) {
         skuSummary[barcode] = {
@@ -777,11 +1065,11 @@ export class ExcelService {
       }
       
       skuSummary[barcode].totalQuantity += quantity;
-      skuSummary[barcode].locations.add(row[1]);
+      skuSummary[barcode].locations.add(row[locationIndex]);
     });
     
     const uniqueItems = Object.keys(skuSummary).length;
-    const totalLocations = new Set(dataRows.map(row => row[1])).size;
+    const totalLocations = new Set(dataRows.map(row => row[locationIndex])).size;
 
     let html = `
 <!DOCTYPE html>
@@ -970,9 +1258,9 @@ export class ExcelService {
         html += '<tr>';
         row.forEach((cell, index) => {
             let cellClass = '';
-            if (index === 1) cellClass = 'location-cell'; // Location column
-            else if (index === 2) cellClass = 'quantity-cell'; // Quantity column
-            else if (index === 3) cellClass = 'operation-cell'; // Operation column
+            if (index === locationIndex) cellClass = 'location-cell'; // Location column
+            else if (index === quantityIndex) cellClass = 'quantity-cell'; // Quantity column
+            else if (index === operationIndex) cellClass = 'operation-cell'; // Operation column
             
             html += `<td class="${cellClass}">${cell}</td>`;
         });
@@ -981,7 +1269,26 @@ export class ExcelService {
 
     html += `
         </tbody>
-    </table>
+    </table>`;
+
+    extraSections.forEach(section => {
+        const [sectionHeader, ...sectionRows] = section.rows;
+        html += `
+    <div class="sku-summary-title">${section.title}</div>
+    <table>
+        <thead>
+            <tr>${sectionHeader.map(cell => `<th>${cell}</th>`).join('')}</tr>
+        </thead>
+        <tbody>`;
+        sectionRows.forEach(row => {
+            html += `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+        });
+        html += `
+        </tbody>
+    </table>`;
+    });
+
+    html += `
     
     <div class="footer">
         Warehouse Management System - ${title}
@@ -1006,9 +1313,189 @@ export class ExcelService {
     };
   }
 
+  /**
+   * Resolve a barcode against the product catalogue (lookup from productService.getBarcodeLookup)
+   * Returns undefined when no catalogue is set up yet, so files are not validated against it,
+   * and null when the catalogue exists but does not know the barcode.
+   */
+  findCatalogueProduct(barcode, products, quantity) {
+    if (!products || products.size === 0) return undefined;
+    return productService.resolveBarcode(products, barcode, quantity);
+  }
+
+  /**
+   * Barcode and quantity fields for a parsed row
+   * Alternate barcodes are stored under the product's SKU, with the file quantity
+   * converted from the barcode's unit into base units.
+   */
+  getCatalogueFields(barcode, quantity, resolved) {
+    if (!resolved) {
+      return { barcode, quantity };
+    }
+    const { product } = resolved;
+    return {
+      barcode: product.sku,
+      scannedBarcode: barcode !== product.sku ? barcode : null,
+      description: product.description || '',
+      unitOfMeasure: product.unitOfMeasure || 'EA',
+      orderingUnit: productService.getOrderingUnit(product),
+      scannedUom: resolved.uom,
+      scannedQuantity: quantity,
+      quantity: resolved.quantity
+    };
+  }
+
+  /**
+   * Insert UOM and ordering-unit quantity columns after the Quantity column of report rows
+   * Left out when none of the items has product catalogue units.
+   */
+  insertUomColumns(rows, items) {
+    const units = new Map();
+    items.forEach(item => {
+      const sku = item.barcode || item.sku;
+      if (sku && item.unitOfMeasure) units.set(sku, item);
+    });
+
+    if (units.size === 0) return rows;
+
+    const [header, ...dataRows] = rows;
+    const quantityIndex = header.indexOf('Quantity');
+    if (quantityIndex === -1) return rows;
+
+    const insertAfterQuantity = (row, uomCell, orderingCell) => [
+      ...row.slice(0, quantityIndex + 1), uomCell, orderingCell, ...row.slice(quantityIndex + 1)
+    ];
+
+    return [
+      insertAfterQuantity(header, 'UOM', 'Ordering Qty'),
+      ...dataRows.map(row => {
+        const item = units.get(row[0]);
+        if (!item) return insertAfterQuantity(row, '', '');
+        const orderingQuantity = productService.formatOrderingQuantity(
+          parseInt(row[quantityIndex]) || 0,
+          item.orderingUnit,
+          item.unitOfMeasure
+        );
+        return insertAfterQuantity(row, item.unitOfMeasure, orderingQuantity);
+      })
+    ];
+  }
+
   /**
    * Find column index by possible header names
    */
+  /**
+   * Parse Excel file and extract product catalogue rows
+   */
+  async parseProductFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.onload = (e) => {
+        try {
+          const data = new Uint8Array(e.target.result);
+          const workbook = XLSX.read(data, { type: 'array' });
+          const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+          const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+          if (jsonData.length < 2) {
+            reject(new Error('Excel file must contain at least a header row and one data row'));
+            return;
+          }
+
+          // Only the SKU column is required
+          const headers = jsonData[0].map(h => h?.toString().toLowerCase().trim());
+          const skuIndex = this.findColumnIndex(headers, ['sku', 'barcode', 'product code', 'item code']);
+          const descriptionIndex = this.findColumnIndex(headers, ['description', 'name']);
+          const orderingUomIndex = this.findColumnIndex(headers, ['ordering uom', 'ordering unit', 'order unit']);
+          // Keep the ordering unit column from also matching the base unit
+          const uomIndex = this.findColumnIndex(
+            headers.map((header, index) => index === orderingUomIndex ? null : header),
+            ['unit of measure', 'uom', 'unit']
+          );
+          const casePackIndex = this.findColumnIndex(headers, ['case pack', 'pack size', 'case qty']);
+          const lengthIndex = this.findColumnIndex(headers, ['length']);
+          const widthIndex = this.findColumnIndex(headers, ['width']);
+          const heightIndex = this.findColumnIndex(headers, ['height']);
+          const weightIndex = this.findColumnIndex(headers, ['weight']);
+          const categoryIndex = this.findColumnIndex(headers, ['category', 'type']);
+          const alternateIndex = this.findColumnIndex(headers, ['alternate barcode', 'alt barcode', 'alternate']);
+          const temperatureIndex = this.findColumnIndex(headers, ['temperature', 'temp class']);
+          const hazardousIndex = this.findColumnIndex(headers, ['hazardous', 'hazmat']);
+          const stackableIndex = this.findColumnIndex(headers, ['stackable']);
+
+          if (skuIndex === -1) {
+            reject(new Error('Could not find SKU column. Expected headers: sku or barcode'));
+            return;
+          }
+
+          const cell = (row, index) => (index !== -1 ? row[index] : undefined);
+          const isYes = (value) => ['yes', 'y', 'true', '1'].includes(value?.toString().toLowerCase().trim());
+
+          const items = [];
+          const errors = [];
+          const seenSkus = new Set();
+
+          for (let i = 1; i < jsonData.length; i++) {
+            const row = jsonData[i];
+
+            if (!row || row.length === 0) continue; // Skip empty rows
+
+            const sku = cell(row, skuIndex)?.toString().trim();
+            if (!sku) {
+              errors.push(`Row ${i + 1}: Missing SKU`);
+              continue;
+            }
+
+            if (seenSkus.has(sku)) {
+              errors.push(`Row ${i + 1}: SKU ${sku} appears more than once in the file`);
+              continue;
+            }
+            seenSkus.add(sku);
+
+            const stackable = cell(row, stackableIndex);
+
+            items.push({
+              rowNumber: i + 1,
+              sku,
+              description: cell(row, descriptionIndex),
+              unitOfMeasure: cell(row, uomIndex),
+              orderingUnitOfMeasure: cell(row, orderingUomIndex),
+              casePack: cell(row, casePackIndex),
+              dimensions: {
+                length: cell(row, lengthIndex),
+                width: cell(row, widthIndex),
+                height: cell(row, heightIndex)
+              },
+              weight: cell(row, weightIndex),
+              category: cell(row, categoryIndex),
+              alternateBarcodes: cell(row, alternateIndex),
+              storageConstraints: {
+                temperatureClass: cell(row, temperatureIndex)?.toString().toLowerCase().trim() || undefined,
+                hazardous: isYes(cell(row, hazardousIndex)),
+                stackable: stackable === undefined || stackable === '' ? true : isYes(stackable)
+              }
+            });
+          }
+
+          resolve({
+            items,
+            errors,
+            totalItems: items.length
+          });
+        } catch (error) {
+          reject(new Error(`Error parsing Excel file: ${error.message}`));
+        }
+      };
+
+      reader.onerror = () => {
+        reject(new Error('Error reading file'));
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
   findColumnIndex(headers, possibleNames) {
     for (const name of possibleNames) {
       const index = headers.findIndex(header => 
@@ -1081,10 +1568,10 @@ export class ExcelService {
     const workbook = XLSX.utils.book_new();
     
     const templateData = [
-      ['Barcode', 'Quantity'],
-      ['SKU001', 100],
-      ['SKU002', 50],
-      ['SKU003', 75]
+      ['Barcode', 'Quantity', 'Lot Number', 'Expiry Date', 'Manufacture Date'],
+      ['SKU001', 100, 'LOT2024-01', '2025-12-31', '2024-01-15'],
+      ['SKU002', 50, '', '', ''],
+      ['SKU003', 75, 'LOT2024-07', '2026-06-30', '2024-07-01']
     ];
 
     const worksheet = XLSX.utils.aoa_to_sheet(templateData);
@@ -1115,6 +1602,138 @@ export class ExcelService {
     const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
     saveAs(blob, 'pick-template.xlsx');
   }
+
+  /**
+   * Generate sample Excel template for bin-to-bin transfers
+   */
+  async generateTransferTemplate() {
+    const workbook = XLSX.utils.book_new();
+    
+    const templateData = [
+      ['Barcode', 'Quantity', 'From Bin', 'To Bin', 'Lot Number'],
+      ['SKU001', 10, 'WH1-GF-R01-G01-A1', 'WH1-GF-R01-G01-B2', ''],
+      ['SKU002', 5, 'WH1-GF-R02-G01-A3', 'WH1-GF-R01-G02-A1', 'LOT2024-01']
+    ];
+
+    const worksheet = XLSX.utils.aoa_to_sheet(templateData);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Transfer Template');
+
+    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, 'transfer-template.xlsx');
+  }
+
+  /**
+   * Export the receiving discrepancies of a receipt (over, under and unexpected lines)
+   * A second sheet lists every line as received.
+   */
+  async generateReceivingDiscrepancyReport(receipt, discrepancyLines) {
+    const workbook = XLSX.utils.book_new();
+    const labels = { over: 'Over', under: 'Under', unexpected: 'Unexpected' };
+
+    const headerRows = [
+      ['Receipt', receipt.receiptNumber],
+      ['ASN / PO', receipt.reference],
+      ['Supplier', receipt.supplier || ''],
+      ['Status', receipt.status],
+      ['Closed', receipt.closedAt ? new Date(receipt.closedAt).toLocaleString() : ''],
+      []
+    ];
+
+    const discrepancyRows = [
+      ['Barcode', 'Description', 'Lot Number', 'Expected', 'Received', 'Variance', 'Discrepancy'],
+      ...discrepancyLines.map(line => [
+        line.sku,
+        line.description || '',
+        line.lotNumber || '',
+        line.expectedQty,
+        line.receivedQty,
+        line.receivedQty - line.expectedQty,
+        labels[line.discrepancy] || line.discrepancy
+      ])
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([...headerRows, ...discrepancyRows]), 'Discrepancies');
+
+    const lineRows = [
+      ['Barcode', 'Description', 'Lot Number', 'Expiry Date', 'Expected', 'Received', 'Put Away'],
+      ...receipt.lines.map(line => [
+        line.sku,
+        line.description || '',
+        line.lotNumber || '',
+        line.expiryDate || '',
+        line.expectedQty,
+        line.receivedQty,
+        line.putAwayQty || 0
+      ])
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(lineRows), 'All Lines');
+
+    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, `receiving-discrepancies-${receipt.receiptNumber}.xlsx`);
+  }
+
+  /**
+   * Export a slotting plan - the Moves sheet uses the transfer template columns so it can be
+   * uploaded on the Transfers screen as it is
+   */
+  async generateSlottingMoveList(plan) {
+    const workbook = XLSX.utils.book_new();
+
+    const moveRows = [
+      ['Barcode', 'Quantity', 'From Bin', 'To Bin', 'Lot Number', 'Class', 'Reason'],
+      ...plan.moves.map(move => [
+        move.sku,
+        move.quantity,
+        move.fromBinCode,
+        move.toBinCode,
+        move.lotNumber || '',
+        move.abcClass,
+        move.reason
+      ])
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(moveRows), 'Moves');
+
+    const classRows = [
+      ['Barcode', 'Class', 'Pick Lines', 'Units Picked', 'Frequency Class', 'Units Class', 'Stock Qty', 'Bins'],
+      ...plan.classes.map(row => [
+        row.sku,
+        row.abcClass,
+        row.pickLines,
+        row.units,
+        row.frequencyClass,
+        row.unitsClass,
+        row.stockQty,
+        row.binCount
+      ])
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(classRows), 'ABC Velocity');
+
+    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, `slotting-plan-${new Date().getTime()}.xlsx`);
+  }
+
+  /**
+   * Generate sample Excel template for the product catalogue
+   */
+  async generateProductTemplate() {
+    const workbook = XLSX.utils.book_new();
+
+    const templateData = [
+      ['SKU', 'Description', 'UOM', 'Ordering UOM', 'Case Pack', 'Length (cm)', 'Width (cm)', 'Height (cm)', 'Weight (kg)', 'Category', 'Alternate Barcodes', 'Temperature Class', 'Hazardous', 'Stackable'],
+      ['SKU001', 'Widget, blue', 'EA', 'CASE', 12, 10, 8, 5, 0.25, 'Hardware', '05012345678900, 15012345678907:CASE:12', 'ambient', 'no', 'yes'],
+      ['SKU002', 'Cleaning fluid 1L', 'EA', '', 6, 10, 10, 25, 1.1, 'Chemicals', '', 'ambient', 'yes', 'yes'],
+      ['SKU003', 'Frozen peas 500g', 'EA', '', 20, 15, 5, 20, 0.5, 'Food', '', 'frozen', 'no', 'no']
+    ];
+
+    const worksheet = XLSX.utils.aoa_to_sheet(templateData);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Product Template');
+
+    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, 'product-template.xlsx');
+  }
 }
 
 export const excelService = new ExcelService();
@@ -5,7 +5,11 @@ export class HistoryService {
   constructor() {
     this.operationTypes = {
       PUTAWAY: 'putaway',
-      PICK: 'pick'
+      PICK: 'pick',
+      ADJUSTMENT: 'adjustment',
+      TRANSFER: 'transfer',
+      HOLD: 'hold',
+      SHIP: 'ship'
     };
   }
 
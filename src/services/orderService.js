@@ -0,0 +1,414 @@
+import { db } from '../firebase';
+import { collection, addDoc, getDocs, getDoc, query, where, orderBy, doc, updateDoc, limit, serverTimestamp } from 'firebase/firestore';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+
+/**
+ * Outbound customer orders
+ *
+ * Orders are stored in WHT/{warehouseId}/orders and move through
+ * new -> allocated -> picking -> picked -> packed -> shipped (or cancelled before picking).
+ * Allocation reserves stock FIFO without deducting it (warehouseOperations.reserveStock), so two
+ * orders can never promise the same units. Order reservations do not expire; they are released
+ * when the order is picked or cancelled.
+ */
+export class OrderService {
+  constructor() {
+    this.statuses = {
+      NEW: 'new',
+      ALLOCATED: 'allocated',
+      PICKING: 'picking',
+      PICKED: 'picked',
+      PACKED: 'packed',
+      SHIPPED: 'shipped',
+      CANCELLED: 'cancelled'
+    };
+
+    // Allowed next statuses for each status
+    this.transitions = {
+      new: ['allocated', 'cancelled'],
+      allocated: ['picking', 'cancelled'],
+      picking: ['picked', 'cancelled'],
+      picked: ['packed'],
+      packed: ['shipped'],
+      shipped: [],
+      cancelled: []
+    };
+  }
+
+  getUserName(user) {
+    return user ? user.name || user.email || null : null;
+  }
+
+  assertTransition(order, nextStatus) {
+    if (!(this.transitions[order.status] || []).includes(nextStatus)) {
+      throw new Error(`Order ${order.orderNumber} is ${order.status} and cannot be ${nextStatus}`);
+    }
+  }
+
+  /**
+   * Create an order; lines for the same SKU are merged
+   * @param {Object} orderData - { orderNumber, customer, requiredDate, notes, items: [{ sku|barcode, quantity }] }
+   */
+  async createOrder(warehouseId, orderData, user = null) {
+    const orderNumber = orderData.orderNumber?.toString().trim() || `ORD-${Date.now()}`;
+    const lines = [];
+
+    (orderData.items || []).forEach(item => {
+      const sku = (item.sku || item.barcode)?.toString().trim();
+      const quantity = Number(item.quantity);
+      if (!sku) throw new Error('Every order line needs a SKU');
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error(`Quantity for ${sku} must be a positive whole number`);
+      }
+
+      const existing = lines.find(line => line.sku === sku);
+      if (existing) {
+        existing.quantity += quantity;
+        return;
+      }
+      lines.push({
+        lineId: `L${String(lines.length + 1).padStart(4, '0')}`,
+        sku,
+        description: item.description || '',
+        quantity,
+        allocatedQty: 0,
+        pickedQty: 0
+      });
+    });
+
+    if (lines.length === 0) {
+      throw new Error('The order has no lines');
+    }
+
+    try {
+      const ordersRef = collection(db, 'WHT', warehouseId, 'orders');
+      const duplicate = await getDocs(query(ordersRef, where('orderNumber', '==', orderNumber), limit(1)));
+      if (!duplicate.empty) {
+        throw new Error(`Order ${orderNumber} already exists`);
+      }
+
+      const order = {
+        orderNumber,
+        customer: orderData.customer?.toString().trim() || '',
+        requiredDate: orderData.requiredDate || null,
+        notes: orderData.notes || '',
+        status: this.statuses.NEW,
+        lines,
+        allocations: [],
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        createdBy: this.getUserName(user),
+        createdAt: new Date().toISOString()
+      };
+
+      const docRef = await addDoc(ordersRef, { ...order, updatedAt: serverTimestamp() });
+
+      console.log(`🧾 Order ${orderNumber} created: ${lines.length} lines, ${order.totalQuantity} units`);
+      return { id: docRef.id, ...order };
+    } catch (error) {
+      console.error('Error creating order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get orders, newest first
+   */
+  async getOrders(warehouseId, filters = {}) {
+    try {
+      const ordersRef = collection(db, 'WHT', warehouseId, 'orders');
+      const constraints = filters.status
+        ? [where('status', '==', filters.status), limit(filters.limit || 100)]
+        : [orderBy('createdAt', 'desc'), limit(filters.limit || 100)];
+
+      const snapshot = await getDocs(query(ordersRef, ...constraints));
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      console.error('Error getting orders:', error);
+      return [];
+    }
+  }
+
+  async getOrder(warehouseId, orderId) {
+    const orderDoc = await getDoc(doc(db, 'WHT', warehouseId, 'orders', orderId));
+
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    return { id: orderDoc.id, ...orderDoc.data() };
+  }
+
+  /**
+   * Reserve stock for every line of a new order
+   * Allocation is all or nothing: if any SKU is short, nothing is reserved.
+   */
+  async allocateOrder(warehouseId, orderId, user = null) {
+    try {
+      const order = await this.getOrder(warehouseId, orderId);
+      this.assertTransition(order, this.statuses.ALLOCATED);
+
+      const allocations = [];
+      const shortages = [];
+
+      for (const line of order.lines) {
+        const { pickPlan, shortfall } = await warehouseOperations.findProductsForPicking(warehouseId, line.sku, line.quantity);
+        if (shortfall > 0) {
+          shortages.push(`${line.sku} short by ${shortfall}`);
+          continue;
+        }
+
+        pickPlan.forEach(plan => {
+          allocations.push({
+            binId: plan.id,
+            binCode: plan.code,
+            sku: line.sku,
+            lotNumber: plan.skuInfo?.lotNumber || null,
+            expiryDate: plan.skuInfo?.expiryDate || null,
+            quantity: plan.pickQuantity
+          });
+        });
+      }
+
+      if (shortages.length > 0) {
+        throw new Error(`Not enough available stock to allocate ${order.orderNumber}: ${shortages.join(', ')}`);
+      }
+
+      const updates = {
+        status: this.statuses.ALLOCATED,
+        allocations,
+        lines: order.lines.map(line => ({ ...line, allocatedQty: line.quantity })),
+        allocatedBy: this.getUserName(user),
+        allocatedAt: new Date().toISOString()
+      };
+
+      await warehouseOperations.reserveStock(warehouseId, orderId, allocations, {
+        ownerLabel: order.orderNumber,
+        type: warehouseOperations.reservationTypes.ORDER,
+        ...this.orderTransaction(order, this.statuses.ALLOCATED, updates)
+      });
+
+      console.log(`📌 Order ${order.orderNumber} allocated from ${allocations.length} bin lots`);
+      return { ...order, ...updates };
+    } catch (error) {
+      console.error('Error allocating order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transaction options that re-read the order and check it can still move to nextStatus
+   */
+  orderTransaction(order, nextStatus, orderUpdates, taskWrites = []) {
+    return {
+      reads: { order: { collectionName: 'orders', docId: order.id } },
+      assertDocs: (docs) => {
+        if (!docs.order) {
+          throw new Error(`Order ${order.orderNumber} not found`);
+        }
+        this.assertTransition(docs.order, nextStatus);
+      },
+      taskWrites: [{ collectionName: 'orders', taskId: order.id, data: orderUpdates }, ...taskWrites]
+    };
+  }
+
+  /**
+   * Create the pick task for an allocated order, picking exactly the reserved bins
+   * The task is stored under the order id and written with the order update in one transaction,
+   * so an order never gets a second pick task.
+   */
+  async startPicking(warehouseId, orderId, user = null) {
+    try {
+      const order = await this.getOrder(warehouseId, orderId);
+      this.assertTransition(order, this.statuses.PICKING);
+
+      const task = {
+        orderNumber: order.orderNumber,
+        orderId,
+        customer: order.customer,
+        items: order.allocations.map(allocation => ({ ...allocation })),
+        totalItems: order.allocations.length,
+        totalQuantity: order.allocations.reduce((sum, allocation) => sum + allocation.quantity, 0),
+        priority: 'medium',
+        notes: `Order ${order.orderNumber}`,
+        status: 'picking',
+        createdBy: 'system'
+      };
+
+      const updates = {
+        status: this.statuses.PICKING,
+        pickTaskId: orderId,
+        pickingStartedBy: this.getUserName(user),
+        pickingStartedAt: new Date().toISOString()
+      };
+      const { reads, assertDocs, taskWrites } = this.orderTransaction(order, this.statuses.PICKING, updates, [
+        { collectionName: 'pickTasks', taskId: orderId, data: task, create: true }
+      ]);
+      await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+        assertDocs(docs);
+        return { taskWrites };
+      }, { reads });
+
+      return { ...order, ...updates };
+    } catch (error) {
+      console.error('Error starting order picking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the reserved stock out of the bins and release the reservations
+   * The picks, the reservation release and the order update commit in one transaction.
+   */
+  async confirmPicked(warehouseId, orderId, user = null) {
+    try {
+      const order = await this.getOrder(warehouseId, orderId);
+      this.assertTransition(order, this.statuses.PICKED);
+
+      // Allocated bins are picked in full or not at all, so the picked quantities are known up front
+      const pickedAt = new Date().toISOString();
+      const lines = order.lines.map(line => ({
+        ...line,
+        pickedQty: order.allocations
+          .filter(allocation => allocation.sku === line.sku)
+          .reduce((sum, allocation) => sum + allocation.quantity, 0)
+      }));
+      const updates = {
+        status: this.statuses.PICKED,
+        lines,
+        pickedBy: this.getUserName(user),
+        pickedAt
+      };
+
+      const pickResult = await warehouseOperations.executePick(
+        warehouseId,
+        order.pickTaskId,
+        order.allocations.map(allocation => ({
+          binId: allocation.binId,
+          binCode: allocation.binCode,
+          sku: allocation.sku,
+          quantity: allocation.quantity,
+          lotNumber: allocation.lotNumber,
+          expiryDate: allocation.expiryDate
+        })),
+        {
+          reservationOwnerId: orderId,
+          releaseOwnerReservations: true,
+          ...this.orderTransaction(order, this.statuses.PICKED, updates)
+        }
+      );
+
+      const items = lines.map(line => {
+        const pickedBins = order.allocations.filter(allocation => allocation.sku === line.sku);
+        return {
+          barcode: line.sku,
+          quantity: line.quantity,
+          pickedQty: line.pickedQty,
+          status: line.pickedQty === line.quantity ? 'Completed' : 'Partial',
+          location: pickedBins.map(allocation => allocation.binCode).join(', '),
+          pickedBins: pickedBins.map(allocation => ({
+            binId: allocation.binId,
+            binCode: allocation.binCode,
+            quantity: allocation.quantity,
+            lotNumber: allocation.lotNumber,
+            expiryDate: allocation.expiryDate
+          })),
+          executedAt: pickedAt
+        };
+      });
+      const summary = {
+        total: items.length,
+        successful: items.filter(item => item.status === 'Completed').length,
+        partial: items.filter(item => item.status === 'Partial').length,
+        failed: 0
+      };
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.PICK, {
+        timestamp: pickedAt,
+        warehouseId,
+        fileName: `Order ${order.orderNumber}`,
+        totalItems: summary.total,
+        successCount: summary.successful,
+        partialCount: summary.partial,
+        failedCount: summary.failed,
+        executionDetails: { items, summary },
+        orderId,
+        pickTaskId: order.pickTaskId,
+        executedBy: this.getUserName(user),
+        type: 'pick',
+        operationType: 'pick'
+      });
+
+      console.log(`✅ Order ${order.orderNumber} picked: ${pickResult.summary.totalQuantityPicked} units`);
+      return { ...order, ...updates };
+    } catch (error) {
+      console.error('Error confirming order pick:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a picked order on to packed, or a packed order to shipped
+   */
+  async updateStatus(warehouseId, orderId, nextStatus, user = null, extra = {}) {
+    if (![this.statuses.PACKED, this.statuses.SHIPPED].includes(nextStatus)) {
+      throw new Error(`Use the order actions to set status ${nextStatus}`);
+    }
+
+    try {
+      const order = await this.getOrder(warehouseId, orderId);
+      this.assertTransition(order, nextStatus);
+
+      const updates = {
+        ...extra,
+        status: nextStatus,
+        [`${nextStatus}By`]: this.getUserName(user),
+        [`${nextStatus}At`]: new Date().toISOString()
+      };
+      await updateDoc(doc(db, 'WHT', warehouseId, 'orders', orderId), { ...updates, updatedAt: serverTimestamp() });
+
+      return { ...order, ...updates };
+    } catch (error) {
+      console.error(`Error setting order status ${nextStatus}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an order that has not been picked yet, releasing its reservations
+   */
+  async cancelOrder(warehouseId, orderId, user = null, reason = '') {
+    try {
+      const order = await this.getOrder(warehouseId, orderId);
+      this.assertTransition(order, this.statuses.CANCELLED);
+
+      const updates = {
+        status: this.statuses.CANCELLED,
+        lines: order.lines.map(line => ({ ...line, allocatedQty: 0 })),
+        cancelReason: reason || '',
+        cancelledBy: this.getUserName(user),
+        cancelledAt: new Date().toISOString()
+      };
+
+      await warehouseOperations.releaseReservations(
+        warehouseId,
+        orderId,
+        (order.allocations || []).map(allocation => allocation.binId),
+        this.orderTransaction(order, this.statuses.CANCELLED, updates, order.pickTaskId
+          ? [{ collectionName: 'pickTasks', taskId: order.pickTaskId, data: { status: 'cancelled' } }]
+          : [])
+      );
+
+      console.log(`🚫 Order ${order.orderNumber} cancelled`);
+      return { ...order, ...updates };
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      throw error;
+    }
+  }
+}
+
+export const orderService = new OrderService();
@@ -0,0 +1,103 @@
+import { orderService } from './orderService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { warehouseService } from './warehouseService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+const order = {
+  id: 'o1',
+  orderNumber: 'ORD-1',
+  status: 'picking',
+  pickTaskId: 't1',
+  lines: [{ sku: 'S1', quantity: 5 }],
+  allocations: [
+    { binId: 'b1', binCode: 'A-01', sku: 'S1', lotNumber: 'L1', expiryDate: null, quantity: 3 },
+    { binId: 'b2', binCode: 'A-02', sku: 'S1', lotNumber: 'L2', expiryDate: null, quantity: 2 }
+  ]
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('orderTransaction', () => {
+  test('re-checks the order status read in the transaction', () => {
+    const { reads, assertDocs, taskWrites } = orderService.orderTransaction(order, 'picked', { status: 'picked' });
+
+    expect(reads).toEqual({ order: { collectionName: 'orders', docId: 'o1' } });
+    expect(taskWrites).toEqual([{ collectionName: 'orders', taskId: 'o1', data: { status: 'picked' } }]);
+    expect(() => assertDocs({ order: { ...order } })).not.toThrow();
+    expect(() => assertDocs({ order: { ...order, status: 'cancelled' } })).toThrow(/cancelled and cannot be picked/);
+    expect(() => assertDocs({ order: null })).toThrow(/not found/);
+  });
+});
+
+describe('confirmPicked', () => {
+  test('picks, releases the reservations and updates the order in one pick transaction', async () => {
+    jest.spyOn(orderService, 'getOrder').mockResolvedValue(order);
+    const executePick = jest.spyOn(warehouseOperations, 'executePick').mockResolvedValue({
+      binUpdates: [],
+      summary: { totalQuantityPicked: 5 }
+    });
+    const saveHistory = jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue({});
+    const releaseReservations = jest.spyOn(warehouseOperations, 'releaseReservations');
+
+    const picked = await orderService.confirmPicked('w', 'o1', { name: 'Picker' });
+
+    const [, taskId, items, options] = executePick.mock.calls[0];
+    expect(taskId).toBe('t1');
+    expect(items).toHaveLength(2);
+    expect(options).toEqual(expect.objectContaining({ reservationOwnerId: 'o1', releaseOwnerReservations: true }));
+    expect(options.taskWrites[0].data).toEqual(expect.objectContaining({ status: 'picked', pickedBy: 'Picker' }));
+    expect(releaseReservations).not.toHaveBeenCalled();
+
+    expect(picked.lines[0].pickedQty).toBe(5);
+    const historyItem = saveHistory.mock.calls[0][2].executionDetails.items[0];
+    expect(historyItem.pickedQty).toBe(5);
+    expect(historyItem.status).toBe('Completed');
+  });
+});
+
+describe('allocateOrder', () => {
+  test('re-checks the order status in the reservation transaction', async () => {
+    jest.spyOn(orderService, 'getOrder').mockResolvedValue({ ...order, status: 'new', allocations: [] });
+    jest.spyOn(warehouseOperations, 'findProductsForPicking').mockResolvedValue({
+      pickPlan: [{ id: 'b1', code: 'A-01', pickQuantity: 5, skuInfo: { lotNumber: 'L1' } }],
+      shortfall: 0
+    });
+    const reserveStock = jest.spyOn(warehouseOperations, 'reserveStock').mockResolvedValue({});
+
+    await orderService.allocateOrder('w', 'o1');
+
+    const options = reserveStock.mock.calls[0][3];
+    expect(options.reads).toEqual({ order: { collectionName: 'orders', docId: 'o1' } });
+    expect(() => options.assertDocs({ order: { ...order, status: 'allocated' } })).toThrow(/allocated and cannot be allocated/);
+  });
+});
+
+describe('startPicking', () => {
+  test('creates the pick task under the order id with the order update in one transaction', async () => {
+    jest.spyOn(orderService, 'getOrder').mockResolvedValue({ ...order, status: 'allocated' });
+    const run = jest.spyOn(warehouseService, 'runBinTransaction')
+      .mockImplementation(async (warehouseId, binIds, applyChanges) => applyChanges({}, { order: { ...order, status: 'allocated' } }));
+
+    const started = await orderService.startPicking('w', 'o1');
+
+    expect(started.pickTaskId).toBe('o1');
+    const { taskWrites } = await run.mock.results[0].value;
+    expect(taskWrites.map(write => [write.collectionName, write.taskId, !!write.create])).toEqual([
+      ['orders', 'o1', false],
+      ['pickTasks', 'o1', true]
+    ]);
+  });
+
+  test('a second start of the same order is rejected in the transaction', async () => {
+    jest.spyOn(orderService, 'getOrder').mockResolvedValue({ ...order, status: 'allocated' });
+    jest.spyOn(warehouseService, 'runBinTransaction')
+      .mockImplementation(async (warehouseId, binIds, applyChanges) => applyChanges({}, { order: { ...order, status: 'picking' } }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(orderService.startPicking('w', 'o1')).rejects.toThrow(/picking and cannot be picking/);
+  });
+});
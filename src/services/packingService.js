@@ -0,0 +1,258 @@
+import { db } from '../firebase';
+import { collection, getDocs, query, orderBy, limit } from 'firebase/firestore';
+import { warehouseService } from './warehouseService';
+import { historyService } from './historyService';
+import { orderService } from './orderService';
+
+/**
+ * Packing and shipping after a pick
+ *
+ * Picked stock of a completed (or partial) pick task is scanned into cartons at the pack station.
+ * Closing the shipment checks the packed quantities against what the task picked, then in one
+ * transaction stores the shipment in WHT/{warehouseId}/shipments under the pick task's id and marks
+ * the pick task (and its order) shipped. A 'ship' entry is added to the operation history afterwards.
+ * Excel, guided and file-based wave picks are saved as pick tasks when they execute
+ * (see warehouseOperations.executePick), so every pick reaches the pack station.
+ */
+export class PackingService {
+  constructor() {
+    // Pick task statuses that still have stock waiting at the pack station
+    this.packableStatuses = ['completed', 'partial'];
+  }
+
+  getUserName(user) {
+    return user ? user.name || user.email || null : null;
+  }
+
+  /**
+   * Picked pick tasks that have not been shipped yet, most recently completed first
+   */
+  async getPackableTasks(warehouseId) {
+    const taskLists = await Promise.all(
+      this.packableStatuses.map(status => warehouseService.getPickTasks(warehouseId, { status, limit: 100 }))
+    );
+
+    return taskLists
+      .flat()
+      .filter(task => this.getPickedQuantities(task).length > 0)
+      .sort((a, b) => new Date(b.completedAt || 0) - new Date(a.completedAt || 0));
+  }
+
+  /**
+   * What a pick task actually picked, per SKU: [{ sku, quantity }]
+   * Execution results carry pickedQty per bin; wave and guided picks carry quantity.
+   */
+  getPickedQuantities(task) {
+    const bySku = new Map();
+    (task.pickedItems || []).forEach(item => {
+      const quantity = parseInt(item.pickedQty ?? item.quantity) || 0;
+      if (!item.sku || quantity <= 0) return;
+      bySku.set(item.sku, (bySku.get(item.sku) || 0) + quantity);
+    });
+
+    return [...bySku.entries()].map(([sku, quantity]) => ({ sku, quantity }));
+  }
+
+  /**
+   * Add one scan to a carton's contents (no writes)
+   * @returns {Array} the carton's new items
+   */
+  addToCarton(carton, sku, quantity) {
+    const items = carton.items.map(item => ({ ...item }));
+    const existing = items.find(item => item.sku === sku);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      items.push({ sku, quantity });
+    }
+    return items;
+  }
+
+  getPackedQuantity(cartons, sku) {
+    return cartons.reduce((sum, carton) => sum + carton.items
+      .filter(item => item.sku === sku)
+      .reduce((cartonSum, item) => cartonSum + item.quantity, 0), 0);
+  }
+
+  /**
+   * Compare the cartons against the pick task
+   * @returns {Object} { lines: [{ sku, picked, packed, difference }], errors, complete }
+   */
+  verifyPacking(task, cartons) {
+    const picked = this.getPickedQuantities(task);
+    const errors = [];
+
+    const lines = picked.map(({ sku, quantity }) => {
+      const packed = this.getPackedQuantity(cartons, sku);
+      if (packed !== quantity) {
+        errors.push(`${sku}: ${packed} packed, ${quantity} picked`);
+      }
+      return { sku, picked: quantity, packed, difference: packed - quantity };
+    });
+
+    cartons.forEach(carton => {
+      carton.items
+        .filter(item => !picked.some(line => line.sku === item.sku))
+        .forEach(item => errors.push(`${item.sku} in carton ${carton.cartonNumber} was not picked on this task`));
+
+      if (carton.items.length === 0) {
+        errors.push(`Carton ${carton.cartonNumber} is empty`);
+      }
+      if (!(parseFloat(carton.weight) > 0)) {
+        errors.push(`Enter the weight of carton ${carton.cartonNumber}`);
+      }
+      if (!['length', 'width', 'height'].every(dimension => parseFloat(carton[dimension]) > 0)) {
+        errors.push(`Enter the dimensions of carton ${carton.cartonNumber}`);
+      }
+    });
+
+    if (cartons.length === 0) {
+      errors.push('Pack at least one carton');
+    }
+
+    return { lines, errors, complete: errors.length === 0 };
+  }
+
+  /**
+   * Close the shipment of a pick task
+   * The shipment id is the pick task id, and the task status is re-checked in the transaction,
+   * so a task can only be shipped once.
+   * @param {Array} cartons - [{ cartonNumber, items: [{ sku, quantity }], weight, length, width, height }]
+   * @param {Object} details - { carrier, trackingNumber }
+   */
+  async closeShipment(warehouseId, task, cartons, details = {}, user = null) {
+    const verification = this.verifyPacking(task, cartons);
+    if (!verification.complete) {
+      throw new Error(`Packing does not match the pick: ${verification.errors.join('; ')}`);
+    }
+
+    try {
+      const shippedAt = new Date().toISOString();
+      const shippedBy = this.getUserName(user);
+      const packedCartons = cartons.map(carton => ({
+        cartonNumber: carton.cartonNumber,
+        items: carton.items,
+        weight: parseFloat(carton.weight),
+        length: parseFloat(carton.length),
+        width: parseFloat(carton.width),
+        height: parseFloat(carton.height)
+      }));
+
+      const shipment = {
+        shipmentNumber: `SHP-${Date.now()}`,
+        pickTaskId: task.id,
+        orderId: task.orderId || null,
+        orderNumber: task.orderNumber || null,
+        customer: task.customer || '',
+        carrier: details.carrier?.trim() || '',
+        trackingNumber: details.trackingNumber?.trim() || '',
+        cartons: packedCartons,
+        lines: verification.lines.map(({ sku, picked }) => ({ sku, quantity: picked })),
+        totalCartons: packedCartons.length,
+        totalQuantity: verification.lines.reduce((sum, line) => sum + line.picked, 0),
+        totalWeight: packedCartons.reduce((sum, carton) => sum + carton.weight, 0),
+        status: 'shipped',
+        shippedBy,
+        shippedAt
+      };
+
+      const reads = { task: { collectionName: 'pickTasks', docId: task.id } };
+      if (task.orderId) {
+        reads.order = { collectionName: 'orders', docId: task.orderId };
+      }
+
+      await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+        if (!docs.task) {
+          throw new Error('Pick task not found - only saved pick tasks can be shipped');
+        }
+        if (!this.packableStatuses.includes(docs.task.status)) {
+          throw new Error(`Pick task is ${docs.task.status} and cannot be shipped`);
+        }
+
+        const taskWrites = [
+          { collectionName: 'shipments', taskId: task.id, data: shipment, create: true },
+          {
+            collectionName: 'pickTasks',
+            taskId: task.id,
+            data: { status: 'shipped', shipmentId: task.id, shipmentNumber: shipment.shipmentNumber, shippedAt }
+          }
+        ];
+
+        const order = docs.order;
+        if (order && [orderService.statuses.PICKED, orderService.statuses.PACKED].includes(order.status)) {
+          taskWrites.push({
+            collectionName: 'orders',
+            taskId: order.id,
+            data: {
+              status: orderService.statuses.SHIPPED,
+              ...(order.status === orderService.statuses.PICKED ? { packedBy: shippedBy, packedAt: shippedAt } : {}),
+              shippedBy,
+              shippedAt,
+              shipmentId: task.id
+            }
+          });
+        }
+
+        return { taskWrites };
+      }, { reads });
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.SHIP, {
+        timestamp: shippedAt,
+        warehouseId,
+        fileName: `Shipment ${shipment.shipmentNumber}${task.orderNumber ? ` (${task.orderNumber})` : ''}`,
+        totalItems: verification.lines.length,
+        successCount: verification.lines.length,
+        failedCount: 0,
+        executionDetails: {
+          items: verification.lines.map(line => ({
+            barcode: line.sku,
+            quantity: line.picked,
+            cartons: packedCartons
+              .filter(carton => carton.items.some(item => item.sku === line.sku))
+              .map(carton => carton.cartonNumber),
+            status: 'Shipped'
+          })),
+          cartons: packedCartons,
+          summary: {
+            total: verification.lines.length,
+            totalCartons: shipment.totalCartons,
+            totalQuantity: shipment.totalQuantity,
+            totalWeight: shipment.totalWeight,
+            carrier: shipment.carrier,
+            trackingNumber: shipment.trackingNumber,
+            executedAt: shippedAt
+          }
+        },
+        shipmentId: task.id,
+        pickTaskId: task.id,
+        executedBy: shippedBy,
+        type: 'ship'
+      });
+
+      console.log(`🚚 Shipment ${shipment.shipmentNumber} closed: ${shipment.totalCartons} cartons, ${shipment.totalQuantity} units`);
+      return { id: task.id, ...shipment };
+    } catch (error) {
+      console.error('Error closing shipment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recent shipments, newest first
+   */
+  async getShipments(warehouseId, maxResults = 20) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'WHT', warehouseId, 'shipments'),
+        orderBy('shippedAt', 'desc'),
+        limit(maxResults)
+      ));
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting shipments:', error);
+      return [];
+    }
+  }
+}
+
+export const packingService = new PackingService();
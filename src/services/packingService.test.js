@@ -0,0 +1,122 @@
+import { packingService } from './packingService';
+import { warehouseService } from './warehouseService';
+import { historyService } from './historyService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+const task = {
+  id: 't1',
+  orderId: 'o1',
+  orderNumber: 'ORD-1',
+  status: 'completed',
+  pickedItems: [
+    { sku: 'S1', pickedQty: 3 },
+    { sku: 'S1', pickedQty: 2 },
+    { sku: 'S2', quantity: 4 },
+    { sku: 'S3', pickedQty: 0 }
+  ]
+};
+const carton = (cartonNumber, items) => ({ cartonNumber, items, weight: '2.5', length: 30, width: 20, height: 10 });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('carton verification', () => {
+  test('picked quantities are summed per SKU', () => {
+    expect(packingService.getPickedQuantities(task)).toEqual([
+      { sku: 'S1', quantity: 5 },
+      { sku: 'S2', quantity: 4 }
+    ]);
+  });
+
+  test('addToCarton adds to an existing line without changing the carton', () => {
+    const original = carton(1, [{ sku: 'S1', quantity: 2 }]);
+    expect(packingService.addToCarton(original, 'S1', 3)).toEqual([{ sku: 'S1', quantity: 5 }]);
+    expect(packingService.addToCarton(original, 'S2', 1)).toEqual([{ sku: 'S1', quantity: 2 }, { sku: 'S2', quantity: 1 }]);
+    expect(original.items).toEqual([{ sku: 'S1', quantity: 2 }]);
+  });
+
+  test('packed quantities are summed across cartons', () => {
+    const cartons = [carton(1, [{ sku: 'S1', quantity: 2 }]), carton(2, [{ sku: 'S1', quantity: 3 }, { sku: 'S2', quantity: 4 }])];
+    expect(packingService.getPackedQuantity(cartons, 'S1')).toBe(5);
+    expect(packingService.getPackedQuantity(cartons, 'S3')).toBe(0);
+  });
+
+  test('packing matching the pick is complete', () => {
+    const result = packingService.verifyPacking(task, [
+      carton(1, [{ sku: 'S1', quantity: 5 }]),
+      carton(2, [{ sku: 'S2', quantity: 4 }])
+    ]);
+    expect(result.complete).toBe(true);
+    expect(result.lines).toEqual([
+      { sku: 'S1', picked: 5, packed: 5, difference: 0 },
+      { sku: 'S2', picked: 4, packed: 4, difference: 0 }
+    ]);
+  });
+
+  test('short, extra and unmeasured cartons are reported', () => {
+    const result = packingService.verifyPacking(task, [
+      carton(1, [{ sku: 'S1', quantity: 4 }, { sku: 'S9', quantity: 1 }]),
+      { ...carton(2, []), weight: '', height: 0 }
+    ]);
+    expect(result.complete).toBe(false);
+    expect(result.lines[0].difference).toBe(-1);
+    expect(result.errors).toEqual([
+      'S1: 4 packed, 5 picked',
+      'S2: 0 packed, 4 picked',
+      'S9 in carton 1 was not picked on this task',
+      'Carton 2 is empty',
+      'Enter the weight of carton 2',
+      'Enter the dimensions of carton 2'
+    ]);
+  });
+
+  test('no cartons cannot be shipped', () => {
+    expect(packingService.verifyPacking(task, []).errors).toContain('Pack at least one carton');
+  });
+});
+
+describe('closeShipment', () => {
+  const cartons = [carton(1, [{ sku: 'S1', quantity: 5 }, { sku: 'S2', quantity: 4 }])];
+  const runWith = (docs) => jest.spyOn(warehouseService, 'runBinTransaction')
+    .mockImplementation(async (warehouseId, binIds, applyChanges) => applyChanges({}, docs));
+
+  test('creates the shipment under the task id and ships the task and order together', async () => {
+    const run = runWith({ task: { id: 't1', status: 'completed' }, order: { id: 'o1', status: 'picked' } });
+    const saveHistory = jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue({});
+
+    const shipment = await packingService.closeShipment('w', task, cartons, { carrier: ' DHL ' }, { name: 'Packer' });
+
+    expect(shipment.id).toBe('t1');
+    expect(shipment.carrier).toBe('DHL');
+    const { taskWrites } = await run.mock.results[0].value;
+    expect(run.mock.calls[0][3].reads).toEqual({
+      task: { collectionName: 'pickTasks', docId: 't1' },
+      order: { collectionName: 'orders', docId: 'o1' }
+    });
+    expect(taskWrites.map(write => [write.collectionName, write.taskId, write.data.status, !!write.create])).toEqual([
+      ['shipments', 't1', 'shipped', true],
+      ['pickTasks', 't1', 'shipped', false],
+      ['orders', 'o1', 'shipped', false]
+    ]);
+    expect(taskWrites[2].data).toEqual(expect.objectContaining({ packedBy: 'Packer', shippedBy: 'Packer', shipmentId: 't1' }));
+    expect(saveHistory).toHaveBeenCalledTimes(1);
+  });
+
+  test('a task that is already shipped is rejected without writing history', async () => {
+    runWith({ task: { id: 't1', status: 'shipped' }, order: null });
+    const saveHistory = jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(packingService.closeShipment('w', task, cartons)).rejects.toThrow(/shipped and cannot be shipped/);
+    expect(saveHistory).not.toHaveBeenCalled();
+  });
+
+  test('packing that does not match is rejected before the transaction', async () => {
+    const run = jest.spyOn(warehouseService, 'runBinTransaction');
+
+    await expect(packingService.closeShipment('w', task, [])).rejects.toThrow(/Packing does not match/);
+    expect(run).not.toHaveBeenCalled();
+  });
+});
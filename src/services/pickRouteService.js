@@ -0,0 +1,303 @@
+import { rackService } from './rackService_restructured';
+
+/**
+ * Pick route optimizer
+ *
+ * Models the warehouse floor from the location codes generated by RackService
+ * (WH-floor-Rxx-Gxx-A1) and sequences pick stops along a real walking path.
+ *
+ * Floor model:
+ * - Racks (rows) run parallel to each other. Two neighbouring racks face the same
+ *   aisle (R01+R02 -> aisle 1, R03+R04 -> aisle 2, ...)
+ * - Grids are bays along the rack, so the grid number is the distance into the aisle
+ * - Positions (A1, A2, A3...) subdivide the grid along the same axis
+ * - Levels (A, B, C...) are vertical and cost reach time, not walking distance
+ * - A front cross-aisle (dock side) and a back cross-aisle connect all aisles
+ */
+export class PickRouteService {
+  constructor() {
+    this.defaultLayout = {
+      gridLength: 2.7, // metres of aisle per grid (standard pallet bay)
+      binsPerLevel: 3, // positions per level, used to place a bin inside its grid
+      rackDepth: 1.1, // metres
+      aisleWidth: 3.0, // metres
+      crossAisleWidth: 3.0, // metres (front and back cross-aisles)
+      floorChangeDistance: 60, // metres-equivalent for taking the lift/stairs
+      walkingSpeed: 1.0, // metres per second with a trolley
+      secondsPerStop: 20, // scan bin, confirm, reposition trolley
+      secondsPerUnit: 4, // handling time per unit picked
+      secondsPerLevel: 6, // extra reach/ladder time per level above A
+      depotFloor: 'GF', // floor where pickers start and return (dock)
+    };
+
+    this.strategies = {
+      SERPENTINE: 'serpentine',
+      NEAREST_NEIGHBOUR: 'nearest-neighbour',
+      AUTO: 'auto',
+    };
+  }
+
+  /**
+   * Resolve layout settings, letting the warehouse override the defaults
+   */
+  getLayout(overrides = {}) {
+    return { ...this.defaultLayout, ...overrides };
+  }
+
+  /**
+   * Convert a bin into floor coordinates
+   * x = distance into the aisle from the front cross-aisle, y = aisle centre line
+   */
+  getBinCoordinates(bin, layout = this.defaultLayout) {
+    const parsed = bin.code ? rackService.parseLocationCode(bin.code) : null;
+
+    const floor = parsed?.floor || bin.floorCode || bin.location?.floor || 'GF';
+    const rack = parsed?.rack || bin.location?.rack || 1;
+    const grid = parsed?.grid || bin.gridLevel || bin.shelfLevel || 1;
+    const level = parsed?.level || bin.level || 'A';
+    const position = parsed?.position || bin.position || 1;
+
+    const aisle = Math.ceil(rack / 2);
+    const binWidth = layout.gridLength / Math.max(1, layout.binsPerLevel);
+    const positionInGrid = Math.min(position, layout.binsPerLevel) - 0.5;
+
+    const x = layout.crossAisleWidth + (grid - 1) * layout.gridLength + positionInGrid * binWidth;
+    const aislePitch = layout.aisleWidth + 2 * layout.rackDepth;
+    const y = (aisle - 1) * aislePitch + layout.rackDepth + layout.aisleWidth / 2;
+
+    return {
+      floor,
+      rack,
+      aisle,
+      grid,
+      level,
+      levelIndex: Math.max(0, level.toUpperCase().charCodeAt(0) - 65),
+      position,
+      side: rack % 2 === 1 ? 'left' : 'right',
+      x,
+      y,
+    };
+  }
+
+  /**
+   * Walking distance between two points on the floor model
+   * Within the same aisle we walk straight; otherwise we leave through whichever
+   * cross-aisle (front or back) gives the shorter path
+   */
+  distanceBetween(from, to, layout = this.defaultLayout, aisleLength = null) {
+    if (from.floor !== to.floor) {
+      // Walk to the front, change floor, walk in from the front
+      return from.x + layout.floorChangeDistance + Math.abs(from.y) + to.x + Math.abs(to.y);
+    }
+
+    if (from.aisle === to.aisle) {
+      return Math.abs(from.x - to.x);
+    }
+
+    const lateral = Math.abs(from.y - to.y);
+    const viaFront = from.x + to.x;
+
+    if (!aisleLength) {
+      return viaFront + lateral;
+    }
+
+    const viaBack = (aisleLength - from.x) + (aisleLength - to.x);
+    return Math.min(viaFront, viaBack) + lateral;
+  }
+
+  /**
+   * Depot (pick start/end point) at the front cross-aisle by the dock
+   */
+  getDepot(layout = this.defaultLayout) {
+    return { floor: layout.depotFloor, aisle: 0, x: 0, y: 0, levelIndex: 0, isDepot: true };
+  }
+
+  /**
+   * S-shape route: walk every aisle containing picks end to end, alternating direction
+   */
+  buildSerpentineRoute(stops, layout) {
+    const byFloor = this.groupBy(stops, stop => stop.coordinates.floor);
+    // Dock floor first, remaining floors in code order
+    const floors = Object.keys(byFloor).sort((a, b) => {
+      if (a === layout.depotFloor) return -1;
+      if (b === layout.depotFloor) return 1;
+      return a.localeCompare(b);
+    });
+    const sequence = [];
+
+    floors.forEach(floor => {
+      const byAisle = this.groupBy(byFloor[floor], stop => stop.coordinates.aisle);
+      const aisles = Object.keys(byAisle).map(Number).sort((a, b) => a - b);
+
+      aisles.forEach((aisle, index) => {
+        const ascending = index % 2 === 0;
+        const aisleStops = byAisle[aisle].sort((a, b) => {
+          const xDiff = a.coordinates.x - b.coordinates.x;
+          if (xDiff !== 0) return ascending ? xDiff : -xDiff;
+          return a.coordinates.levelIndex - b.coordinates.levelIndex;
+        });
+        sequence.push(...aisleStops);
+      });
+    });
+
+    return sequence;
+  }
+
+  /**
+   * Greedy nearest-neighbour route starting from the depot
+   */
+  buildNearestNeighbourRoute(stops, layout, aisleLength) {
+    const remaining = [...stops];
+    const sequence = [];
+    let current = this.getDepot(layout);
+
+    while (remaining.length > 0) {
+      let bestIndex = 0;
+      let bestDistance = Infinity;
+
+      for (let index = 0; index < remaining.length; index++) {
+        const distance = this.distanceBetween(current, remaining[index].coordinates, layout, aisleLength);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestIndex = index;
+        }
+      }
+
+      const [next] = remaining.splice(bestIndex, 1);
+      sequence.push(next);
+      current = next.coordinates;
+    }
+
+    return sequence;
+  }
+
+  /**
+   * Total walking distance of a sequence, starting and ending at the depot
+   */
+  measureRoute(sequence, layout, aisleLength) {
+    if (sequence.length === 0) {
+      return { legs: [], totalDistance: 0 };
+    }
+
+    let current = this.getDepot(layout);
+    let totalDistance = 0;
+    const legs = [];
+
+    sequence.forEach(stop => {
+      const legDistance = this.distanceBetween(current, stop.coordinates, layout, aisleLength);
+      totalDistance += legDistance;
+      legs.push(legDistance);
+      current = stop.coordinates;
+    });
+
+    const returnDistance = this.distanceBetween(current, this.getDepot(layout), layout, aisleLength);
+    totalDistance += returnDistance;
+
+    return { legs, returnDistance, totalDistance };
+  }
+
+  /**
+   * Build an optimized pick sequence
+   * @param {Array} stops - [{ bin, sku, quantity, ... }] one entry per bin visit
+   * @param {Object} options - { strategy: 'auto'|'serpentine'|'nearest-neighbour', layout }
+   */
+  optimizeRoute(stops, options = {}) {
+    const { strategy = this.strategies.AUTO, layout: layoutOverrides = {} } = options;
+    const layout = this.getLayout(layoutOverrides);
+
+    const locatedStops = stops.map(stop => ({
+      ...stop,
+      coordinates: this.getBinCoordinates(stop.bin, layout),
+    }));
+
+    if (locatedStops.length === 0) {
+      return {
+        strategy,
+        sequence: [],
+        totalDistance: 0,
+        returnDistance: 0,
+        estimatedSeconds: 0,
+        estimatedMinutes: 0,
+        layout,
+      };
+    }
+
+    // Back cross-aisle sits just past the deepest grid in use
+    const aisleLength = Math.max(...locatedStops.map(s => s.coordinates.x)) + layout.gridLength / 2;
+
+    const candidates = {};
+    if (strategy === this.strategies.SERPENTINE || strategy === this.strategies.AUTO) {
+      const sequence = this.buildSerpentineRoute(locatedStops, layout);
+      candidates[this.strategies.SERPENTINE] = { sequence, ...this.measureRoute(sequence, layout, aisleLength) };
+    }
+    if (strategy === this.strategies.NEAREST_NEIGHBOUR || strategy === this.strategies.AUTO) {
+      const sequence = this.buildNearestNeighbourRoute(locatedStops, layout, aisleLength);
+      candidates[this.strategies.NEAREST_NEIGHBOUR] = { sequence, ...this.measureRoute(sequence, layout, aisleLength) };
+    }
+
+    const [chosenStrategy, chosen] = Object.entries(candidates)
+      .sort(([, a], [, b]) => a.totalDistance - b.totalDistance)[0];
+
+    let cumulativeDistance = 0;
+    const sequence = chosen.sequence.map((stop, index) => {
+      cumulativeDistance += chosen.legs[index];
+      return {
+        ...stop,
+        stepNumber: index + 1,
+        legDistance: Number(chosen.legs[index].toFixed(1)),
+        cumulativeDistance: Number(cumulativeDistance.toFixed(1)),
+      };
+    });
+
+    const route = {
+      strategy: chosenStrategy,
+      sequence,
+      totalDistance: Number(chosen.totalDistance.toFixed(1)),
+      returnDistance: Number(chosen.returnDistance.toFixed(1)),
+      comparedStrategies: Object.fromEntries(
+        Object.entries(candidates).map(([name, c]) => [name, Number(c.totalDistance.toFixed(1))])
+      ),
+      layout,
+    };
+
+    const estimatedSeconds = this.estimateRouteSeconds(route);
+    route.estimatedSeconds = Math.round(estimatedSeconds);
+    route.estimatedMinutes = Number((estimatedSeconds / 60).toFixed(1));
+
+    console.log(`🧭 Pick route optimized (${chosenStrategy}): ${sequence.length} stops, ${route.totalDistance} m, ~${route.estimatedMinutes} min`, route.comparedStrategies);
+
+    return route;
+  }
+
+  /**
+   * Estimate pick time from travel distance, stops, units and reach height
+   */
+  estimateRouteSeconds(route) {
+    const layout = route.layout || this.defaultLayout;
+    const travelSeconds = route.totalDistance / layout.walkingSpeed;
+
+    const handlingSeconds = route.sequence.reduce((sum, stop) => {
+      const units = parseInt(stop.quantity) || 0;
+      return sum +
+        layout.secondsPerStop +
+        units * layout.secondsPerUnit +
+        (stop.coordinates?.levelIndex || 0) * layout.secondsPerLevel;
+    }, 0);
+
+    return travelSeconds + handlingSeconds;
+  }
+
+  /**
+   * Generic grouping helper
+   */
+  groupBy(items, keyFn) {
+    return items.reduce((acc, item) => {
+      const key = keyFn(item);
+      if (!acc[key]) acc[key] = [];
+      acc[key].push(item);
+      return acc;
+    }, {});
+  }
+}
+
+export const pickRouteService = new PickRouteService();
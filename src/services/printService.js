@@ -149,6 +149,58 @@ export class PrintService {
     }
   }
 
+  /**
+   * Print cycle count sheet
+   */
+  async printCycleCountSheet(countSheet, options = {}) {
+    try {
+      const html = await this.generateCycleCountSheetHTML(countSheet, options);
+      this.openPrintWindow(html, `Count Sheet ${countSheet.countNumber}`);
+    } catch (error) {
+      console.error('Error printing count sheet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Print replenishment move list
+   */
+  async printReplenishmentList(tasks, options = {}) {
+    try {
+      const html = await this.generateReplenishmentListHTML(tasks, options);
+      this.openPrintWindow(html, 'Replenishment List');
+    } catch (error) {
+      console.error('Error printing replenishment list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Print the packing slip of a shipment
+   */
+  async printPackingSlip(shipment, options = {}) {
+    try {
+      const html = await this.generatePackingSlipHTML(shipment, options);
+      this.openPrintWindow(html, `Packing Slip ${shipment.shipmentNumber}`);
+    } catch (error) {
+      console.error('Error printing packing slip:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Print one label per carton of a shipment
+   */
+  async printCartonLabels(shipment, options = {}) {
+    try {
+      const html = await this.generateCartonLabelsHTML(shipment, options);
+      this.openPrintWindow(html, `Carton Labels ${shipment.shipmentNumber}`);
+    } catch (error) {
+      console.error('Error printing carton labels:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate HTML for bin labels
    */
@@ -409,6 +461,223 @@ export class PrintService {
     return this.wrapInPrintTemplate(html, 'Put-Away Tasks', this.getPutAwayListStyles());
   }
 
+  /**
+   * Generate HTML for a cycle count sheet, one row per bin/SKU line
+   * Blind counts hide the expected quantity from the counter
+   */
+  async generateCycleCountSheetHTML(countSheet, options = {}) {
+    const { blindCount = countSheet.blindCount } = options;
+    const scopeLabel = { rack: 'Rack', zone: 'Zone', abc: 'ABC Class' }[countSheet.scopeType] || countSheet.scopeType;
+
+    const rowsHTML = countSheet.lines.map(line => `
+      <tr>
+        <td>${line.binCode}</td>
+        <td>${line.sku ? this.formatSkuWithDescription(line.sku, options.descriptions?.get(line.sku)) : '<em>Empty - record any stock found</em>'}${line.isMixed ? ' <span class="mixed">MIXED</span>' : ''}</td>
+        <td>${line.lotNumber || ''}</td>
+        ${blindCount ? '' : `<td class="qty">${line.expectedQty}</td>`}
+        <td class="count-box">${line.countedQty !== null && line.countedQty !== undefined ? line.countedQty : ''}</td>
+        <td class="count-box"></td>
+      </tr>
+    `).join('');
+
+    const html = `
+      <div class="count-sheet">
+        <div class="list-header">
+          <h2>Cycle Count Sheet - ${countSheet.countNumber}</h2>
+          <p><strong>${scopeLabel}:</strong> ${countSheet.scopeValue}</p>
+          <p><strong>Generated:</strong> ${new Date(countSheet.createdAt || Date.now()).toLocaleString()}</p>
+          <p><strong>Lines:</strong> ${countSheet.lines.length}${blindCount ? ' (blind count)' : ''}</p>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>Bin</th>
+              <th>SKU</th>
+              <th>Lot</th>
+              ${blindCount ? '' : '<th>Expected</th>'}
+              <th>Counted</th>
+              <th>Recount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+
+        <div class="completion-summary">
+          <p>Counter: _________________________ Date: _____________</p>
+          <p>Approved by (master): _____________ Date: _____________</p>
+        </div>
+      </div>
+    `;
+
+    return this.wrapInPrintTemplate(html, `Count Sheet ${countSheet.countNumber}`, this.getCycleCountSheetStyles());
+  }
+
+  /**
+   * Generate HTML for replenishment move list, ordered by source bin
+   */
+  async generateReplenishmentListHTML(tasks, options = {}) {
+    const { title = 'Replenishment List' } = options;
+    const sortedTasks = [...tasks].sort((a, b) => (a.fromBinCode || '').localeCompare(b.fromBinCode || ''));
+    const totalQuantity = sortedTasks.reduce((sum, task) => sum + (task.quantity || 0), 0);
+
+    const rowsHTML = sortedTasks.map((task, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td><strong>${task.fromBinCode}</strong></td>
+        <td>${this.formatSkuWithDescription(task.sku, options.descriptions?.get(task.sku))}</td>
+        <td>${task.lotNumber || ''}</td>
+        <td class="qty">${task.quantity}</td>
+        <td><strong>${task.toBinCode}</strong></td>
+        <td class="reason">${task.reason || ''}</td>
+        <td class="checkbox">☐</td>
+      </tr>
+    `).join('');
+
+    const html = `
+      <div class="replenishment-list">
+        <div class="list-header">
+          <h2>${title}</h2>
+          <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+          <p><strong>Moves:</strong> ${sortedTasks.length} &nbsp; <strong>Total Units:</strong> ${totalQuantity}</p>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>From (Reserve)</th>
+              <th>SKU</th>
+              <th>Lot</th>
+              <th>Qty</th>
+              <th>To (Pick Face)</th>
+              <th>Reason</th>
+              <th>Done</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+
+        <div class="completion-summary">
+          <p>Replenished by: _________________________ Date: _____________</p>
+        </div>
+      </div>
+    `;
+
+    return this.wrapInPrintTemplate(html, title, this.getReplenishmentListStyles());
+  }
+
+  /**
+   * Generate HTML for a packing slip: what is in every carton of the shipment
+   */
+  async generatePackingSlipHTML(shipment, options = {}) {
+    const rowsHTML = shipment.cartons.map(carton => carton.items.map((item, index) => `
+      <tr>
+        ${index === 0 ? `<td rowspan="${carton.items.length}"><strong>${carton.cartonNumber} / ${shipment.totalCartons}</strong></td>` : ''}
+        <td>${this.formatSkuWithDescription(item.sku, options.descriptions?.get(item.sku))}</td>
+        <td class="qty">${item.quantity}</td>
+      </tr>
+    `).join('')).join('');
+
+    const cartonsHTML = shipment.cartons.map(carton => `
+      <tr>
+        <td>${carton.cartonNumber}</td>
+        <td class="qty">${carton.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+        <td class="qty">${carton.weight} kg</td>
+        <td>${carton.length} × ${carton.width} × ${carton.height} cm</td>
+      </tr>
+    `).join('');
+
+    const html = `
+      <div class="packing-slip">
+        <div class="list-header">
+          <h2>Packing Slip</h2>
+          <p><strong>Shipment:</strong> ${shipment.shipmentNumber}${shipment.orderNumber ? ` &nbsp; <strong>Order:</strong> ${shipment.orderNumber}` : ''}</p>
+          ${shipment.customer ? `<p><strong>Customer:</strong> ${shipment.customer}</p>` : ''}
+          ${shipment.carrier || shipment.trackingNumber ? `<p><strong>Carrier:</strong> ${shipment.carrier || '-'} &nbsp; <strong>Tracking:</strong> ${shipment.trackingNumber || '-'}</p>` : ''}
+          <p><strong>Shipped:</strong> ${new Date(shipment.shippedAt).toLocaleString()}</p>
+          <p><strong>Cartons:</strong> ${shipment.totalCartons} &nbsp; <strong>Total Units:</strong> ${shipment.totalQuantity} &nbsp; <strong>Total Weight:</strong> ${shipment.totalWeight} kg</p>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>Carton</th>
+              <th>SKU</th>
+              <th>Qty</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+
+        <h4 class="section-title">Cartons</h4>
+        <table>
+          <thead>
+            <tr>
+              <th>Carton</th>
+              <th>Units</th>
+              <th>Weight</th>
+              <th>Dimensions (L × W × H)</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${cartonsHTML}
+          </tbody>
+        </table>
+
+        <div class="completion-summary">
+          <p>Packed by: ${shipment.shippedBy || '_________________________'} &nbsp; Received by: _________________________</p>
+        </div>
+      </div>
+    `;
+
+    return this.wrapInPrintTemplate(html, `Packing Slip ${shipment.shipmentNumber}`, this.getPackingSlipStyles());
+  }
+
+  /**
+   * Generate HTML for carton labels, one per carton with a QR code of the shipment and carton
+   */
+  async generateCartonLabelsHTML(shipment) {
+    let labelsHTML = '';
+
+    for (const carton of shipment.cartons) {
+      const qrDataURL = await this.generateQRCode(JSON.stringify({
+        type: 'carton',
+        shipmentNumber: shipment.shipmentNumber,
+        orderNumber: shipment.orderNumber || null,
+        cartonNumber: carton.cartonNumber
+      }), { size: 120 });
+
+      labelsHTML += `
+        <div class="carton-label">
+          <div class="label-header">
+            <h3>${shipment.customer || shipment.orderNumber || shipment.shipmentNumber}</h3>
+            <div class="carton-count">Carton ${carton.cartonNumber} of ${shipment.totalCartons}</div>
+          </div>
+          <div class="label-content">
+            <img src="${qrDataURL}" alt="QR Code" class="qr-code" />
+            <div class="label-info">
+              <div><strong>Shipment:</strong> ${shipment.shipmentNumber}</div>
+              ${shipment.orderNumber ? `<div><strong>Order:</strong> ${shipment.orderNumber}</div>` : ''}
+              ${shipment.carrier ? `<div><strong>Carrier:</strong> ${shipment.carrier}</div>` : ''}
+              ${shipment.trackingNumber ? `<div><strong>Tracking:</strong> ${shipment.trackingNumber}</div>` : ''}
+              <div><strong>Weight:</strong> ${carton.weight} kg</div>
+              <div><strong>Size:</strong> ${carton.length} × ${carton.width} × ${carton.height} cm</div>
+            </div>
+          </div>
+        </div>
+      `;
+    }
+
+    return this.wrapInPrintTemplate(labelsHTML, `Carton Labels ${shipment.shipmentNumber}`, this.getCartonLabelStyles());
+  }
+
   /**
    * Generate HTML for put-away execution report
    */
@@ -725,6 +994,7 @@ export class PrintService {
             <tr><td><strong>Total Movements:</strong></td><td>${data.summary.totalMovements}</td></tr>
             <tr><td><strong>Put-Away Operations:</strong></td><td>${data.summary.putawayCount}</td></tr>
             <tr><td><strong>Pick Operations:</strong></td><td>${data.summary.pickCount}</td></tr>
+            <tr><td><strong>Bin Transfers:</strong></td><td>${data.summary.transferCount || 0}</td></tr>
             <tr><td><strong>Total Quantity Moved:</strong></td><td>${data.summary.totalQuantityMoved}</td></tr>
             <tr><td><strong>Unique SKUs:</strong></td><td>${data.summary.uniqueSkus}</td></tr>
             <tr><td><strong>Unique Locations:</strong></td><td>${data.summary.uniqueLocations}</td></tr>
@@ -747,9 +1017,9 @@ export class PrintService {
             <tbody>
               ${movements.map(movement => `
                 <tr>
-                  <td><strong>${movement.sku}</strong></td>
+                  <td><strong>${this.formatSkuWithDescription(movement.sku, movement.description)}</strong></td>
                   <td>${movement.location}</td>
-                  <td>${movement.quantity}</td>
+                  <td>${this.formatQuantityWithUom(movement.quantity, movement)}</td>
                   <td>
                     <span class="operation-type ${movement.operationType.toLowerCase().replace('-', '')}">${movement.operationType}</span>
                   </td>
@@ -1197,6 +1467,19 @@ export class PrintService {
     });
   }
 
+  /**
+   * Read back a label QR code made by generateBinQRData / generateRackQRData
+   * Returns null for anything else, such as a product barcode.
+   */
+  parseQRData(text) {
+    try {
+      const data = JSON.parse(text);
+      return data && typeof data === 'object' && data.type ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   generateBinGridHTML(rack, bins) {
     let gridHTML = '<div class="bin-grid-container">';
     
@@ -1314,9 +1597,25 @@ export class PrintService {
       table { border-collapse: collapse; width: 100%; }
       th, td { padding: 4px 8px; border: 1px solid #ccc; text-align: left; }
       th { background-color: #f5f5f5; font-weight: bold; }
+      .sku-description { font-size: 0.85em; font-weight: normal; color: #555; }
     `;
   }
 
+  /**
+   * SKU cell with the product catalogue description underneath, when there is one
+   */
+  formatSkuWithDescription(sku, description) {
+    return description ? `${sku}<div class="sku-description">${description}</div>` : sku;
+  }
+
+  /**
+   * Quantity in the base unit with the ordering-unit equivalent underneath, e.g. "27 EA / 2 CASE + 3 EA"
+   */
+  formatQuantityWithUom(quantity, item = {}) {
+    const base = item.unitOfMeasure ? `${quantity} ${item.unitOfMeasure}` : `${quantity}`;
+    return item.orderingQuantity ? `${base}<div class="sku-description">${item.orderingQuantity}</div>` : base;
+  }
+
   getBinLabelStyles(size) {
     const sizes = {
       small: { width: '2in', height: '1in', fontSize: '8px' },
@@ -1428,6 +1727,68 @@ export class PrintService {
     `;
   }
 
+  getCycleCountSheetStyles() {
+    return `
+      .count-sheet { max-width: 900px; margin: 0 auto; }
+      .list-header { margin-bottom: 15px; padding-bottom: 10px; border-bottom: 2px solid #000; }
+      .list-header p { margin: 3px 0; }
+      .count-sheet tr { page-break-inside: avoid; }
+      .count-sheet td { height: 24px; }
+      .count-sheet .qty { text-align: right; }
+      .count-box { width: 80px; border: 1px solid #000; text-align: right; }
+      .mixed { font-size: 9px; padding: 1px 4px; border: 1px solid #f57c00; color: #f57c00; border-radius: 3px; }
+      .completion-summary { margin-top: 30px; }
+      .completion-summary p { margin: 15px 0; }
+    `;
+  }
+
+  getReplenishmentListStyles() {
+    return `
+      .replenishment-list { max-width: 900px; margin: 0 auto; }
+      .list-header { margin-bottom: 15px; padding-bottom: 10px; border-bottom: 2px solid #000; }
+      .list-header p { margin: 3px 0; }
+      .replenishment-list tr { page-break-inside: avoid; }
+      .replenishment-list .qty { text-align: right; font-weight: bold; }
+      .replenishment-list .reason { font-size: 10px; color: #555; }
+      .replenishment-list .checkbox { text-align: center; font-size: 16px; }
+      .completion-summary { margin-top: 30px; }
+    `;
+  }
+
+  getPackingSlipStyles() {
+    return `
+      .packing-slip { max-width: 800px; margin: 0 auto; }
+      .list-header { margin-bottom: 15px; padding-bottom: 10px; border-bottom: 2px solid #000; }
+      .list-header p { margin: 3px 0; }
+      .packing-slip tr { page-break-inside: avoid; }
+      .packing-slip .qty { text-align: right; font-weight: bold; }
+      .section-title { margin-top: 20px; }
+      .completion-summary { margin-top: 30px; }
+    `;
+  }
+
+  getCartonLabelStyles() {
+    return `
+      .carton-label {
+        width: 4in;
+        height: 3in;
+        border: 2px solid #000;
+        margin: 5px;
+        padding: 8px;
+        box-sizing: border-box;
+        display: inline-block;
+        vertical-align: top;
+        page-break-inside: avoid;
+      }
+      .carton-label .label-header { border-bottom: 1px solid #000; margin-bottom: 6px; }
+      .carton-label .label-header h3 { margin: 0; font-size: 16px; }
+      .carton-label .carton-count { font-size: 20px; font-weight: bold; }
+      .carton-label .label-content { display: flex; gap: 8px; align-items: flex-start; }
+      .carton-label .qr-code { width: 1.2in; height: 1.2in; }
+      .carton-label .label-info { font-size: 11px; line-height: 1.5; }
+    `;
+  }
+
   getPutAwayListStyles() {
     return `
       .putaway-list { max-width: 800px; margin: 0 auto; }
@@ -1961,9 +2322,9 @@ export class PrintService {
       // Add single row per movement - use actual data without modification
       tableHTML += `
         <tr>
-          <td>${barcode}</td>
+          <td>${this.formatSkuWithDescription(barcode, movement.description)}</td>
           <td>${location}</td>
-          <td>${quantity}</td>
+          <td>${this.formatQuantityWithUom(quantity, movement)}</td>
           <td>${operation}</td>
         </tr>
       `;
@@ -2035,6 +2396,10 @@ export class PrintService {
       tr:nth-child(even) {
         background-color: #f9f9f9;
       }
+      .sku-description {
+        font-size: 0.85em;
+        color: #555;
+      }
       
       @media print {
         body {
@@ -2071,6 +2436,8 @@ export class PrintService {
           return await this.printPickReport(reportData.data.operations || [], options);
         case 'bin_utilization':
           return await this.printBinUtilizationReport(reportData, options);
+        case 'expiry_report':
+          return await this.printExpiryReport(reportData, options);
         default:
           // Generic print for any other report type
           return await this.printGenericReport(reportData, options);
@@ -2107,6 +2474,19 @@ export class PrintService {
     }
   }
 
+  /**
+   * Print near-expiry report
+   */
+  async printExpiryReport(reportData, options = {}) {
+    try {
+      const html = await this.generateExpiryReportHTML(reportData, options);
+      this.openPrintWindow(html, `Expiry Report - ${new Date().toLocaleDateString()}`);
+    } catch (error) {
+      console.error('Error printing expiry report:', error);
+      throw error;
+    }
+  }
+
   /**
    * Print generic report
    */
@@ -2125,7 +2505,8 @@ export class PrintService {
    */
   async generateInventoryReportHTML(reportData, options = {}) {
     const { config, data } = reportData;
-    const inventory = data.inventory || [];
+    const inventory = (data.inventory || []).filter(item => item.status !== 'On Hold');
+    const heldInventory = data.heldInventory || [];
     const summary = data.summary || {};
 
     const styles = this.getReportStyles();
@@ -2160,6 +2541,10 @@ export class PrintService {
                 <span class="label">Total Quantity:</span>
                 <span class="value">${summary.totalQuantity || 0}</span>
               </div>
+              <div class="summary-item">
+                <span class="label">On Hold:</span>
+                <span class="value">${summary.heldQuantity || 0}</span>
+              </div>
               <div class="summary-item">
                 <span class="label">Occupied Bins:</span>
                 <span class="value">${summary.totalBinsOccupied || 0}</span>
@@ -2185,9 +2570,9 @@ export class PrintService {
               <tbody>
                 ${inventory.map(item => `
                   <tr>
-                    <td>${item.barcode || item.sku || 'N/A'}</td>
+                    <td>${this.formatSkuWithDescription(item.barcode || item.sku || 'N/A', item.description)}</td>
                     <td>${item.location || item.binCode || 'N/A'}</td>
-                    <td>${item.quantity || 0}</td>
+                    <td>${this.formatQuantityWithUom(item.quantity || 0, item)}</td>
                     <td>${item.status || 'Current Stock'}</td>
                   </tr>
                 `).join('')}
@@ -2195,6 +2580,34 @@ export class PrintService {
             </table>
           </div>
 
+          ${heldInventory.length > 0 ? `
+          <div class="data-section">
+            <h2>⏸️ On Hold Stock</h2>
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th>Barcode</th>
+                  <th>Location</th>
+                  <th>Lot</th>
+                  <th>Quantity</th>
+                  <th>Hold Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${heldInventory.map(item => `
+                  <tr>
+                    <td>${this.formatSkuWithDescription(item.barcode || item.sku || 'N/A', item.description)}</td>
+                    <td>${item.location || item.binCode || 'N/A'}</td>
+                    <td>${item.lotNumber || '-'}</td>
+                    <td>${this.formatQuantityWithUom(item.quantity || 0, item)}</td>
+                    <td>${item.holdReason || 'On Hold'}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          ` : ''}
+
           <div class="footer">
             <p>Generated by Warehouse Management System on ${new Date().toLocaleString()}</p>
           </div>
@@ -2292,6 +2705,94 @@ export class PrintService {
     `;
   }
 
+  /**
+   * Generate near-expiry report HTML, one table per SKU
+   */
+  async generateExpiryReportHTML(reportData, options = {}) {
+    const { config, data } = reportData;
+    const groups = data.groups || [];
+    const summary = data.summary || {};
+
+    const styles = this.getReportStyles();
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Expiry Report</title>
+        <style>${styles}
+          .expired-row td { color: #c62828; font-weight: bold; }
+        </style>
+      </head>
+      <body>
+        <div class="report-container">
+          <div class="report-header">
+            <h1>⏰ Expiry Report</h1>
+            <div class="report-info">
+              <p><strong>Warehouse:</strong> ${config.warehouseName || 'N/A'}</p>
+              <p><strong>Generated:</strong> ${new Date(reportData.generatedAt).toLocaleString()}</p>
+              <p><strong>Window:</strong> Expired or expiring within ${summary.daysAhead} days</p>
+            </div>
+          </div>
+
+          <div class="summary-section">
+            <h2>📊 Summary</h2>
+            <div class="summary-grid">
+              <div class="summary-item">
+                <span class="label">Barcodes:</span>
+                <span class="value">${summary.totalSkus || 0}</span>
+              </div>
+              <div class="summary-item">
+                <span class="label">Expired Quantity:</span>
+                <span class="value">${summary.expiredQuantity || 0} (${summary.expiredLots || 0} lots)</span>
+              </div>
+              <div class="summary-item">
+                <span class="label">Near Expiry Quantity:</span>
+                <span class="value">${summary.nearExpiryQuantity || 0} (${summary.nearExpiryLots || 0} lots)</span>
+              </div>
+            </div>
+          </div>
+
+          ${groups.length === 0 ? '<p>No stock is expired or expiring within this window.</p>' : groups.map(group => `
+            <div class="data-section">
+              <h2>${group.sku}${group.description ? ` (${group.description})` : ''} — ${group.totalQuantity} units${group.expiredQuantity > 0 ? ` (${group.expiredQuantity} expired)` : ''}</h2>
+              <table class="data-table">
+                <thead>
+                  <tr>
+                    <th>Location</th>
+                    <th>Lot</th>
+                    <th>Expiry Date</th>
+                    <th>Days</th>
+                    <th>Quantity</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${group.locations.map(item => `
+                    <tr class="${item.isExpired ? 'expired-row' : ''}">
+                      <td>${item.location}</td>
+                      <td>${item.lotNumber || '-'}</td>
+                      <td>${item.expiryDate}</td>
+                      <td>${item.daysToExpiry}</td>
+                      <td>${item.quantity}</td>
+                      <td>${item.status}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          `).join('')}
+
+          <div class="footer">
+            <p>Generated by Warehouse Management System on ${new Date().toLocaleString()}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate generic report HTML
    */
@@ -0,0 +1,417 @@
+import { db } from '../firebase';
+import { collection, getDocs, query, orderBy, doc, setDoc, updateDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+
+/**
+ * Product catalogue (SKU master)
+ *
+ * One document per SKU in WHT/{warehouseId}/products. Bins, tasks and history keep
+ * referring to products by SKU; the catalogue adds the description, unit of measure,
+ * case pack, dimensions, weight, category, alternate barcodes and storage constraints.
+ *
+ * Stock is always held in the base unit of measure. Each alternate barcode carries its
+ * own unit and a multiplier, so scanning a case GTIN resolves to the SKU and converts
+ * the scanned quantity into base units (e.g. 1 CASE x 12 = 12 EA).
+ */
+export class ProductService {
+  constructor() {
+    this.unitsOfMeasure = ['EA', 'CASE', 'PACK', 'BOX', 'PALLET', 'KG', 'L'];
+
+    this.temperatureClasses = {
+      AMBIENT: 'ambient',
+      CHILLED: 'chilled',
+      FROZEN: 'frozen'
+    };
+
+    // Firestore batches are limited to 500 writes
+    this.importBatchSize = 450;
+  }
+
+  /**
+   * Normalise user or Excel input into a product record, throwing on invalid values
+   */
+  normalizeProduct(product) {
+    const sku = product.sku?.toString().trim();
+    if (!sku) {
+      throw new Error('SKU is required');
+    }
+
+    const toNumber = (value, label) => {
+      if (value === null || value === undefined || value === '') return null;
+      const num = Number(value);
+      if (isNaN(num) || num < 0) {
+        throw new Error(`${label} must be a number of zero or more`);
+      }
+      return num;
+    };
+
+    const casePack = toNumber(product.casePack, 'Case pack');
+    if (casePack !== null && !Number.isInteger(casePack)) {
+      throw new Error('Case pack must be a whole number');
+    }
+
+    const unitOfMeasure = (product.unitOfMeasure || 'EA').toString().trim().toUpperCase();
+
+    const alternateBarcodes = [];
+    this.parseAlternateBarcodes(product.alternateBarcodes, unitOfMeasure).forEach(entry => {
+      if (entry.barcode === sku) {
+        throw new Error(`Alternate barcode ${entry.barcode} is the same as the SKU`);
+      }
+      if (alternateBarcodes.some(existing => existing.barcode === entry.barcode)) {
+        throw new Error(`Alternate barcode ${entry.barcode} is listed more than once`);
+      }
+      alternateBarcodes.push(entry);
+    });
+
+    const orderingUnitOfMeasure = product.orderingUnitOfMeasure?.toString().trim().toUpperCase() || '';
+    if (orderingUnitOfMeasure && orderingUnitOfMeasure !== unitOfMeasure &&
+        !alternateBarcodes.some(entry => entry.uom === orderingUnitOfMeasure) &&
+        !(orderingUnitOfMeasure === 'CASE' && casePack > 1)) {
+      throw new Error(`Ordering unit ${orderingUnitOfMeasure} needs an alternate barcode with that unit`);
+    }
+
+    const constraints = product.storageConstraints || {};
+    const temperatureClass = constraints.temperatureClass || this.temperatureClasses.AMBIENT;
+    if (!Object.values(this.temperatureClasses).includes(temperatureClass)) {
+      throw new Error(`Unknown temperature class: ${temperatureClass}`);
+    }
+
+    return {
+      sku,
+      description: product.description?.toString().trim() || '',
+      unitOfMeasure,
+      orderingUnitOfMeasure,
+      casePack: casePack || 1,
+      dimensions: {
+        length: toNumber(product.dimensions?.length, 'Length'),
+        width: toNumber(product.dimensions?.width, 'Width'),
+        height: toNumber(product.dimensions?.height, 'Height')
+      },
+      weight: toNumber(product.weight, 'Weight'),
+      category: product.category?.toString().trim() || '',
+      alternateBarcodes,
+      storageConstraints: {
+        temperatureClass,
+        hazardous: constraints.hazardous === true,
+        stackable: constraints.stackable !== false
+      }
+    };
+  }
+
+  /**
+   * Alternate barcodes as { barcode, uom, multiplier } entries
+   * Accepts entry objects, plain codes (base unit) and text such as
+   * "10012345678902:CASE:12, 5012345678900" from the form and Excel import.
+   */
+  parseAlternateBarcodes(value, baseUom = 'EA') {
+    const entries = Array.isArray(value) ? value : (value || '').toString().split(/[,;]/);
+
+    return entries
+      .map(entry => {
+        if (entry && typeof entry === 'object') {
+          return { ...entry, barcode: entry.barcode?.toString().trim() };
+        }
+        const [barcode, uom, multiplier] = entry.toString().split(':').map(part => part.trim());
+        return { barcode, uom, multiplier };
+      })
+      .filter(entry => entry.barcode)
+      .map(entry => {
+        const multiplier = entry.multiplier === undefined || entry.multiplier === null || entry.multiplier === ''
+          ? 1
+          : Number(entry.multiplier);
+        if (!Number.isInteger(multiplier) || multiplier < 1) {
+          throw new Error(`Barcode ${entry.barcode}: multiplier must be a whole number of 1 or more`);
+        }
+        return {
+          barcode: entry.barcode,
+          uom: entry.uom ? entry.uom.toString().trim().toUpperCase() : baseUom,
+          multiplier
+        };
+      });
+  }
+
+  /**
+   * Alternate barcodes of a stored product (older records hold plain strings)
+   */
+  getAlternateBarcodes(product) {
+    return this.parseAlternateBarcodes(product.alternateBarcodes, product.unitOfMeasure || 'EA');
+  }
+
+  /**
+   * Text form of alternate barcodes for editing, e.g. "10012345678902:CASE:12"
+   */
+  formatAlternateBarcodes(product) {
+    const baseUom = product.unitOfMeasure || 'EA';
+    return this.getAlternateBarcodes(product)
+      .map(entry => entry.uom === baseUom && entry.multiplier === 1
+        ? entry.barcode
+        : `${entry.barcode}:${entry.uom}:${entry.multiplier}`)
+      .join(', ');
+  }
+
+  /**
+   * Unit products are ordered in, as { uom, multiplier }, or null when that is the base unit
+   * Uses the ordering unit when set, otherwise the largest alternate barcode unit, then the case pack.
+   */
+  getOrderingUnit(product) {
+    if (!product) return null;
+
+    const baseUom = product.unitOfMeasure || 'EA';
+    const units = this.getAlternateBarcodes(product).filter(entry => entry.multiplier > 1);
+    if (product.casePack > 1 && !units.some(entry => entry.uom === 'CASE')) {
+      units.push({ uom: 'CASE', multiplier: product.casePack });
+    }
+
+    if (product.orderingUnitOfMeasure) {
+      if (product.orderingUnitOfMeasure === baseUom) return null;
+      const unit = units.find(entry => entry.uom === product.orderingUnitOfMeasure);
+      if (unit) return { uom: unit.uom, multiplier: unit.multiplier };
+    }
+
+    if (units.length === 0) return null;
+    const largest = units.reduce((best, entry) => entry.multiplier > best.multiplier ? entry : best);
+    return { uom: largest.uom, multiplier: largest.multiplier };
+  }
+
+  /**
+   * Base quantity expressed in the ordering unit, e.g. 27 EA -> "2 CASE + 3 EA"
+   * Empty when there is no ordering unit separate from the base unit.
+   */
+  formatOrderingQuantity(quantity, orderingUnit, baseUom = 'EA') {
+    if (!orderingUnit || !(quantity > 0)) return '';
+
+    const whole = Math.floor(quantity / orderingUnit.multiplier);
+    const remainder = quantity - whole * orderingUnit.multiplier;
+    if (whole === 0) return `${remainder} ${baseUom}`;
+    return remainder > 0
+      ? `${whole} ${orderingUnit.uom} + ${remainder} ${baseUom}`
+      : `${whole} ${orderingUnit.uom}`;
+  }
+
+  /**
+   * Firestore document ID for a SKU (SKUs may contain characters that are not allowed in IDs)
+   */
+  getProductDocId(sku) {
+    return encodeURIComponent(sku.toString().trim());
+  }
+
+  /**
+   * Get all products, ordered by SKU
+   */
+  async getProducts(warehouseId) {
+    try {
+      const productsRef = collection(db, 'WHT', warehouseId, 'products');
+      const snapshot = await getDocs(query(productsRef, orderBy('sku')));
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting products:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Lookup of every SKU and alternate barcode to { product, barcode, uom, multiplier }
+   */
+  buildBarcodeLookup(products) {
+    const lookup = new Map();
+    products.forEach(product => {
+      this.getAlternateBarcodes(product).forEach(entry => lookup.set(entry.barcode, { product, ...entry }));
+    });
+    // Primary SKUs win over another product's alternate barcode
+    products.forEach(product => lookup.set(product.sku, {
+      product,
+      barcode: product.sku,
+      uom: product.unitOfMeasure || 'EA',
+      multiplier: 1
+    }));
+    return lookup;
+  }
+
+  async getBarcodeLookup(warehouseId) {
+    return this.buildBarcodeLookup(await this.getProducts(warehouseId));
+  }
+
+  /**
+   * Resolve a scanned or imported barcode against a lookup from getBarcodeLookup
+   * @returns {Object|null} { sku, product, scannedBarcode, uom, multiplier, quantity } with the
+   *   quantity converted to base units, or null when the barcode is unknown
+   */
+  resolveBarcode(lookup, barcode, quantity = 1) {
+    const code = barcode?.toString().trim();
+    const entry = code ? lookup.get(code) : null;
+    if (!entry) return null;
+
+    return {
+      sku: entry.product.sku,
+      product: entry.product,
+      scannedBarcode: code,
+      uom: entry.uom,
+      multiplier: entry.multiplier,
+      quantity: quantity * entry.multiplier
+    };
+  }
+
+  /**
+   * Products keyed by SKU, for reports and print lists
+   */
+  async getProductMap(warehouseId) {
+    const products = await this.getProducts(warehouseId);
+    return new Map(products.map(product => [product.sku, product]));
+  }
+
+  /**
+   * Description for each SKU, for reports and print lists
+   */
+  async getDescriptionMap(warehouseId) {
+    const products = await this.getProducts(warehouseId);
+    return new Map(products.map(product => [product.sku, product.description || '']));
+  }
+
+  /**
+   * Catalogue fields for a report line: description, base unit and the quantity in ordering units
+   */
+  getReportFields(product, quantity) {
+    if (!product) {
+      return { description: '', unitOfMeasure: '', orderingQuantity: '' };
+    }
+    const unitOfMeasure = product.unitOfMeasure || 'EA';
+    return {
+      description: product.description || '',
+      unitOfMeasure,
+      orderingQuantity: this.formatOrderingQuantity(quantity, this.getOrderingUnit(product), unitOfMeasure)
+    };
+  }
+
+  /**
+   * Reject alternate barcodes already used as another product's SKU or alternate barcode
+   */
+  assertBarcodesAvailable(product, products) {
+    const lookup = this.buildBarcodeLookup(products.filter(p => p.sku !== product.sku));
+    const codes = [product.sku, ...product.alternateBarcodes.map(entry => entry.barcode)];
+    const clash = codes.find(code => lookup.has(code));
+    if (clash) {
+      throw new Error(`Barcode ${clash} is already used by product ${lookup.get(clash).product.sku}`);
+    }
+  }
+
+  /**
+   * Create a product
+   */
+  async createProduct(warehouseId, productData) {
+    const product = this.normalizeProduct(productData);
+
+    try {
+      const products = await this.getProducts(warehouseId);
+      if (products.some(p => p.sku === product.sku)) {
+        throw new Error(`Product ${product.sku} already exists`);
+      }
+      this.assertBarcodesAvailable(product, products);
+
+      const now = new Date().toISOString();
+      const productRecord = { ...product, createdAt: now, updatedAt: now };
+      const id = this.getProductDocId(product.sku);
+      await setDoc(doc(db, 'WHT', warehouseId, 'products', id), productRecord);
+
+      console.log(`📦 Product ${product.sku} created`);
+      return { id, ...productRecord };
+    } catch (error) {
+      console.error('Error creating product:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a product. The SKU itself cannot change because stock and history refer to it.
+   */
+  async updateProduct(warehouseId, productId, productData) {
+    try {
+      const products = await this.getProducts(warehouseId);
+      const existing = products.find(p => p.id === productId);
+      if (!existing) {
+        throw new Error('Product not found');
+      }
+
+      const product = this.normalizeProduct({ ...productData, sku: existing.sku });
+      this.assertBarcodesAvailable(product, products);
+
+      const updates = { ...product, updatedAt: new Date().toISOString() };
+      await updateDoc(doc(db, 'WHT', warehouseId, 'products', productId), updates);
+
+      console.log(`📦 Product ${existing.sku} updated`);
+      return { ...existing, ...updates };
+    } catch (error) {
+      console.error('Error updating product:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a product. Stock already stored under the SKU is not touched.
+   */
+  async deleteProduct(warehouseId, productId) {
+    try {
+      await deleteDoc(doc(db, 'WHT', warehouseId, 'products', productId));
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update products from parsed Excel rows (matched by SKU)
+   * Rows that fail validation are skipped and reported; valid rows are written in batches.
+   * @returns {Object} { created, updated, errors }
+   */
+  async importProducts(warehouseId, rows) {
+    try {
+      const products = await this.getProducts(warehouseId);
+      const bySku = new Map(products.map(p => [p.sku, p]));
+      const now = new Date().toISOString();
+
+      const writes = [];
+      const errors = [];
+      let created = 0;
+      let updated = 0;
+
+      rows.forEach(row => {
+        try {
+          const product = this.normalizeProduct(row);
+          const existing = bySku.get(product.sku);
+          this.assertBarcodesAvailable(product, [...bySku.values()]);
+
+          const record = existing
+            ? { ...product, createdAt: existing.createdAt || now, updatedAt: now }
+            : { ...product, createdAt: now, updatedAt: now };
+
+          const id = existing?.id || this.getProductDocId(product.sku);
+          writes.push({ id, record });
+          // Later rows must see barcodes claimed by earlier rows in the same file
+          bySku.set(product.sku, { id, ...record });
+
+          if (existing) {
+            updated++;
+          } else {
+            created++;
+          }
+        } catch (error) {
+          errors.push(`Row ${row.rowNumber || '?'}: ${error.message}`);
+        }
+      });
+
+      for (let i = 0; i < writes.length; i += this.importBatchSize) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + this.importBatchSize).forEach(({ id, record }) => {
+          batch.set(doc(db, 'WHT', warehouseId, 'products', id), record);
+        });
+        await batch.commit();
+      }
+
+      console.log(`📦 Product import: ${created} created, ${updated} updated, ${errors.length} rejected`);
+      return { created, updated, errors };
+    } catch (error) {
+      console.error('Error importing products:', error);
+      throw error;
+    }
+  }
+}
+
+export const productService = new ProductService();
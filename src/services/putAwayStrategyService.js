@@ -0,0 +1,136 @@
+import { pickRouteService } from './pickRouteService';
+
+/**
+ * Put-away strategies
+ *
+ * A strategy decides which bins a put-away may use and in what order they are filled.
+ * Every strategy ranks the same candidates (active bins with free space that are not
+ * locked for picking); the allocation then fills the ranked bins one after another.
+ *
+ * The strategy is chosen per warehouse (settings.putAwayStrategy) and can be overridden
+ * per product category (settings.putAwayStrategyByCategory). Dedicated zones come from
+ * the file's zone column or settings.putAwayZoneByCategory.
+ */
+export class PutAwayStrategyService {
+  constructor() {
+    this.strategies = {
+      CONSOLIDATE: 'consolidate',
+      CLOSEST_TO_DOCK: 'closest-to-dock',
+      GROUND_LEVEL_HEAVY: 'ground-level-heavy',
+      DEDICATED_ZONE: 'dedicated-zone',
+      NO_MIXING: 'no-mixing',
+    };
+
+    this.strategyLabels = {
+      'consolidate': 'Consolidate (same SKU first)',
+      'closest-to-dock': 'Closest to dock',
+      'ground-level-heavy': 'Ground level for heavy items',
+      'dedicated-zone': 'Dedicated zone',
+      'no-mixing': 'No mixing',
+    };
+
+    this.defaultStrategy = this.strategies.CONSOLIDATE;
+    this.defaultHeavyItemWeight = 20; // kg per unit
+  }
+
+  /**
+   * Strategy for a product: its category override, else the warehouse default
+   */
+  resolveStrategy(settings = {}, product = null) {
+    const byCategory = settings?.putAwayStrategyByCategory || {};
+    const strategy = (product?.category && byCategory[product.category]) || settings?.putAwayStrategy;
+    return Object.values(this.strategies).includes(strategy) ? strategy : this.defaultStrategy;
+  }
+
+  /**
+   * Zone a dedicated-zone put-away is restricted to, or null for no restriction
+   */
+  getDedicatedZone(settings = {}, product = null, zoneId = null) {
+    return zoneId || (product?.category && settings?.putAwayZoneByCategory?.[product.category]) || null;
+  }
+
+  isHeavy(product, settings = {}) {
+    const threshold = settings?.heavyItemWeight ?? this.defaultHeavyItemWeight;
+    return (parseFloat(product?.weight) || 0) >= threshold;
+  }
+
+  /**
+   * Walking distance from the dock to the bin, in metres
+   */
+  getDockDistance(bin) {
+    const layout = pickRouteService.getLayout();
+    const coordinates = pickRouteService.getBinCoordinates(bin, layout);
+    return pickRouteService.distanceBetween(pickRouteService.getDepot(layout), coordinates, layout);
+  }
+
+  /**
+   * 0 for the ground level (A), 1 for B, ...
+   */
+  getLevelIndex(bin) {
+    return pickRouteService.getBinCoordinates(bin).levelIndex;
+  }
+
+  /**
+   * Whether the bin holds stock of any other SKU
+   */
+  holdsOtherSku(bin, sku) {
+    if (Array.isArray(bin.mixedContents) && bin.mixedContents.length > 0) {
+      return bin.mixedContents.some(content => content.sku !== sku && (parseInt(content.quantity) || 0) > 0);
+    }
+    return !!bin.sku && bin.sku !== sku && (parseInt(bin.currentQty) || 0) > 0;
+  }
+
+  /**
+   * Rank candidate bins for a SKU under a strategy
+   * @param {Array} bins - active bins with free space
+   * @param {Object} context - { product, settings, zoneId }
+   * @returns {Array} the bins the strategy may use, in fill order
+   */
+  rankBins(strategy, bins, sku, context = {}) {
+    const { product = null, settings = {}, zoneId = null } = context;
+
+    const byCode = (a, b) => (a.code || '').localeCompare(b.code || '');
+    const sameSkuFirst = (a, b) => (b.sku === sku) - (a.sku === sku);
+
+    // Distances are needed for every comparison, so work them out once
+    const distances = new Map();
+    const dockDistance = (bin) => {
+      if (!distances.has(bin.id)) distances.set(bin.id, this.getDockDistance(bin));
+      return distances.get(bin.id);
+    };
+
+    switch (strategy) {
+      case this.strategies.CLOSEST_TO_DOCK:
+        return [...bins].sort((a, b) =>
+          dockDistance(a) - dockDistance(b) || this.getLevelIndex(a) - this.getLevelIndex(b) || byCode(a, b));
+
+      case this.strategies.GROUND_LEVEL_HEAVY:
+        // Light items keep the consolidate order so ground-level space stays free for heavy ones
+        if (!this.isHeavy(product, settings)) {
+          return [...bins].sort((a, b) =>
+            sameSkuFirst(a, b) || this.getLevelIndex(b) - this.getLevelIndex(a) || byCode(a, b));
+        }
+        return [...bins].sort((a, b) =>
+          this.getLevelIndex(a) - this.getLevelIndex(b) || sameSkuFirst(a, b) || dockDistance(a) - dockDistance(b));
+
+      case this.strategies.DEDICATED_ZONE: {
+        const zone = this.getDedicatedZone(settings, product, zoneId);
+        return bins
+          .filter(bin => !zone || (bin.zoneId || 'main') === zone)
+          .sort((a, b) => sameSkuFirst(a, b) || byCode(a, b));
+      }
+
+      case this.strategies.NO_MIXING:
+        return bins
+          .filter(bin => !this.holdsOtherSku(bin, sku))
+          .sort((a, b) => sameSkuFirst(a, b) || byCode(a, b));
+
+      case this.strategies.CONSOLIDATE:
+      default:
+        // Fill same-SKU bins to capacity first, then any bin with space, in bin code order
+        return [...bins].sort((a, b) => sameSkuFirst(a, b) || byCode(a, b));
+    }
+  }
+}
+
+export const putAwayStrategyService = new PutAwayStrategyService();
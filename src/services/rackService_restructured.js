@@ -1,4 +1,5 @@
 import { warehouseService } from './warehouseService';
+import { binCapacityService } from './binCapacityService';
 
 export class RackService {
   /**
@@ -74,7 +75,8 @@ export class RackService {
       binsPerLevel = 3,
       maxProductsPerBin,
       location,
-      dimensions
+      dimensions,
+      levelDimensions = {}
     } = rackConfig;
 
     try {
@@ -118,6 +120,7 @@ export class RackService {
         maxProductsPerBin,
         location,
         dimensions,
+        levelDimensions,
         warehouseId,
         createdAt: new Date().toISOString(),
         totalBins,
@@ -169,6 +172,7 @@ export class RackService {
               level: level, // New: Level within grid (A, B, C, etc.)
               position: position,
               capacity: maxProductsPerBin,
+              ...binCapacityService.getLevelBinFields(levelDimensions, level),
               currentQty: 0,
               status: 'available',
               warehouseId,
@@ -226,7 +230,8 @@ export class RackService {
       binsPerLevel = 3,
       maxProductsPerBin,
       location,
-      dimensions
+      dimensions,
+      levelDimensions = {}
     } = rackConfig;
 
     try {
@@ -310,6 +315,7 @@ export class RackService {
         maxProductsPerBin,
         location,
         dimensions,
+        levelDimensions,
         totalBins: gridCount * binsPerGrid,
         status: 'active',
         // Also update legacy field names for compatibility
@@ -337,6 +343,12 @@ export class RackService {
         await this.updateBinCapacities(warehouseId, rackBins, maxProductsPerBin);
       }
 
+      // Resize existing bins if the per-level bin dimensions changed
+      const levelDimensionsUpdated = JSON.stringify(levelDimensions) !== JSON.stringify(existingRack.levelDimensions || {});
+      if (levelDimensionsUpdated) {
+        await this.updateBinDimensions(warehouseId, rackBins, levelDimensions);
+      }
+
       // Update location codes if rack number, floor, or warehouse code changed
       if (newRackNumber !== existingRack.rackNumber || floor !== existingRack.floor) {
         await this.updateBinLocationCodes(warehouseId, rackBins, warehouseCode, floor, newRackNumber);
@@ -354,6 +366,7 @@ export class RackService {
             binsAdded: Math.max(0, targetBinCount - currentBinCount),
             binsRemoved: Math.max(0, currentBinCount - targetBinCount),
             capacityUpdated: maxProductsPerBin !== (existingRack.maxProductsPerBin || 100),
+            dimensionsUpdated: levelDimensionsUpdated,
             locationCodesUpdated: newRackNumber !== existingRack.rackNumber || floor !== existingRack.floor
           }
         }
@@ -381,7 +394,7 @@ export class RackService {
    * Create additional bins when expanding rack
    */
   async createAdditionalBins(warehouseId, rackId, existingRack, rackConfig, warehouseCode) {
-    const { floor, gridCount, levelsPerGrid = ['A', 'B', 'C'], binsPerLevel = 3, maxProductsPerBin } = rackConfig;
+    const { floor, gridCount, levelsPerGrid = ['A', 'B', 'C'], binsPerLevel = 3, maxProductsPerBin, levelDimensions = {} } = rackConfig;
     const existingBins = await warehouseService.getBins(warehouseId);
     const rackBins = existingBins.filter(bin => bin.rackId === rackId);
 
@@ -429,6 +442,7 @@ export class RackService {
             level: level, // New: Level within grid (A, B, C, etc.)
             position: position,
             capacity: maxProductsPerBin,
+            ...binCapacityService.getLevelBinFields(levelDimensions, level),
             currentQty: 0,
             status: 'available',
             warehouseId,
@@ -481,6 +495,16 @@ export class RackService {
     }
   }
 
+  /**
+   * Update bin dimensions and weight limits from the rack's per-level settings
+   */
+  async updateBinDimensions(warehouseId, rackBins, levelDimensions) {
+    for (const bin of rackBins) {
+      await warehouseService.updateBin(warehouseId, bin.id,
+        binCapacityService.getLevelBinFields(levelDimensions, bin.level || 'A'));
+    }
+  }
+
   /**
    * Update bin location codes when rack details change
    */
@@ -601,6 +625,20 @@ export class RackService {
       errors.push('Max products per bin must be at least 1');
     }
 
+    // Bin dimensions per level are optional, but must be positive when given
+    Object.entries(config.levelDimensions || {}).forEach(([level, spec]) => {
+      ['width', 'depth', 'height', 'maxWeight'].forEach(field => {
+        const value = spec?.[field];
+        if (value !== '' && value !== null && value !== undefined && !(parseFloat(value) > 0)) {
+          errors.push(`Level ${level} ${field === 'maxWeight' ? 'max weight' : field} must be a positive number`);
+        }
+      });
+      const given = ['width', 'depth', 'height'].filter(field => parseFloat(spec?.[field]) > 0).length;
+      if (given > 0 && given < 3) {
+        errors.push(`Level ${level} needs width, depth and height together`);
+      }
+    });
+
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,562 @@
+import { db } from '../firebase';
+import { collection, addDoc, getDocs, getDoc, query, where, orderBy, doc, limit, serverTimestamp } from 'firebase/firestore';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { productService } from './productService';
+
+/**
+ * Inbound receiving against an expected receipt (ASN / purchase order)
+ *
+ * Receipts are stored in WHT/{warehouseId}/receipts. A receipt is created from an
+ * expected-receipt file and moves through expected -> receiving -> received -> put-away.
+ * Stock is received by scan or by entering quantities; lines not on the ASN are added as
+ * unexpected. Closing the receipt fixes the over / under / unexpected discrepancies, and
+ * only a closed receipt generates put-away tasks, one per bin the strategy allocates.
+ */
+export class ReceivingService {
+  constructor() {
+    this.statuses = {
+      EXPECTED: 'expected',
+      RECEIVING: 'receiving',
+      RECEIVED: 'received',
+      PUT_AWAY: 'put-away'
+    };
+
+    this.discrepancyTypes = {
+      OVER: 'over',
+      UNDER: 'under',
+      UNEXPECTED: 'unexpected'
+    };
+
+    this.discrepancyLabels = {
+      over: 'Over',
+      under: 'Under',
+      unexpected: 'Unexpected'
+    };
+
+    // A put-away run that has not finished after this long is taken to have died
+    this.putAwayClaimTtlMs = 10 * 60 * 1000;
+  }
+
+  getUserName(user) {
+    return user ? user.name || user.email || null : null;
+  }
+
+  /**
+   * Create a receipt from parsed expected-receipt rows
+   * Rows for the same SKU and lot are merged into one line.
+   * @param {Object} receiptData - { reference, supplier, expectedDate, items: [{ barcode, quantity, lotNumber, expiryDate, manufactureDate, description }] }
+   */
+  async createReceipt(warehouseId, receiptData, user = null) {
+    const reference = receiptData.reference?.toString().trim() || '';
+    const items = receiptData.items || [];
+
+    if (!reference) {
+      throw new Error('Enter the ASN or purchase order number');
+    }
+    if (items.length === 0) {
+      throw new Error('The expected receipt has no lines');
+    }
+
+    try {
+      const lines = [];
+      items.forEach(item => {
+        const existing = lines.find(line => line.sku === item.barcode && line.lotNumber === (item.lotNumber || null));
+        if (existing) {
+          existing.expectedQty += item.quantity;
+          return;
+        }
+        lines.push(this.createLine(lines.length, {
+          sku: item.barcode,
+          description: item.description || '',
+          expectedQty: item.quantity,
+          lotNumber: item.lotNumber || null,
+          expiryDate: item.expiryDate || null,
+          manufactureDate: item.manufactureDate || null
+        }));
+      });
+
+      const receipt = {
+        receiptNumber: `RCV-${Date.now()}`,
+        reference,
+        supplier: receiptData.supplier?.toString().trim() || '',
+        expectedDate: receiptData.expectedDate || null,
+        status: this.statuses.EXPECTED,
+        lines,
+        summary: this.calculateSummary(lines),
+        createdBy: this.getUserName(user),
+        createdAt: new Date().toISOString()
+      };
+
+      const docRef = await addDoc(collection(db, 'WHT', warehouseId, 'receipts'), {
+        ...receipt,
+        updatedAt: serverTimestamp()
+      });
+
+      console.log(`📥 Receipt ${receipt.receiptNumber} created for ${reference}: ${lines.length} lines`);
+      return { id: docRef.id, ...receipt };
+    } catch (error) {
+      console.error('Error creating receipt:', error);
+      throw error;
+    }
+  }
+
+  createLine(index, fields) {
+    return {
+      lineId: `L${String(index + 1).padStart(4, '0')}`,
+      sku: fields.sku,
+      description: fields.description || '',
+      expectedQty: fields.expectedQty || 0,
+      receivedQty: 0,
+      lotNumber: fields.lotNumber || null,
+      expiryDate: fields.expiryDate || null,
+      manufactureDate: fields.manufactureDate || null,
+      unexpected: !!fields.unexpected,
+      putAwayQty: 0,
+      putAwayTaskIds: []
+    };
+  }
+
+  /**
+   * Get receipts, newest first
+   */
+  async getReceipts(warehouseId, filters = {}) {
+    try {
+      const receiptsRef = collection(db, 'WHT', warehouseId, 'receipts');
+      const constraints = filters.status
+        ? [where('status', '==', filters.status), limit(filters.limit || 50)]
+        : [orderBy('createdAt', 'desc'), limit(filters.limit || 50)];
+
+      const snapshot = await getDocs(query(receiptsRef, ...constraints));
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      console.error('Error getting receipts:', error);
+      return [];
+    }
+  }
+
+  async getReceipt(warehouseId, receiptId) {
+    const receiptDoc = await getDoc(doc(db, 'WHT', warehouseId, 'receipts', receiptId));
+
+    if (!receiptDoc.exists()) {
+      throw new Error('Receipt not found');
+    }
+
+    return { id: receiptDoc.id, ...receiptDoc.data() };
+  }
+
+  assertReceivable(receipt) {
+    if (![this.statuses.EXPECTED, this.statuses.RECEIVING].includes(receipt.status)) {
+      throw new Error(`Receipt ${receipt.receiptNumber} is ${receipt.status} and can no longer be received against`);
+    }
+  }
+
+  /**
+   * Over / under / unexpected, or null when the line matches
+   */
+  getDiscrepancy(line) {
+    if (line.unexpected) return this.discrepancyTypes.UNEXPECTED;
+    if (line.receivedQty > line.expectedQty) return this.discrepancyTypes.OVER;
+    if (line.receivedQty < line.expectedQty) return this.discrepancyTypes.UNDER;
+    return null;
+  }
+
+  calculateSummary(lines) {
+    const withDiscrepancy = (type) => lines.filter(line => this.getDiscrepancy(line) === type).length;
+
+    return {
+      totalLines: lines.length,
+      expectedQty: lines.reduce((sum, line) => sum + line.expectedQty, 0),
+      receivedQty: lines.reduce((sum, line) => sum + line.receivedQty, 0),
+      matchedLines: lines.filter(line => !this.getDiscrepancy(line)).length,
+      overLines: withDiscrepancy(this.discrepancyTypes.OVER),
+      underLines: withDiscrepancy(this.discrepancyTypes.UNDER),
+      unexpectedLines: withDiscrepancy(this.discrepancyTypes.UNEXPECTED)
+    };
+  }
+
+  /**
+   * Rewrite a receipt's lines in a transaction, so scans from several devices add up
+   * @param {Function} applyLines - (receipt) -> { lines, result }, run on the receipt read in the transaction
+   */
+  async updateLines(warehouseId, receiptId, user, applyLines) {
+    const { result } = await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+      if (!docs.receipt) {
+        throw new Error('Receipt not found');
+      }
+      this.assertReceivable(docs.receipt);
+
+      const { lines, result: lineResult } = applyLines(docs.receipt);
+      const updates = {
+        lines,
+        summary: this.calculateSummary(lines),
+        status: this.statuses.RECEIVING,
+        receivedBy: this.getUserName(user)
+      };
+
+      return {
+        taskWrites: [{ collectionName: 'receipts', taskId: receiptId, data: updates }],
+        result: { receipt: { ...docs.receipt, ...updates }, ...lineResult }
+      };
+    }, { reads: { receipt: { collectionName: 'receipts', docId: receiptId } } });
+
+    return result;
+  }
+
+  /**
+   * Add a received quantity to a receipt's lines (no writes)
+   * @returns {Object} { lines, line, unexpected }
+   */
+  applyReceivedItem(receiptLines, item) {
+    const { sku, quantity, lotNumber } = item;
+    const lines = receiptLines.map(line => ({ ...line }));
+    let line = lines.find(candidate => candidate.sku === sku && candidate.lotNumber === lotNumber) ||
+      (lotNumber
+        ? lines.find(candidate => candidate.sku === sku && !candidate.lotNumber && !candidate.unexpected)
+        : lines.find(candidate => candidate.sku === sku));
+    const unexpected = !line;
+
+    if (!line) {
+      line = this.createLine(lines.length, {
+        sku,
+        lotNumber,
+        expiryDate: item.expiryDate || null,
+        manufactureDate: item.manufactureDate || null,
+        description: item.description || '',
+        unexpected: true
+      });
+      lines.push(line);
+    }
+
+    line.receivedQty += quantity;
+    line.lotNumber = line.lotNumber || lotNumber;
+    line.expiryDate = line.expiryDate || item.expiryDate || null;
+    line.manufactureDate = line.manufactureDate || item.manufactureDate || null;
+    line.lastReceivedAt = new Date().toISOString();
+
+    return { lines, line, unexpected };
+  }
+
+  /**
+   * Receive a quantity of a SKU (a scan or a manual entry)
+   * The line with the same SKU and lot is used; an ASN line without a lot takes the
+   * received lot. Stock that matches no line is added as an unexpected line.
+   * @param {Object} item - { sku, quantity, lotNumber, expiryDate, manufactureDate }
+   * @returns {Object} { receipt, line }
+   */
+  async receiveItem(warehouseId, receiptId, item, user = null) {
+    const sku = item.sku?.toString().trim();
+    const quantity = Number(item.quantity);
+    const lotNumber = item.lotNumber?.toString().trim() || null;
+
+    if (!sku) throw new Error('SKU is required');
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('Quantity must be a positive whole number');
+    }
+
+    try {
+      const { receipt, line, unexpected } = await this.updateLines(warehouseId, receiptId, user, (current) => {
+        const { lines, ...lineResult } = this.applyReceivedItem(current.lines, { ...item, sku, quantity, lotNumber });
+        return { lines, result: lineResult };
+      });
+
+      if (unexpected) {
+        console.log(`⚠️ ${sku}${lotNumber ? ` lot ${lotNumber}` : ''} is not on ${receipt.reference} - added as unexpected`);
+      }
+      return { receipt, line };
+    } catch (error) {
+      console.error('Error receiving item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save received quantities entered per line
+   * @param {Object} quantities - lineId -> received quantity
+   */
+  async recordReceivedQuantities(warehouseId, receiptId, quantities, user = null) {
+    try {
+      const { receipt } = await this.updateLines(warehouseId, receiptId, user, (current) => ({
+        lines: current.lines.map(line => {
+          const value = quantities[line.lineId];
+          if (value === undefined || value === null || value === '') return line;
+
+          const receivedQty = Number(value);
+          if (!Number.isInteger(receivedQty) || receivedQty < 0) {
+            throw new Error(`Received quantity for ${line.sku} must be a whole number of zero or more`);
+          }
+          return { ...line, receivedQty };
+        })
+      }));
+
+      return receipt;
+    } catch (error) {
+      console.error('Error recording received quantities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close receiving - discrepancies are final and put-away can start
+   * The lines are read in the closing transaction, so a scan saved just before is not lost.
+   */
+  async closeReceipt(warehouseId, receiptId, user = null) {
+    try {
+      const { result: closed } = await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+        const receipt = docs.receipt;
+        if (!receipt) {
+          throw new Error('Receipt not found');
+        }
+        this.assertReceivable(receipt);
+
+        if (!receipt.lines.some(line => line.receivedQty > 0)) {
+          throw new Error('Nothing has been received on this receipt');
+        }
+
+        const lines = receipt.lines.map(line => ({ ...line, discrepancy: this.getDiscrepancy(line) }));
+        const updates = {
+          lines,
+          summary: this.calculateSummary(lines),
+          status: this.statuses.RECEIVED,
+          closedBy: this.getUserName(user),
+          closedAt: new Date().toISOString()
+        };
+
+        return {
+          taskWrites: [{ collectionName: 'receipts', taskId: receiptId, data: updates }],
+          result: { ...receipt, ...updates }
+        };
+      }, { reads: { receipt: { collectionName: 'receipts', docId: receiptId } } });
+
+      const { overLines, underLines, unexpectedLines } = closed.summary;
+      console.log(`✅ Receipt ${closed.receiptNumber} closed: ${overLines} over, ${underLines} under, ${unexpectedLines} unexpected`);
+      return closed;
+    } catch (error) {
+      console.error('Error closing receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lines of a receipt that differ from the ASN
+   */
+  getDiscrepancyLines(receipt) {
+    return receipt.lines
+      .map(line => ({ ...line, discrepancy: this.getDiscrepancy(line), variance: line.receivedQty - line.expectedQty }))
+      .filter(line => line.discrepancy);
+  }
+
+  /**
+   * Claim a closed receipt for one put-away run, so a double click or a second device cannot put
+   * the same stock away twice. A claim older than putAwayClaimTtlMs is taken over.
+   * @returns {Object} the receipt as read in the transaction
+   */
+  async claimPutAway(warehouseId, receiptId, runId, user = null) {
+    const { result } = await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+      const receipt = docs.receipt;
+      if (!receipt) {
+        throw new Error('Receipt not found');
+      }
+      if (receipt.status !== this.statuses.RECEIVED) {
+        throw new Error(receipt.status === this.statuses.PUT_AWAY
+          ? `All received stock on ${receipt.receiptNumber} is already put away`
+          : `Close receipt ${receipt.receiptNumber} before generating put-away tasks`);
+      }
+
+      const running = receipt.putAwayRun;
+      if (running && Date.now() - new Date(running.startedAt).getTime() < this.putAwayClaimTtlMs) {
+        throw new Error(`Put-away of ${receipt.receiptNumber} is already running${running.startedBy ? ` (started by ${running.startedBy})` : ''}`);
+      }
+
+      const putAwayRun = { runId, startedBy: this.getUserName(user), startedAt: new Date().toISOString() };
+      return {
+        taskWrites: [{ collectionName: 'receipts', taskId: receiptId, data: { putAwayRun } }],
+        result: { ...receipt, putAwayRun }
+      };
+    }, { reads: { receipt: { collectionName: 'receipts', docId: receiptId } } });
+
+    return result;
+  }
+
+  /**
+   * Record stock of a line that has been put away, straight after its task succeeded
+   */
+  async recordPutAwayProgress(warehouseId, receiptId, lineId, quantity, taskId) {
+    await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+      if (!docs.receipt) {
+        throw new Error('Receipt not found');
+      }
+
+      const lines = docs.receipt.lines.map(line => (line.lineId === lineId
+        ? { ...line, putAwayQty: (line.putAwayQty || 0) + quantity, putAwayTaskIds: [...(line.putAwayTaskIds || []), taskId] }
+        : line));
+      return { taskWrites: [{ collectionName: 'receipts', taskId: receiptId, data: { lines } }] };
+    }, { reads: { receipt: { collectionName: 'receipts', docId: receiptId } } });
+  }
+
+  /**
+   * End a put-away run: set the receipt status from the recorded progress and drop the claim
+   * @returns {Object} the updated receipt
+   */
+  async finishPutAway(warehouseId, receiptId, runId) {
+    const { result } = await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+      const receipt = docs.receipt;
+      if (!receipt) {
+        throw new Error('Receipt not found');
+      }
+
+      const fullyPutAway = receipt.lines.every(line => (line.putAwayQty || 0) >= line.receivedQty);
+      const updates = {
+        status: fullyPutAway ? this.statuses.PUT_AWAY : this.statuses.RECEIVED,
+        putAwayAt: fullyPutAway ? new Date().toISOString() : null,
+        // Another run may have taken over a claim that timed out - leave its claim alone
+        ...(receipt.putAwayRun?.runId === runId ? { putAwayRun: null } : {})
+      };
+
+      return {
+        taskWrites: [{ collectionName: 'receipts', taskId: receiptId, data: updates }],
+        result: { ...receipt, ...updates }
+      };
+    }, { reads: { receipt: { collectionName: 'receipts', docId: receiptId } } });
+
+    return result;
+  }
+
+  /**
+   * Generate put-away tasks for the received stock of a closed receipt
+   * Each line is allocated by the put-away strategy and gets a task per bin through
+   * createPutAwayTask; tasks are executed straight away so later lines see the stock.
+   * The receipt is claimed for the run first and every executed task is recorded on its line
+   * straight away, so a second run or a retry after a failure only puts away what is left.
+   * Stock without space stays on the line and is tried again on the next run.
+   * @returns {Object} { receipt, items, summary }
+   */
+  async generatePutAwayTasks(warehouseId, receiptId, user = null) {
+    try {
+      const runId = `putaway-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+      const receipt = await this.claimPutAway(warehouseId, receiptId, runId, user);
+
+      const [warehouse, products] = await Promise.all([
+        warehouseService.getWarehouse(warehouseId),
+        productService.getProductMap(warehouseId)
+      ]);
+      const settings = warehouse?.settings || {};
+      const notes = `Receipt ${receipt.receiptNumber} (${receipt.reference})`;
+      const items = [];
+      let updatedReceipt;
+
+      try {
+        for (const line of receipt.lines) {
+          const quantity = line.receivedQty - (line.putAwayQty || 0);
+          if (quantity <= 0) continue;
+
+          const item = {
+            barcode: line.sku,
+            description: line.description,
+            quantity,
+            lotNumber: line.lotNumber,
+            expiryDate: line.expiryDate,
+            allocationPlan: [],
+            taskIds: [],
+            errors: []
+          };
+
+          try {
+            const allocation = await warehouseOperations.autoAllocateQuantity(warehouseId, line.sku, quantity, {
+              product: products.get(line.sku) || null,
+              settings
+            });
+
+            for (const plan of allocation.allocationPlan) {
+              const task = await warehouseOperations.createPutAwayTask(warehouseId, {
+                sku: line.sku,
+                quantity: plan.allocatedQuantity,
+                lotNumber: line.lotNumber,
+                expiryDate: line.expiryDate,
+                manufactureDate: line.manufactureDate,
+                suggestedBinId: plan.bin.id,
+                suggestedBinCode: plan.bin.code,
+                notes,
+                autoExecute: true
+              });
+
+              if (task.autoExecuteError) {
+                // Leave nothing pending that no screen picks up again
+                await warehouseService.updatePutAwayTask(warehouseId, task.id, { status: 'cancelled' });
+                item.errors.push(`${plan.bin.code}: ${task.autoExecuteError}`);
+                continue;
+              }
+
+              await this.recordPutAwayProgress(warehouseId, receiptId, line.lineId, plan.allocatedQuantity, task.id);
+              item.taskIds.push(task.id);
+              item.allocationPlan.push({
+                binId: plan.bin.id,
+                binCode: plan.bin.code,
+                binLocation: plan.bin.code,
+                allocatedQuantity: plan.allocatedQuantity,
+                reason: plan.reason
+              });
+            }
+
+            if (allocation.remainingQuantity > 0) {
+              item.errors.push(`${allocation.remainingQuantity} units did not fit in any bin`);
+            }
+          } catch (error) {
+            item.errors.push(error.message);
+          }
+
+          const allocatedQuantity = item.allocationPlan.reduce((sum, plan) => sum + plan.allocatedQuantity, 0);
+          items.push({
+            ...item,
+            allocatedQuantity,
+            unallocatedQuantity: quantity - allocatedQuantity,
+            location: item.allocationPlan.map(plan => plan.binCode).join(', ') || null,
+            status: allocatedQuantity === quantity ? 'Completed' : allocatedQuantity > 0 ? 'Partial' : 'Failed',
+            error: item.errors.join('; ') || null
+          });
+        }
+      } finally {
+        updatedReceipt = await this.finishPutAway(warehouseId, receiptId, runId);
+      }
+
+      if (items.length === 0) {
+        throw new Error(`All received stock on ${receipt.receiptNumber} is already put away`);
+      }
+
+      const summary = {
+        total: items.length,
+        successful: items.filter(item => item.status === 'Completed').length,
+        partial: items.filter(item => item.status === 'Partial').length,
+        failed: items.filter(item => item.status === 'Failed').length,
+        unallocatedQuantity: items.reduce((sum, item) => sum + item.unallocatedQuantity, 0),
+        executedAt: new Date().toISOString(),
+        warehouse: warehouse?.name || ''
+      };
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.PUTAWAY, {
+        timestamp: summary.executedAt,
+        warehouseId,
+        warehouseName: warehouse?.name || '',
+        fileName: notes,
+        totalItems: summary.total,
+        successCount: summary.successful,
+        failureCount: summary.failed,
+        executionDetails: { items, summary },
+        receiptId,
+        executedBy: this.getUserName(user),
+        type: 'putaway'
+      });
+
+      console.log(`📦 Receipt ${receipt.receiptNumber}: ${summary.successful}/${summary.total} lines put away`);
+      return { receipt: updatedReceipt, items, summary };
+    } catch (error) {
+      console.error('Error generating put-away tasks:', error);
+      throw error;
+    }
+  }
+}
+
+export const receivingService = new ReceivingService();
@@ -0,0 +1,144 @@
+import { receivingService } from './receivingService';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { productService } from './productService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+const line = (lineId, fields) => ({ ...receivingService.createLine(0, fields), lineId });
+
+// Runs transactions against an in-memory receipt, applying their writes like Firestore would
+const mockReceiptStore = (receipt) => {
+  const store = { receipt };
+  jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) => {
+    const { taskWrites = [], result } = applyChanges({}, { receipt: store.receipt });
+    taskWrites.forEach(write => {
+      store.receipt = { ...store.receipt, ...write.data };
+    });
+    return { result };
+  });
+  return store;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('applyReceivedItem', () => {
+  const lines = [
+    line('L0001', { sku: 'S1', expectedQty: 10, lotNumber: 'A' }),
+    line('L0002', { sku: 'S2', expectedQty: 5 })
+  ];
+
+  test('adds to the line with the same SKU and lot', () => {
+    const { lines: updated, line: received, unexpected } = receivingService.applyReceivedItem(lines, { sku: 'S1', quantity: 4, lotNumber: 'A' });
+    expect(unexpected).toBe(false);
+    expect(received.lineId).toBe('L0001');
+    expect(updated[0].receivedQty).toBe(4);
+    expect(lines[0].receivedQty).toBe(0);
+  });
+
+  test('a line without a lot takes the received lot', () => {
+    const { line: received } = receivingService.applyReceivedItem(lines, { sku: 'S2', quantity: 1, lotNumber: 'B' });
+    expect(received).toMatchObject({ lineId: 'L0002', lotNumber: 'B', receivedQty: 1 });
+  });
+
+  test('stock on no line is added as unexpected', () => {
+    const { lines: updated, line: received, unexpected } = receivingService.applyReceivedItem(lines, { sku: 'S9', quantity: 2, lotNumber: null });
+    expect(unexpected).toBe(true);
+    expect(updated).toHaveLength(3);
+    expect(received).toMatchObject({ sku: 'S9', unexpected: true, receivedQty: 2 });
+  });
+});
+
+describe('receiveItem', () => {
+  test('adds to the receipt as read in the transaction', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const store = mockReceiptStore({ id: 'r1', status: 'receiving', lines: [line('L0001', { sku: 'S1', expectedQty: 10 })] });
+
+    await receivingService.receiveItem('w', 'r1', { sku: 'S1', quantity: 3 });
+    await receivingService.receiveItem('w', 'r1', { sku: 'S1', quantity: 2 });
+
+    expect(store.receipt.lines[0].receivedQty).toBe(5);
+    expect(store.receipt.summary.receivedQty).toBe(5);
+  });
+});
+
+describe('generatePutAwayTasks', () => {
+  const closedReceipt = () => ({
+    id: 'r1',
+    receiptNumber: 'RCV-1',
+    reference: 'PO-1',
+    status: 'received',
+    lines: [
+      { ...line('L0001', { sku: 'S1', expectedQty: 5 }), receivedQty: 5 },
+      { ...line('L0002', { sku: 'S2', expectedQty: 3 }), receivedQty: 3 }
+    ]
+  });
+
+  beforeEach(() => {
+    jest.spyOn(warehouseService, 'getWarehouse').mockResolvedValue({ name: 'Main', settings: {} });
+    jest.spyOn(productService, 'getProductMap').mockResolvedValue(new Map());
+    jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('records each executed task on its line and puts nothing away twice', async () => {
+    const store = mockReceiptStore(closedReceipt());
+    jest.spyOn(warehouseOperations, 'autoAllocateQuantity').mockImplementation(async (warehouseId, sku, quantity) => ({
+      allocationPlan: [{ bin: { id: `bin-${sku}`, code: `A-${sku}` }, allocatedQuantity: quantity }],
+      remainingQuantity: 0
+    }));
+    const createTask = jest.spyOn(warehouseOperations, 'createPutAwayTask')
+      .mockImplementation(async (warehouseId, task) => ({ id: `task-${task.sku}` }));
+
+    const { receipt, summary } = await receivingService.generatePutAwayTasks('w', 'r1');
+
+    expect(summary.successful).toBe(2);
+    expect(receipt.status).toBe('put-away');
+    expect(store.receipt.lines.map(entry => [entry.putAwayQty, entry.putAwayTaskIds])).toEqual([
+      [5, ['task-S1']],
+      [3, ['task-S2']]
+    ]);
+    expect(store.receipt.putAwayRun).toBeNull();
+
+    await expect(receivingService.generatePutAwayTasks('w', 'r1')).rejects.toThrow(/already put away/);
+    expect(createTask).toHaveBeenCalledTimes(2);
+  });
+
+  test('a run that fails part way keeps what it put away and releases the receipt', async () => {
+    const store = mockReceiptStore(closedReceipt());
+    jest.spyOn(warehouseOperations, 'autoAllocateQuantity').mockImplementation(async (warehouseId, sku, quantity) => {
+      if (sku === 'S2') throw new Error('No bins');
+      return { allocationPlan: [{ bin: { id: 'b1', code: 'A-01' }, allocatedQuantity: quantity }], remainingQuantity: 0 };
+    });
+    jest.spyOn(warehouseOperations, 'createPutAwayTask').mockResolvedValue({ id: 't1' });
+
+    const { receipt, summary } = await receivingService.generatePutAwayTasks('w', 'r1');
+
+    expect(summary.failed).toBe(1);
+    expect(receipt.status).toBe('received');
+    expect(store.receipt.lines.map(entry => entry.putAwayQty)).toEqual([5, 0]);
+    expect(store.receipt.putAwayRun).toBeNull();
+  });
+
+  test('a receipt another run is putting away is not claimed again', async () => {
+    mockReceiptStore({ ...closedReceipt(), putAwayRun: { runId: 'other', startedBy: 'Alex', startedAt: new Date().toISOString() } });
+    const createTask = jest.spyOn(warehouseOperations, 'createPutAwayTask');
+
+    await expect(receivingService.generatePutAwayTasks('w', 'r1')).rejects.toThrow(/already running \(started by Alex\)/);
+    expect(createTask).not.toHaveBeenCalled();
+  });
+
+  test('a claim left by a run that died is taken over', async () => {
+    const startedAt = new Date(Date.now() - receivingService.putAwayClaimTtlMs - 1000).toISOString();
+    mockReceiptStore({ ...closedReceipt(), putAwayRun: { runId: 'dead', startedAt } });
+    jest.spyOn(warehouseOperations, 'autoAllocateQuantity').mockResolvedValue({ allocationPlan: [], remainingQuantity: 0 });
+
+    const { summary } = await receivingService.generatePutAwayTasks('w', 'r1');
+
+    expect(summary.total).toBe(2);
+  });
+});
@@ -0,0 +1,468 @@
+import { db } from '../firebase';
+import { collection, addDoc, getDocs, getDoc, query, where, orderBy, doc, updateDoc, deleteDoc, limit, serverTimestamp } from 'firebase/firestore';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { zoneService } from './zoneService';
+
+/**
+ * Replenishment of forward-pick bins from reserve stock
+ *
+ * Min/max rules are stored in WHT/{warehouseId}/replenishmentRules, either for one
+ * bin or for all forward-pick bins of a zone. A scan compares forward-pick stock
+ * against the rules and writes move tasks to WHT/{warehouseId}/replenishmentTasks,
+ * sourced FIFO from reserve bins. Bins in a forward-pick or reserve zone follow their
+ * zone type; elsewhere the ground level is forward-pick and the upper levels are reserve.
+ */
+export class ReplenishmentService {
+  constructor() {
+    this.ruleScopes = {
+      BIN: 'bin',
+      ZONE: 'zone'
+    };
+
+    this.taskStatuses = {
+      PENDING: 'pending',
+      COMPLETED: 'completed',
+      CANCELLED: 'cancelled'
+    };
+
+    // Grid levels picked from directly; every level above them is reserve stock
+    this.forwardPickLevels = ['A'];
+  }
+
+  /**
+   * Level within the grid (A = ground level)
+   */
+  getBinLevel(bin) {
+    return bin.level || bin.levelCode || bin.location?.level || null;
+  }
+
+  isForwardPickBin(bin, zonesById = null) {
+    const zoneType = zoneService.getBinZoneType(bin, zonesById);
+    if (zoneType === zoneService.zoneTypes.FORWARD_PICK) return true;
+    if (zoneType === zoneService.zoneTypes.RESERVE) return false;
+    return this.forwardPickLevels.includes(this.getBinLevel(bin));
+  }
+
+  /**
+   * Units of a SKU held in a bin, across all lots
+   */
+  getSkuQuantity(bin, sku) {
+    return warehouseOperations.getBinContents(bin)
+      .filter(content => content.sku === sku)
+      .reduce((sum, content) => sum + content.quantity, 0);
+  }
+
+  /**
+   * Get all min/max rules
+   */
+  async getRules(warehouseId) {
+    try {
+      const rulesRef = collection(db, 'WHT', warehouseId, 'replenishmentRules');
+      const snapshot = await getDocs(query(rulesRef, orderBy('sku')));
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting replenishment rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create or update a min/max rule
+   * A second rule for the same SKU and bin (or zone) replaces the first
+   * @param {Object} rule - { sku, scopeType, binId, binCode, zoneId, zoneName, minQty, maxQty }
+   */
+  async saveRule(warehouseId, rule) {
+    const sku = rule.sku?.toString().trim();
+    const minQty = Number(rule.minQty);
+    const maxQty = Number(rule.maxQty);
+
+    if (!sku) {
+      throw new Error('SKU is required');
+    }
+    if (!Object.values(this.ruleScopes).includes(rule.scopeType)) {
+      throw new Error(`Unknown rule scope: ${rule.scopeType}`);
+    }
+    if (rule.scopeType === this.ruleScopes.BIN && !rule.binId) {
+      throw new Error('Select the forward-pick bin for this rule');
+    }
+    if (rule.scopeType === this.ruleScopes.ZONE && !rule.zoneId) {
+      throw new Error('Select the zone for this rule');
+    }
+    if (!Number.isInteger(minQty) || minQty < 0 || !Number.isInteger(maxQty) || maxQty <= minQty) {
+      throw new Error('Min must be a whole number of zero or more and max must be greater than min');
+    }
+
+    try {
+      const ruleData = {
+        sku,
+        scopeType: rule.scopeType,
+        binId: rule.scopeType === this.ruleScopes.BIN ? rule.binId : null,
+        binCode: rule.scopeType === this.ruleScopes.BIN ? rule.binCode || null : null,
+        zoneId: rule.scopeType === this.ruleScopes.ZONE ? rule.zoneId : null,
+        zoneName: rule.scopeType === this.ruleScopes.ZONE ? rule.zoneName || null : null,
+        minQty,
+        maxQty,
+        updatedAt: new Date().toISOString()
+      };
+
+      const rules = await this.getRules(warehouseId);
+      const existing = rules.find(r =>
+        r.id === rule.id ||
+        (r.sku === sku && r.scopeType === ruleData.scopeType && r.binId === ruleData.binId && r.zoneId === ruleData.zoneId)
+      );
+
+      if (existing) {
+        await updateDoc(doc(db, 'WHT', warehouseId, 'replenishmentRules', existing.id), ruleData);
+        return { ...existing, ...ruleData };
+      }
+
+      const rulesRef = collection(db, 'WHT', warehouseId, 'replenishmentRules');
+      const docRef = await addDoc(rulesRef, { ...ruleData, createdAt: ruleData.updatedAt });
+      return { id: docRef.id, ...ruleData, createdAt: ruleData.updatedAt };
+    } catch (error) {
+      console.error('Error saving replenishment rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a min/max rule
+   */
+  async deleteRule(warehouseId, ruleId) {
+    try {
+      await deleteDoc(doc(db, 'WHT', warehouseId, 'replenishmentRules', ruleId));
+    } catch (error) {
+      console.error('Error deleting replenishment rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare forward-pick stock against the rules (no reads or writes)
+   * Bin rules are checked per bin. Zone rules are checked against the SKU total in the
+   * zone's forward-pick bins (bins with their own rule for the SKU excluded) and are
+   * refilled into bins already holding the SKU first, then into empty forward-pick bins.
+   * Stock at or below min is topped up to max, limited by free bin space.
+   */
+  findReplenishmentNeeds(rules, bins, zonesById = null) {
+    const needs = [];
+    const binRuleKeys = new Set(
+      rules.filter(rule => rule.scopeType === this.ruleScopes.BIN).map(rule => `${rule.sku}_${rule.binId}`)
+    );
+    const getFreeSpace = (bin) => Math.max(0, (parseInt(bin.capacity) || 0) - (parseInt(bin.currentQty) || 0));
+
+    rules.forEach(rule => {
+      if (rule.scopeType === this.ruleScopes.BIN) {
+        const bin = bins.find(b => b.id === rule.binId);
+        if (!bin) return;
+
+        const currentQty = this.getSkuQuantity(bin, rule.sku);
+        if (currentQty > rule.minQty) return;
+
+        const quantity = Math.min(rule.maxQty - currentQty, getFreeSpace(bin));
+        needs.push({
+          ruleId: rule.id,
+          sku: rule.sku,
+          scopeType: rule.scopeType,
+          scopeLabel: bin.code,
+          minQty: rule.minQty,
+          maxQty: rule.maxQty,
+          currentQty,
+          quantity,
+          destinations: quantity > 0 ? [{ binId: bin.id, binCode: bin.code, quantity }] : []
+        });
+        return;
+      }
+
+      const zoneBins = bins.filter(bin =>
+        (bin.zoneId || 'main') === rule.zoneId &&
+        this.isForwardPickBin(bin, zonesById) &&
+        !binRuleKeys.has(`${rule.sku}_${bin.id}`)
+      );
+      const currentQty = zoneBins.reduce((sum, bin) => sum + this.getSkuQuantity(bin, rule.sku), 0);
+      if (currentQty > rule.minQty) return;
+
+      const holdingBins = zoneBins.filter(bin => this.getSkuQuantity(bin, rule.sku) > 0);
+      const emptyBins = zoneBins.filter(bin => (parseInt(bin.currentQty) || 0) === 0);
+      const sortByCode = (a, b) => (a.code || '').localeCompare(b.code || '');
+
+      let remaining = rule.maxQty - currentQty;
+      const destinations = [];
+      [...holdingBins.sort(sortByCode), ...emptyBins.sort(sortByCode)].forEach(bin => {
+        const quantity = Math.min(remaining, getFreeSpace(bin));
+        if (quantity <= 0) return;
+        destinations.push({ binId: bin.id, binCode: bin.code, quantity });
+        remaining -= quantity;
+      });
+
+      needs.push({
+        ruleId: rule.id,
+        sku: rule.sku,
+        scopeType: rule.scopeType,
+        scopeLabel: rule.zoneName || rule.zoneId,
+        minQty: rule.minQty,
+        maxQty: rule.maxQty,
+        currentQty,
+        quantity: destinations.reduce((sum, d) => sum + d.quantity, 0),
+        destinations
+      });
+    });
+
+    return needs;
+  }
+
+  /**
+   * Scan the warehouse and create move tasks for every rule at or below min
+   * Destinations that already have a pending task for the SKU are skipped
+   * Returns { replenishmentNumber, tasks, shortfalls }
+   */
+  async generateReplenishmentTasks(warehouseId, options = {}) {
+    const { createdBy = null } = options;
+
+    try {
+      const [rules, bins, pendingTasks, zones] = await Promise.all([
+        this.getRules(warehouseId),
+        warehouseService.getBins(warehouseId),
+        this.getTasks(warehouseId, { status: this.taskStatuses.PENDING }),
+        zoneService.loadZones(warehouseId)
+      ]);
+      const zonesById = zoneService.getZoneMap(zones);
+
+      if (rules.length === 0) {
+        throw new Error('No replenishment rules defined - add min/max thresholds first');
+      }
+
+      const pendingKeys = new Set(pendingTasks.map(task => `${task.sku}_${task.toBinId}`));
+
+      // Forward-pick bins and bins with their own rule are never used as a source
+      const excludeBinIds = new Set(bins.filter(bin => this.isForwardPickBin(bin, zonesById)).map(bin => bin.id));
+      rules.filter(rule => rule.binId).forEach(rule => excludeBinIds.add(rule.binId));
+
+      const replenishmentNumber = `RPL-${Date.now()}`;
+      const createdAt = new Date().toISOString();
+      const plannedTasks = [];
+      const shortfalls = [];
+      const plannedFromBins = {}; // sku -> { binId: units already planned in this scan }
+
+      const needs = this.findReplenishmentNeeds(rules, bins, zonesById);
+
+      for (const need of needs) {
+        const destinations = need.destinations.filter(d => !pendingKeys.has(`${need.sku}_${d.binId}`));
+        const required = destinations.reduce((sum, d) => sum + d.quantity, 0);
+
+        if (required <= 0) {
+          if (need.destinations.length === 0) {
+            shortfalls.push({ sku: need.sku, scopeLabel: need.scopeLabel, shortfall: 0, reason: 'No free space in forward-pick bins' });
+          }
+          continue;
+        }
+
+        // Ask for the units earlier rules already took as well, so the same reserve stock is not planned twice
+        const planned = plannedFromBins[need.sku] || (plannedFromBins[need.sku] = {});
+        const alreadyPlanned = Object.values(planned).reduce((sum, qty) => sum + qty, 0);
+
+        const { pickPlan, shortfall } = await warehouseOperations.findProductsForPicking(
+          warehouseId,
+          need.sku,
+          required + alreadyPlanned,
+          { excludeBinIds: [...excludeBinIds] }
+        );
+
+        if (shortfall > 0) {
+          shortfalls.push({ sku: need.sku, scopeLabel: need.scopeLabel, shortfall, reason: 'Not enough reserve stock' });
+        }
+
+        // Walk the FIFO sources and destinations together, splitting where quantities differ
+        const sources = pickPlan
+          .map(source => ({ ...source, left: source.pickQuantity - (planned[source.id] || 0) }))
+          .filter(source => source.left > 0);
+        let sourceIndex = 0;
+
+        destinations.forEach(destination => {
+          let toFill = destination.quantity;
+
+          while (toFill > 0 && sourceIndex < sources.length) {
+            const source = sources[sourceIndex];
+            const quantity = Math.min(toFill, source.left);
+
+            plannedTasks.push({
+              replenishmentNumber,
+              ruleId: need.ruleId,
+              sku: need.sku,
+              lotNumber: source.skuInfo.lotNumber || null,
+              expiryDate: source.skuInfo.expiryDate || null,
+              quantity,
+              fromBinId: source.id,
+              fromBinCode: source.code,
+              toBinId: destination.binId,
+              toBinCode: destination.binCode,
+              reason: `${need.sku} at ${need.currentQty} (min ${need.minQty}, max ${need.maxQty}) in ${need.scopeLabel}`,
+              status: this.taskStatuses.PENDING,
+              createdBy: createdBy ? { uid: createdBy.uid || null, name: createdBy.name || createdBy.email || null } : null,
+              createdAt
+            });
+
+            toFill -= quantity;
+            source.left -= quantity;
+            planned[source.id] = (planned[source.id] || 0) + quantity;
+            if (source.left <= 0) sourceIndex++;
+          }
+        });
+      }
+
+      // Order the list by source bin so the reserve stock is collected in one walk
+      plannedTasks.sort((a, b) => (a.fromBinCode || '').localeCompare(b.fromBinCode || ''));
+
+      const tasksRef = collection(db, 'WHT', warehouseId, 'replenishmentTasks');
+      const tasks = [];
+      for (const task of plannedTasks) {
+        const docRef = await addDoc(tasksRef, { ...task, updatedAt: serverTimestamp() });
+        tasks.push({ id: docRef.id, ...task });
+      }
+
+      console.log(`🔁 Replenishment ${replenishmentNumber}: ${needs.length} rule(s) below min, ${tasks.length} move task(s), ${shortfalls.length} shortfall(s)`);
+
+      return { replenishmentNumber, tasks, shortfalls };
+    } catch (error) {
+      console.error('Error generating replenishment tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get replenishment tasks, newest first
+   */
+  async getTasks(warehouseId, filters = {}) {
+    try {
+      const tasksRef = collection(db, 'WHT', warehouseId, 'replenishmentTasks');
+      const constraints = filters.status
+        ? [where('status', '==', filters.status), limit(filters.limit || 200)]
+        : [orderBy('createdAt', 'desc'), limit(filters.limit || 200)];
+
+      const snapshot = await getDocs(query(tasksRef, ...constraints));
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || (a.fromBinCode || '').localeCompare(b.fromBinCode || ''));
+    } catch (error) {
+      console.error('Error getting replenishment tasks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single replenishment task
+   */
+  async getTask(warehouseId, taskId) {
+    const taskDoc = await getDoc(doc(db, 'WHT', warehouseId, 'replenishmentTasks', taskId));
+
+    if (!taskDoc.exists()) {
+      throw new Error('Replenishment task not found');
+    }
+
+    return { id: taskDoc.id, ...taskDoc.data() };
+  }
+
+  /**
+   * Transaction options that re-read a task and check it is still pending
+   */
+  pendingTaskTransaction(task, updates) {
+    return {
+      reads: { task: { collectionName: 'replenishmentTasks', docId: task.id } },
+      assertDocs: (docs) => {
+        if (!docs.task || docs.task.status !== this.taskStatuses.PENDING) {
+          throw new Error(`Replenishment task ${task.fromBinCode} → ${task.toBinCode} is already ${docs.task?.status || 'deleted'}`);
+        }
+      },
+      taskWrites: [{ collectionName: 'replenishmentTasks', taskId: task.id, data: updates }]
+    };
+  }
+
+  /**
+   * Move the stock for a task and log it as a 'transfer' operation
+   * The task is marked completed in the move transaction, which re-checks it is still pending,
+   * so completing a task twice cannot move the stock twice.
+   * @param {number} quantity - units actually moved, defaults to the planned quantity
+   */
+  async completeTask(warehouseId, taskId, executedBy = null, quantity = null) {
+    try {
+      const task = await this.getTask(warehouseId, taskId);
+
+      if (task.status !== this.taskStatuses.PENDING) {
+        throw new Error(`Replenishment task ${task.fromBinCode} → ${task.toBinCode} is already ${task.status}`);
+      }
+
+      const movedQuantity = quantity || task.quantity;
+      const updates = {
+        status: this.taskStatuses.COMPLETED,
+        movedQuantity,
+        completedAt: new Date().toISOString(),
+        completedBy: executedBy ? executedBy.name || executedBy.email || null : null
+      };
+
+      const transfer = await warehouseOperations.executeTransfer(warehouseId, {
+        sku: task.sku,
+        quantity: movedQuantity,
+        lotNumber: task.lotNumber,
+        fromBinId: task.fromBinId,
+        toBinId: task.toBinId
+      }, null, null, this.pendingTaskTransaction(task, updates));
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.TRANSFER, {
+        timestamp: transfer.movedAt,
+        fileName: `Replenishment ${task.replenishmentNumber}`,
+        totalItems: 1,
+        successCount: 1,
+        failedCount: 0,
+        warehouseId,
+        executionDetails: {
+          items: [{ ...warehouseOperations.buildTransferHistoryItem(transfer), rowNumber: 1, notes: 'Replenishment' }],
+          summary: {
+            total: 1,
+            successful: 1,
+            failed: 0,
+            totalQuantity: transfer.quantity,
+            executedAt: transfer.movedAt,
+            operationType: 'transfer'
+          }
+        },
+        replenishmentTaskId: taskId,
+        type: 'transfer'
+      });
+
+      console.log(`✅ Replenished ${transfer.quantity} units of ${task.sku} into ${task.toBinCode}`);
+
+      return { ...task, ...updates };
+    } catch (error) {
+      console.error('Error completing replenishment task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending task without moving stock
+   */
+  async cancelTask(warehouseId, taskId) {
+    try {
+      const task = await this.getTask(warehouseId, taskId);
+      const updates = {
+        status: this.taskStatuses.CANCELLED,
+        cancelledAt: new Date().toISOString()
+      };
+
+      const { reads, assertDocs, taskWrites } = this.pendingTaskTransaction(task, updates);
+      await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+        assertDocs(docs);
+        return { taskWrites };
+      }, { reads });
+
+      return updates;
+    } catch (error) {
+      console.error('Error cancelling replenishment task:', error);
+      throw error;
+    }
+  }
+}
+
+export const replenishmentService = new ReplenishmentService();
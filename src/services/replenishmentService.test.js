@@ -0,0 +1,79 @@
+import { replenishmentService } from './replenishmentService';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { storageRuleService } from './storageRuleService';
+import { stockHoldService } from './stockHoldService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+const task = {
+  id: 'r1',
+  replenishmentNumber: 'REP-1',
+  status: 'pending',
+  sku: 'S1',
+  quantity: 6,
+  lotNumber: null,
+  fromBinId: 'b2',
+  fromBinCode: 'A-02',
+  toBinId: 'b1',
+  toBinCode: 'A-01'
+};
+
+beforeEach(() => {
+  jest.spyOn(replenishmentService, 'getTask').mockResolvedValue(task);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('completeTask', () => {
+  test('marks the task completed in the move transaction', async () => {
+    const executeTransfer = jest.spyOn(warehouseOperations, 'executeTransfer').mockResolvedValue({
+      sku: 'S1', quantity: 4, fromBinCode: 'A-02', toBinCode: 'A-01', movedAt: '2026-01-01T00:00:00.000Z'
+    });
+    jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue({});
+
+    const completed = await replenishmentService.completeTask('w', 'r1', { name: 'Sam' }, 4);
+
+    const options = executeTransfer.mock.calls[0][4];
+    expect(executeTransfer.mock.calls[0][1]).toMatchObject({ quantity: 4, fromBinId: 'b2', toBinId: 'b1' });
+    expect(options.reads).toEqual({ task: { collectionName: 'replenishmentTasks', docId: 'r1' } });
+    expect(options.taskWrites).toEqual([{
+      collectionName: 'replenishmentTasks',
+      taskId: 'r1',
+      data: expect.objectContaining({ status: 'completed', movedQuantity: 4, completedBy: 'Sam' })
+    }]);
+    expect(() => options.assertDocs({ task })).not.toThrow();
+    expect(() => options.assertDocs({ task: { ...task, status: 'completed' } })).toThrow(/A-02 → A-01 is already completed/);
+    expect(completed.status).toBe('completed');
+  });
+
+  test('a task completed in the meantime moves no stock', async () => {
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    jest.spyOn(warehouseOperations, 'getAllBins').mockResolvedValue([{ id: 'b1', code: 'A-01' }, { id: 'b2', code: 'A-02' }]);
+    jest.spyOn(storageRuleService, 'loadRuleData').mockResolvedValue({ settings: {}, racks: [], products: new Map() });
+    jest.spyOn(stockHoldService, 'getActiveHolds').mockResolvedValue([]);
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({ b1: { id: 'b1', code: 'A-01' }, b2: { id: 'b2', code: 'A-02', sku: 'S1', currentQty: 10 } }, { task: { ...task, status: 'completed' } })
+    );
+    const saveHistory = jest.spyOn(historyService, 'saveOperationHistory');
+
+    await expect(replenishmentService.completeTask('w', 'r1')).rejects.toThrow(/already completed/);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(saveHistory).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelTask', () => {
+  test('does not cancel a task completed in the meantime', async () => {
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({}, { task: { ...task, status: 'completed' } })
+    );
+
+    await expect(replenishmentService.cancelTask('w', 'r1')).rejects.toThrow(/already completed/);
+  });
+});
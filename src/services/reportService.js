@@ -12,6 +12,10 @@ import {
 import * as XLSX from 'xlsx';
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
+import { warehouseOperations } from './warehouseOperations';
+import { productService } from './productService';
+import { excelService } from './excelService';
+import { stockHoldService } from './stockHoldService';
 
 export class ReportService {
   constructor() {
@@ -20,8 +24,12 @@ export class ReportService {
       INVENTORY_SUMMARY: 'inventory_summary',
       PUTAWAY_SUMMARY: 'putaway_summary',
       PICK_SUMMARY: 'pick_summary',
-      BIN_UTILIZATION: 'bin_utilization'
+      BIN_UTILIZATION: 'bin_utilization',
+      EXPIRY: 'expiry_report'
     };
+
+    // Default look-ahead window for near-expiry stock
+    this.defaultExpiryDays = 30;
   }
 
   /**
@@ -174,6 +182,9 @@ export class ReportService {
         case this.reportTypes.BIN_UTILIZATION:
           reportData.data = await this.generateBinUtilizationReport(config);
           break;
+        case this.reportTypes.EXPIRY:
+          reportData.data = await this.generateExpiryReport(config);
+          break;
         default:
           throw new Error(`Unsupported report type: ${config.type}`);
       }
@@ -290,6 +301,15 @@ export class ReportService {
                   inventoryTracker.set(inventoryKey, Math.max(0, currentLevel - quantity));
                 });
               }
+              // Handle transfers: stock leaves the source bin and arrives in the destination bin
+              else if (item.operationType === 'transfer') {
+                if (execItem.status === 'Failed') continue;
+                const quantity = parseInt(execItem.quantity) || 0;
+                const fromKey = `${sku}_${execItem.fromBinId || 'UNKNOWN'}`;
+                const toKey = `${sku}_${execItem.toBinId || 'UNKNOWN'}`;
+                inventoryTracker.set(fromKey, Math.max(0, (inventoryTracker.get(fromKey) || 0) - quantity));
+                inventoryTracker.set(toKey, (inventoryTracker.get(toKey) || 0) + quantity);
+              }
               // Fallback for legacy operations
               else {
                 let quantity = 0;
@@ -445,6 +465,49 @@ export class ReportService {
                 });
               });
             }
+            // Handle transfers as a pair of movements: out of the source bin, into the destination bin
+            else if (item.operationType === 'transfer') {
+              if (execItem.status === 'Failed') continue;
+              const quantity = parseInt(execItem.quantity) || 0;
+              const legs = [
+                { binId: execItem.fromBinId, binCode: execItem.fromBinCode, direction: -1, operationType: 'Transfer Out', notes: `To ${execItem.toBinCode}` },
+                { binId: execItem.toBinId, binCode: execItem.toBinCode, direction: 1, operationType: 'Transfer In', notes: `From ${execItem.fromBinCode}` }
+              ];
+
+              legs.forEach(leg => {
+                const bin = binMap.get(leg.binId) || {};
+                const inventoryKey = `${sku}_${leg.binId || 'UNKNOWN'}`;
+                const openingQty = inventoryTracker.get(inventoryKey) || 0;
+                const closingQty = Math.max(0, openingQty + leg.direction * quantity);
+                inventoryTracker.set(inventoryKey, closingQty);
+
+                const binCode = leg.binCode || bin.code || 'Unknown';
+
+                console.log(`📦 ${leg.operationType.toUpperCase()}: ${sku} in ${binCode}, Opening: ${openingQty}, Qty: ${quantity}, Closing: ${closingQty}`);
+
+                movements.push({
+                  date: new Date(item.timestamp).toLocaleDateString(),
+                  time: new Date(item.timestamp).toLocaleTimeString(),
+                  timestamp: item.timestamp,
+                  sku: sku,
+                  operationType: leg.operationType,
+                  quantity: quantity,
+                  location: binCode,
+                  binCode: binCode,
+                  binId: leg.binId || 'Unknown',
+                  status: execItem.status || 'Completed',
+                  opening: openingQty,
+                  putaway: 0,
+                  pick: 0,
+                  movement: leg.direction * quantity,
+                  closing: closingQty,
+                  lotNumber: execItem.lotNumber || 'N/A',
+                  expiryDate: execItem.expiryDate ? new Date(execItem.expiryDate).toLocaleDateString() : 'N/A',
+                  notes: execItem.notes ? `${leg.notes} - ${execItem.notes}` : leg.notes,
+                  inventoryKey: inventoryKey
+                });
+              });
+            }
             // Fallback for legacy operations without detailed allocation/picked bin data
             else {
               const bin = binMap.get(execItem.binId) || {};
@@ -557,6 +620,7 @@ export class ReportService {
       console.log(`- Total movements: ${movements.length}`);
       console.log(`- Put-Away operations: ${movements.filter(m => m.operationType === 'Put-Away').length}`);
       console.log(`- Pick operations: ${movements.filter(m => m.operationType === 'Pick').length}`);
+      console.log(`- Transfer movements: ${movements.filter(m => m.operationType.startsWith('Transfer')).length}`);
       
       if (config.scope === 'date_range') {
         console.log(`- Date range: ${config.startDate} to ${config.endDate}`);
@@ -565,12 +629,17 @@ export class ReportService {
         }
       }
 
+      // Product descriptions and units from the catalogue, shown next to the SKU and quantity
+      const products = await productService.getProductMap(warehouseId);
+      movements.forEach(movement => this.applyProductFields(movement, products.get(movement.sku)));
+
       return {
         movements,
         summary: {
           totalMovements: movements.length,
           putawayCount: movements.filter(m => m.operationType === 'Put-Away').length,
           pickCount: movements.filter(m => m.operationType === 'Pick').length,
+          transferCount: movements.filter(m => m.operationType === 'Transfer Out').length,
           totalQuantityMoved: movements.reduce((sum, m) => sum + (parseInt(m.quantity) || 0), 0),
           uniqueSkus: new Set(movements.map(m => m.sku)).size,
           uniqueLocations: new Set(movements.map(m => m.location)).size
@@ -594,6 +663,15 @@ export class ReportService {
       const binsSnapshot = await getDocs(binsRef);
       const bins = binsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
+      // Held stock is listed with an 'On Hold' status and summarised separately
+      const holds = await stockHoldService.getActiveHolds(warehouseId);
+      const getHoldFields = (bin, content) => {
+        const hold = stockHoldService.findHold(holds, bin, content);
+        return hold
+          ? { status: 'On Hold', holdReason: stockHoldService.getReasonLabel(hold) }
+          : { status: 'Current Stock' };
+      };
+
       // Create individual inventory records for each bin (not grouped by SKU)
       const inventory = [];
       
@@ -620,7 +698,7 @@ export class ReportService {
                 quantity: parseInt(content.quantity) || 0,
                 lotNumber: content.lotNumber,
                 expiryDate: content.expiryDate,
-                status: 'Current Stock'
+                ...getHoldFields(bin, content)
               });
             }
           });
@@ -644,23 +722,29 @@ export class ReportService {
             quantity: parseInt(bin.currentQty) || 0,
             lotNumber: bin.lotNumber,
             expiryDate: bin.expiryDate,
-            status: 'Current Stock'
+            ...getHoldFields(bin, bin)
           });
         }
       });
 
+      const products = await productService.getProductMap(warehouseId);
+      inventory.forEach(item => this.applyProductFields(item, products.get(item.sku)));
+
       // Sort by SKU/barcode, then by location for consistent display
       inventory.sort((a, b) => {
         const skuCompare = (a.sku || '').localeCompare(b.sku || '');
         if (skuCompare !== 0) return skuCompare;
         return (a.location || '').localeCompare(b.location || '');
       });
+      const heldInventory = inventory.filter(item => item.status === 'On Hold');
+      const heldQuantity = heldInventory.reduce((sum, item) => sum + item.quantity, 0);
 
       console.log(`📦 Inventory summary report generated:`);
       console.log(`- Total inventory rows: ${inventory.length}`);
       console.log(`- Unique SKUs: ${new Set(inventory.map(item => item.sku)).size}`);
       console.log(`- Total bins queried: ${bins.length}`);
       console.log(`- Occupied bins: ${bins.filter(bin => bin.currentQty > 0).length}`);
+      console.log(`- Rows on hold: ${heldInventory.length}`);
       
       if (config.selectedSkus && config.selectedSkus.length > 0) {
         console.log(`- SKU filtering applied: ${config.selectedSkus.length} SKUs selected`);
@@ -668,10 +752,13 @@ export class ReportService {
 
       return {
         inventory,
+        heldInventory,
         summary: {
           totalRows: inventory.length,
           totalSkus: new Set(inventory.map(item => item.sku)).size,
           totalQuantity: inventory.reduce((sum, item) => sum + item.quantity, 0),
+          heldQuantity,
+          availableQuantity: inventory.reduce((sum, item) => sum + item.quantity, 0) - heldQuantity,
           totalBinsOccupied: bins.filter(bin => bin.currentQty > 0).length,
           totalBinsAvailable: bins.filter(bin => (bin.capacity - (bin.currentQty || 0)) > 0).length,
           utilizationRate: bins.length > 0 ? (bins.filter(bin => bin.currentQty > 0).length / bins.length * 100).toFixed(1) : 0
@@ -1000,6 +1087,138 @@ export class ReportService {
     }
   }
 
+  /**
+   * Generate near-expiry report: stock expiring within config.daysAhead days or already expired,
+   * listed per lot and location and grouped by SKU
+   */
+  async generateExpiryReport(config) {
+    try {
+      const warehouseId = config.warehouseId;
+      const daysAhead = parseInt(config.daysAhead) >= 0 ? parseInt(config.daysAhead) : this.defaultExpiryDays;
+
+      const binsRef = collection(db, 'WHT', warehouseId, 'bins');
+      const binsSnapshot = await getDocs(binsRef);
+      const bins = binsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      let items = this.getExpiringStock(bins, daysAhead);
+
+      const products = await productService.getProductMap(warehouseId);
+      items.forEach(item => this.applyProductFields(item, products.get(item.sku)));
+
+      if (config.selectedSkus && config.selectedSkus.length > 0) {
+        items = items.filter(item => config.selectedSkus.includes(item.sku));
+      }
+
+      // Group by SKU, earliest expiry first within each SKU
+      const skuGroups = new Map();
+      items.forEach(item => {
+        if (!skuGroups.has(item.sku)) {
+          skuGroups.set(item.sku, {
+            sku: item.sku,
+            description: item.description,
+            totalQuantity: 0,
+            expiredQuantity: 0,
+            earliestExpiry: item.expiryDate,
+            locations: []
+          });
+        }
+
+        const group = skuGroups.get(item.sku);
+        group.totalQuantity += item.quantity;
+        if (item.isExpired) group.expiredQuantity += item.quantity;
+        if (item.expiryDate < group.earliestExpiry) group.earliestExpiry = item.expiryDate;
+        group.locations.push(item);
+      });
+
+      const groups = Array.from(skuGroups.values())
+        .sort((a, b) => a.earliestExpiry.localeCompare(b.earliestExpiry) || a.sku.localeCompare(b.sku));
+
+      const expiredItems = items.filter(item => item.isExpired);
+
+      console.log(`⏰ Expiry report generated: ${items.length} lots across ${groups.length} SKUs within ${daysAhead} days`);
+
+      return {
+        items,
+        groups,
+        summary: {
+          daysAhead,
+          totalLots: items.length,
+          totalSkus: groups.length,
+          totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+          expiredLots: expiredItems.length,
+          expiredQuantity: expiredItems.reduce((sum, item) => sum + item.quantity, 0),
+          nearExpiryLots: items.length - expiredItems.length,
+          nearExpiryQuantity: items
+            .filter(item => !item.isExpired)
+            .reduce((sum, item) => sum + item.quantity, 0)
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error generating expiry report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy catalogue description and units onto a report line (movement, inventory or expiry item)
+   */
+  applyProductFields(item, product) {
+    Object.assign(item, productService.getReportFields(product, item.quantity));
+    item.orderingUnit = product ? productService.getOrderingUnit(product) : null;
+    return item;
+  }
+
+  /**
+   * List every lot in the given bins that expires within daysAhead days (expired lots included)
+   * Sorted by expiry date, then SKU, then location
+   */
+  getExpiringStock(bins, daysAhead = this.defaultExpiryDays, asOf = new Date()) {
+    const items = [];
+
+    bins.forEach(bin => {
+      warehouseOperations.getBinContents(bin).forEach(content => {
+        if (!content.expiryDate || content.quantity <= 0) return;
+
+        const daysToExpiry = this.getDaysUntilExpiry(content.expiryDate, asOf);
+        if (daysToExpiry === null || daysToExpiry > daysAhead) return;
+
+        items.push({
+          binId: bin.id,
+          binCode: bin.code,
+          location: bin.code,
+          rackCode: bin.rackCode,
+          zoneId: bin.zoneId || 'main',
+          sku: content.sku,
+          lotNumber: content.lotNumber,
+          expiryDate: String(content.expiryDate).slice(0, 10),
+          quantity: content.quantity,
+          daysToExpiry,
+          isExpired: daysToExpiry < 0,
+          status: daysToExpiry < 0 ? 'Expired' : 'Near Expiry'
+        });
+      });
+    });
+
+    return items.sort((a, b) =>
+      a.expiryDate.localeCompare(b.expiryDate) ||
+      a.sku.localeCompare(b.sku) ||
+      this.compareLocations(a.location, b.location)
+    );
+  }
+
+  /**
+   * Whole calendar days from asOf until the expiry date (negative once expired)
+   */
+  getDaysUntilExpiry(expiryDate, asOf = new Date()) {
+    const expiryKey = expiryDate instanceof Date ? expiryDate.toISOString() : String(expiryDate);
+    const match = expiryKey.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+
+    const expiryDay = Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    const today = Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    return Math.round((expiryDay - today) / (24 * 60 * 60 * 1000));
+  }
+
   /**
    * Download Excel report
    */
@@ -1031,10 +1250,50 @@ export class ReportService {
         });
         
         // Sort the movement data by location
-        const sortedMovementRows = this.sortLocationData(movementRows);
+        const sortedMovementRows = excelService.insertUomColumns(
+          excelService.insertDescriptionColumn(this.sortLocationData(movementRows), reportData.data.movements),
+          reportData.data.movements
+        );
         
         const movementSheet = XLSX.utils.aoa_to_sheet(sortedMovementRows);
         XLSX.utils.book_append_sheet(workbook, movementSheet, 'Stock Movements');
+      } else if (reportData.config.type === this.reportTypes.EXPIRY) {
+        // One row per lot and location, already in expiry order
+        const expiryRows = [
+          ['Barcode', 'Description', 'Location', 'Quantity', 'Lot Number', 'Expiry Date', 'Days To Expiry', 'Status']
+        ];
+        reportData.data.items.forEach(item => {
+          expiryRows.push([
+            item.sku,
+            item.description || '',
+            item.location,
+            item.quantity,
+            item.lotNumber || '',
+            item.expiryDate,
+            item.daysToExpiry,
+            item.status
+          ]);
+        });
+        XLSX.utils.book_append_sheet(
+          workbook,
+          XLSX.utils.aoa_to_sheet(excelService.insertUomColumns(expiryRows, reportData.data.items)),
+          'Expiring Stock'
+        );
+
+        const skuRows = [
+          ['Barcode', 'Description', 'Total Quantity', 'Expired Quantity', 'Earliest Expiry', 'Locations']
+        ];
+        reportData.data.groups.forEach(group => {
+          skuRows.push([
+            group.sku,
+            group.description || '',
+            group.totalQuantity,
+            group.expiredQuantity,
+            group.earliestExpiry,
+            group.locations.map(item => item.location).join(', ')
+          ]);
+        });
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(skuRows), 'By SKU');
       } else {
         // For all other report types, use a simplified approach without summary sheet
         // Create data with just essential columns
@@ -1139,7 +1398,11 @@ export class ReportService {
         }
         
         // Sort the report data by location
-        const sortedReportRows = this.sortLocationData(reportRows);
+        const reportItems = reportData.data.operations || reportData.data.inventory || [];
+        const sortedReportRows = excelService.insertUomColumns(
+          excelService.insertDescriptionColumn(this.sortLocationData(reportRows), reportItems),
+          reportItems
+        );
         
         const reportSheet = XLSX.utils.aoa_to_sheet(sortedReportRows);
         XLSX.utils.book_append_sheet(workbook, reportSheet, 'Report Data');
@@ -1252,6 +1515,8 @@ export class ReportService {
         return XLSX.utils.json_to_sheet(data.operations);
       case this.reportTypes.BIN_UTILIZATION:
         return XLSX.utils.json_to_sheet(data.utilization);
+      case this.reportTypes.EXPIRY:
+        return XLSX.utils.json_to_sheet(data.items);
       default:
         return XLSX.utils.json_to_sheet([]);
     }
@@ -1276,6 +1541,13 @@ export class ReportService {
     return summaryArray;
   }
 
+  /**
+   * Quantity with its base unit of measure when the product is in the catalogue, e.g. "24 EA"
+   */
+  formatBaseQuantity(item) {
+    return item.unitOfMeasure ? `${item.quantity} ${item.unitOfMeasure}` : item.quantity;
+  }
+
   /**
    * Prepare data for PDF export
    */
@@ -1286,9 +1558,9 @@ export class ReportService {
     switch (type) {
       case this.reportTypes.STOCK_MOVEMENTS:
         return {
-          head: [['Barcode', 'Location', 'Quantity', 'Operation']],
+          head: [['Barcode', 'Description', 'Location', 'Quantity', 'Ordering Qty', 'Operation']],
           body: data.movements.slice(0, 50).map(m => [
-            m.sku, m.location, m.quantity, m.operationType
+            m.sku, m.description || '', m.location, this.formatBaseQuantity(m), m.orderingQuantity || '', m.operationType
           ])
         };
       case this.reportTypes.INVENTORY_SUMMARY:
@@ -1305,6 +1577,14 @@ export class ReportService {
             u.binCode, u.rackCode, u.capacity, u.currentQuantity, `${u.utilizationPercent}%`
           ])
         };
+      case this.reportTypes.EXPIRY:
+        return {
+          head: [['Barcode', 'Description', 'Location', 'Lot', 'Expiry', 'Quantity', 'Ordering Qty', 'Status']],
+          body: data.items.slice(0, 50).map(i => [
+            i.sku, i.description || '', i.location, i.lotNumber || '-', i.expiryDate,
+            this.formatBaseQuantity(i), i.orderingQuantity || '', i.status
+          ])
+        };
       default:
         return { head: [], body: [] };
     }
@@ -1320,6 +1600,7 @@ export class ReportService {
       case this.reportTypes.PUTAWAY_SUMMARY: return 'Put-Away Summary Report';
       case this.reportTypes.PICK_SUMMARY: return 'Pick Summary Report';
       case this.reportTypes.BIN_UTILIZATION: return 'Bin Utilization Report';
+      case this.reportTypes.EXPIRY: return 'Expiry Report';
       default: return 'Warehouse Report';
     }
   }
@@ -0,0 +1,311 @@
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+import { cycleCountService } from './cycleCountService';
+import { putAwayStrategyService } from './putAwayStrategyService';
+import { storageRuleService } from './storageRuleService';
+import { binCapacityService } from './binCapacityService';
+import { zoneService } from './zoneService';
+import { stockHoldService } from './stockHoldService';
+
+/**
+ * ABC velocity analysis and slotting recommendations
+ *
+ * Pick history is rolled up per SKU into pick lines (how often it is picked) and units
+ * picked over a date range. SKUs are classed A/B/C on each measure and keep the better of
+ * the two classes; stocked SKUs that were never picked are class C.
+ *
+ * Prime bins are ground-level bins in the part of the warehouse nearest the dock. Class A
+ * stock stored anywhere else is recommended to move into empty prime bins, busiest SKUs
+ * first. Reserve and non-pickable zones are left alone, as is stock on hold. The
+ * resulting move list runs as ordinary bin transfers.
+ */
+export class SlottingService {
+  constructor() {
+    // Share of ground-level bins, nearest the dock first, that count as prime
+    this.primeShare = 0.5;
+    this.defaultDays = 90;
+    this.defaultMaxMoves = 50;
+  }
+
+  getDefaultRange(days = this.defaultDays) {
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    return {
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Pick lines and units per SKU over a date range (yyyy-mm-dd, end date inclusive)
+   * @returns {Object} sku -> { sku, pickLines, units, lastPickedAt }
+   */
+  async getVelocity(warehouseId, { startDate, endDate } = {}) {
+    const filters = {};
+    if (startDate) filters.startDate = new Date(`${startDate}T00:00:00`).toISOString();
+    if (endDate) filters.endDate = new Date(`${endDate}T23:59:59.999`).toISOString();
+
+    const pickHistory = await historyService.getOperationHistory(warehouseId, historyService.operationTypes.PICK, filters);
+    const velocity = {};
+
+    pickHistory.forEach(entry => {
+      (entry.executionDetails?.items || []).forEach(item => {
+        const picked = parseInt(item.pickedQty) || 0;
+        if (!item.barcode || picked <= 0) return;
+
+        if (!velocity[item.barcode]) {
+          velocity[item.barcode] = { sku: item.barcode, pickLines: 0, units: 0, lastPickedAt: null };
+        }
+        const stats = velocity[item.barcode];
+        stats.pickLines += 1;
+        stats.units += picked;
+        if (!stats.lastPickedAt || entry.timestamp > stats.lastPickedAt) stats.lastPickedAt = entry.timestamp;
+      });
+    });
+
+    return velocity;
+  }
+
+  /**
+   * Class every picked or stocked SKU
+   * @returns {Array} [{ sku, pickLines, units, frequencyClass, unitsClass, abcClass, stockQty, binCount }], A first
+   */
+  classifyVelocity(velocity, bins) {
+    const stats = Object.values(velocity);
+    const frequencyClasses = cycleCountService.classifyAbc(Object.fromEntries(stats.map(s => [s.sku, s.pickLines])));
+    const unitsClasses = cycleCountService.classifyAbc(Object.fromEntries(stats.map(s => [s.sku, s.units])));
+
+    const stock = new Map();
+    bins.forEach(bin => {
+      warehouseOperations.getBinContents(bin).forEach(content => {
+        const entry = stock.get(content.sku) || { quantity: 0, binIds: new Set() };
+        entry.quantity += content.quantity;
+        entry.binIds.add(bin.id);
+        stock.set(content.sku, entry);
+      });
+    });
+
+    const skus = new Set([...stats.map(s => s.sku), ...stock.keys()]);
+    return [...skus].map(sku => {
+      const frequencyClass = frequencyClasses[sku] || 'C';
+      const unitsClass = unitsClasses[sku] || 'C';
+      return {
+        sku,
+        pickLines: velocity[sku]?.pickLines || 0,
+        units: velocity[sku]?.units || 0,
+        lastPickedAt: velocity[sku]?.lastPickedAt || null,
+        frequencyClass,
+        unitsClass,
+        abcClass: [frequencyClass, unitsClass].sort()[0],
+        stockQty: stock.get(sku)?.quantity || 0,
+        binCount: stock.get(sku)?.binIds.size || 0
+      };
+    }).sort((a, b) => a.abcClass.localeCompare(b.abcClass) || b.pickLines - a.pickLines || b.units - a.units);
+  }
+
+  /**
+   * Bins slotting may take stock out of or put it into: pickable and not in a reserve zone
+   */
+  isSlottable(bin, zonesById) {
+    return zoneService.isPickable(bin, zonesById) &&
+      zoneService.getBinZoneType(bin, zonesById) !== zoneService.zoneTypes.RESERVE;
+  }
+
+  /**
+   * Dock distance up to which a ground-level bin is prime
+   */
+  getPrimeDistance(bins, zonesById) {
+    const distances = bins
+      .filter(bin => this.isSlottable(bin, zonesById) && putAwayStrategyService.getLevelIndex(bin) === 0)
+      .map(bin => putAwayStrategyService.getDockDistance(bin))
+      .sort((a, b) => a - b);
+
+    if (distances.length === 0) return 0;
+    return distances[Math.max(0, Math.ceil(distances.length * this.primeShare) - 1)];
+  }
+
+  /**
+   * Why a bin is not a prime location, or null when it is
+   */
+  getOutOfPlaceReason(bin, primeDistance) {
+    const levelIndex = putAwayStrategyService.getLevelIndex(bin);
+    const distance = putAwayStrategyService.getDockDistance(bin);
+    const reasons = [];
+    if (levelIndex > 0) reasons.push(`level ${bin.level || String.fromCharCode(65 + levelIndex)}`);
+    if (distance > primeDistance) reasons.push(`${Math.round(distance)} m from the dock`);
+    return reasons.length > 0 ? reasons.join(', ') : null;
+  }
+
+  /**
+   * Analyse velocity and plan moves of class A stock into empty prime bins
+   * @param {Object} options - { startDate, endDate, maxMoves }
+   * @returns {Object} { classes, moves, unplaced, primeDistance, summary }
+   */
+  async buildSlottingPlan(warehouseId, options = {}) {
+    const { startDate, endDate, maxMoves = this.defaultMaxMoves } = options;
+
+    if (startDate && endDate && startDate > endDate) {
+      throw new Error('Start date must be before end date');
+    }
+
+    try {
+      const [bins, zones, holds, ruleData, velocity] = await Promise.all([
+        warehouseOperations.getAllBins(warehouseId),
+        zoneService.loadZones(warehouseId),
+        stockHoldService.getActiveHolds(warehouseId),
+        storageRuleService.loadRuleData(warehouseId),
+        this.getVelocity(warehouseId, { startDate, endDate })
+      ]);
+
+      const zonesById = zoneService.getZoneMap(zones);
+      const classes = this.classifyVelocity(velocity, bins);
+      const primeDistance = this.getPrimeDistance(bins, zonesById);
+      const ruleContext = storageRuleService.createContext(ruleData, bins);
+
+      // Empty prime bins, nearest first; planned stock is tracked on copies
+      let freeTargets = bins
+        .filter(bin => bin.status === 'available' && (parseInt(bin.currentQty) || 0) === 0 &&
+          this.isSlottable(bin, zonesById) && zoneService.isPutAwayAllowed(bin, zonesById) &&
+          !this.getOutOfPlaceReason(bin, primeDistance))
+        .sort((a, b) => putAwayStrategyService.getDockDistance(a) - putAwayStrategyService.getDockDistance(b));
+      const usedTargets = new Map(); // binId -> { bin, sku }
+
+      const moves = [];
+      const unplaced = [];
+      let outOfPlace = 0;
+
+      const findTarget = (sku, quantity) => {
+        const candidates = [
+          ...[...usedTargets.values()].filter(target => target.sku === sku).map(target => target.bin),
+          ...freeTargets
+        ];
+        return candidates.find(target =>
+          binCapacityService.getFitQuantity(target, sku, ruleData.products).quantity >= quantity &&
+          storageRuleService.checkPlacement(target, sku, quantity, ruleContext).length === 0
+        ) || null;
+      };
+
+      for (const item of classes.filter(row => row.abcClass === 'A')) {
+        const sources = bins
+          .filter(bin => this.isSlottable(bin, zonesById) && this.getOutOfPlaceReason(bin, primeDistance))
+          .filter(bin => warehouseOperations.getBinContents(bin).some(content => content.sku === item.sku))
+          .sort((a, b) => putAwayStrategyService.getDockDistance(b) - putAwayStrategyService.getDockDistance(a));
+
+        for (const bin of sources) {
+          const reason = this.getOutOfPlaceReason(bin, primeDistance);
+          const lots = warehouseOperations.getBinContents(bin)
+            .filter(content => content.sku === item.sku && content.quantity > 0 && !stockHoldService.findHold(holds, bin, content));
+
+          for (const lot of lots) {
+            outOfPlace += 1;
+            if (moves.length >= maxMoves) continue;
+
+            const target = findTarget(item.sku, lot.quantity);
+            if (!target) {
+              unplaced.push({ sku: item.sku, lotNumber: lot.lotNumber, quantity: lot.quantity, binId: bin.id, binCode: bin.code, reason });
+              continue;
+            }
+
+            storageRuleService.recordPlacement(ruleContext, target, item.sku, lot.quantity);
+            usedTargets.set(target.id, { bin: warehouseOperations.withAddedStock(target, item.sku, lot.quantity), sku: item.sku });
+            freeTargets = freeTargets.filter(candidate => candidate.id !== target.id);
+
+            moves.push({
+              sku: item.sku,
+              lotNumber: lot.lotNumber,
+              expiryDate: lot.expiryDate,
+              quantity: lot.quantity,
+              abcClass: item.abcClass,
+              pickLines: item.pickLines,
+              units: item.units,
+              fromBinId: bin.id,
+              fromBinCode: bin.code,
+              toBinId: target.id,
+              toBinCode: target.code,
+              fromDistance: Math.round(putAwayStrategyService.getDockDistance(bin)),
+              toDistance: Math.round(putAwayStrategyService.getDockDistance(target)),
+              reason: `Class A (${item.pickLines} picks, ${item.units} units) stored at ${reason}`
+            });
+          }
+        }
+      }
+
+      const classCounts = { A: 0, B: 0, C: 0 };
+      classes.forEach(row => { classCounts[row.abcClass] += 1; });
+
+      console.log(`📊 Slotting plan: ${classCounts.A} A / ${classCounts.B} B / ${classCounts.C} C SKUs, ${moves.length} move(s), ${unplaced.length} without a free prime bin`);
+
+      return {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        classes,
+        moves,
+        unplaced,
+        primeDistance: Math.round(primeDistance),
+        summary: {
+          skus: classes.length,
+          classCounts,
+          outOfPlaceLots: outOfPlace,
+          moves: moves.length,
+          unitsToMove: moves.reduce((sum, move) => sum + move.quantity, 0),
+          freePrimeBins: freeTargets.length,
+          truncated: outOfPlace > moves.length + unplaced.length
+        }
+      };
+    } catch (error) {
+      console.error('Error building slotting plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Moves as rows for warehouseOperations.executeBulkTransfer
+   */
+  toTransfers(moves) {
+    return moves.map((move, index) => ({
+      rowNumber: index + 1,
+      sku: move.sku,
+      quantity: move.quantity,
+      lotNumber: move.lotNumber || null,
+      fromBinId: move.fromBinId,
+      fromBinCode: move.fromBinCode,
+      toBinId: move.toBinId,
+      toBinCode: move.toBinCode,
+      notes: move.reason
+    }));
+  }
+
+  /**
+   * Run a move list as bin transfers and log it as one 'transfer' operation
+   */
+  async executeMoves(warehouseId, moves, onProgress = null) {
+    if (!moves || moves.length === 0) {
+      throw new Error('No slotting moves to execute');
+    }
+
+    try {
+      const executionResults = await warehouseOperations.executeBulkTransfer(warehouseId, this.toTransfers(moves), onProgress);
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.TRANSFER, {
+        timestamp: executionResults.summary.executedAt,
+        fileName: 'Slotting plan',
+        totalItems: executionResults.summary.total,
+        successCount: executionResults.summary.successful,
+        failedCount: executionResults.summary.failed,
+        warehouseId,
+        executionDetails: executionResults,
+        source: 'slotting',
+        type: 'transfer'
+      });
+
+      console.log(`✅ Slotting moves executed: ${executionResults.summary.successful}/${executionResults.summary.total}`);
+      return executionResults;
+    } catch (error) {
+      console.error('Error executing slotting moves:', error);
+      throw error;
+    }
+  }
+}
+
+export const slottingService = new SlottingService();
@@ -0,0 +1,383 @@
+import { db } from '../firebase';
+import { collection, addDoc, getDocs, getDoc, query, where, orderBy, doc, serverTimestamp } from 'firebase/firestore';
+import { warehouseService } from './warehouseService';
+import { historyService } from './historyService';
+import { authService } from './authService_new';
+
+/**
+ * Quarantine / QC holds
+ *
+ * Holds are stored in WHT/{warehouseId}/stockHolds and put stock of a SKU on hold:
+ * - with a lotNumber, only that lot (wherever it is stored)
+ * - with a binId, only the SKU's stock in that bin
+ * - with neither, all stock of the SKU
+ * Held stock stays in its bin but is not picked. Any user can place a hold; only master
+ * users can release it (stock becomes pickable again) or scrap it (stock is written off).
+ */
+export class StockHoldService {
+  constructor() {
+    this.statuses = {
+      ACTIVE: 'active',
+      RELEASED: 'released',
+      SCRAPPED: 'scrapped'
+    };
+
+    this.holdReasons = {
+      QC_INSPECTION: 'qc-inspection',
+      DAMAGED: 'damaged',
+      EXPIRY_REVIEW: 'expiry-review',
+      SUPPLIER_RECALL: 'supplier-recall',
+      CONTAMINATION: 'contamination',
+      OTHER: 'other'
+    };
+
+    this.holdReasonLabels = {
+      'qc-inspection': 'QC inspection',
+      'damaged': 'Damaged',
+      'expiry-review': 'Expiry review',
+      'supplier-recall': 'Supplier recall',
+      'contamination': 'Contamination',
+      'other': 'Other'
+    };
+  }
+
+  assertCanResolve(user) {
+    if (!authService.isMaster(user)) {
+      throw new Error('Only master users can release or scrap held stock');
+    }
+  }
+
+  getUserName(user) {
+    return user?.name || user?.email || 'Unknown';
+  }
+
+  getReasonLabel(hold) {
+    return this.holdReasonLabels[hold.reason] || hold.reason || 'On hold';
+  }
+
+  /**
+   * List holds, newest first, optionally only those with a given status
+   */
+  async getHolds(warehouseId, status = null) {
+    try {
+      const holdsRef = collection(db, 'WHT', warehouseId, 'stockHolds');
+      const holdsQuery = status
+        ? query(holdsRef, where('status', '==', status))
+        : query(holdsRef, orderBy('createdAt', 'desc'));
+      const snapshot = await getDocs(holdsQuery);
+      return snapshot.docs.map(holdDoc => ({ id: holdDoc.id, ...holdDoc.data() }));
+    } catch (error) {
+      console.error('Error loading stock holds:', error);
+      throw error;
+    }
+  }
+
+  async getActiveHolds(warehouseId) {
+    return this.getHolds(warehouseId, this.statuses.ACTIVE);
+  }
+
+  async getHold(warehouseId, holdId) {
+    const holdDoc = await getDoc(doc(db, 'WHT', warehouseId, 'stockHolds', holdId));
+    if (!holdDoc.exists()) {
+      throw new Error('Hold not found');
+    }
+    return { id: holdDoc.id, ...holdDoc.data() };
+  }
+
+  /**
+   * Whether a hold covers a stock entry ({ sku, lotNumber }) in a bin
+   */
+  holdCovers(hold, bin, content) {
+    return hold.sku === content.sku &&
+      (!hold.lotNumber || hold.lotNumber === (content.lotNumber || null)) &&
+      (!hold.binId || hold.binId === bin.id);
+  }
+
+  /**
+   * The active hold covering a stock entry, or null
+   */
+  findHold(holds, bin, content) {
+    return holds.find(hold => hold.status === this.statuses.ACTIVE && this.holdCovers(hold, bin, content)) || null;
+  }
+
+  /**
+   * Stock entries a hold covers: [{ binId, binCode, sku, lotNumber, expiryDate, quantity }]
+   * @param {Function} getContents - bin -> [{ sku, quantity, lotNumber, expiryDate }]
+   */
+  getHeldStock(hold, bins, getContents) {
+    return bins.flatMap(bin => getContents(bin)
+      .filter(content => content.quantity > 0 && this.holdCovers(hold, bin, content))
+      .map(content => ({
+        binId: bin.id,
+        binCode: bin.code,
+        sku: content.sku,
+        lotNumber: content.lotNumber || null,
+        expiryDate: content.expiryDate || null,
+        quantity: content.quantity
+      })));
+  }
+
+  /**
+   * Held quantity per bin: binId -> quantity
+   */
+  sumHeldQuantityByBin(heldStock) {
+    return heldStock.reduce((byBin, entry) => {
+      byBin[entry.binId] = (byBin[entry.binId] || 0) + entry.quantity;
+      return byBin;
+    }, {});
+  }
+
+  /**
+   * Put stock on hold
+   * @param {Object} holdData - { sku, lotNumber?, binId?, reason, notes? }
+   * @param {Array} bins - current bins, used to record the quantity held
+   */
+  async placeHold(warehouseId, holdData, user, bins = []) {
+    const sku = holdData.sku?.toString().trim() || '';
+    const lotNumber = holdData.lotNumber?.toString().trim() || null;
+    const binId = holdData.binId || null;
+
+    if (!sku) throw new Error('SKU is required');
+    if (!Object.values(this.holdReasons).includes(holdData.reason)) {
+      throw new Error('Select a hold reason');
+    }
+
+    try {
+      const { warehouseOperations } = await import('./warehouseOperations');
+      const existing = await this.getActiveHolds(warehouseId);
+      const duplicate = existing.find(hold => hold.sku === sku &&
+        (hold.lotNumber || null) === lotNumber && (hold.binId || null) === binId);
+      if (duplicate) {
+        throw new Error(`${sku}${lotNumber ? ` lot ${lotNumber}` : ''}${duplicate.binCode ? ` in ${duplicate.binCode}` : ''} is already on hold`);
+      }
+
+      const bin = binId ? bins.find(candidate => candidate.id === binId) : null;
+      const hold = {
+        sku,
+        lotNumber,
+        binId,
+        binCode: bin?.code || null,
+        reason: holdData.reason,
+        notes: holdData.notes?.toString().trim() || '',
+        status: this.statuses.ACTIVE,
+        createdBy: this.getUserName(user),
+        createdAt: new Date().toISOString()
+      };
+      hold.quantityAtHold = this.getHeldStock(hold, bins, (candidate) => warehouseOperations.getBinContents(candidate))
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+
+      const docRef = await addDoc(collection(db, 'WHT', warehouseId, 'stockHolds'), {
+        ...hold,
+        updatedAt: serverTimestamp()
+      });
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.HOLD, {
+        action: 'place',
+        holdId: docRef.id,
+        sku,
+        lotNumber,
+        binId,
+        binCode: hold.binCode,
+        quantity: hold.quantityAtHold,
+        reason: this.getReasonLabel(hold),
+        notes: hold.notes,
+        user: hold.createdBy,
+        warehouseId
+      });
+
+      console.log(`⏸️ ${sku}${lotNumber ? ` lot ${lotNumber}` : ''} put on hold (${hold.quantityAtHold} units) by ${hold.createdBy}`);
+      return { id: docRef.id, ...hold };
+    } catch (error) {
+      console.error('Error placing stock hold:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a hold - the stock can be picked again
+   */
+  async releaseHold(warehouseId, holdId, user, notes = '') {
+    this.assertCanResolve(user);
+
+    try {
+      const hold = await this.getHold(warehouseId, holdId);
+
+      const updates = {
+        status: this.statuses.RELEASED,
+        resolvedBy: this.getUserName(user),
+        resolvedAt: new Date().toISOString(),
+        resolutionNotes: notes
+      };
+
+      // The status is checked again in the transaction so a release cannot overwrite a scrap
+      await warehouseService.runBinTransaction(warehouseId, [], (bins, docs) => {
+        if (!docs.hold || docs.hold.status !== this.statuses.ACTIVE) {
+          throw new Error(`Hold on ${hold.sku} is already ${docs.hold?.status || 'deleted'}`);
+        }
+        return { taskWrites: [{ collectionName: 'stockHolds', taskId: holdId, data: updates }] };
+      }, { reads: { hold: { collectionName: 'stockHolds', docId: holdId } } });
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.HOLD, {
+        action: 'release',
+        holdId,
+        sku: hold.sku,
+        lotNumber: hold.lotNumber || null,
+        binId: hold.binId || null,
+        binCode: hold.binCode || null,
+        reason: this.getReasonLabel(hold),
+        notes,
+        user: updates.resolvedBy,
+        warehouseId
+      });
+
+      console.log(`▶️ Hold on ${hold.sku} released by ${updates.resolvedBy}`);
+      return { ...hold, ...updates };
+    } catch (error) {
+      console.error('Error releasing stock hold:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scrap held stock - removes it from its bins in one transaction and closes the hold
+   * The covered stock is resolved again from the bins read inside the transaction; if it moved
+   * since the bins were listed, the bins are listed again and the scrap retried.
+   * Each bin written off is logged as an 'adjustment' operation
+   */
+  async scrapHold(warehouseId, holdId, user, notes = '') {
+    this.assertCanResolve(user);
+
+    try {
+      const { warehouseOperations } = await import('./warehouseOperations');
+      const getContents = (bin) => warehouseOperations.getBinContents(bin);
+      const hold = await this.getHold(warehouseId, holdId);
+      if (hold.status !== this.statuses.ACTIVE) {
+        throw new Error(`Hold on ${hold.sku} is already ${hold.status}`);
+      }
+
+      const resolvedBy = this.getUserName(user);
+      const resolvedAt = new Date().toISOString();
+      const holdUpdate = {
+        status: this.statuses.SCRAPPED,
+        resolvedBy,
+        resolvedAt,
+        resolutionNotes: notes
+      };
+      const maxAttempts = 3;
+      let writeOffs = null;
+
+      for (let attempt = 1; attempt <= maxAttempts && !writeOffs; attempt++) {
+        const bins = await warehouseOperations.getAllBins(warehouseId);
+        const heldStock = this.getHeldStock(hold, bins, getContents);
+        const binIds = [...new Set(heldStock.map(entry => entry.binId))];
+        const expectedByBin = this.sumHeldQuantityByBin(heldStock);
+
+        if (binIds.length > 0) {
+          await warehouseOperations.validateBinOperationAgainstPickLocks(warehouseId, binIds, 'adjust');
+        }
+
+        const { result } = await warehouseService.runBinTransaction(warehouseId, binIds, (freshBins, docs) => {
+          if (!docs.hold || docs.hold.status !== this.statuses.ACTIVE) {
+            throw new Error(`Hold on ${hold.sku} is already ${docs.hold?.status || 'deleted'}`);
+          }
+
+          // Stock moved in or out of a covered bin since the listing - list the bins again
+          const freshStock = this.getHeldStock(hold, Object.values(freshBins), getContents);
+          const freshByBin = this.sumHeldQuantityByBin(freshStock);
+          if (binIds.some(binId => freshByBin[binId] !== expectedByBin[binId])) {
+            return { result: null };
+          }
+
+          const binUpdates = {};
+          const binWriteOffs = [];
+
+          binIds.forEach(binId => {
+            let bin = freshBins[binId];
+            let binUpdate = {};
+
+            // Take out every covered lot, one entry at a time
+            this.getHeldStock(hold, [bin], getContents).forEach(entry => {
+              // Scrapped stock is gone whoever reserved it - their reservations are cut to what is left
+              const pick = warehouseOperations.applyPickToBin(bin, {
+                sku: entry.sku,
+                quantity: entry.quantity,
+                lotNumber: entry.lotNumber,
+                expiryDate: entry.expiryDate
+              }, { ignoreReservations: true });
+              binUpdate = { ...binUpdate, ...pick.binUpdate };
+              bin = { ...bin, ...pick.binUpdate };
+              binWriteOffs.push({
+                binId,
+                binCode: bin.code,
+                sku: entry.sku,
+                lotNumber: entry.lotNumber,
+                variance: -entry.quantity,
+                quantityBefore: entry.quantity,
+                quantityAfter: 0,
+                reservationsTrimmed: pick.reservationsTrimmed
+              });
+            });
+
+            delete binUpdate.lastPickedAt;
+            binUpdates[binId] = binUpdate;
+          });
+
+          return {
+            binUpdates,
+            taskWrites: [{
+              collectionName: 'stockHolds',
+              taskId: holdId,
+              data: { ...holdUpdate, scrappedQuantity: binWriteOffs.reduce((sum, line) => sum - line.variance, 0) }
+            }],
+            result: binWriteOffs
+          };
+        }, { reads: { hold: { collectionName: 'stockHolds', docId: holdId } } });
+
+        writeOffs = result;
+      }
+
+      if (!writeOffs) {
+        throw new Error(`Stock of ${hold.sku} kept moving while it was being scrapped, please try again`);
+      }
+
+      writeOffs.forEach(writeOff => {
+        console.log(`🗑️ Scrapped ${-writeOff.variance} units of ${writeOff.sku} from ${writeOff.binCode}`);
+      });
+
+      const scrappedQuantity = writeOffs.reduce((sum, line) => sum - line.variance, 0);
+
+      for (const writeOff of writeOffs) {
+        await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.ADJUSTMENT, {
+          ...writeOff,
+          timestamp: resolvedAt,
+          holdId,
+          reason: `Scrapped from hold: ${this.getReasonLabel(hold)}`,
+          approvedBy: resolvedBy,
+          warehouseId
+        });
+      }
+
+      await historyService.saveOperationHistory(warehouseId, historyService.operationTypes.HOLD, {
+        action: 'scrap',
+        holdId,
+        sku: hold.sku,
+        lotNumber: hold.lotNumber || null,
+        binId: hold.binId || null,
+        binCode: hold.binCode || null,
+        quantity: scrappedQuantity,
+        reason: this.getReasonLabel(hold),
+        notes,
+        user: resolvedBy,
+        warehouseId
+      });
+
+      console.log(`✅ Hold on ${hold.sku} scrapped by ${resolvedBy}: ${scrappedQuantity} units from ${writeOffs.length} location(s)`);
+      return { ...hold, ...holdUpdate, scrappedQuantity, writeOffs };
+    } catch (error) {
+      console.error('Error scrapping held stock:', error);
+      throw error;
+    }
+  }
+}
+
+export const stockHoldService = new StockHoldService();
@@ -0,0 +1,183 @@
+import { stockHoldService } from './stockHoldService';
+import { warehouseService } from './warehouseService';
+import { warehouseOperations } from './warehouseOperations';
+import { historyService } from './historyService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+const master = { role: 'master', name: 'Supervisor' };
+const getContents = (bin) => warehouseOperations.getBinContents(bin);
+
+describe('holdCovers / findHold', () => {
+  const bin = { id: 'b1' };
+
+  test('a SKU-wide hold covers every lot in every bin', () => {
+    const hold = { sku: 'S1', lotNumber: null, binId: null };
+    expect(stockHoldService.holdCovers(hold, bin, { sku: 'S1', lotNumber: 'L1' })).toBe(true);
+    expect(stockHoldService.holdCovers(hold, bin, { sku: 'S2' })).toBe(false);
+  });
+
+  test('a lot hold covers only that lot', () => {
+    const hold = { sku: 'S1', lotNumber: 'L1', binId: null };
+    expect(stockHoldService.holdCovers(hold, bin, { sku: 'S1', lotNumber: 'L1' })).toBe(true);
+    expect(stockHoldService.holdCovers(hold, bin, { sku: 'S1', lotNumber: 'L2' })).toBe(false);
+    expect(stockHoldService.holdCovers(hold, bin, { sku: 'S1' })).toBe(false);
+  });
+
+  test('a bin hold covers only that bin', () => {
+    const hold = { sku: 'S1', binId: 'b1' };
+    expect(stockHoldService.holdCovers(hold, bin, { sku: 'S1' })).toBe(true);
+    expect(stockHoldService.holdCovers(hold, { id: 'b2' }, { sku: 'S1' })).toBe(false);
+  });
+
+  test('findHold ignores holds that are no longer active', () => {
+    const released = { id: 'h1', sku: 'S1', status: 'released' };
+    const active = { id: 'h2', sku: 'S1', status: 'active' };
+    expect(stockHoldService.findHold([released], bin, { sku: 'S1' })).toBeNull();
+    expect(stockHoldService.findHold([released, active], bin, { sku: 'S1' })).toBe(active);
+  });
+});
+
+describe('getHeldStock', () => {
+  test('lists the covered stock per bin and lot', () => {
+    const bins = [
+      { id: 'b1', code: 'A-01', sku: 'S1', lotNumber: 'L1', currentQty: 4 },
+      {
+        id: 'b2',
+        code: 'A-02',
+        sku: 'S2',
+        currentQty: 9,
+        mixedContents: [{ sku: 'S2', quantity: 6 }, { sku: 'S1', lotNumber: 'L1', quantity: 3 }]
+      },
+      { id: 'b3', code: 'A-03', sku: 'S1', lotNumber: 'L2', currentQty: 5 }
+    ];
+    const heldStock = stockHoldService.getHeldStock({ sku: 'S1', lotNumber: 'L1' }, bins, getContents);
+
+    expect(heldStock.map(entry => [entry.binCode, entry.quantity])).toEqual([['A-01', 4], ['A-02', 3]]);
+    expect(stockHoldService.sumHeldQuantityByBin(heldStock)).toEqual({ b1: 4, b2: 3 });
+  });
+});
+
+describe('scrapHold', () => {
+  const hold = { id: 'h1', sku: 'S1', lotNumber: null, binId: null, status: 'active', reason: 'damaged' };
+
+  beforeEach(() => {
+    jest.spyOn(stockHoldService, 'getHold').mockResolvedValue(hold);
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('lists the bins again when the held stock moved before the commit', async () => {
+    const listed = { id: 'b1', code: 'A-01', sku: 'S1', currentQty: 5 };
+    jest.spyOn(warehouseOperations, 'getAllBins')
+      .mockResolvedValueOnce([listed])
+      .mockResolvedValueOnce([{ ...listed, currentQty: 2 }, { id: 'b2', code: 'A-02', sku: 'S1', currentQty: 3 }]);
+
+    const transactionBins = [
+      { b1: { ...listed, currentQty: 2 } },
+      { b1: { ...listed, currentQty: 2 }, b2: { id: 'b2', code: 'A-02', sku: 'S1', currentQty: 3 } }
+    ];
+    const commits = [];
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) => {
+      const changes = applyChanges(transactionBins[commits.length], { hold });
+      commits.push(changes);
+      return { result: changes.result };
+    });
+
+    const scrapped = await stockHoldService.scrapHold('w1', 'h1', master);
+
+    expect(commits[0].result).toBeNull();
+    expect(commits[0].taskWrites).toBeUndefined();
+    expect(scrapped.scrappedQuantity).toBe(5);
+    expect(Object.keys(commits[1].binUpdates)).toEqual(['b1', 'b2']);
+    expect(commits[1].taskWrites[0].data).toMatchObject({ status: 'scrapped', scrappedQuantity: 5 });
+  });
+
+  test('does not scrap a hold that was resolved in the meantime', async () => {
+    jest.spyOn(warehouseOperations, 'getAllBins').mockResolvedValue([]);
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({}, { hold: { ...hold, status: 'released' } })
+    );
+
+    await expect(stockHoldService.scrapHold('w1', 'h1', master)).rejects.toThrow(/already released/);
+  });
+
+  test('scraps reserved stock and cuts the reservations', async () => {
+    const bin = {
+      id: 'b1',
+      code: 'A-01',
+      sku: 'S1',
+      currentQty: 5,
+      reservations: [{ ownerId: 'o1', ownerLabel: 'ORD-1', type: 'order', sku: 'S1', lotNumber: null, expiryDate: null, quantity: 3 }]
+    };
+    jest.spyOn(warehouseOperations, 'getAllBins').mockResolvedValue([bin]);
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) => {
+      const changes = applyChanges({ b1: bin }, { hold });
+      return { result: changes.result, changes };
+    });
+
+    const scrapped = await stockHoldService.scrapHold('w1', 'h1', master);
+
+    const { changes } = await run.mock.results[0].value;
+    expect(changes.binUpdates.b1).toMatchObject({ currentQty: 0, reservations: [] });
+    expect(scrapped.writeOffs[0].reservationsTrimmed).toEqual([expect.objectContaining({ ownerId: 'o1', quantity: 3 })]);
+  });
+});
+
+describe('releaseHold', () => {
+  const hold = { id: 'h1', sku: 'S1', lotNumber: null, binId: null, status: 'active', reason: 'damaged' };
+
+  beforeEach(() => {
+    jest.spyOn(stockHoldService, 'getHold').mockResolvedValue(hold);
+    jest.spyOn(historyService, 'saveOperationHistory').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('releases the hold in a transaction that re-reads it', async () => {
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({}, { hold })
+    );
+
+    const released = await stockHoldService.releaseHold('w1', 'h1', master);
+
+    expect(released.status).toBe('released');
+    expect(run.mock.calls[0][3].reads).toEqual({ hold: { collectionName: 'stockHolds', docId: 'h1' } });
+    const { taskWrites } = await run.mock.results[0].value;
+    expect(taskWrites[0]).toMatchObject({ collectionName: 'stockHolds', taskId: 'h1', data: { status: 'released' } });
+  });
+
+  test('a hold scrapped in the meantime is not released', async () => {
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({}, { hold: { ...hold, status: 'scrapped' } })
+    );
+
+    await expect(stockHoldService.releaseHold('w1', 'h1', master)).rejects.toThrow(/already scrapped/);
+    expect(historyService.saveOperationHistory).not.toHaveBeenCalled();
+  });
+});
+
+describe('moving held stock', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a transfer cannot take held stock out of its bin', async () => {
+    const fromBin = { id: 'b1', code: 'A-01', sku: 'S1', lotNumber: 'L1', currentQty: 5 };
+    const toBin = { id: 'b2', code: 'A-02', currentQty: 0 };
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({ b1: fromBin, b2: toBin }, {})
+    );
+    const holds = [{ sku: 'S1', lotNumber: 'L1', binId: 'b1', status: 'active', reason: 'damaged' }];
+
+    await expect(warehouseService.moveBetweenBins('w1', 'b1', 'b2', 'S1', 2, null, null, null, { holds }))
+      .rejects.toThrow(/A-01 is on hold \(Damaged\) and cannot be moved/);
+  });
+});
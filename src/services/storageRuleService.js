@@ -0,0 +1,296 @@
+import { warehouseService } from './warehouseService';
+import { productService } from './productService';
+
+/**
+ * Storage constraint rules
+ *
+ * Rules can be set for the whole warehouse (settings.storageRules), a rack
+ * (rack.storageRules), a grid (rack.gridStorageRules[gridNumber]) and a single bin
+ * (bin.storageRules).
+ * The most specific level that sets a rule wins; disallowed category pairs add up
+ * across levels.
+ *
+ * Rules:
+ * - maxSkusPerBin: how many different SKUs one bin may hold
+ * - disallowedCategoryPairs: [{ first, second }] categories that may not share a grid
+ *   (hazardous products also count as the 'Hazardous' category)
+ * - maxWeightPerLevel: kg allowed on one level of a grid (all bins on that level)
+ * - temperatureClass: the location's class; products must have the same class
+ *   (locations without a class take any product)
+ */
+export class StorageRuleService {
+  constructor() {
+    this.ruleTypes = {
+      MAX_SKUS_PER_BIN: 'maxSkusPerBin',
+      CATEGORY_SEGREGATION: 'disallowedCategoryPairs',
+      MAX_WEIGHT_PER_LEVEL: 'maxWeightPerLevel',
+      TEMPERATURE_CLASS: 'temperatureClass'
+    };
+
+    this.ruleLabels = {
+      maxSkusPerBin: 'Max SKUs per bin',
+      disallowedCategoryPairs: 'Category segregation',
+      maxWeightPerLevel: 'Max weight per level',
+      temperatureClass: 'Temperature class'
+    };
+
+    this.hazardousCategory = 'Hazardous';
+  }
+
+  /**
+   * Clean rules entered in a form; empty values mean "inherit"
+   */
+  normalizeRules(rules = {}) {
+    const toLimit = (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      const num = Number(value);
+      return isNaN(num) || num < 0 ? null : num;
+    };
+
+    return {
+      maxSkusPerBin: toLimit(rules.maxSkusPerBin),
+      maxWeightPerLevel: toLimit(rules.maxWeightPerLevel),
+      temperatureClass: Object.values(productService.temperatureClasses).includes(rules.temperatureClass)
+        ? rules.temperatureClass
+        : null,
+      disallowedCategoryPairs: (rules.disallowedCategoryPairs || [])
+        .map(pair => ({ first: pair.first?.toString().trim() || '', second: pair.second?.toString().trim() || '' }))
+        .filter(pair => pair.first && pair.second)
+    };
+  }
+
+  /**
+   * Load everything rule checks need besides the bins
+   */
+  async loadRuleData(warehouseId) {
+    const [warehouse, racks, products] = await Promise.all([
+      warehouseService.getWarehouse(warehouseId),
+      warehouseService.getRacks(warehouseId),
+      productService.getProductMap(warehouseId)
+    ]);
+
+    return { settings: warehouse?.settings || {}, racks, products };
+  }
+
+  /**
+   * Combine rule data with the bins being planned against
+   * Placements recorded on the context count towards later checks in the same plan.
+   */
+  createContext(ruleData, bins) {
+    return {
+      ...ruleData,
+      bins,
+      racksById: new Map(ruleData.racks.map(rack => [rack.id, rack])),
+      pending: []
+    };
+  }
+
+  getGridNumber(bin) {
+    return bin.gridLevel || bin.shelfLevel || 1;
+  }
+
+  getGridKey(bin) {
+    return `${bin.rackId}-${this.getGridNumber(bin)}`;
+  }
+
+  getLevelKey(bin) {
+    return `${this.getGridKey(bin)}-${bin.level || 'A'}`;
+  }
+
+  /**
+   * SKU quantities stored in a bin plus placements already planned for it
+   */
+  getStoredItems(bin, context) {
+    const items = Array.isArray(bin.mixedContents) && bin.mixedContents.length > 0
+      ? bin.mixedContents.map(content => ({ sku: content.sku, quantity: parseInt(content.quantity) || 0 }))
+      : (bin.sku && (parseInt(bin.currentQty) || 0) > 0 ? [{ sku: bin.sku, quantity: parseInt(bin.currentQty) || 0 }] : []);
+
+    return [
+      ...items.filter(item => item.quantity > 0),
+      ...context.pending.filter(placement => placement.binId === bin.id)
+    ];
+  }
+
+  /**
+   * The rules that apply to a bin, each with the level it came from
+   * @returns {Object} { maxSkusPerBin: { value, source }, ..., disallowedCategoryPairs: [{ first, second, source }] }
+   */
+  getEffectiveRules(bin, context) {
+    const rack = context.racksById.get(bin.rackId);
+    const levels = [
+      { source: 'bin', rules: bin.storageRules },
+      { source: 'grid', rules: rack?.gridStorageRules?.[this.getGridNumber(bin)] },
+      { source: 'rack', rules: rack?.storageRules },
+      { source: 'warehouse', rules: context.settings?.storageRules }
+    ].filter(level => level.rules);
+
+    const pick = (field) => {
+      const level = levels.find(candidate => candidate.rules[field] !== null && candidate.rules[field] !== undefined && candidate.rules[field] !== '');
+      return level ? { value: level.rules[field], source: level.source } : null;
+    };
+
+    return {
+      maxSkusPerBin: pick(this.ruleTypes.MAX_SKUS_PER_BIN),
+      maxWeightPerLevel: pick(this.ruleTypes.MAX_WEIGHT_PER_LEVEL),
+      temperatureClass: pick(this.ruleTypes.TEMPERATURE_CLASS),
+      disallowedCategoryPairs: levels.flatMap(level =>
+        (level.rules.disallowedCategoryPairs || []).map(pair => ({ ...pair, source: level.source })))
+    };
+  }
+
+  getProductTags(product) {
+    const tags = [];
+    if (product?.category) tags.push(product.category.toLowerCase());
+    if (product?.storageConstraints?.hazardous) tags.push(this.hazardousCategory.toLowerCase());
+    return tags;
+  }
+
+  /**
+   * Check which rules block a SKU from going into a bin, and how many units the weight limit leaves
+   * @returns {Object} { violations: [{ rule, source, message }], maxQuantity }
+   */
+  evaluatePlacement(bin, sku, context) {
+    const rules = this.getEffectiveRules(bin, context);
+    const product = context.products.get(sku) || null;
+    const violations = [];
+    let maxQuantity = Infinity;
+
+    const violation = (rule, source, message) => violations.push({
+      rule,
+      source,
+      message: `${this.ruleLabels[rule]} (${source} rule): ${message}`
+    });
+
+    // Temperature class - only checked where a class is set; uncatalogued products are ambient
+    const productClass = product?.storageConstraints?.temperatureClass || productService.temperatureClasses.AMBIENT;
+    if (rules.temperatureClass && productClass !== rules.temperatureClass.value) {
+      violation(this.ruleTypes.TEMPERATURE_CLASS, rules.temperatureClass.source,
+        `${sku} is ${productClass} but ${bin.code} is ${rules.temperatureClass.value}`);
+    }
+
+    // Different SKUs in one bin
+    if (rules.maxSkusPerBin) {
+      const skus = new Set(this.getStoredItems(bin, context).map(item => item.sku));
+      if (!skus.has(sku) && skus.size + 1 > rules.maxSkusPerBin.value) {
+        violation(this.ruleTypes.MAX_SKUS_PER_BIN, rules.maxSkusPerBin.source,
+          `${bin.code} already holds ${[...skus].join(', ')} (max ${rules.maxSkusPerBin.value})`);
+      }
+    }
+
+    // Category pairs that may not share a grid
+    const incomingTags = this.getProductTags(product);
+    if (rules.disallowedCategoryPairs.length > 0 && incomingTags.length > 0) {
+      const gridKey = this.getGridKey(bin);
+      const gridBins = context.bins.filter(candidate => this.getGridKey(candidate) === gridKey);
+      const neighbourTags = new Map();
+      gridBins.forEach(gridBin => {
+        this.getStoredItems(gridBin, context)
+          .filter(item => item.sku !== sku)
+          .forEach(item => this.getProductTags(context.products.get(item.sku)).forEach(tag => {
+            if (!neighbourTags.has(tag)) neighbourTags.set(tag, { sku: item.sku, binCode: gridBin.code });
+          }));
+      });
+
+      rules.disallowedCategoryPairs.forEach(pair => {
+        const first = pair.first.toLowerCase();
+        const second = pair.second.toLowerCase();
+        const clash = (incomingTags.includes(first) && neighbourTags.get(second)) ||
+          (incomingTags.includes(second) && neighbourTags.get(first));
+        if (clash) {
+          violation(this.ruleTypes.CATEGORY_SEGREGATION, pair.source,
+            `${pair.first} and ${pair.second} cannot share a grid - ${clash.sku} is in ${clash.binCode}`);
+        }
+      });
+    }
+
+    // Weight on the bin's level
+    const unitWeight = parseFloat(product?.weight) || 0;
+    if (rules.maxWeightPerLevel && unitWeight > 0) {
+      const levelKey = this.getLevelKey(bin);
+      const levelWeight = context.bins
+        .filter(candidate => this.getLevelKey(candidate) === levelKey)
+        .flatMap(candidate => this.getStoredItems(candidate, context))
+        .reduce((sum, item) => sum + item.quantity * (parseFloat(context.products.get(item.sku)?.weight) || 0), 0);
+
+      maxQuantity = Math.max(0, Math.floor((rules.maxWeightPerLevel.value - levelWeight) / unitWeight));
+      if (maxQuantity === 0) {
+        violation(this.ruleTypes.MAX_WEIGHT_PER_LEVEL, rules.maxWeightPerLevel.source,
+          `level ${bin.level || 'A'} of ${bin.code} carries ${levelWeight} kg of ${rules.maxWeightPerLevel.value} kg`);
+      }
+    }
+
+    return { violations, maxQuantity };
+  }
+
+  /**
+   * Rules broken by putting a quantity of a SKU into a bin
+   */
+  checkPlacement(bin, sku, quantity, context) {
+    const { violations, maxQuantity } = this.evaluatePlacement(bin, sku, context);
+
+    if (violations.length === 0 && quantity > maxQuantity) {
+      const rules = this.getEffectiveRules(bin, context);
+      violations.push({
+        rule: this.ruleTypes.MAX_WEIGHT_PER_LEVEL,
+        source: rules.maxWeightPerLevel.source,
+        message: `${this.ruleLabels.maxWeightPerLevel} (${rules.maxWeightPerLevel.source} rule): only ${maxQuantity} more units of ${sku} fit on level ${bin.level || 'A'} of ${bin.code}`
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Count a planned placement towards the checks that follow it
+   */
+  recordPlacement(context, bin, sku, quantity) {
+    context.pending.push({ binId: bin.id, sku, quantity });
+  }
+
+  /**
+   * Error naming the rules that blocked a placement
+   */
+  createViolationError(bin, sku, violations) {
+    const error = new Error(`Storage rules block ${sku} in ${bin.code}: ${violations.map(v => v.message).join('; ')}`);
+    error.code = 'storage-rule';
+    error.violations = violations;
+    return error;
+  }
+
+  /**
+   * Bins a placement check depends on: the bin itself and, when a category or level weight rule
+   * applies to it, the rest of its grid. Read them in the placement transaction so concurrent
+   * placements cannot both pass a check they break together.
+   */
+  getPlacementBinIds(bin, bins, ruleData) {
+    const rules = this.getEffectiveRules(bin, this.createContext(ruleData, bins));
+    if (!rules.maxWeightPerLevel && rules.disallowedCategoryPairs.length === 0) {
+      return [bin.id];
+    }
+
+    const gridKey = this.getGridKey(bin);
+    return [bin.id, ...bins.filter(candidate => candidate.id !== bin.id && this.getGridKey(candidate) === gridKey).map(candidate => candidate.id)];
+  }
+
+  /**
+   * Throw if the placement breaks a rule (no reads)
+   * Inside a transaction pass the bins it read as freshBins (by id); they replace the matching entries of bins.
+   */
+  assertPlacement(bin, sku, quantity, bins, ruleData, freshBins = {}) {
+    const currentBins = bins.map(candidate => freshBins[candidate.id] || candidate);
+    const currentBin = freshBins[bin.id] || bin;
+    const violations = this.checkPlacement(currentBin, sku, quantity, this.createContext(ruleData, currentBins));
+    if (violations.length > 0) {
+      throw this.createViolationError(currentBin, sku, violations);
+    }
+  }
+
+  /**
+   * Load the rules and throw if the placement breaks any of them
+   */
+  async assertPlacementAllowed(warehouseId, bin, sku, quantity, bins, ruleData = null) {
+    this.assertPlacement(bin, sku, quantity, bins, ruleData || await this.loadRuleData(warehouseId));
+  }
+}
+
+export const storageRuleService = new StorageRuleService();
@@ -1,11 +1,68 @@
 import { warehouseService } from './warehouseService.js';
-import { collection, getDocs } from 'firebase/firestore';
-import { db } from '../firebase.js';
+import { pickRouteService } from './pickRouteService.js';
+import { putAwayStrategyService } from './putAwayStrategyService.js';
+import { storageRuleService } from './storageRuleService.js';
+import { binCapacityService } from './binCapacityService.js';
+import { productService } from './productService.js';
+import { zoneService } from './zoneService.js';
+import { stockHoldService } from './stockHoldService.js';
+import { collection, getDocs, addDoc } from 'firebase/firestore';
+import { db, auth } from '../firebase.js';
+
+// Identify this browser tab so leases held by other tabs/browsers can be told apart.
+// Kept in sessionStorage so a page reload resumes the same session.
+const getPickSessionId = () => {
+  const storageKey = 'wms-pick-session-id';
+  const generate = () => `session-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+
+  try {
+    let sessionId = window.sessionStorage.getItem(storageKey);
+    if (!sessionId) {
+      sessionId = generate();
+      window.sessionStorage.setItem(storageKey, sessionId);
+    }
+    return sessionId;
+  } catch (error) {
+    return generate();
+  }
+};
 
 export const warehouseOperations = {
-  // Track active pick operations to prevent concurrent bin changes
-  activePickOperations: new Map(), // warehouseId -> Map(binId -> { operationId, timestamp })
-  pickOperationTimeouts: new Map(), // warehouseId -> timeoutId for cleanup
+  // Pick locks are lease documents under WHT/{warehouseId}/binLocks so they survive
+  // page reloads and are visible to every browser picking in the same warehouse
+  sessionId: getPickSessionId(),
+  lockLeaseTtlMs: 2 * 60 * 1000, // lease expires 2 minutes after the last heartbeat
+  lockHeartbeatIntervalMs: 30 * 1000,
+  lockHeartbeats: new Map(), // operationId -> { warehouseId, binIds, intervalId }
+
+  // Why a picker could not take the planned quantity from a bin
+  shortPickReasons: {
+    NOT_FOUND: 'not_found',
+    DAMAGED: 'damaged',
+    WRONG_ITEM: 'wrong_item',
+  },
+  shortPickReasonLabels: {
+    not_found: 'Not found',
+    damaged: 'Damaged',
+    wrong_item: 'Wrong item in bin',
+  },
+
+  // What a put-away does when the bins cannot hold the whole file (warehouse setting putAwayPartialPolicy)
+  partialAllocationPolicies: {
+    REJECT_ALL: 'reject-all',
+    ACCEPT_PARTIAL: 'accept-partial',
+    SUGGEST_RACKS: 'suggest-racks',
+  },
+  defaultOverflowLocation: 'STAGING',
+
+  // Stock reservations are kept on the bin (bin.reservations) so they are written in the same
+  // transaction that checks the stock is still free. Order reservations last until the order is
+  // picked or cancelled; soft reservations made by the pick planners expire if they are not picked.
+  reservationTypes: {
+    ORDER: 'order',
+    SOFT: 'soft',
+  },
+  softReservationTtlMs: 30 * 60 * 1000,
 
   /**
    * Lock bins for picking to prevent inventory moves during operation
@@ -13,32 +70,26 @@ export const warehouseOperations = {
   async lockBinsForPicking(warehouseId, binIds, operationId) {
     console.log(`🔒 Locking bins for pick operation: ${binIds.length} bins`, { operationId, binIds });
     
-    if (!this.activePickOperations.has(warehouseId)) {
-      this.activePickOperations.set(warehouseId, new Map());
-    }
-    
-    const lockedBins = this.activePickOperations.get(warehouseId);
-    
-    // Check if any bins are already locked by a different operation
-    const alreadyLocked = binIds.filter(binId => {
-      const lockInfo = lockedBins.get(binId);
-      return lockInfo && lockInfo.operationId !== operationId;
+    const result = await warehouseService.acquireBinLocks(warehouseId, binIds, {
+      operationId,
+      sessionId: this.sessionId,
+      owner: auth.currentUser?.email || 'anonymous',
+      ttlMs: this.lockLeaseTtlMs
     });
     
-    if (alreadyLocked.length > 0) {
-      throw new Error(`Cannot start pick operation - bins already locked for picking: ${alreadyLocked.join(', ')}`);
+    // Check if any bins are already locked by a different operation
+    if (!result.acquired) {
+      const owners = [...new Set(result.conflicts.map(lock => lock.owner || 'unknown'))].join(', ');
+      throw new Error(
+        `Cannot start pick operation - bins already locked for picking: ${result.conflicts.map(lock => lock.binId).join(', ')} ` +
+        `(held by ${owners})`
+      );
     }
     
-    // Lock all bins with operation ID and timestamp
-    const timestamp = Date.now();
-    binIds.forEach(binId => {
-      lockedBins.set(binId, { operationId, timestamp });
-    });
-    
-    // Set auto-cleanup timeout (10 minutes)
-    this.setPickOperationTimeout(warehouseId, operationId);
+    // Keep the leases alive while the operation runs
+    this.startLockHeartbeat(warehouseId, binIds, operationId);
     
-    console.log(`✅ Successfully locked ${binIds.length} bins for picking`, { warehouseId, operationId });
+    console.log(`✅ Successfully locked ${binIds.length} bins for picking`, { warehouseId, operationId, sessionId: this.sessionId });
   },
 
   /**
@@ -47,100 +98,128 @@ export const warehouseOperations = {
   async releaseBinsFromPicking(warehouseId, binIds, operationId) {
     console.log(`🔓 Releasing bins from pick operation: ${binIds.length} bins`, { operationId, binIds });
     
-    if (!this.activePickOperations.has(warehouseId)) {
-      return;
-    }
+    this.stopLockHeartbeat(operationId);
     
-    const lockedBins = this.activePickOperations.get(warehouseId);
+    const { released } = await warehouseService.releaseBinLocks(warehouseId, binIds, operationId);
     
-    // Release all bins
-    binIds.forEach(binId => lockedBins.delete(binId));
+    console.log(`✅ Successfully released ${released}/${binIds.length} bins from picking`, { warehouseId, operationId });
+  },
+
+  /**
+   * Get live (non-expired) lock leases, reclaiming expired ones along the way
+   */
+  async getActiveBinLocks(warehouseId) {
+    await warehouseService.syncServerClock(warehouseId);
+    const locks = await warehouseService.getBinLocks(warehouseId);
+    const now = warehouseService.serverNow();
     
-    // Clear timeout if no more locked bins
-    if (lockedBins.size === 0) {
-      this.clearPickOperationTimeout(warehouseId);
+    const expiredLocks = locks.filter(lock => !this.isLockLeaseActive(lock, now));
+    if (expiredLocks.length > 0) {
+      console.warn(`♻️ Reclaiming ${expiredLocks.length} expired pick lock leases`, expiredLocks.map(lock => lock.binId));
+      // Best effort - the transaction re-checks expiry, so a lease re-acquired in the meantime survives
+      warehouseService.reclaimExpiredBinLocks(warehouseId, expiredLocks.map(lock => lock.id))
+        .catch(error => console.warn('Could not reclaim expired pick locks:', error));
     }
     
-    console.log(`✅ Successfully released ${binIds.length} bins from picking`, { warehouseId, operationId });
+    return locks.filter(lock => this.isLockLeaseActive(lock, now));
+  },
+
+  /**
+   * A lease is live until ttlMs after its last heartbeat, both server times; leases without one are treated as expired
+   */
+  isLockLeaseActive(lock, now = warehouseService.serverNow()) {
+    const expiry = warehouseService.getLockLeaseExpiry(lock);
+    return expiry !== null && expiry > now;
   },
 
   /**
    * Check if bins are locked for picking
+   * @param {Object} options - { otherSessionsOnly: ignore leases held by this browser session }
    */
-  areBinsLockedForPicking(warehouseId, binIds) {
-    if (!this.activePickOperations.has(warehouseId)) {
-      return { locked: false, lockedBins: [], operationId: null };
-    }
+  async areBinsLockedForPicking(warehouseId, binIds, options = {}) {
+    const { otherSessionsOnly = false } = options;
+    
+    const activeLocks = await this.getActiveBinLocks(warehouseId);
+    const relevantLocks = otherSessionsOnly
+      ? activeLocks.filter(lock => lock.sessionId !== this.sessionId)
+      : activeLocks;
     
-    const lockedBins = this.activePickOperations.get(warehouseId);
-    const lockedFromList = binIds.filter(binId => lockedBins.has(binId));
+    const locksByBin = new Map(relevantLocks.map(lock => [lock.binId, lock]));
+    const lockedFromList = binIds.filter(binId => locksByBin.has(binId));
     
     // Get the operation ID from the first locked bin (all should have same operation ID)
     let operationId = null;
     if (lockedFromList.length > 0) {
-      const firstLockedBin = lockedBins.get(lockedFromList[0]);
-      operationId = firstLockedBin ? firstLockedBin.operationId : null;
+      operationId = locksByBin.get(lockedFromList[0]).operationId;
     }
     
     return {
       locked: lockedFromList.length > 0,
       lockedBins: lockedFromList,
       operationId,
-      totalLocked: lockedBins.size
+      operationIds: [...new Set(lockedFromList.map(binId => locksByBin.get(binId).operationId))],
+      owners: [...new Set(lockedFromList.map(binId => locksByBin.get(binId).owner))],
+      totalLocked: relevantLocks.length
     };
   },
 
   /**
-   * Set timeout for automatic lock cleanup
+   * Periodically extend the leases held by an operation
    */
-  setPickOperationTimeout(warehouseId, operationId) {
-    // Clear existing timeout
-    this.clearPickOperationTimeout(warehouseId);
+  startLockHeartbeat(warehouseId, binIds, operationId) {
+    this.stopLockHeartbeat(operationId);
     
-    // Set new timeout (10 minutes = 600,000 ms)
-    const timeoutId = setTimeout(() => {
-      console.warn(`⚠️ Auto-releasing pick locks due to timeout for warehouse ${warehouseId}, operation ${operationId}`);
-      this.forceReleaseAllPickLocks(warehouseId);
-    }, 600000);
+    const intervalId = setInterval(async () => {
+      try {
+        const { lost } = await warehouseService.renewBinLocks(warehouseId, binIds, operationId, this.lockLeaseTtlMs);
+        if (lost > 0) {
+          console.warn(`⚠️ ${lost} pick lock lease(s) for operation ${operationId} were reclaimed by another session`);
+        }
+      } catch (error) {
+        console.error(`❌ Pick lock heartbeat failed for operation ${operationId}:`, error);
+      }
+    }, this.lockHeartbeatIntervalMs);
     
-    this.pickOperationTimeouts.set(warehouseId, timeoutId);
+    this.lockHeartbeats.set(operationId, { warehouseId, binIds, intervalId });
   },
 
   /**
-   * Clear pick operation timeout
+   * Stop renewing an operation's leases (they expire on their own if not released)
    */
-  clearPickOperationTimeout(warehouseId) {
-    const timeoutId = this.pickOperationTimeouts.get(warehouseId);
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-      this.pickOperationTimeouts.delete(warehouseId);
+  stopLockHeartbeat(operationId) {
+    const heartbeat = this.lockHeartbeats.get(operationId);
+    if (heartbeat) {
+      clearInterval(heartbeat.intervalId);
+      this.lockHeartbeats.delete(operationId);
     }
   },
 
   /**
    * Force release all pick locks for a warehouse (emergency cleanup)
    */
-  forceReleaseAllPickLocks(warehouseId) {
+  async forceReleaseAllPickLocks(warehouseId) {
     console.warn(`🚨 Force releasing ALL pick locks for warehouse ${warehouseId}`);
     
-    if (this.activePickOperations.has(warehouseId)) {
-      const lockedBins = this.activePickOperations.get(warehouseId);
-      console.warn(`🚨 Releasing ${lockedBins.size} locked bins:`, Array.from(lockedBins));
-      this.activePickOperations.delete(warehouseId);
-    }
+    this.lockHeartbeats.forEach((heartbeat, operationId) => {
+      if (heartbeat.warehouseId === warehouseId) {
+        this.stopLockHeartbeat(operationId);
+      }
+    });
     
-    this.clearPickOperationTimeout(warehouseId);
+    const locks = await warehouseService.getBinLocks(warehouseId);
+    console.warn(`🚨 Releasing ${locks.length} locked bins:`, locks.map(lock => lock.binId));
+    await warehouseService.deleteBinLocks(warehouseId, locks.map(lock => lock.id));
   },
 
   /**
    * Validate bin operations against pick locks
    */
-  validateBinOperationAgainstPickLocks(warehouseId, binIds, operationType = 'update', allowedOperationId = null) {
-    const lockStatus = this.areBinsLockedForPicking(warehouseId, binIds);
+  async validateBinOperationAgainstPickLocks(warehouseId, binIds, operationType = 'update', allowedOperationId = null) {
+    const lockStatus = await this.areBinsLockedForPicking(warehouseId, binIds);
     
     if (lockStatus.locked) {
       // Check if the current operation is the one that owns the lock
-      if (allowedOperationId && lockStatus.operationId === allowedOperationId) {
+      if (allowedOperationId && lockStatus.operationIds.every(id => id === allowedOperationId)) {
         // This is the owning operation, allow it to proceed
         console.log(`🔓 Allowing ${operationType} operation for bins [${binIds.join(', ')}] - owned by operation ${allowedOperationId}`);
         return;
@@ -148,7 +227,7 @@ export const warehouseOperations = {
       
       throw new Error(
         `Cannot ${operationType} bins - currently locked for active pick operation. ` +
-        `Locked bins: ${lockStatus.lockedBins.join(', ')}. ` +
+        `Locked bins: ${lockStatus.lockedBins.join(', ')} (held by ${lockStatus.owners.join(', ')}). ` +
         `Please wait for pick operation to complete or contact system administrator.`
       );
     }
@@ -291,6 +370,7 @@ export const warehouseOperations = {
       quantity,
       lotNumber,
       expiryDate,
+      manufactureDate,
       suggestedBinId,
       suggestedBinCode,
       priority = 'medium',
@@ -322,6 +402,7 @@ export const warehouseOperations = {
         quantity: numericQuantity, // Use the validated numeric quantity
         lotNumber: lotNumber || null,
         expiryDate: expiryDate || null,
+        manufactureDate: manufactureDate || null,
         suggestedBinId,
         suggestedBinCode,
         priority,
@@ -378,11 +459,14 @@ export const warehouseOperations = {
 
   /**
    * Execute put-away operation with comprehensive audit logging
+   * The bin update and task completion are written in one Firestore transaction.
+   * Pass expectedBinState (the bin as it was when the put-away was planned) to abort
+   * with a conflict error if the bin changed in the meantime.
    */
-  async executePutAway(warehouseId, taskId, actualBinId, actualQuantity, existingTask = null) {
+  async executePutAway(warehouseId, taskId, actualBinId, actualQuantity, existingTask = null, expectedBinState = null) {
     try {
       // STEP 1: Validate that the target bin is not locked for picking
-      this.validateBinOperationAgainstPickLocks(warehouseId, [actualBinId], 'put-away to');
+      await this.validateBinOperationAgainstPickLocks(warehouseId, [actualBinId], 'put-away to');
       
       // Use existing task if provided, otherwise fetch it
       let task = existingTask;
@@ -393,179 +477,76 @@ export const warehouseOperations = {
         }
       }
 
-      // Get the bin
-      const bin = await warehouseService.getBin(warehouseId, actualBinId);
-      if (!bin) {
-        throw new Error('Bin not found');
-      }
-
-      // Validate capacity and prepare allocation details
-      const currentQty = parseInt(bin.currentQty) || 0;
       const newQuantity = parseInt(actualQuantity) || 0;
-      const totalAfter = currentQty + newQuantity;
-      const availableCapacity = bin.capacity - currentQty;
-      const utilization = (totalAfter / bin.capacity * 100);
-      
-      console.log('📦 Put-away allocation details:', {
-        binId: actualBinId,
-        binCode: bin.code,
-        sku: task.sku,
-        currentQty,
-        addingQuantity: newQuantity,
-        totalAfter,
-        capacity: bin.capacity,
-        availableCapacity,
-        utilization: utilization.toFixed(1) + '%'
-      });
-      
-      if (availableCapacity < newQuantity) {
-        throw new Error(`Insufficient bin capacity. Available: ${availableCapacity}, Required: ${newQuantity}`);
-      }
-
-      // Determine allocation type for audit logging
-      let allocationType;
-      let allocationReason;
-      
-      if (currentQty === 0) {
-        allocationType = 'NEW_PLACEMENT';
-        allocationReason = `New placement in empty bin - Clean storage for ${newQuantity} units`;
-      } else if (bin.sku === task.sku && !bin.mixedContents) {
-        // Same SKU consolidation only if bin doesn't have mixed contents
-        allocationType = 'SAME_SKU_CONSOLIDATION';
-        allocationReason = `Same SKU consolidation - Adding ${newQuantity} units to existing ${currentQty} units`;
-      } else {
-        // Either different SKU or same SKU but bin has mixed contents
-        allocationType = 'MIXED_SKU_STORAGE';
-        if (bin.sku === task.sku && bin.mixedContents) {
-          allocationReason = `Mixed storage - Adding ${task.sku} (${newQuantity} units) to mixed bin (same as primary SKU)`;
-        } else {
-          allocationReason = `Mixed storage - Adding ${task.sku} (${newQuantity} units) to bin containing ${bin.sku}`;
-        }
-      }
 
-      // Create detailed audit log entry
-      const auditLog = {
-        action: 'PUTAWAY',
-        timestamp: new Date().toISOString(),
-        taskId,
-        binId: actualBinId,
-        binCode: bin.code,
-        sku: task.sku,
-        lotNumber: task.lotNumber,
-        expiryDate: task.expiryDate,
-        quantity: newQuantity,
-        previousQty: currentQty,
-        newTotalQty: totalAfter,
-        capacity: bin.capacity,
-        utilization: utilization.toFixed(1) + '%',
-        allocationType,
-        allocationReason,
-        isOptimalPlacement: allocationType !== 'MIXED_SKU_STORAGE',
-        wasSuggested: task.suggestedBinId === actualBinId,
-        shelfLevel: bin.shelfLevel || 1,
-        zoneId: bin.zoneId || 'main'
-      };
+      // Storage rules (SKU mix, category segregation, level weight, temperature class)
+      const allBins = await this.getAllBins(warehouseId);
+      const ruleData = await storageRuleService.loadRuleData(warehouseId);
+      // The rules are checked against the bins read in the transaction, with the rest of the grid when they depend on it
+      const targetBin = allBins.find(bin => bin.id === actualBinId);
+      const ruleBinIds = targetBin ? storageRuleService.getPlacementBinIds(targetBin, allBins, ruleData) : [];
 
-      // Update bin with mixed barcode strategy
-      let binUpdateData = {
-        currentQty: totalAfter,
-        status: 'occupied',
-        lastPutAwayAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      // STEP 2: Read-validate-write the bin and complete the task atomically
+      const { result } = await warehouseService.runBinTransaction(warehouseId, [actualBinId, ...ruleBinIds], (bins) => {
+        const bin = bins[actualBinId];
+        
+        if (expectedBinState) {
+          this.assertBinsUnchanged({ [actualBinId]: expectedBinState }, bins);
+        }
 
-      // Handle mixed barcode storage strategy
-      if (allocationType === 'NEW_PLACEMENT') {
-        // New placement - set the bin to this SKU
-        binUpdateData.sku = task.sku;
-        binUpdateData.lotNumber = task.lotNumber;
-        binUpdateData.expiryDate = task.expiryDate;
-      } else if (allocationType === 'SAME_SKU_CONSOLIDATION') {
-        // Same SKU - update lot and expiry if newer
-        binUpdateData.sku = task.sku;
-        if (task.lotNumber) binUpdateData.lotNumber = task.lotNumber;
-        if (task.expiryDate) binUpdateData.expiryDate = task.expiryDate;
-      } else if (allocationType === 'MIXED_SKU_STORAGE') {
-        // Mixed storage - keep original SKU but track mixed contents
-        // Note: We keep the original bin SKU as primary, new SKU becomes secondary
-        if (!bin.mixedContents) {
-          // Initialize mixed contents tracking
-          binUpdateData.mixedContents = [
-            {
-              sku: bin.sku,
-              quantity: currentQty,
-              lotNumber: bin.lotNumber,
-              expiryDate: bin.expiryDate
-            },
-            {
-              sku: task.sku,
-              quantity: newQuantity,
-              lotNumber: task.lotNumber,
-              expiryDate: task.expiryDate
-            }
-          ];
-        } else {
-          // Add to existing mixed contents
-          const existingContent = bin.mixedContents.find(content => 
-            content.sku === task.sku && 
-            content.lotNumber === task.lotNumber &&
-            content.expiryDate === task.expiryDate
-          );
-          
-          if (existingContent) {
-            // Update existing content quantity
-            existingContent.quantity += newQuantity;
-          } else {
-            // Add new content
-            bin.mixedContents.push({
-              sku: task.sku,
-              quantity: newQuantity,
-              lotNumber: task.lotNumber,
-              expiryDate: task.expiryDate
-            });
-          }
-          
-          binUpdateData.mixedContents = bin.mixedContents;
+        if (targetBin) {
+          storageRuleService.assertPlacement(targetBin, task.sku, newQuantity, allBins, ruleData, bins);
         }
         
-        // Keep the bin's primary SKU and lot info unchanged for mixed storage
-        // This ensures the bin still shows its primary product
-      }
+        const placement = this.applyPutAwayToBin(bin, {
+          sku: task.sku,
+          quantity: newQuantity,
+          lotNumber: task.lotNumber,
+          expiryDate: task.expiryDate,
+          manufactureDate: task.manufactureDate,
+          products: ruleData.products
+        });
+        const auditLog = this.buildPutAwayAuditLog(taskId, task, bin, placement, actualBinId);
 
-      const updatedBin = await warehouseService.updateBin(warehouseId, actualBinId, binUpdateData);
+        // Update task status with comprehensive completion info
+        const completionData = {
+          status: 'completed',
+          actualBinId,
+          actualQuantity: newQuantity,
+          completedAt: new Date().toISOString(),
+          utilizationAfter: placement.utilization.toFixed(1) + '%',
+          allocationType: placement.allocationType,
+          allocationReason: placement.allocationReason,
+          isOptimalPlacement: auditLog.isOptimalPlacement,
+          auditLog: [auditLog]
+        };
 
-      // Update task status with comprehensive completion info
-      const completionData = {
-        status: 'completed',
-        actualBinId,
-        actualQuantity: newQuantity,
-        completedAt: new Date().toISOString(),
-        utilizationAfter: utilization.toFixed(1) + '%',
-        allocationType,
-        allocationReason,
-        isOptimalPlacement: auditLog.isOptimalPlacement,
-        auditLog: [auditLog]
-      };
+        return {
+          binUpdates: { [actualBinId]: placement.binUpdateData },
+          taskWrites: [{ collectionName: 'putAwayTasks', taskId, data: completionData }],
+          result: { bin, placement, auditLog, completionData }
+        };
+      });
 
-      const updatedTask = await warehouseService.updatePutAwayTask(warehouseId, taskId, completionData);
+      const { bin, placement, auditLog, completionData } = result;
 
       console.log('🎉 Put-away operation completed successfully:', {
         taskId,
         binCode: bin.code,
         sku: task.sku,
         quantity: newQuantity,
-        allocationType,
-        utilizationAfter: utilization.toFixed(1) + '%'
+        allocationType: placement.allocationType,
+        utilizationAfter: placement.utilization.toFixed(1) + '%'
       });
 
       return {
-        task: updatedTask,
-        bin: updatedBin,
+        task: { id: taskId, ...completionData },
+        bin: { id: actualBinId, ...placement.binUpdateData },
         auditLog,
         summary: {
-          allocationType,
-          allocationReason,
-          utilizationAfter: utilization.toFixed(1) + '%',
+          allocationType: placement.allocationType,
+          allocationReason: placement.allocationReason,
+          utilizationAfter: placement.utilization.toFixed(1) + '%',
           isOptimalPlacement: auditLog.isOptimalPlacement
         }
       };
@@ -576,63 +557,360 @@ export const warehouseOperations = {
   },
 
   /**
-   * Find products for picking with enhanced FIFO logic and mixed barcode support
+   * Calculate the new state of a bin after putting stock away into it (no writes)
+   * Handles new placement, same-SKU consolidation and mixed barcode storage
+   * Lots are never merged: a different lot of the bin's SKU is stored as its own mixed entry
+   * Bins with dimensions or a weight limit are checked by cube and weight (pass the product map)
+   */
+  applyPutAwayToBin(bin, { sku, quantity, lotNumber = null, expiryDate = null, manufactureDate = null, products = null }) {
+    // Validate capacity and prepare allocation details
+    const currentQty = parseInt(bin.currentQty) || 0;
+    const newQuantity = parseInt(quantity) || 0;
+    const totalAfter = currentQty + newQuantity;
+    const fit = binCapacityService.getFitQuantity(bin, sku, products);
+    const availableCapacity = fit.quantity;
+    const utilization = binCapacityService.isVolumetric(bin)
+      ? binCapacityService.getUtilization(this.withAddedStock(bin, sku, newQuantity), products)
+      : (totalAfter / bin.capacity * 100);
+    
+    console.log('📦 Put-away allocation details:', {
+      binId: bin.id,
+      binCode: bin.code,
+      sku,
+      currentQty,
+      addingQuantity: newQuantity,
+      totalAfter,
+      capacity: bin.capacity,
+      availableCapacity,
+      limitedBy: fit.limitedBy,
+      utilization: utilization.toFixed(1) + '%'
+    });
+    
+    if (availableCapacity < newQuantity) {
+      throw new Error(`Insufficient bin capacity in ${bin.code} (${binCapacityService.limitLabels[fit.limitedBy]}). Available: ${availableCapacity}, Required: ${newQuantity}`);
+    }
+
+    // Determine allocation type for audit logging
+    let allocationType;
+    let allocationReason;
+    const incomingLot = { sku, lotNumber, expiryDate };
+    
+    if (currentQty === 0) {
+      allocationType = 'NEW_PLACEMENT';
+      allocationReason = `New placement in empty bin - Clean storage for ${newQuantity} units`;
+    } else if (bin.sku === sku && !bin.mixedContents && this.isSameLot(bin, incomingLot)) {
+      // Same SKU consolidation only if bin doesn't have mixed contents and holds the same lot
+      allocationType = 'SAME_SKU_CONSOLIDATION';
+      allocationReason = `Same SKU consolidation - Adding ${newQuantity} units to existing ${currentQty} units`;
+    } else {
+      // Different SKU, different lot of the same SKU, or a bin that already has mixed contents
+      allocationType = 'MIXED_SKU_STORAGE';
+      if (bin.sku === sku && !bin.mixedContents) {
+        allocationReason = `Lot separation - Adding ${sku} lot ${lotNumber || 'N/A'} (${newQuantity} units) next to lot ${bin.lotNumber || 'N/A'}`;
+      } else if (bin.sku === sku && bin.mixedContents) {
+        allocationReason = `Mixed storage - Adding ${sku} (${newQuantity} units) to mixed bin (same as primary SKU)`;
+      } else {
+        allocationReason = `Mixed storage - Adding ${sku} (${newQuantity} units) to bin containing ${bin.sku}`;
+      }
+    }
+
+    // Update bin with mixed barcode strategy
+    const binUpdateData = {
+      currentQty: totalAfter,
+      status: 'occupied',
+      lastPutAwayAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    // Handle mixed barcode storage strategy
+    if (allocationType === 'NEW_PLACEMENT') {
+      // New placement - set the bin to this SKU
+      binUpdateData.sku = sku;
+      binUpdateData.lotNumber = lotNumber;
+      binUpdateData.expiryDate = expiryDate;
+      binUpdateData.manufactureDate = manufactureDate;
+      binUpdateData.mixedContents = null;
+    } else if (allocationType === 'SAME_SKU_CONSOLIDATION') {
+      // Same SKU and lot - only fill in a manufacture date the bin did not have yet
+      binUpdateData.sku = sku;
+      if (manufactureDate && !bin.manufactureDate) binUpdateData.manufactureDate = manufactureDate;
+    } else if (allocationType === 'MIXED_SKU_STORAGE') {
+      // Mixed storage - keep original SKU but track mixed contents
+      // Note: We keep the original bin SKU as primary, new SKU becomes secondary
+      if (!bin.mixedContents) {
+        // Initialize mixed contents tracking
+        binUpdateData.mixedContents = [
+          {
+            sku: bin.sku,
+            quantity: currentQty,
+            lotNumber: bin.lotNumber || null,
+            expiryDate: bin.expiryDate || null,
+            manufactureDate: bin.manufactureDate || null
+          },
+          {
+            sku,
+            quantity: newQuantity,
+            lotNumber,
+            expiryDate,
+            manufactureDate
+          }
+        ];
+      } else {
+        // Add to existing mixed contents (copied - the bin read must stay untouched)
+        const mixedContents = bin.mixedContents.map(content => ({ ...content }));
+        const existingContent = mixedContents.find(content => this.isSameLot(content, incomingLot));
+        
+        if (existingContent) {
+          // Update existing content quantity
+          existingContent.quantity += newQuantity;
+          if (manufactureDate && !existingContent.manufactureDate) existingContent.manufactureDate = manufactureDate;
+        } else {
+          // Add new content
+          mixedContents.push({
+            sku,
+            quantity: newQuantity,
+            lotNumber,
+            expiryDate,
+            manufactureDate
+          });
+        }
+        
+        binUpdateData.mixedContents = mixedContents;
+      }
+      
+      // Keep the bin's primary SKU and lot info unchanged for mixed storage
+      // This ensures the bin still shows its primary product
+    }
+
+    return {
+      binUpdateData,
+      allocationType,
+      allocationReason,
+      currentQty,
+      newQuantity,
+      totalAfter,
+      utilization
+    };
+  },
+
+  /**
+   * Copy of a bin with extra stock added to its contents, for volume and weight checks
+   */
+  withAddedStock(bin, sku, quantity) {
+    return {
+      ...bin,
+      currentQty: (parseInt(bin.currentQty) || 0) + quantity,
+      mixedContents: [...binCapacityService.getStoredItems(bin), { sku, quantity }]
+    };
+  },
+
+  /**
+   * Build the audit log entry stored on a completed put-away task
+   */
+  buildPutAwayAuditLog(taskId, task, bin, placement, actualBinId) {
+    return {
+      action: 'PUTAWAY',
+      timestamp: new Date().toISOString(),
+      taskId,
+      binId: actualBinId,
+      binCode: bin.code,
+      sku: task.sku,
+      lotNumber: task.lotNumber || null,
+      expiryDate: task.expiryDate || null,
+      manufactureDate: task.manufactureDate || null,
+      quantity: placement.newQuantity,
+      previousQty: placement.currentQty,
+      newTotalQty: placement.totalAfter,
+      capacity: bin.capacity,
+      utilization: placement.utilization.toFixed(1) + '%',
+      allocationType: placement.allocationType,
+      allocationReason: placement.allocationReason,
+      isOptimalPlacement: placement.allocationType !== 'MIXED_SKU_STORAGE',
+      wasSuggested: task.suggestedBinId === actualBinId,
+      shelfLevel: bin.shelfLevel || 1,
+      zoneId: bin.zoneId || 'main'
+    };
+  },
+
+  /**
+   * Comparable snapshot of the inventory-bearing fields of a bin
+   */
+  getBinInventoryState(bin) {
+    const mixedContents = Array.isArray(bin.mixedContents)
+      ? bin.mixedContents.map(content => ({
+          sku: content.sku,
+          quantity: parseInt(content.quantity) || 0,
+          lotNumber: content.lotNumber || null,
+          expiryDate: content.expiryDate || null,
+          manufactureDate: content.manufactureDate || null
+        }))
+      : null;
+
+    return JSON.stringify({
+      currentQty: parseInt(bin.currentQty) || 0,
+      sku: bin.sku || null,
+      mixedContents
+    });
+  },
+
+  /**
+   * Abort with a conflict error if any bin changed since it was read for planning
+   * @param {Object} expectedBins - binId -> bin as read when the operation was planned
+   * @param {Object} freshBins - binId -> bin as read inside the transaction
+   */
+  assertBinsUnchanged(expectedBins, freshBins) {
+    const conflicts = [];
+
+    Object.entries(expectedBins).forEach(([binId, expected]) => {
+      const fresh = freshBins[binId];
+      if (!fresh || this.getBinInventoryState(expected) !== this.getBinInventoryState(fresh)) {
+        conflicts.push({
+          binId,
+          binCode: expected.code || fresh?.code || binId,
+          expectedQty: parseInt(expected.currentQty) || 0,
+          actualQty: fresh ? (parseInt(fresh.currentQty) || 0) : null
+        });
+      }
+    });
+
+    if (conflicts.length > 0) {
+      throw this.createBinConflictError(conflicts);
+    }
+  },
+
+  /**
+   * Error raised when bins changed underneath a multi-bin operation
+   * Carries code 'bin-conflict' and the list of changed bins
+   */
+  createBinConflictError(conflicts) {
+    const details = conflicts
+      .map(c => `${c.binCode} (expected ${c.expectedQty}, now ${c.actualQty === null ? 'missing' : c.actualQty})`)
+      .join(', ');
+
+    const error = new Error(
+      `Operation aborted - ${conflicts.length} bin(s) changed while the operation was running: ${details}. ` +
+      `No quantities were changed. Please recalculate and try again.`
+    );
+    error.code = 'bin-conflict';
+    error.conflicts = conflicts;
+    return error;
+  },
+
+  /**
+   * Whether an operation failed because the stock it planned on is no longer there
+   * (changed bins, too little stock or stock reserved for someone else) - re-planning fixes it
+   */
+  isStockChangedError(error) {
+    return ['bin-conflict', 'stock-short', 'stock-reserved'].includes(error.code) ||
+      error.message.includes('VALIDATION FAILED');
+  },
+
+  /**
+   * Find products for picking with strict FEFO (first expired, first out) and mixed barcode support
+   * Every lot in a bin is a separate candidate, so the earliest expiring lot is always picked first
+   * @param {Object} options - { excludeBinIds, blockExpired } bins that must not be used as a source;
+   * blockExpired defaults to the warehouse's blockExpiredPicks setting.
+   * Bins in quarantine, returns and staging zones are never picked from. Availability is
+   * available-to-promise: reserved units are left out, except those of options.reservationOwnerId.
    */
-  async findProductsForPicking(warehouseId, sku, requiredQuantity) {
+  async findProductsForPicking(warehouseId, sku, requiredQuantity, options = {}) {
     try {
       console.log(`Finding products for picking: SKU=${sku}, Required=${requiredQuantity}`);
       
       // Get all bins and find ones containing the SKU (including mixed bins)
-      const bins = await this.getAllBins(warehouseId);
+      const excludedBinIds = new Set(options.excludeBinIds || []);
+      const bins = (await this.getAllBins(warehouseId)).filter(bin => !excludedBinIds.has(bin.id));
       const productBins = [];
 
+      const blockExpired = options.blockExpired ?? await this.isExpiredStockBlocked(warehouseId);
+      let expiredQuantity = 0;
+
+      // Bins locked by pick operations in other sessions cannot be planned against
+      const lockStatus = await this.areBinsLockedForPicking(warehouseId, bins.map(b => b.id), { otherSessionsOnly: true });
+      const lockedBinIds = new Set(lockStatus.lockedBins);
+      let lockedQuantity = 0;
+
+      const zonesById = zoneService.getZoneMap(await zoneService.loadZones(warehouseId));
+      let nonPickableQuantity = 0;
+
+      const holds = await stockHoldService.getActiveHolds(warehouseId);
+      let heldQuantity = 0;
+      let reservedQuantity = 0;
+
       for (const bin of bins) {
         if (bin.status !== 'occupied') continue;
 
-        let availableQuantity = 0;
-        let binSKUInfo = null;
-
-        // Check if this bin contains the SKU we're looking for
-        if (bin.mixedContents && Array.isArray(bin.mixedContents)) {
-          // CRITICAL FIX: Always check mixed contents first, even for primary SKU
-          // This prevents the bug where mixed bins are treated as pure bins
-          const matchingContent = bin.mixedContents.find(content => content.sku === sku);
-          if (matchingContent && matchingContent.quantity > 0) {
-            availableQuantity = parseInt(matchingContent.quantity) || 0;
-            binSKUInfo = {
-              sku: matchingContent.sku,
-              lotNumber: matchingContent.lotNumber,
-              expiryDate: matchingContent.expiryDate,
-              isMixed: true,
-              originalBinSKU: bin.sku,
-              allMixedSKUs: bin.mixedContents.map(c => c.sku).join(', ')
-            };
-            
-            // Log mixed bin details for debugging
-            console.log(`🔍 Found SKU ${sku} in mixed bin ${bin.code}: ${availableQuantity} units (Primary: ${bin.sku}, Contains: ${binSKUInfo.allMixedSKUs})`);
+        // CRITICAL FIX: Always check mixed contents first, even for primary SKU
+        // This prevents the bug where mixed bins are treated as pure bins
+        const isMixed = Array.isArray(bin.mixedContents) && bin.mixedContents.length > 0;
+        const lots = this.getBinContents(bin).filter(content => content.sku === sku && content.quantity > 0);
+
+        if (lots.length === 0) continue;
+
+        if (lockedBinIds.has(bin.id)) {
+          console.log(`🔒 Skipping bin ${bin.code} for SKU ${sku}: locked by another picking session`);
+          lockedQuantity += lots.reduce((sum, lot) => sum + lot.quantity, 0);
+          continue;
+        }
+
+        if (!zoneService.isPickable(bin, zonesById)) {
+          console.log(`🚧 Skipping bin ${bin.code} for SKU ${sku}: ${zoneService.getBinZoneType(bin, zonesById)} zone is not picked from`);
+          nonPickableQuantity += lots.reduce((sum, lot) => sum + lot.quantity, 0);
+          continue;
+        }
+
+        for (const lot of lots) {
+          const hold = stockHoldService.findHold(holds, bin, lot);
+          if (hold) {
+            console.log(`⏸️ Skipping lot ${lot.lotNumber || 'N/A'} of ${sku} in bin ${bin.code}: on hold (${stockHoldService.getReasonLabel(hold)})`);
+            heldQuantity += lot.quantity;
+            continue;
           }
-        } else if (bin.sku === sku && bin.currentQty > 0) {
-          // Only treat as pure bin if no mixed contents exist
-          availableQuantity = parseInt(bin.currentQty) || 0;
-          binSKUInfo = {
-            sku: bin.sku,
-            lotNumber: bin.lotNumber,
-            expiryDate: bin.expiryDate,
-            isMixed: false
+
+          if (blockExpired && this.isExpired(lot.expiryDate)) {
+            console.log(`⛔ Skipping expired lot ${lot.lotNumber || 'N/A'} of ${sku} in bin ${bin.code} (expired ${lot.expiryDate})`);
+            expiredQuantity += lot.quantity;
+            continue;
+          }
+
+          // Reserved units stay in the bin but are not available to anyone else
+          const lotReserved = Math.min(lot.quantity, this.getReservedQuantity(bin, lot, options.reservationOwnerId));
+          if (lotReserved > 0) {
+            reservedQuantity += lotReserved;
+            if (lotReserved === lot.quantity) {
+              console.log(`📌 Skipping lot ${lot.lotNumber || 'N/A'} of ${sku} in bin ${bin.code}: fully reserved`);
+              continue;
+            }
+          }
+
+          const binSKUInfo = {
+            sku,
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            manufactureDate: lot.manufactureDate,
+            isMixed
           };
-        }
 
-        if (availableQuantity > 0 && binSKUInfo) {
+          if (isMixed) {
+            binSKUInfo.originalBinSKU = bin.sku;
+            binSKUInfo.allMixedSKUs = bin.mixedContents.map(c => c.sku).join(', ');
+
+            // Log mixed bin details for debugging
+            console.log(`🔍 Found SKU ${sku} in mixed bin ${bin.code}: ${lot.quantity} units (Primary: ${bin.sku}, Contains: ${binSKUInfo.allMixedSKUs})`);
+          }
+
           productBins.push({
             ...bin,
-            availableQuantity,
+            availableQuantity: lot.quantity - lotReserved,
             skuInfo: binSKUInfo,
-            // Parse date properly for FIFO sorting
-            parsedExpiryDate: binSKUInfo.expiryDate ? new Date(binSKUInfo.expiryDate) : null,
+            // Parse date properly for FEFO sorting
+            parsedExpiryDate: lot.expiryDate ? new Date(lot.expiryDate) : null,
             // Parse creation date for secondary FIFO sorting
             parsedCreatedAt: bin.createdAt ? new Date(bin.createdAt) : new Date(),
-            // Parse lot date if available for tertiary FIFO sorting
-            parsedLotDate: binSKUInfo.lotNumber && bin.lotDate ? new Date(bin.lotDate) : null
+            // Manufacture date of the lot (legacy bins may carry lotDate) for tertiary FIFO sorting
+            parsedLotDate: lot.manufactureDate
+              ? new Date(lot.manufactureDate)
+              : (lot.lotNumber && bin.lotDate ? new Date(bin.lotDate) : null)
           });
         }
       }
@@ -659,7 +937,7 @@ export const warehouseOperations = {
         if (a.parsedLotDate && b.parsedLotDate) {
           const lotDiff = a.parsedLotDate.getTime() - b.parsedLotDate.getTime();
           if (lotDiff !== 0) {
-            console.log(`  → Sorted by lot date: ${a.lotDate} vs ${b.lotDate}`);
+            console.log(`  → Sorted by lot date: ${a.skuInfo.manufactureDate || a.lotDate} vs ${b.skuInfo.manufactureDate || b.lotDate}`);
             return lotDiff;
           }
         }
@@ -735,6 +1013,12 @@ export const warehouseOperations = {
         totalPicked,
         shortfall: Math.max(0, remainingQuantity),
         isFullyAvailable: remainingQuantity === 0,
+        lockedQuantity,
+        nonPickableQuantity,
+        heldQuantity,
+        reservedQuantity,
+        expiredQuantity,
+        expiredStockBlocked: blockExpired,
         fifoCompliant: true
       };
 
@@ -767,7 +1051,7 @@ export const warehouseOperations = {
     if (skuInfo.expiryDate) {
       const expiryDate = new Date(skuInfo.expiryDate);
       const daysToExpiry = Math.ceil((expiryDate - new Date()) / (1000 * 60 * 60 * 24));
-      reasons.push(`Expires in ${daysToExpiry} days`);
+      reasons.push(this.isExpired(skuInfo.expiryDate) ? `EXPIRED ${Math.abs(daysToExpiry)} days ago` : `Expires in ${daysToExpiry} days`);
     }
     
     if (bin.createdAt || skuInfo.createdAt) {
@@ -790,6 +1074,26 @@ export const warehouseOperations = {
     return reasons.join(', ');
   },
 
+  /**
+   * Stock is expired from the day after its expiry date
+   */
+  isExpired(expiryDate) {
+    if (!expiryDate) return false;
+    // Compare calendar days so a date-only expiry is not shifted by the local time zone
+    const today = new Date();
+    const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    const expiryKey = expiryDate instanceof Date ? expiryDate.toISOString() : String(expiryDate);
+    return expiryKey.slice(0, 10) < todayKey;
+  },
+
+  /**
+   * Warehouse setting: never plan picks from expired lots
+   */
+  async isExpiredStockBlocked(warehouseId) {
+    const warehouse = await warehouseService.getWarehouse(warehouseId);
+    return warehouse?.settings?.blockExpiredPicks === true;
+  },
+
   /**
    * Create pick task
    */
@@ -810,11 +1114,14 @@ export const warehouseOperations = {
         orderNumber,
         items: pickRoute.items,
         pickRoute: pickRoute.route,
+        pickSequence: pickRoute.sequence,
+        routeStrategy: pickRoute.strategy,
+        estimatedDistance: pickRoute.totalDistance,
         priority,
         assignedTo,
         notes,
         status: 'pending',
-        estimatedTime: this.estimatePickTime(items),
+        estimatedTime: pickRoute.estimatedTime,
         totalItems: items.length,
         totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
       });
@@ -828,11 +1135,14 @@ export const warehouseOperations = {
 
   /**
    * Optimize pick route
+   * Resolves FIFO pick locations for every item, then sequences the bin visits
+   * along a walking path (serpentine or nearest-neighbour, whichever is shorter)
    */
-  async optimizePickRoute(warehouseId, items) {
+  async optimizePickRoute(warehouseId, items, options = {}) {
     try {
       // For each item, find the best pick locations
       const itemsWithLocations = [];
+      const stops = [];
 
       for (const item of items) {
         const { pickPlan } = await this.findProductsForPicking(
@@ -845,26 +1155,51 @@ export const warehouseOperations = {
           ...item,
           pickPlan,
         });
+
+        pickPlan.forEach(plan => {
+          stops.push({
+            bin: plan,
+            binId: plan.id,
+            binCode: plan.code,
+            sku: item.sku,
+            quantity: plan.pickQuantity,
+            lotNumber: plan.skuInfo?.lotNumber || null,
+            expiryDate: plan.skuInfo?.expiryDate || null,
+          });
+        });
       }
 
-      // Simple route optimization by grid level and rack order
-      // In a real implementation, you might use more sophisticated algorithms
-      const sortedItems = itemsWithLocations.sort((a, b) => {
-        const aMinGrid = Math.min(...a.pickPlan.map(p => p.shelfLevel));
-        const bMinGrid = Math.min(...b.pickPlan.map(p => p.shelfLevel));
-        
-        if (aMinGrid !== bMinGrid) {
-          return aMinGrid - bMinGrid;
-        }
-        
-        const aMinRack = a.pickPlan[0]?.rackCode || '';
-        const bMinRack = b.pickPlan[0]?.rackCode || '';
-        return aMinRack.localeCompare(bMinRack);
+      const route = pickRouteService.optimizeRoute(stops, options);
+
+      // Order items by the first time the route reaches one of their bins
+      const firstVisit = new Map();
+      route.sequence.forEach(stop => {
+        if (!firstVisit.has(stop.sku)) firstVisit.set(stop.sku, stop.stepNumber);
       });
+      const sortedItems = itemsWithLocations.sort((a, b) =>
+        (firstVisit.get(a.sku) ?? Infinity) - (firstVisit.get(b.sku) ?? Infinity)
+      );
 
       return {
         items: sortedItems,
-        route: this.generateRouteInstructions(sortedItems),
+        route: this.generateRouteInstructions(route),
+        sequence: route.sequence.map(stop => ({
+          stepNumber: stop.stepNumber,
+          binId: stop.binId,
+          binCode: stop.binCode,
+          sku: stop.sku,
+          quantity: stop.quantity,
+          lotNumber: stop.lotNumber,
+          expiryDate: stop.expiryDate,
+          aisle: stop.coordinates.aisle,
+          grid: stop.coordinates.grid,
+          level: stop.coordinates.level,
+          legDistance: stop.legDistance,
+          cumulativeDistance: stop.cumulativeDistance,
+        })),
+        strategy: route.strategy,
+        totalDistance: route.totalDistance,
+        estimatedTime: this.estimatePickTime(route),
       };
     } catch (error) {
       console.error('Error optimizing pick route:', error);
@@ -872,13 +1207,161 @@ export const warehouseOperations = {
     }
   },
 
+  /**
+   * Turn short-pick exceptions into pick lines
+   * An item with shortPick: { reason, foundQuantity } picks only what was found from its bin; the
+   * shortfall is re-planned FIFO from other bins (picked in the same operation when replanShortPicks
+   * is on, otherwise only returned as a plan for the picker to walk to).
+   * @returns {Object} { pickedItems, exceptions }
+   */
+  async resolveShortPicks(warehouseId, requestedItems, options = {}) {
+    const { replanShortPicks = true, excludeBinIds = [] } = options;
+    const pickedItems = [];
+    const exceptions = [];
+
+    try {
+      for (const item of requestedItems) {
+        if (!item.shortPick) {
+          pickedItems.push(item);
+          continue;
+        }
+
+        const { reason } = item.shortPick;
+        const foundQuantity = parseInt(item.shortPick.foundQuantity) || 0;
+        if (!Object.values(this.shortPickReasons).includes(reason)) {
+          throw new Error(`Unknown short-pick reason: ${reason}`);
+        }
+        if (foundQuantity < 0 || foundQuantity >= item.quantity) {
+          throw new Error(`Found quantity for a short pick must be between 0 and ${item.quantity - 1}`);
+        }
+
+        const { shortPick, ...line } = item;
+        if (foundQuantity > 0) {
+          pickedItems.push({ ...line, quantity: foundQuantity });
+        }
+
+        // Never re-plan into the exception bin, or into bins this operation already picks the SKU from
+        const shortQuantity = item.quantity - foundQuantity;
+        const skipBinIds = [
+          ...excludeBinIds,
+          ...requestedItems.filter(other => other.sku === item.sku).map(other => other.binId)
+        ];
+        const { pickPlan } = await this.findProductsForPicking(warehouseId, item.sku, shortQuantity, {
+          excludeBinIds: skipBinIds,
+          reservationOwnerId: options.reservationOwnerId || null
+        });
+
+        const replacementPlan = pickPlan.map(plan => ({
+          binId: plan.id,
+          binCode: plan.code,
+          sku: item.sku,
+          quantity: plan.pickQuantity,
+          lotNumber: plan.skuInfo?.lotNumber || null,
+          expiryDate: plan.skuInfo?.expiryDate || null
+        }));
+        const replannedQuantity = replacementPlan.reduce((sum, plan) => sum + plan.quantity, 0);
+
+        if (replanShortPicks) {
+          pickedItems.push(...replacementPlan.map(plan => ({ ...plan, replacementFor: item.binId })));
+        }
+
+        const bin = item.binCode ? null : await warehouseService.getBin(warehouseId, item.binId);
+
+        exceptions.push({
+          binId: item.binId,
+          binCode: item.binCode || bin?.code || item.binId,
+          sku: item.sku,
+          lotNumber: item.lotNumber || null,
+          expiryDate: item.expiryDate || null,
+          plannedQuantity: item.quantity,
+          foundQuantity,
+          shortQuantity,
+          reason,
+          reasonLabel: this.shortPickReasonLabels[reason],
+          replacementPlan,
+          replannedQuantity,
+          unresolvedQuantity: shortQuantity - replannedQuantity,
+          replanned: replanShortPicks,
+          reportedAt: new Date().toISOString()
+        });
+
+        console.log(`⚠️ Short pick at ${item.binCode || item.binId}: ${foundQuantity}/${item.quantity} × ${item.sku} (${reason}), ${replannedQuantity} re-planned`);
+      }
+
+      return { pickedItems, exceptions };
+    } catch (error) {
+      console.error('Error resolving short picks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Flag the bins behind short-pick exceptions so the next cycle count picks them up
+   */
+  async requestCycleCountsForExceptions(warehouseId, exceptions, taskId = null) {
+    for (const exception of exceptions) {
+      try {
+        await warehouseService.updateBin(warehouseId, exception.binId, {
+          countRequested: {
+            source: 'short-pick',
+            reason: exception.reason,
+            sku: exception.sku,
+            lotNumber: exception.lotNumber,
+            shortQuantity: exception.shortQuantity,
+            taskId,
+            requestedAt: exception.reportedAt
+          }
+        });
+      } catch (error) {
+        // The pick itself has gone through - a missing flag must not undo it
+        console.error(`Error flagging bin ${exception.binCode} for cycle count:`, error);
+      }
+    }
+  },
+
   /**
    * Execute pick operation with enhanced FIFO logic and bin locking
+   * Items may carry shortPick: { reason, foundQuantity } - see resolveShortPicks. The result lists
+   * the exceptions and their bins are flagged for a cycle count.
+   * @param {Object} options - { replanShortPicks, excludeBinIds } for short-pick re-planning;
+   *   reservationOwnerId may pick the stock it reserved (used up as it is picked) and
+   *   releaseOwnerReservations drops the rest of its reservations in the picked bins;
+   *   reads, assertDocs(docs) and taskWrites run in the pick transaction;
+   *   taskRecord ({ source, notes, customer }) saves a temporary pick as a pick task under its
+   *   temporary id, adding to it on every call, so the picked stock can be packed and shipped
    */
-  async executePick(warehouseId, taskId, pickedItems) {
+  async executePick(warehouseId, taskId, requestedItems, options = {}) {
+    const {
+      reservationOwnerId = null,
+      releaseOwnerReservations = false,
+      reads = {},
+      assertDocs = null,
+      taskWrites: extraTaskWrites = [],
+      taskRecord = null
+    } = options;
     // Generate unique operation ID for tracking
     const operationId = `pick-${taskId}-${Date.now()}`;
+    const { pickedItems, exceptions } = await this.resolveShortPicks(warehouseId, requestedItems, options);
     const binIds = [...new Set(pickedItems.map(item => item.binId))]; // Unique bin IDs
+
+    // Nothing left to take out of any bin - only the exceptions need recording
+    if (pickedItems.length === 0) {
+      await this.requestCycleCountsForExceptions(warehouseId, exceptions, taskId);
+      return {
+        success: true,
+        task: null,
+        binUpdates: [],
+        auditLog: [],
+        exceptions,
+        summary: {
+          totalItemsPicked: 0,
+          totalQuantityPicked: 0,
+          binsEmptied: 0,
+          fifoCompliant: true,
+          exceptions: exceptions.length
+        }
+      };
+    }
     
     try {
       console.log('🔄 Executing pick operation with FIFO logic and bin locking:', { 
@@ -892,7 +1375,7 @@ export const warehouseOperations = {
       await this.lockBinsForPicking(warehouseId, binIds, operationId);
       
       // Check if this is a temporary task ID (for Excel imports)
-      const isTemporaryTask = taskId.startsWith('excel-pick-');
+      const isTemporaryTask = taskId.startsWith('excel-pick-') || taskId.startsWith('wave-') || taskId.startsWith('guided-');
       let task = null;
       
       if (!isTemporaryTask) {
@@ -907,233 +1390,1247 @@ export const warehouseOperations = {
         }
       }
 
-      const binUpdates = [];
-      const auditLog = [];
-
       // CRITICAL FIX: Pre-validate all bins before starting any picks
       // This prevents the race condition where early picks affect later picks
       console.log('🔍 Pre-validating all bins before execution to prevent inventory inconsistencies...');
-      const binValidationResults = [];
+      const expectedBins = {};
       
       for (const pickedItem of pickedItems) {
-        const { binId, quantity, sku } = pickedItem;
-        const bin = await warehouseService.getBin(warehouseId, binId);
+        const { binId, quantity, sku, lotNumber, expiryDate } = pickedItem;
+        const bin = expectedBins[binId] || await warehouseService.getBin(warehouseId, binId);
         
         if (!bin) {
           throw new Error(`VALIDATION FAILED: Bin ${binId} not found`);
         }
         
-        let availableQuantityForSKU = 0;
-        
-        // Check if this is a primary SKU bin or mixed bin
-        if (bin.mixedContents && Array.isArray(bin.mixedContents)) {
-          const matchingContent = bin.mixedContents.find(content => content.sku === sku);
-          if (matchingContent) {
-            availableQuantityForSKU = parseInt(matchingContent.quantity) || 0;
-          }
-        } else if (bin.sku === sku) {
-          availableQuantityForSKU = parseInt(bin.currentQty) || 0;
-        }
+        const availableQuantityForSKU = this.getAvailableQuantityForSku(bin, sku, lotNumber, expiryDate);
         
         if (availableQuantityForSKU < quantity) {
-          throw new Error(`VALIDATION FAILED: Insufficient quantity of SKU ${sku} in bin ${bin.code}. Available: ${availableQuantityForSKU}, Requested: ${quantity}. This indicates a planning vs execution race condition - please recalculate pick plans.`);
+          throw new Error(`VALIDATION FAILED: Insufficient quantity of SKU ${sku}${lotNumber ? ` (Lot ${lotNumber})` : ''} in bin ${bin.code}. Available: ${availableQuantityForSKU}, Requested: ${quantity}. This indicates a planning vs execution race condition - please recalculate pick plans.`);
         }
         
-        binValidationResults.push({
-          binId,
-          bin,
-          availableQuantityForSKU,
-          validated: true
-        });
+        if (!expectedBins[binId]) {
+          expectedBins[binId] = bin;
+        }
       }
       
-      console.log(`✅ All ${binValidationResults.length} bins pre-validated successfully`);
+      console.log(`✅ All ${Object.keys(expectedBins).length} bins pre-validated successfully`);
+
+      // STEP 2: Apply every pick and the task completion in a single transaction.
+      // Each pick is checked again against the bin's stock and reservations as read in the
+      // transaction; other changes to the bins (e.g. a put-away) do not matter. If any pick
+      // no longer fits, nothing is written.
+      const { result } = await warehouseService.runBinTransaction(warehouseId, binIds, (bins, docs) => {
+        if (assertDocs) assertDocs(docs);
+
+        const binUpdates = [];
+        const auditLog = [];
+        // Working copies so repeated picks from the same bin see each other
+        const workingBins = {};
+        const pendingUpdates = {};
+
+        pickedItems.forEach((pickedItem, i) => {
+          const { binId, quantity, sku, lotNumber, expiryDate } = pickedItem;
+          const bin = workingBins[binId] || bins[binId];
+          
+          console.log(`📦 Processing pick ${i + 1}/${pickedItems.length}: ${quantity} units from bin ${binId}`);
 
-      // Process each picked item with FIFO validation
-      for (let i = 0; i < pickedItems.length; i++) {
-        const pickedItem = pickedItems[i];
-        const { binId, quantity, sku, lotNumber, expiryDate } = pickedItem;
-        
-        console.log(`📦 Processing pick ${i + 1}/${pickedItems.length}: ${quantity} units from bin ${binId}`);
+          const { binUpdate, skuLocation, previousQty, newQty } = this.applyPickToBin(
+            bin,
+            { sku, quantity, lotNumber, expiryDate },
+            { reservationOwnerId }
+          );
+
+          workingBins[binId] = { ...bin, ...binUpdate };
+          pendingUpdates[binId] = { ...(pendingUpdates[binId] || {}), ...binUpdate };
+
+          const isEmpty = newQty === 0;
+
+          binUpdates.push({
+            binId,
+            binCode: bin.code,
+            previousQty,
+            pickedQty: quantity,
+            newQty,
+            isEmpty,
+            sku: sku,
+            lotNumber: lotNumber || bin.lotNumber,
+            expiryDate: expiryDate || bin.expiryDate,
+            skuLocation,
+            wasMixed: skuLocation === 'mixed'
+          });
+
+          auditLog.push({
+            action: 'PICK',
+            binId,
+            binCode: bin.code,
+            sku: sku,
+            quantity: quantity,
+            lotNumber: lotNumber || bin.lotNumber,
+            expiryDate: expiryDate || bin.expiryDate,
+            previousQty,
+            newQty,
+            fifoCompliant: true,
+            skuLocation,
+            wasMixed: skuLocation === 'mixed',
+            timestamp: new Date().toISOString()
+          });
+
+          console.log(`✅ Picked ${quantity} units of ${sku} from ${skuLocation} position in bin ${bin.code} (Total: ${previousQty} → ${newQty})`);
+        });
+
+        if (reservationOwnerId && releaseOwnerReservations) {
+          Object.keys(pendingUpdates).forEach(binId => {
+            pendingUpdates[binId].reservations = this.getBinReservations(workingBins[binId])
+              .filter(reservation => reservation.ownerId !== reservationOwnerId);
+          });
+        }
+
+        // Update task status with detailed completion info (only for real tasks)
+        const taskWrites = [...extraTaskWrites];
+        let completionData = null;
+        if (!isTemporaryTask && task) {
+          completionData = {
+            status: exceptions.some(exception => exception.unresolvedQuantity > 0) ? 'partial' : 'completed',
+            pickedItems: binUpdates,
+            exceptions,
+            completedAt: new Date().toISOString(),
+            totalItemsPicked: pickedItems.length,
+            totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
+            fifoCompliant: true,
+            auditLog
+          };
+          taskWrites.push({ collectionName: 'pickTasks', taskId, data: completionData });
+        } else if (taskRecord) {
+          const savedTask = docs.pickTask;
+          const allPickedItems = [...(savedTask?.pickedItems || []), ...binUpdates];
+          const allExceptions = [...(savedTask?.exceptions || []), ...exceptions];
+          completionData = {
+            ...(savedTask ? {} : { ...taskRecord, createdBy: 'system' }),
+            status: allExceptions.some(exception => exception.unresolvedQuantity > 0) ? 'partial' : 'completed',
+            pickedItems: allPickedItems,
+            exceptions: allExceptions,
+            completedAt: new Date().toISOString(),
+            totalItemsPicked: allPickedItems.length,
+            totalQuantityPicked: allPickedItems.reduce((sum, item) => sum + item.pickedQty, 0),
+            fifoCompliant: true
+          };
+          taskWrites.push({ collectionName: 'pickTasks', taskId, data: completionData, create: !savedTask });
+        }
+
+        return {
+          binUpdates: pendingUpdates,
+          taskWrites,
+          result: { binUpdates, auditLog, completionData }
+        };
+      }, { reads: taskRecord ? { ...reads, pickTask: { collectionName: 'pickTasks', docId: taskId } } : reads });
+
+      const { binUpdates, auditLog, completionData } = result;
+      const updatedTask = completionData ? { id: taskId, ...completionData } : null;
+
+      if (exceptions.length > 0) {
+        await this.requestCycleCountsForExceptions(warehouseId, exceptions, taskId);
+      }
+
+      console.log('🎉 Pick operation completed successfully:', {
+        taskId,
+        isTemporary: isTemporaryTask,
+        totalItemsPicked: pickedItems.length,
+        totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
+        binsUpdated: binUpdates.length
+      });
+
+      return {
+        success: true,
+        task: updatedTask,
+        binUpdates,
+        auditLog,
+        exceptions,
+        summary: {
+          totalItemsPicked: pickedItems.length,
+          totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
+          binsEmptied: binUpdates.filter(b => b.isEmpty).length,
+          fifoCompliant: true,
+          exceptions: exceptions.length
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error executing pick operation:', error);
+      throw error;
+    } finally {
+      // STEP 3: Always release bin locks, even if operation failed
+      try {
+        await this.releaseBinsFromPicking(warehouseId, binIds, operationId);
+      } catch (releaseError) {
+        console.error('❌ Error releasing bin locks:', releaseError);
+        // Leases stop being renewed and are reclaimed once they expire
+        this.stopLockHeartbeat(operationId);
+      }
+    }
+  },
+
+  /**
+   * Quantity of a SKU held in a bin (primary SKU or mixed contents)
+   * Pass lotNumber to only count that lot
+   */
+  getAvailableQuantityForSku(bin, sku, lotNumber = null, expiryDate) {
+    const matchingContent = this.findBinContent(bin, sku, lotNumber, expiryDate);
+    return matchingContent ? (parseInt(matchingContent.quantity) || 0) : 0;
+  },
+
+  /**
+   * Stock held in a bin as a list of { sku, quantity, lotNumber, expiryDate, manufactureDate }
+   */
+  getBinContents(bin) {
+    if (Array.isArray(bin.mixedContents) && bin.mixedContents.length > 0) {
+      return bin.mixedContents.map(content => ({
+        sku: content.sku,
+        quantity: parseInt(content.quantity) || 0,
+        lotNumber: content.lotNumber || null,
+        expiryDate: content.expiryDate || null,
+        manufactureDate: content.manufactureDate || null
+      }));
+    }
+
+    if (bin.sku && (parseInt(bin.currentQty) || 0) > 0) {
+      return [{
+        sku: bin.sku,
+        quantity: parseInt(bin.currentQty) || 0,
+        lotNumber: bin.lotNumber || null,
+        expiryDate: bin.expiryDate || null,
+        manufactureDate: bin.manufactureDate || null
+      }];
+    }
+
+    return [];
+  },
+
+  /**
+   * Whether two stock entries are the same lot of the same SKU (lot number and expiry date)
+   */
+  isSameLot(a, b) {
+    return a.sku === b.sku &&
+      (a.lotNumber || null) === (b.lotNumber || null) &&
+      (a.expiryDate || null) === (b.expiryDate || null);
+  },
+
+  /**
+   * Live reservations held against a bin:
+   * [{ ownerId, ownerLabel, type, sku, lotNumber, expiryDate, quantity, reservedAt, expiresAt }]
+   * Expired soft reservations are left out, and dropped the next time the bin's reservations are written
+   */
+  getBinReservations(bin, now = Date.now()) {
+    return (Array.isArray(bin.reservations) ? bin.reservations : [])
+      .filter(reservation => !reservation.expiresAt || reservation.expiresAt > now);
+  },
+
+  /**
+   * Units reserved in a bin, for one stock entry (SKU and lot) when content is given
+   * Reservations of excludeOwnerId are not counted, so an owner can pick its own stock
+   */
+  getReservedQuantity(bin, content = null, excludeOwnerId = null) {
+    return this.getBinReservations(bin)
+      .filter(reservation => !excludeOwnerId || reservation.ownerId !== excludeOwnerId)
+      .filter(reservation => !content || this.isSameLot(reservation, content))
+      .reduce((sum, reservation) => sum + (parseInt(reservation.quantity) || 0), 0);
+  },
+
+  /**
+   * Take picked units off an owner's reservation of a lot (no writes)
+   * @returns {Array} the reservations with the owner's share reduced, emptied ones removed
+   */
+  consumeReservation(reservations, ownerId, content, quantity) {
+    let remaining = quantity;
+
+    return reservations
+      .map(reservation => {
+        if (remaining <= 0 || reservation.ownerId !== ownerId || !this.isSameLot(reservation, content)) {
+          return reservation;
+        }
+        const used = Math.min(remaining, parseInt(reservation.quantity) || 0);
+        remaining -= used;
+        return { ...reservation, quantity: (parseInt(reservation.quantity) || 0) - used };
+      })
+      .filter(reservation => reservation.quantity > 0);
+  },
+
+  /**
+   * Shrink reservations so no lot is reserved beyond what is left of it in the bin (no writes)
+   * The most recent reservations are trimmed first, so earlier orders keep their stock.
+   * @param {Array} contents - the bin's contents after the change, see getBinContents
+   * @returns {Object} { reservations, trimmed: [{ ownerId, ownerLabel, type, sku, lotNumber, quantity }] }
+   */
+  fitReservationsToStock(reservations, contents) {
+    const trimmed = [];
+    const byNewest = reservations
+      .map((reservation, index) => ({ reservation, index }))
+      .sort((a, b) => (b.reservation.reservedAt || '').localeCompare(a.reservation.reservedAt || '') || b.index - a.index);
+
+    const quantities = reservations.map(reservation => parseInt(reservation.quantity) || 0);
+    contents.forEach(content => {
+      let excess = byNewest
+        .filter(({ reservation }) => this.isSameLot(reservation, content))
+        .reduce((sum, { index }) => sum + quantities[index], 0) - content.quantity;
+
+      byNewest
+        .filter(({ reservation }) => this.isSameLot(reservation, content))
+        .forEach(({ index }) => {
+          if (excess <= 0) return;
+          const cut = Math.min(excess, quantities[index]);
+          quantities[index] -= cut;
+          excess -= cut;
+        });
+    });
+
+    // Reservations of lots that are gone entirely
+    reservations.forEach((reservation, index) => {
+      if (!contents.some(content => this.isSameLot(reservation, content))) {
+        quantities[index] = 0;
+      }
+    });
+
+    reservations.forEach((reservation, index) => {
+      const cut = (parseInt(reservation.quantity) || 0) - quantities[index];
+      if (cut > 0) {
+        trimmed.push({
+          ownerId: reservation.ownerId,
+          ownerLabel: reservation.ownerLabel,
+          type: reservation.type,
+          sku: reservation.sku,
+          lotNumber: reservation.lotNumber || null,
+          quantity: cut
+        });
+      }
+    });
+
+    return {
+      reservations: reservations
+        .map((reservation, index) => ({ ...reservation, quantity: quantities[index] }))
+        .filter(reservation => reservation.quantity > 0),
+      trimmed
+    };
+  },
+
+  /**
+   * Reserve stock in bins for an owner (an order, a pick wave or a guided pick session)
+   * Every line is checked against the bin's unreserved quantity inside the transaction,
+   * so two planners working at the same time cannot both reserve the last units.
+   * @param {Array} lines - [{ binId, sku, lotNumber, expiryDate, quantity }]
+   * @param {Object} options - { ownerLabel, type, ttlMs, reads, assertDocs, taskWrites } ttlMs only
+   *   applies to soft reservations; reads, assertDocs(docs) and taskWrites run in the same transaction
+   * @returns {Object} { ownerId, expiresAt }
+   */
+  async reserveStock(warehouseId, ownerId, lines, options = {}) {
+    const {
+      ownerLabel = ownerId,
+      type = this.reservationTypes.SOFT,
+      ttlMs = this.softReservationTtlMs,
+      reads = {},
+      assertDocs = null,
+      taskWrites = []
+    } = options;
+    const reservedAt = new Date().toISOString();
+    const expiresAt = type === this.reservationTypes.SOFT ? Date.now() + ttlMs : null;
+
+    await warehouseService.runBinTransaction(warehouseId, lines.map(line => line.binId), (bins, docs) => {
+      if (assertDocs) assertDocs(docs);
+
+      const binUpdates = {};
+
+      lines.forEach(line => {
+        const bin = bins[line.binId];
+        const reservations = binUpdates[bin.id]?.reservations || this.getBinReservations(bin);
+        const content = this.findBinContent(bin, line.sku, line.lotNumber, line.expiryDate || null);
+        const free = content ? content.quantity - this.getReservedQuantity({ reservations }, content) : 0;
+
+        if (free < line.quantity) {
+          throw new Error(
+            `Only ${Math.max(0, free)} of ${line.sku}${line.lotNumber ? ` (Lot ${line.lotNumber})` : ''} in bin ${bin.code} ` +
+            `can still be reserved for ${ownerLabel} - it was reserved or moved in the meantime. Please plan again.`
+          );
+        }
+
+        binUpdates[bin.id] = {
+          reservations: [...reservations, {
+            ownerId,
+            ownerLabel,
+            type,
+            sku: line.sku,
+            lotNumber: line.lotNumber || null,
+            expiryDate: line.expiryDate || null,
+            quantity: line.quantity,
+            reservedAt,
+            expiresAt
+          }]
+        };
+      });
+
+      return { binUpdates, taskWrites };
+    }, { reads });
+
+    console.log(`📌 Reserved ${lines.reduce((sum, line) => sum + line.quantity, 0)} units in ${lines.length} bin lots for ${ownerLabel}${expiresAt ? ` until ${new Date(expiresAt).toLocaleTimeString()}` : ''}`);
+    return { ownerId, expiresAt };
+  },
+
+  /**
+   * Drop an owner's reservations from bins
+   * @param {Object} options - { match, reads, assertDocs, taskWrites } match ({ sku, lotNumber, expiryDate })
+   *   only releases that lot; reads, assertDocs(docs) and taskWrites run in the same transaction
+   */
+  async releaseReservations(warehouseId, ownerId, binIds, options = {}) {
+    const { match = null, reads = {}, assertDocs = null, taskWrites = [] } = options;
+    const uniqueBinIds = [...new Set(binIds)];
+
+    await warehouseService.runBinTransaction(warehouseId, uniqueBinIds, (bins, docs) => {
+      if (assertDocs) assertDocs(docs);
+
+      const binUpdates = {};
+      uniqueBinIds.forEach(binId => {
+        binUpdates[binId] = {
+          reservations: this.getBinReservations(bins[binId])
+            .filter(reservation => reservation.ownerId !== ownerId || (match && !this.isSameLot(reservation, match)))
+        };
+      });
+
+      return { binUpdates, taskWrites };
+    }, { reads });
+  },
+
+  /**
+   * Release a pick plan's soft reservations; they expire anyway, so failures are only logged
+   * @param {Object} plan - a planned wave or guided session: { reservationId, lines: [{ binId }] }
+   */
+  async releasePlanReservations(warehouseId, plan) {
+    if (!plan?.reservationId || !plan.lines?.length) return;
+
+    try {
+      await this.releaseReservations(warehouseId, plan.reservationId, plan.lines.map(line => line.binId));
+    } catch (error) {
+      console.warn(`Could not release reservations of ${plan.reservationId} - they expire on their own:`, error);
+    }
+  },
+
+  /**
+   * Available-to-promise per SKU: on-hand minus reserved minus held
+   * Held lots count as held in full; reserved covers order and live soft reservations on the rest.
+   * @returns {Array|Object} [{ sku, onHand, reserved, softReserved, held, atp }], or one row when sku is given
+   */
+  async getAvailableToPromise(warehouseId, sku = null) {
+    try {
+      const [bins, holds] = await Promise.all([
+        this.getAllBins(warehouseId),
+        stockHoldService.getActiveHolds(warehouseId)
+      ]);
+      const now = Date.now();
+      const rows = new Map();
+      const getRow = (rowSku) => {
+        if (!rows.has(rowSku)) {
+          rows.set(rowSku, { sku: rowSku, onHand: 0, reserved: 0, softReserved: 0, held: 0, atp: 0 });
+        }
+        return rows.get(rowSku);
+      };
+
+      bins.forEach(bin => {
+        const reservations = this.getBinReservations(bin, now);
+
+        this.getBinContents(bin)
+          .filter(content => !sku || content.sku === sku)
+          .forEach(content => {
+            const row = getRow(content.sku);
+            row.onHand += content.quantity;
+
+            if (stockHoldService.findHold(holds, bin, content)) {
+              row.held += content.quantity;
+              return;
+            }
+
+            const matching = reservations.filter(reservation => this.isSameLot(reservation, content));
+            const reserved = Math.min(content.quantity, matching.reduce((sum, r) => sum + (parseInt(r.quantity) || 0), 0));
+            const softReserved = Math.min(reserved, matching
+              .filter(r => r.type === this.reservationTypes.SOFT)
+              .reduce((sum, r) => sum + (parseInt(r.quantity) || 0), 0));
+
+            row.reserved += reserved;
+            row.softReserved += softReserved;
+            row.atp += content.quantity - reserved;
+          });
+      });
+
+      if (sku) {
+        return getRow(sku);
+      }
+      return [...rows.values()].sort((a, b) => a.sku.localeCompare(b.sku));
+    } catch (error) {
+      console.error('Error calculating available-to-promise:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Find the stock entry for a SKU (and optionally a lot) in a pure or mixed bin
+   * Without a lotNumber, passing expiryDate (null included) matches an unlotted entry exactly;
+   * leaving it out matches the first entry of the SKU
+   * Returns { sku, quantity, lotNumber, expiryDate, manufactureDate, index } or null; index is -1 for pure bins
+   */
+  findBinContent(bin, sku, lotNumber = null, expiryDate) {
+    const matchesLot = (content) => {
+      if (lotNumber) return content.lotNumber === lotNumber;
+      if (expiryDate !== undefined) return !content.lotNumber && (content.expiryDate || null) === (expiryDate || null);
+      return true;
+    };
+
+    if (bin.mixedContents && Array.isArray(bin.mixedContents)) {
+      const index = bin.mixedContents.findIndex(content => content.sku === sku && matchesLot(content));
+      if (index === -1) return null;
+      const content = bin.mixedContents[index];
+      return {
+        sku,
+        quantity: parseInt(content.quantity) || 0,
+        lotNumber: content.lotNumber || null,
+        expiryDate: content.expiryDate || null,
+        manufactureDate: content.manufactureDate || null,
+        index
+      };
+    }
+
+    if (bin.sku === sku && matchesLot(bin)) {
+      return {
+        sku,
+        quantity: parseInt(bin.currentQty) || 0,
+        lotNumber: bin.lotNumber || null,
+        expiryDate: bin.expiryDate || null,
+        manufactureDate: bin.manufactureDate || null,
+        index: -1
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Calculate the new state of a bin after picking a SKU from it (no writes)
+   * Supports primary SKU bins and mixed barcode bins. Units reserved by other owners cannot be
+   * taken; options.reservationOwnerId may take its own reserved units, which use up its
+   * reservation. options.ignoreReservations takes the units anyway (stock written off).
+   * The update always carries the bin's reservations fitted to the stock left; reservationsTrimmed
+   * lists what had to be cut.
+   */
+  applyPickToBin(bin, { sku, quantity, lotNumber = null, expiryDate }, options = {}) {
+    const { reservationOwnerId = null, ignoreReservations = false } = options;
+    const currentQty = parseInt(bin.currentQty) || 0;
+    const matchingContent = this.findBinContent(bin, sku, lotNumber, expiryDate);
+    const availableQuantityForSKU = matchingContent ? matchingContent.quantity : 0;
+    // For mixed bins, always check mixed contents regardless of primary SKU
+    const skuLocation = bin.mixedContents && Array.isArray(bin.mixedContents) ? 'mixed' : 'primary';
+
+    if (availableQuantityForSKU === 0) {
+      throw new Error(`SKU ${sku}${lotNumber ? ` (Lot ${lotNumber})` : ''} not found in bin ${bin.code}`);
+    }
+
+    if (availableQuantityForSKU < quantity) {
+      const error = new Error(`Insufficient quantity of SKU ${sku} in bin ${bin.code}. Available: ${availableQuantityForSKU}, Requested: ${quantity}`);
+      error.code = 'stock-short';
+      throw error;
+    }
+
+    const reservedForOthers = this.getReservedQuantity(bin, matchingContent, reservationOwnerId);
+    if (!ignoreReservations && availableQuantityForSKU - reservedForOthers < quantity) {
+      const owners = [...new Set(this.getBinReservations(bin)
+        .filter(reservation => reservation.ownerId !== reservationOwnerId && this.isSameLot(reservation, matchingContent))
+        .map(reservation => reservation.ownerLabel || reservation.ownerId))];
+      const error = new Error(
+        `${reservedForOthers} of ${availableQuantityForSKU} × ${sku}${matchingContent.lotNumber ? ` (Lot ${matchingContent.lotNumber})` : ''} ` +
+        `in bin ${bin.code} are reserved for ${owners.join(', ')}. Only ${Math.max(0, availableQuantityForSKU - reservedForOthers)} can be taken, requested ${quantity}.`
+      );
+      error.code = 'stock-reserved';
+      throw error;
+    }
+
+    // Calculate new bin state for mixed barcode support
+    const binUpdate = {
+      lastPickedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (skuLocation === 'primary') {
+      // Picking from primary SKU
+      const newTotalQty = currentQty - quantity;
+      const isEmpty = newTotalQty === 0;
+
+      binUpdate.currentQty = newTotalQty;
+      binUpdate.status = isEmpty ? 'available' : 'occupied';
+      
+      if (isEmpty) {
+        // Bin becomes empty
+        binUpdate.sku = null;
+        binUpdate.lotNumber = null;
+        binUpdate.expiryDate = null;
+        binUpdate.manufactureDate = null;
+        binUpdate.mixedContents = null;
+      }
+    } else {
+      // Picking from mixed contents - only the matched entry, other lots of the SKU stay put
+      const updatedMixedContents = bin.mixedContents.map((content, index) => {
+        if (index === matchingContent.index) {
+          return { ...content, quantity: content.quantity - quantity };
+        }
+        return content;
+      }).filter(content => content.quantity > 0); // Remove entries with 0 quantity
+
+      const newTotalQty = updatedMixedContents.reduce((sum, content) => sum + content.quantity, 0);
+      
+      if (newTotalQty === 0) {
+        // Bin becomes completely empty
+        binUpdate.currentQty = 0;
+        binUpdate.status = 'available';
+        binUpdate.sku = null;
+        binUpdate.lotNumber = null;
+        binUpdate.expiryDate = null;
+        binUpdate.manufactureDate = null;
+        binUpdate.mixedContents = null;
+      } else if (updatedMixedContents.length === 1) {
+        // Only one SKU left, convert back to simple bin
+        const remainingContent = updatedMixedContents[0];
+        binUpdate.currentQty = remainingContent.quantity;
+        binUpdate.status = 'occupied';
+        binUpdate.sku = remainingContent.sku;
+        binUpdate.lotNumber = remainingContent.lotNumber || null;
+        binUpdate.expiryDate = remainingContent.expiryDate || null;
+        binUpdate.manufactureDate = remainingContent.manufactureDate || null;
+        binUpdate.mixedContents = null;
+      } else {
+        // Still mixed, update the contents and total quantity
+        binUpdate.currentQty = newTotalQty;
+        binUpdate.status = 'occupied';
+        binUpdate.mixedContents = updatedMixedContents;
+      }
+    }
+
+    const ownReservationsUsed = reservationOwnerId
+      ? this.consumeReservation(this.getBinReservations(bin), reservationOwnerId, matchingContent, quantity)
+      : this.getBinReservations(bin);
+    const { reservations, trimmed } = this.fitReservationsToStock(ownReservationsUsed, this.getBinContents({ ...bin, ...binUpdate }));
+    binUpdate.reservations = reservations;
+
+    return {
+      binUpdate,
+      reservationsTrimmed: trimmed,
+      skuLocation,
+      previousQty: currentQty,
+      newQty: binUpdate.currentQty
+    };
+  },
+
+  /**
+   * Plan a pick wave: merge several pick orders into one consolidated walk
+   * Identical SKUs are summed across orders, stock is reserved FIFO once per SKU and
+   * every route stop carries sort instructions telling the picker which tote each unit goes into.
+   * The planned stock is soft-reserved under the wave number until the wave is executed or the
+   * reservation expires.
+   * @param {Array} orders - [{ orderNumber, taskId?, source?, items: [{ sku|barcode, quantity }] }]
+   * @param {Object} options - { strategy, layout } passed to the route optimizer
+   */
+  async planPickWave(warehouseId, orders, options = {}) {
+    if (!orders || orders.length === 0) {
+      throw new Error('At least one pick order is required to plan a wave');
+    }
+
+    try {
+      // One tote per order, in the order the orders were added to the wave
+      const waveOrders = orders.map((order, index) => ({
+        orderNumber: order.orderNumber || `ORDER-${index + 1}`,
+        taskId: order.taskId || null,
+        source: order.source || (order.taskId ? 'task' : 'file'),
+        toteId: `T${String(index + 1).padStart(2, '0')}`,
+        items: (order.items || [])
+          .map(item => ({
+            sku: item.sku || item.barcode,
+            quantity: parseInt(item.quantity) || 0,
+            allocatedQuantity: 0,
+            shortQuantity: 0
+          }))
+          .filter(item => item.sku && item.quantity > 0)
+      }));
+
+      // Merge identical SKUs across orders, keeping per-order demand for sorting
+      const skuDemand = new Map();
+      waveOrders.forEach(order => {
+        order.items.forEach(item => {
+          if (!skuDemand.has(item.sku)) {
+            skuDemand.set(item.sku, { sku: item.sku, totalQuantity: 0, demands: [] });
+          }
+          const demand = skuDemand.get(item.sku);
+          demand.totalQuantity += item.quantity;
+          demand.demands.push({ order, item, remaining: item.quantity });
+        });
+      });
+
+      if (skuDemand.size === 0) {
+        throw new Error('The selected orders do not contain any items to pick');
+      }
+
+      const stops = [];
+      const skuSummary = [];
+
+      for (const demand of skuDemand.values()) {
+        // FIFO reservation for the whole wave quantity of this SKU
+        const { pickPlan, shortfall } = await this.findProductsForPicking(
+          warehouseId,
+          demand.sku,
+          demand.totalQuantity
+        );
+
+        // Hand out the picked units to orders in wave order, bin by bin
+        let demandIndex = 0;
+        pickPlan.forEach(plan => {
+          let unitsInStop = plan.pickQuantity;
+          const sortInstructions = [];
+
+          while (unitsInStop > 0 && demandIndex < demand.demands.length) {
+            const current = demand.demands[demandIndex];
+            const units = Math.min(unitsInStop, current.remaining);
+
+            sortInstructions.push({
+              toteId: current.order.toteId,
+              orderNumber: current.order.orderNumber,
+              taskId: current.order.taskId,
+              quantity: units
+            });
+            current.item.allocatedQuantity += units;
+            current.remaining -= units;
+            unitsInStop -= units;
+
+            if (current.remaining === 0) demandIndex++;
+          }
+
+          stops.push({
+            bin: plan,
+            binId: plan.id,
+            binCode: plan.code,
+            sku: demand.sku,
+            quantity: plan.pickQuantity,
+            lotNumber: plan.skuInfo?.lotNumber || null,
+            expiryDate: plan.skuInfo?.expiryDate || null,
+            sortInstructions
+          });
+        });
+
+        demand.demands.forEach(({ item }) => {
+          item.shortQuantity = item.quantity - item.allocatedQuantity;
+        });
+
+        skuSummary.push({
+          sku: demand.sku,
+          totalQuantity: demand.totalQuantity,
+          allocatedQuantity: demand.totalQuantity - shortfall,
+          shortfall,
+          orderCount: demand.demands.length,
+          binCount: pickPlan.length
+        });
+      }
+
+      const route = pickRouteService.optimizeRoute(stops, options);
+
+      waveOrders.forEach(order => {
+        order.requestedQuantity = order.items.reduce((sum, item) => sum + item.quantity, 0);
+        order.allocatedQuantity = order.items.reduce((sum, item) => sum + item.allocatedQuantity, 0);
+        order.status = order.allocatedQuantity === order.requestedQuantity ? 'ready' : 'short';
+      });
+
+      const waveNumber = options.waveNumber || `WAVE-${Date.now()}`;
+      const wave = {
+        waveNumber,
+        reservationId: waveNumber,
+        orders: waveOrders,
+        lines: route.sequence.map(stop => ({
+          stepNumber: stop.stepNumber,
+          binId: stop.binId,
+          binCode: stop.binCode,
+          sku: stop.sku,
+          quantity: stop.quantity,
+          lotNumber: stop.lotNumber,
+          expiryDate: stop.expiryDate,
+          aisle: stop.coordinates.aisle,
+          grid: stop.coordinates.grid,
+          level: stop.coordinates.level,
+          legDistance: stop.legDistance,
+          cumulativeDistance: stop.cumulativeDistance,
+          sortInstructions: stop.sortInstructions
+        })),
+        skuSummary,
+        route: this.generateRouteInstructions(route),
+        strategy: route.strategy,
+        totalDistance: route.totalDistance,
+        estimatedTime: this.estimatePickTime(route),
+        totalOrders: waveOrders.length,
+        totalQuantity: skuSummary.reduce((sum, s) => sum + s.allocatedQuantity, 0),
+        totalShortfall: skuSummary.reduce((sum, s) => sum + s.shortfall, 0)
+      };
+
+      // Hold the planned stock until the wave is executed, so another planner cannot promise it
+      const { expiresAt } = await this.reserveStock(warehouseId, waveNumber, wave.lines, { ownerLabel: waveNumber });
+      wave.reservationExpiresAt = expiresAt;
+
+      console.log(`🌊 Pick wave planned: ${wave.totalOrders} orders, ${skuSummary.length} SKUs, ${wave.lines.length} stops, ${wave.totalDistance} m`);
+
+      return wave;
+    } catch (error) {
+      console.error('Error planning pick wave:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save a planned wave, linking the source pick tasks to it
+   */
+  async createPickWave(warehouseId, plan) {
+    try {
+      const wave = await warehouseService.createPickWave(warehouseId, {
+        ...plan,
+        waveNumber: plan.waveNumber || `WAVE-${Date.now()}`
+      });
+
+      const taskIds = plan.orders.map(order => order.taskId).filter(Boolean);
+      await Promise.all(taskIds.map(taskId =>
+        warehouseService.updatePickTask(warehouseId, taskId, { status: 'in-wave', waveId: wave.id })
+      ));
+
+      return wave;
+    } catch (error) {
+      console.error('Error creating pick wave:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Execute a planned wave as one pick operation
+   * All bins are decremented in a single transaction. The wave's reservation keeps its stock
+   * in place; if a line can no longer be picked all the same, nothing is picked and the wave
+   * has to be re-planned.
+   */
+  async executePickWave(warehouseId, wave) {
+    if (!wave || !wave.lines || wave.lines.length === 0) {
+      throw new Error('Wave has no pick lines to execute');
+    }
+
+    const operationTaskId = `wave-${wave.id || Date.now()}`;
+    let picked = false;
+
+    try {
+      const pickedItems = wave.lines.map(line => ({
+        binId: line.binId,
+        sku: line.sku,
+        quantity: line.quantity,
+        lotNumber: line.lotNumber,
+        expiryDate: line.expiryDate
+      }));
+
+      // Break the consolidated pick back down per order/tote
+      const orders = wave.orders.map(order => {
+        const orderLines = wave.lines
+          .map(line => {
+            const instruction = line.sortInstructions.find(s => s.toteId === order.toteId);
+            return instruction ? { ...line, quantity: instruction.quantity } : null;
+          })
+          .filter(Boolean);
+
+        return {
+          ...order,
+          pickedItems: orderLines.map(line => ({
+            binId: line.binId,
+            binCode: line.binCode,
+            sku: line.sku,
+            quantity: line.quantity,
+            lotNumber: line.lotNumber || null,
+            expiryDate: line.expiryDate || null
+          })),
+          pickedQuantity: orderLines.reduce((sum, line) => sum + line.quantity, 0)
+        };
+      });
+
+      const completedAt = new Date().toISOString();
+
+      // Orders from a file have no pick task yet - save one per tote so they can be packed and shipped
+      const taskWrites = orders.filter(order => !order.taskId).map(order => ({
+        collectionName: 'pickTasks',
+        taskId: `${operationTaskId}-${order.toteId}`,
+        create: true,
+        data: {
+          orderNumber: order.orderNumber || null,
+          customer: order.customer || '',
+          notes: `Wave ${wave.waveNumber || operationTaskId}, tote ${order.toteId}`,
+          source: 'wave',
+          status: order.status === 'short' ? 'partial' : 'completed',
+          waveId: wave.id || null,
+          toteId: order.toteId,
+          pickedItems: order.pickedItems,
+          totalQuantityPicked: order.pickedQuantity,
+          completedAt,
+          createdBy: 'system'
+        }
+      }));
+
+      const pickResult = await this.executePick(warehouseId, operationTaskId, pickedItems, {
+        reservationOwnerId: wave.reservationId || null,
+        taskWrites
+      });
+      picked = true;
+
+      await Promise.all(orders.filter(order => order.taskId).map(order =>
+        warehouseService.updatePickTask(warehouseId, order.taskId, {
+          status: order.status === 'short' ? 'partial' : 'completed',
+          waveId: wave.id || null,
+          toteId: order.toteId,
+          pickedItems: order.pickedItems,
+          totalQuantityPicked: order.pickedQuantity,
+          completedAt
+        })
+      ));
+
+      if (wave.id) {
+        await warehouseService.updatePickWave(warehouseId, wave.id, {
+          status: 'completed',
+          completedAt,
+          binsUpdated: pickResult.binUpdates.length
+        });
+      }
+
+      await this.releasePlanReservations(warehouseId, wave);
+
+      console.log(`🎉 Pick wave executed: ${orders.length} orders, ${pickResult.summary.totalQuantityPicked} units`);
+
+      return {
+        success: true,
+        waveId: wave.id || null,
+        orders,
+        binUpdates: pickResult.binUpdates,
+        auditLog: pickResult.auditLog,
+        summary: {
+          totalOrders: orders.length,
+          completeOrders: orders.filter(order => order.status !== 'short').length,
+          shortOrders: orders.filter(order => order.status === 'short').length,
+          totalQuantityPicked: pickResult.summary.totalQuantityPicked,
+          binsEmptied: pickResult.summary.binsEmptied
+        }
+      };
+    } catch (error) {
+      console.error('Error executing pick wave:', error);
+      await this.releasePlanReservations(warehouseId, wave);
+
+      // Nothing was picked - hand the orders back so they can be re-planned
+      if (wave.id && !picked) {
+        try {
+          await warehouseService.updatePickWave(warehouseId, wave.id, { status: 'failed', error: error.message });
+          await Promise.all(wave.orders.filter(order => order.taskId).map(order =>
+            warehouseService.updatePickTask(warehouseId, order.taskId, { status: 'pending', waveId: null })
+          ));
+        } catch (revertError) {
+          console.error('Error releasing orders from failed wave:', revertError);
+        }
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Plan a guided pick session: one line per bin visit, in optimized route order
+   * The planned stock is soft-reserved until each line is confirmed or the reservation expires.
+   * @param {Array} items - [{ sku, quantity }]
+   * @returns {Object} { lines, unavailable, strategy, totalDistance, reservationId, reservationExpiresAt } -
+   *   unavailable lists quantities no stock covers
+   */
+  async planGuidedPick(warehouseId, items, options = {}) {
+    if (!items || items.length === 0) {
+      throw new Error('At least one item is required to start guided picking');
+    }
+
+    try {
+      const route = await this.optimizePickRoute(warehouseId, items, options);
+
+      const lines = route.sequence.map((stop, index) => ({
+        lineId: `${index + 1}-${stop.binId}-${stop.sku}`,
+        stepNumber: stop.stepNumber,
+        binId: stop.binId,
+        binCode: stop.binCode,
+        sku: stop.sku,
+        quantity: stop.quantity,
+        lotNumber: stop.lotNumber || null,
+        expiryDate: stop.expiryDate || null,
+        pickedQuantity: 0,
+        status: 'pending',
+        skipCount: 0
+      }));
+
+      const unavailable = route.items
+        .map(item => {
+          const planned = (item.pickPlan || []).reduce((sum, plan) => sum + plan.pickQuantity, 0);
+          return { sku: item.sku, quantity: item.quantity, shortfall: item.quantity - planned };
+        })
+        .filter(item => item.shortfall > 0);
+
+      const reservationId = `guided-${Date.now()}`;
+      const { expiresAt } = await this.reserveStock(warehouseId, reservationId, lines, { ownerLabel: 'Guided pick' });
+
+      return {
+        lines,
+        unavailable,
+        strategy: route.strategy,
+        totalDistance: route.totalDistance,
+        reservationId,
+        reservationExpiresAt: expiresAt
+      };
+    } catch (error) {
+      console.error('Error planning guided pick:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Pick one guided line straight away, so the bin is decremented as soon as the picker confirms
+   * @param {number} quantity - quantity actually picked; less than planned is a short pick and needs a reason
+   * @param {Object} options - { reason, excludeBinIds, reservationId, taskId, label } excludeBinIds are bins
+   *   other open lines of the session still pick from, so the shortfall is not re-planned onto stock they need;
+   *   the line's share of the session reservation is released once it is picked. A session that does not
+   *   work through a pick task (taskId) is saved as pick task guided-{sessionId} so it can be packed and shipped.
+   * @returns {Object} the confirmed line; a short pick carries its exception with the re-planned lines
+   */
+  async confirmGuidedPickLine(warehouseId, sessionId, line, quantity, options = {}) {
+    const pickQuantity = parseInt(quantity);
+    if (isNaN(pickQuantity) || pickQuantity < 0 || pickQuantity > line.quantity) {
+      throw new Error(`Picked quantity must be between 0 and ${line.quantity}`);
+    }
+
+    const isShort = pickQuantity < line.quantity;
+    if (isShort && !options.reason) {
+      throw new Error('A short pick needs a reason');
+    }
+
+    try {
+      const result = await this.executePick(warehouseId, `guided-${sessionId}`, [{
+        binId: line.binId,
+        binCode: line.binCode,
+        sku: line.sku,
+        quantity: line.quantity,
+        lotNumber: line.lotNumber,
+        expiryDate: line.expiryDate,
+        ...(isShort ? { shortPick: { reason: options.reason, foundQuantity: pickQuantity } } : {})
+      }], {
+        // The picker walks to the replacement bins, so they are only planned here
+        replanShortPicks: false,
+        excludeBinIds: options.excludeBinIds || [],
+        reservationOwnerId: options.reservationId || null,
+        taskRecord: options.taskId
+          ? null
+          : { source: 'guided', notes: options.label ? `Guided pick - ${options.label}` : 'Guided pick', customer: '' }
+      });
+
+      if (options.reservationId) {
+        try {
+          await this.releaseReservations(warehouseId, options.reservationId, [line.binId], { match: line });
+        } catch (error) {
+          console.warn(`Could not release the reservation for ${line.sku} in ${line.binCode} - it expires on its own:`, error);
+        }
+      }
+
+      console.log(`📱 Guided pick ${line.sku} from ${line.binCode}: ${pickQuantity}/${line.quantity}`);
+
+      return {
+        ...line,
+        pickedQuantity: pickQuantity,
+        status: isShort ? 'short' : 'picked',
+        exception: result.exceptions[0] || null,
+        confirmedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error confirming guided pick line:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Summarise a guided pick session in the same shape as Excel pick execution results,
+   * so it can be saved to pick history and reported on
+   */
+  buildGuidedPickResults(session) {
+    const bySku = new Map();
+    session.items.forEach(item => {
+      bySku.set(item.sku, {
+        barcode: item.sku,
+        quantity: item.quantity,
+        description: item.description || '',
+        pickedQty: 0,
+        pickedBins: []
+      });
+    });
+
+    session.lines.forEach(line => {
+      const item = bySku.get(line.sku);
+      if (!item) return;
+      if (line.exception) {
+        item.exceptions = [...(item.exceptions || []), line.exception];
+      }
+      if (line.pickedQuantity <= 0) return;
+      item.pickedQty += line.pickedQuantity;
+      item.pickedBins.push({
+        binId: line.binId,
+        binCode: line.binCode,
+        quantity: line.pickedQuantity,
+        lotNumber: line.lotNumber || null,
+        expiryDate: line.expiryDate || null
+      });
+    });
+
+    const items = [...bySku.values()].map(item => {
+      const status = item.pickedQty >= item.quantity ? 'Completed' : item.pickedQty > 0 ? 'Partial' : 'Failed';
+      return {
+        ...item,
+        status,
+        location: item.pickedBins.map(bin => bin.binCode).join(', ') || 'Not picked',
+        locations: item.pickedBins.map(bin => bin.binCode).join(', ') || 'Not picked',
+        shortfall: Math.max(0, item.quantity - item.pickedQty),
+        executedAt: session.completedAt || new Date().toISOString(),
+        ...(status === 'Failed' ? { error: 'Nothing picked in guided mode' } : {})
+      };
+    });
+
+    const exceptions = session.lines.filter(line => line.exception).map(line => line.exception);
+
+    return {
+      items,
+      exceptions,
+      summary: {
+        total: items.length,
+        successful: items.filter(item => item.status === 'Completed').length,
+        partial: items.filter(item => item.status === 'Partial').length,
+        failed: items.filter(item => item.status === 'Failed').length,
+        exceptions: exceptions.length,
+        executedAt: session.completedAt || new Date().toISOString(),
+        warehouseId: session.warehouseId,
+        guided: true,
+        operationType: 'pick'
+      }
+    };
+  },
 
-        // Get current bin state (refresh to get latest data)
-        const bin = await warehouseService.getBin(warehouseId, binId);
-        if (!bin) {
-          throw new Error(`Bin ${binId} not found`);
-        }
+  /**
+   * Move stock between two bins - any SKU, including out of and into mixed bins
+   * Bins may be given by id or by code; pass bins (with storage rule data and options.holds, the active
+   * holds) to avoid re-reading them for every row. The destination must satisfy the storage rules and
+   * held stock is not moved. options.reads, assertDocs(docs) and taskWrites run in the move transaction.
+   */
+  async executeTransfer(warehouseId, transfer, bins = null, ruleData = null, options = {}) {
+    const { sku, quantity, lotNumber = null } = transfer;
 
-        // Validate pick operation for mixed barcode support
-        const currentQty = parseInt(bin.currentQty) || 0;
-        let availableQuantityForSKU = 0;
-        let skuLocation = null;
-
-        // Check if this is a primary SKU bin or mixed bin
-        if (bin.mixedContents && Array.isArray(bin.mixedContents)) {
-          // For mixed bins, always check mixed contents regardless of primary SKU
-          const matchingContent = bin.mixedContents.find(content => content.sku === sku);
-          if (matchingContent) {
-            availableQuantityForSKU = parseInt(matchingContent.quantity) || 0;
-            skuLocation = 'mixed';
-          }
-        } else if (bin.sku === sku) {
-          // Simple bin with primary SKU
-          availableQuantityForSKU = currentQty;
-          skuLocation = 'primary';
-        }
+    if (!sku) {
+      throw new Error('SKU is required');
+    }
 
-        if (availableQuantityForSKU === 0) {
-          throw new Error(`SKU ${sku} not found in bin ${bin.code}`);
-        }
+    const numericQuantity = Number(quantity);
+    if (!Number.isInteger(numericQuantity) || numericQuantity <= 0) {
+      throw new Error('Quantity must be a positive whole number');
+    }
 
-        if (availableQuantityForSKU < quantity) {
-          throw new Error(`Insufficient quantity of SKU ${sku} in bin ${bin.code}. Available: ${availableQuantityForSKU}, Requested: ${quantity}`);
-        }
+    const allBins = bins || await this.getAllBins(warehouseId);
+    const resolveBin = (binId, binCode, label) => {
+      const bin = allBins.find(b => (binId && b.id === binId) || (binCode && b.code === binCode));
+      if (!bin) {
+        throw new Error(`${label} bin ${binCode || binId || ''} not found`.replace(/\s+/g, ' '));
+      }
+      return bin;
+    };
 
-        // Calculate new bin state for mixed barcode support
-        let binUpdate = {
-          lastPickedAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
+    const fromBin = resolveBin(transfer.fromBinId, transfer.fromBinCode, 'Source');
+    const toBin = resolveBin(transfer.toBinId, transfer.toBinCode, 'Destination');
 
-        if (skuLocation === 'primary') {
-          // Picking from primary SKU
-          const newTotalQty = currentQty - quantity;
-          const isEmpty = newTotalQty === 0;
+    const rules = ruleData || await storageRuleService.loadRuleData(warehouseId);
 
-          binUpdate.currentQty = newTotalQty;
-          binUpdate.status = isEmpty ? 'available' : 'occupied';
-          
-          if (isEmpty) {
-            // Bin becomes empty
-            binUpdate.sku = null;
-            binUpdate.lotNumber = null;
-            binUpdate.expiryDate = null;
-            binUpdate.mixedContents = null;
-          }
-        } else {
-          // Picking from mixed contents
-          const updatedMixedContents = bin.mixedContents.map(content => {
-            if (content.sku === sku) {
-              return { ...content, quantity: content.quantity - quantity };
-            }
-            return content;
-          }).filter(content => content.quantity > 0); // Remove entries with 0 quantity
+    const result = await warehouseService.moveBetweenBins(
+      warehouseId,
+      fromBin.id,
+      toBin.id,
+      sku,
+      numericQuantity,
+      lotNumber || null,
+      null,
+      rules.products,
+      { ...options, placementRules: { ruleData: rules, bins: allBins } }
+    );
 
-          const newTotalQty = updatedMixedContents.reduce((sum, content) => sum + content.quantity, 0);
-          
-          if (newTotalQty === 0) {
-            // Bin becomes completely empty
-            binUpdate.currentQty = 0;
-            binUpdate.status = 'available';
-            binUpdate.sku = null;
-            binUpdate.lotNumber = null;
-            binUpdate.expiryDate = null;
-            binUpdate.mixedContents = null;
-          } else if (updatedMixedContents.length === 1) {
-            // Only one SKU left, convert back to simple bin
-            const remainingContent = updatedMixedContents[0];
-            binUpdate.currentQty = remainingContent.quantity;
-            binUpdate.status = 'occupied';
-            binUpdate.sku = remainingContent.sku;
-            binUpdate.lotNumber = remainingContent.lotNumber;
-            binUpdate.expiryDate = remainingContent.expiryDate;
-            binUpdate.mixedContents = null;
-          } else {
-            // Still mixed, update the contents and total quantity
-            binUpdate.currentQty = newTotalQty;
-            binUpdate.status = 'occupied';
-            binUpdate.mixedContents = updatedMixedContents;
-          }
-        }
+    console.log(`🔀 Transferred ${numericQuantity} units of ${sku} from ${fromBin.code} to ${toBin.code}`);
 
-        // Update bin in database with operation ID to allow the owning operation to proceed
-        await warehouseService.updateBin(warehouseId, binId, binUpdate, operationId);
+    return result.transfer;
+  },
 
-        const newTotalQty = binUpdate.currentQty;
-        const isEmpty = newTotalQty === 0;
+  /**
+   * Execute a list of transfers (e.g. from an uploaded Excel sheet)
+   * Each row is its own transaction; failed rows are reported and do not stop the batch
+   */
+  async executeBulkTransfer(warehouseId, transfers, onProgress = null) {
+    // Only used to resolve bin codes - stock is re-read inside each transfer transaction
+    const bins = await this.getAllBins(warehouseId);
+    const ruleData = await storageRuleService.loadRuleData(warehouseId);
+    const holds = await stockHoldService.getActiveHolds(warehouseId);
+    const items = [];
+
+    for (let i = 0; i < transfers.length; i++) {
+      const row = transfers[i];
+      try {
+        const transfer = await this.executeTransfer(warehouseId, row, bins, ruleData, { holds });
 
-        binUpdates.push({
-          binId,
-          binCode: bin.code,
-          previousQty: currentQty,
-          pickedQty: quantity,
-          newQty: newTotalQty,
-          isEmpty,
-          sku: sku,
-          lotNumber: lotNumber || bin.lotNumber,
-          expiryDate: expiryDate || bin.expiryDate,
-          skuLocation,
-          wasMixed: skuLocation === 'mixed'
+        items.push({
+          ...this.buildTransferHistoryItem(transfer),
+          rowNumber: row.rowNumber || i + 1,
+          notes: row.notes || ''
         });
-
-        auditLog.push({
-          action: 'PICK',
-          binId,
-          binCode: bin.code,
-          sku: sku,
-          quantity: quantity,
-          lotNumber: lotNumber || bin.lotNumber,
-          expiryDate: expiryDate || bin.expiryDate,
-          previousQty: currentQty,
-          newQty: newTotalQty,
-          fifoCompliant: true,
-          skuLocation,
-          wasMixed: skuLocation === 'mixed',
-          timestamp: new Date().toISOString()
+      } catch (error) {
+        console.error(`❌ Transfer row ${row.rowNumber || i + 1} failed:`, error);
+        items.push({
+          rowNumber: row.rowNumber || i + 1,
+          barcode: row.sku,
+          quantity: row.quantity,
+          lotNumber: row.lotNumber || null,
+          fromBinCode: row.fromBinCode || row.fromBinId,
+          toBinCode: row.toBinCode || row.toBinId,
+          status: 'Failed',
+          error: error.message
         });
-
-        console.log(`✅ Picked ${quantity} units of ${sku} from ${skuLocation} position in bin ${bin.code} (Total: ${currentQty} → ${newTotalQty})`);
       }
 
-      // Update task status with detailed completion info (only for real tasks)
-      let updatedTask = null;
-      if (!isTemporaryTask && task) {
-        const completionData = {
-          status: 'completed',
-          pickedItems: binUpdates,
-          completedAt: new Date().toISOString(),
-          totalItemsPicked: pickedItems.length,
-          totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
-          fifoCompliant: true,
-          auditLog
-        };
-
-        updatedTask = await warehouseService.updatePickTask(warehouseId, taskId, completionData);
-      }
+      if (onProgress) onProgress(Math.round(((i + 1) / transfers.length) * 100));
+    }
 
-      console.log('🎉 Pick operation completed successfully:', {
-        taskId,
-        isTemporary: isTemporaryTask,
-        totalItemsPicked: pickedItems.length,
-        totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
-        binsUpdated: binUpdates.length
-      });
+    const completed = items.filter(item => item.status === 'Completed');
 
-      return {
-        success: true,
-        task: updatedTask,
-        binUpdates,
-        auditLog,
-        summary: {
-          totalItemsPicked: pickedItems.length,
-          totalQuantityPicked: pickedItems.reduce((sum, item) => sum + item.quantity, 0),
-          binsEmptied: binUpdates.filter(b => b.isEmpty).length,
-          fifoCompliant: true
-        }
-      };
-    } catch (error) {
-      console.error('❌ Error executing pick operation:', error);
-      throw error;
-    } finally {
-      // STEP 3: Always release bin locks, even if operation failed
-      try {
-        await this.releaseBinsFromPicking(warehouseId, binIds, operationId);
-      } catch (releaseError) {
-        console.error('❌ Error releasing bin locks:', releaseError);
-        // Force release as backup
-        this.forceReleaseAllPickLocks(warehouseId);
+    return {
+      items,
+      summary: {
+        total: items.length,
+        successful: completed.length,
+        failed: items.length - completed.length,
+        totalQuantity: completed.reduce((sum, item) => sum + item.quantity, 0),
+        executedAt: new Date().toISOString(),
+        operationType: 'transfer'
       }
-    }
+    };
+  },
+
+  /**
+   * Shape a completed transfer the way operation history and stock movement reports read it
+   */
+  buildTransferHistoryItem(transfer) {
+    return {
+      barcode: transfer.sku,
+      quantity: transfer.quantity,
+      lotNumber: transfer.lotNumber || null,
+      expiryDate: transfer.expiryDate || null,
+      fromBinId: transfer.fromBinId,
+      fromBinCode: transfer.fromBinCode,
+      toBinId: transfer.toBinId,
+      toBinCode: transfer.toBinCode,
+      location: `${transfer.fromBinCode} → ${transfer.toBinCode}`,
+      status: 'Completed',
+      executedAt: transfer.movedAt
+    };
   },
 
   /**
@@ -1198,19 +2695,132 @@ export const warehouseOperations = {
     }
   },
 
+  /**
+   * Read the partial allocation policy and overflow location from the warehouse settings
+   * @returns {Object} { policy, overflowLocation }
+   */
+  async getPartialAllocationPolicy(warehouseId) {
+    const warehouse = await warehouseService.getWarehouse(warehouseId);
+    const policy = warehouse?.settings?.putAwayPartialPolicy;
+
+    return {
+      policy: Object.values(this.partialAllocationPolicies).includes(policy)
+        ? policy
+        : this.partialAllocationPolicies.REJECT_ALL,
+      overflowLocation: warehouse?.settings?.overflowLocation || this.defaultOverflowLocation
+    };
+  },
+
+  /**
+   * Compare the free bin capacity with the quantity a put-away file needs
+   * Bins locked for picking are not counted as free space.
+   * @returns {Object} { availableBins, totalAvailableCapacity, totalRequiredQuantity, shortfall }
+   */
+  async checkPutAwayCapacity(warehouseId, items) {
+    const bins = await this.getAllBins(warehouseId);
+    const lockStatus = await this.areBinsLockedForPicking(warehouseId, bins.map(bin => bin.id));
+    const products = await productService.getProductMap(warehouseId);
+    const zonesById = zoneService.getZoneMap(await zoneService.loadZones(warehouseId));
+
+    const availableBins = bins.filter(bin =>
+      this.hasPutAwaySpace(bin, products) && !lockStatus.lockedBins.includes(bin.id) &&
+      zoneService.isPutAwayAllowed(bin, zonesById));
+
+    // Volumetric bins hold a different number of units per product, so place the file's
+    // lines into copies of the bins to see how many units fit
+    const simulatedBins = availableBins.map(bin => ({ ...bin }));
+    let fittedQuantity = 0;
+    items.forEach(item => {
+      let remaining = parseInt(item.quantity) || 0;
+      for (const bin of simulatedBins) {
+        if (remaining <= 0) break;
+        const take = Math.min(remaining, binCapacityService.getFitQuantity(bin, item.barcode, products).quantity);
+        if (take <= 0) continue;
+        Object.assign(bin, this.withAddedStock(bin, item.barcode, take));
+        remaining -= take;
+        fittedQuantity += take;
+      }
+    });
+
+    const spareUnitCapacity = simulatedBins
+      .filter(bin => !binCapacityService.isVolumetric(bin))
+      .reduce((sum, bin) => sum + Math.max(0, (parseInt(bin.capacity) || 0) - (parseInt(bin.currentQty) || 0)), 0);
+    const totalAvailableCapacity = fittedQuantity + spareUnitCapacity;
+    const totalRequiredQuantity = items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+
+    return {
+      availableBins: availableBins.length,
+      totalAvailableCapacity,
+      totalRequiredQuantity,
+      shortfall: Math.max(0, totalRequiredQuantity - fittedQuantity)
+    };
+  },
+
+  /**
+   * Estimate the racks to add for a capacity shortfall, sized like the existing racks
+   * @returns {Object} { shortfall, binCapacity, binsPerRack, binsNeeded, racksNeeded }
+   */
+  async suggestRacksForShortfall(warehouseId, shortfall) {
+    const bins = await this.getAllBins(warehouseId);
+    const rackIds = new Set(bins.map(bin => bin.rackId).filter(Boolean));
+
+    const totalCapacity = bins.reduce((sum, bin) => sum + (parseInt(bin.capacity) || 0), 0);
+    const binCapacity = bins.length > 0 ? Math.max(1, Math.floor(totalCapacity / bins.length)) : 100;
+    const binsPerRack = rackIds.size > 0 ? Math.max(1, Math.round(bins.length / rackIds.size)) : 1;
+
+    const binsNeeded = Math.ceil(shortfall / binCapacity);
+
+    return {
+      shortfall,
+      binCapacity,
+      binsPerRack,
+      binsNeeded,
+      racksNeeded: Math.ceil(binsNeeded / binsPerRack)
+    };
+  },
+
+  /**
+   * Record put-away stock that did not fit in any bin as held at the overflow location
+   * Stored in WHT/{warehouseId}/overflowStock until it is put away later.
+   */
+  async stageOverflowStock(warehouseId, entry) {
+    try {
+      const overflowEntry = {
+        sku: entry.sku,
+        quantity: entry.quantity,
+        lotNumber: entry.lotNumber || null,
+        expiryDate: entry.expiryDate || null,
+        manufactureDate: entry.manufactureDate || null,
+        location: entry.location || this.defaultOverflowLocation,
+        source: entry.source || null,
+        status: 'staged',
+        createdAt: new Date().toISOString()
+      };
+
+      const docRef = await addDoc(collection(db, 'WHT', warehouseId, 'overflowStock'), overflowEntry);
+      console.log(`📥 Staged ${entry.quantity} × ${entry.sku} at ${overflowEntry.location}`);
+
+      return { id: docRef.id, ...overflowEntry };
+    } catch (error) {
+      console.error('Error staging overflow stock:', error);
+      throw error;
+    }
+  },
+
   /**
    * Mixed Barcode Auto-Allocation Strategy
    * 
-   * PRIORITY ORDER for mixed barcode allocation:
+   * The bins are ranked by the put-away strategy (see putAwayStrategyService). The default,
+   * consolidate, keeps the original order:
    * 1. Fill same SKU bins to capacity first (PRIORITY 1) - Consolidate same products
    * 2. Search bins from first to last for any available space (PRIORITY 2) - Mix barcodes efficiently
    * 
-   * This allows multiple different barcodes to share the same bin, maximizing space utilization.
+   * @param {Object} preferences - { strategy, product, settings, zoneId } without a strategy it is
+   * resolved from the settings and the product category
    */
   async autoAllocateQuantity(warehouseId, sku, totalQuantity, preferences = {}) {
     try {
       console.log('🔄 MIXED BARCODE Auto-allocating quantity:', { sku, totalQuantity, preferences });
-      console.log('📋 ALLOCATION STRATEGY: 1) Fill same-SKU bins first, 2) Search all bins for available space (mixed barcodes allowed)');
       
       // Input validation
       if (!totalQuantity || isNaN(totalQuantity) || totalQuantity <= 0) {
@@ -1223,119 +2833,32 @@ export const warehouseOperations = {
 
       // SAFETY CHECK: Exclude bins that are locked for picking operations
       // This prevents allocation conflicts during active pick operations
-      const lockedBinIds = this.areBinsLockedForPicking(warehouseId, bins.map(b => b.id));
+      const lockedBinIds = await this.areBinsLockedForPicking(warehouseId, bins.map(b => b.id));
       const availableBins = bins.filter(bin => !lockedBinIds.lockedBins.includes(bin.id));
       
       if (lockedBinIds.locked) {
         console.log(`⚠️ Excluding ${lockedBinIds.lockedBins.length} bins locked for picking operations:`, lockedBinIds.lockedBins);
       }
 
-      // Create allocation plan
-      const allocationPlan = [];
-      let remainingQuantity = totalQuantity;
-
-      // PHASE 1: Find and use existing bins with the SAME SKU (highest priority)
-      // This ensures we consolidate same products first
-      let sameSKUBins = availableBins.filter(bin => {
-        // Must be active, have the same SKU, and have space
-        const isActive = (bin.status === 'available' || bin.status === 'occupied');
-        const isSameSKU = (bin.sku === sku);
-        const currentQty = parseInt(bin.currentQty) || 0;
-        const capacity = parseInt(bin.capacity) || 0;
-        const hasSpace = capacity > currentQty;
-        
-        return isActive && isSameSKU && hasSpace;
-      }).sort((a, b) => {
-        // Sort by bin order (bin1, bin2, bin3, etc.) for sequential filling
-        return (a.code || '').localeCompare(b.code || '');
+      const ruleData = preferences.ruleData || await storageRuleService.loadRuleData(warehouseId);
+      const zonesById = zoneService.getZoneMap(await zoneService.loadZones(warehouseId));
+
+      // Rank the bins with free space by the put-away strategy, then fill them in that order
+      // Quarantine, returns and staging bins are only used when their zone is asked for
+      const strategy = preferences.strategy ||
+        putAwayStrategyService.resolveStrategy(preferences.settings, preferences.product);
+      const candidateBins = availableBins.filter(bin =>
+        this.hasPutAwaySpace(bin, ruleData.products) && zoneService.isPutAwayAllowed(bin, zonesById, preferences.zoneId));
+      const rankedBins = putAwayStrategyService.rankBins(strategy, candidateBins, sku, {
+        product: preferences.product || null,
+        settings: preferences.settings || {},
+        zoneId: preferences.zoneId || null
       });
-      
-      // Allocate to same-SKU bins first - fill each bin to capacity before moving to next
-      console.log(`🎯 Phase 1: Same SKU bins available: ${sameSKUBins.length}`);
-      for (const bin of sameSKUBins) {
-        if (remainingQuantity <= 0) break;
-        
-        const currentQty = parseInt(bin.currentQty) || 0;
-        const availableSpace = bin.capacity - currentQty;
-        const allocateQty = Math.min(remainingQuantity, availableSpace);
-        
-        if (allocateQty > 0) {
-          const newTotal = currentQty + allocateQty;
-          allocationPlan.push({
-            bin,
-            allocatedQuantity: allocateQty,
-            reason: `Same SKU consolidation - Adding ${allocateQty} units to existing ${currentQty} units`,
-            priority: 1,
-            newTotal,
-            utilization: ((newTotal / bin.capacity) * 100).toFixed(1)
-          });
-          
-          remainingQuantity -= allocateQty;
-          console.log(`✅ Phase 1: Allocated ${allocateQty} to same-SKU bin ${bin.code} (${currentQty}+${allocateQty}=${newTotal}), remaining: ${remainingQuantity}`);
-        }
-      }      // PHASE 2: Search ALL bins from first to last for available space (Mixed Barcode Strategy)
-      // This allows different barcodes to share bins, maximizing space utilization
-      if (remainingQuantity > 0) {
-        let availableBinsForMixed = availableBins.filter(bin => {
-          // Must be active and have space, regardless of current SKU
-          const isActive = (bin.status === 'available' || bin.status === 'occupied');
-          const currentQty = parseInt(bin.currentQty) || 0;
-          const capacity = parseInt(bin.capacity) || 0;
-          const hasSpace = capacity > currentQty;
-          
-          // Skip bins we already used in Phase 1 to avoid double allocation
-          const alreadyUsed = allocationPlan.some(plan => plan.bin.id === bin.id);
-          
-          return isActive && hasSpace && !alreadyUsed;
-        }).sort((a, b) => {
-          // Sort by bin order (bin1, bin2, bin3, etc.) for sequential filling
-          return (a.code || '').localeCompare(b.code || '');
-        });
-        
-        // Log sorting results for debugging
-        console.log('📊 Available bins sorted in order:', 
-          availableBinsForMixed.slice(0, 10).map(bin => 
-            `${bin.code} (CurrentSKU: ${bin.sku || 'Empty'}, Space: ${bin.capacity - (parseInt(bin.currentQty) || 0)}/${bin.capacity})`
-          ));
-        
-        // Allocate to available bins in order - fill each to capacity before moving to next
-        console.log(`📦 Phase 2: Available bins for mixed allocation: ${availableBinsForMixed.length}`);
-        for (const bin of availableBinsForMixed) {
-          if (remainingQuantity <= 0) break;
-          
-          const currentQty = parseInt(bin.currentQty) || 0;
-          const availableSpace = bin.capacity - currentQty;
-          const allocateQty = Math.min(remainingQuantity, availableSpace);
-          
-          if (allocateQty > 0) {
-            const newTotal = currentQty + allocateQty;
-            const isEmptyBin = currentQty === 0;
-            const isMixedBin = currentQty > 0 && bin.sku && bin.sku !== sku;
-            
-            let reason = '';
-            if (isEmptyBin) {
-              reason = `New placement in empty bin - ${allocateQty} units`;
-            } else if (isMixedBin) {
-              reason = `Mixed storage - Adding ${allocateQty} units of ${sku} to bin with ${bin.sku}`;
-            } else {
-              reason = `Adding ${allocateQty} units to available space`;
-            }
-            
-            allocationPlan.push({
-              bin,
-              allocatedQuantity: allocateQty,
-              reason,
-              priority: 2,
-              newTotal,
-              utilization: ((newTotal / bin.capacity) * 100).toFixed(1),
-              isMixed: isMixedBin
-            });
-            
-            remainingQuantity -= allocateQty;
-            console.log(`✅ Phase 2: Allocated ${allocateQty} to bin ${bin.code} (${isEmptyBin ? 'Empty' : isMixedBin ? 'Mixed' : 'Available'} bin: ${currentQty}+${allocateQty}=${newTotal}), remaining: ${remainingQuantity}`);
-          }
-        }
-      }
+      console.log(`🎯 Strategy ${strategy}: ${rankedBins.length} of ${candidateBins.length} bins with space are eligible`);
+
+      // Storage rules are checked against every bin, locked ones included, since they still hold stock
+      const ruleContext = storageRuleService.createContext(ruleData, bins);
+      const { allocationPlan, remainingQuantity, blockedBins } = this.fillRankedBins(rankedBins, sku, totalQuantity, ruleContext);
 
       // PHASE 3: NO LONGER CREATE NEW BINS AUTOMATICALLY
       if (remainingQuantity > 0) {
@@ -1354,7 +2877,7 @@ export const warehouseOperations = {
           binCount: allocationPlan.length
         });
 
-        // Return partial allocation results - this will cause an error upstream
+        // Return partial allocation results - the caller applies the warehouse's partial allocation policy
         return {
           allocationPlan,
           totalAllocated,
@@ -1369,7 +2892,11 @@ export const warehouseOperations = {
               allocationPlan.reduce((sum, a) => sum + parseFloat(a.utilization), 0) / allocationPlan.length : 0
           },
           preferences,
-          error: `Could not allocate ${remainingQuantity} units - no available bins with sufficient capacity`
+          strategy,
+          blockedBins,
+          error: blockedBins.length > 0
+            ? `Could not allocate ${remainingQuantity} units - ${blockedBins.length} bin(s) blocked by storage rules: ${this.summarizeBlockedBins(blockedBins)}`
+            : `Could not allocate ${remainingQuantity} units - no available bins with sufficient capacity`
         };
       }
 
@@ -1416,7 +2943,9 @@ export const warehouseOperations = {
           hasAutoCreated: false,
           efficiency: averageUtilization >= 70 ? 'Excellent' : 'Good',
           mixedBarcodeStrategy: true // Flag to indicate mixed barcode allocation is being used
-        }
+        },
+        strategy,
+        blockedBins
       };
     } catch (error) {
       console.error('❌ Error in mixed barcode auto-allocation:', error);
@@ -1426,6 +2955,197 @@ export const warehouseOperations = {
     }
   },
 
+  /**
+   * Whether a bin can take put-away stock (active and not full)
+   * Volumetric bins need the product map to measure the stock they hold.
+   */
+  hasPutAwaySpace(bin, products = null) {
+    const isActive = (bin.status === 'available' || bin.status === 'occupied');
+    return isActive && binCapacityService.hasFreeSpace(bin, products);
+  },
+
+  /**
+   * Fill ranked bins in order, each to capacity before moving to the next (no writes)
+   * With a storage rule context, bins a rule blocks are skipped and weight limits cap the quantity.
+   * Space in volumetric bins is measured by cube and weight using the context's product map.
+   * @returns {Object} { allocationPlan, remainingQuantity, blockedBins }
+   */
+  fillRankedBins(rankedBins, sku, totalQuantity, ruleContext = null) {
+    const allocationPlan = [];
+    const blockedBins = [];
+    const products = ruleContext?.products || null;
+    let remainingQuantity = totalQuantity;
+
+    for (const bin of rankedBins) {
+      if (remainingQuantity <= 0) break;
+
+      let ruleLimit = Infinity;
+      if (ruleContext) {
+        const { violations, maxQuantity } = storageRuleService.evaluatePlacement(bin, sku, ruleContext);
+        if (violations.length > 0) {
+          blockedBins.push({ binId: bin.id, binCode: bin.code, violations });
+          continue;
+        }
+        ruleLimit = maxQuantity;
+      }
+
+      const currentQty = parseInt(bin.currentQty) || 0;
+      const availableSpace = binCapacityService.getFitQuantity(bin, sku, products).quantity;
+      const allocateQty = Math.min(remainingQuantity, availableSpace, ruleLimit);
+      if (allocateQty <= 0) continue;
+
+      if (ruleContext) {
+        storageRuleService.recordPlacement(ruleContext, bin, sku, allocateQty);
+      }
+
+      const newTotal = currentQty + allocateQty;
+      const isSameSKU = bin.sku === sku;
+      const isMixedBin = currentQty > 0 && bin.sku && bin.sku !== sku;
+
+      let reason;
+      if (isSameSKU) {
+        reason = `Same SKU consolidation - Adding ${allocateQty} units to existing ${currentQty} units`;
+      } else if (currentQty === 0) {
+        reason = `New placement in empty bin - ${allocateQty} units`;
+      } else if (isMixedBin) {
+        reason = `Mixed storage - Adding ${allocateQty} units of ${sku} to bin with ${bin.sku}`;
+      } else {
+        reason = `Adding ${allocateQty} units to available space`;
+      }
+
+      allocationPlan.push({
+        bin,
+        allocatedQuantity: allocateQty,
+        reason,
+        priority: isSameSKU ? 1 : 2,
+        newTotal,
+        utilization: (binCapacityService.isVolumetric(bin)
+          ? binCapacityService.getUtilization(this.withAddedStock(bin, sku, allocateQty), products)
+          : (newTotal / bin.capacity) * 100).toFixed(1),
+        isMixed: isMixedBin
+      });
+
+      remainingQuantity -= allocateQty;
+      console.log(`✅ Allocated ${allocateQty} to bin ${bin.code} (${currentQty}+${allocateQty}=${newTotal}), remaining: ${remainingQuantity}`);
+    }
+
+    if (blockedBins.length > 0) {
+      console.log(`🚫 Storage rules blocked ${blockedBins.length} bin(s) for ${sku}: ${this.summarizeBlockedBins(blockedBins)}`);
+    }
+
+    return { allocationPlan, remainingQuantity, blockedBins };
+  },
+
+  /**
+   * One line per rule that blocked bins, e.g. "Max SKUs per bin (rack rule) - 4 bins"
+   */
+  summarizeBlockedBins(blockedBins) {
+    const byRule = new Map();
+    blockedBins.forEach(({ violations }) => violations.forEach(violation => {
+      const key = `${storageRuleService.ruleLabels[violation.rule]} (${violation.source} rule)`;
+      byRule.set(key, (byRule.get(key) || 0) + 1);
+    }));
+    return [...byRule.entries()].map(([rule, count]) => `${rule} - ${count} bin${count === 1 ? '' : 's'}`).join('; ');
+  },
+
+  /**
+   * Dry-run a put-away file under each strategy without writing anything
+   * Items are planned in file order against a copy of the bins, so later lines see
+   * the space earlier lines took.
+   * @param {Object} options - { strategies, products } products is a SKU -> product Map
+   * @returns {Array} one { strategy, label, lines, binsUsed, mixedBins, averageDockDistance, groundLevelShare, allocated, unallocated } per strategy
+   */
+  async previewPutAwayStrategies(warehouseId, items, options = {}) {
+    const {
+      strategies = Object.values(putAwayStrategyService.strategies),
+      products = new Map()
+    } = options;
+
+    try {
+      const bins = await this.getAllBins(warehouseId);
+      const lockStatus = await this.areBinsLockedForPicking(warehouseId, bins.map(bin => bin.id));
+      const ruleData = await storageRuleService.loadRuleData(warehouseId);
+      const { settings } = ruleData;
+      const zonesById = zoneService.getZoneMap(await zoneService.loadZones(warehouseId));
+
+      return strategies.map(strategy => {
+        const simulatedBins = bins.map(bin => ({
+          ...bin,
+          mixedContents: Array.isArray(bin.mixedContents) ? bin.mixedContents.map(content => ({ ...content })) : bin.mixedContents
+        }));
+        const lines = [];
+        const usedBins = new Map();
+
+        items.forEach(item => {
+          const quantity = parseInt(item.quantity) || 0;
+          if (quantity <= 0) return;
+
+          const rankedBins = putAwayStrategyService.rankBins(
+            strategy,
+            simulatedBins.filter(bin => this.hasPutAwaySpace(bin, ruleData.products) && !lockStatus.lockedBins.includes(bin.id) &&
+              zoneService.isPutAwayAllowed(bin, zonesById, item.zone || null)),
+            item.barcode,
+            { product: products.get(item.barcode) || ruleData.products.get(item.barcode) || null, settings, zoneId: item.zone || null }
+          );
+          // A fresh rule context per line - earlier lines are already applied to the bin copies
+          const ruleContext = storageRuleService.createContext(ruleData, simulatedBins);
+          const { allocationPlan, remainingQuantity, blockedBins } = this.fillRankedBins(rankedBins, item.barcode, quantity, ruleContext);
+
+          // Apply the plan to the copy so the next line sees the space it took
+          allocationPlan.forEach(({ bin, allocatedQuantity, isMixed }) => {
+            const contents = this.getBinContents(bin);
+            const existing = contents.find(content => content.sku === item.barcode);
+            if (existing) {
+              existing.quantity += allocatedQuantity;
+            } else {
+              contents.push({ sku: item.barcode, quantity: allocatedQuantity });
+            }
+
+            bin.sku = bin.sku && (parseInt(bin.currentQty) || 0) > 0 ? bin.sku : item.barcode;
+            bin.currentQty = (parseInt(bin.currentQty) || 0) + allocatedQuantity;
+            bin.status = 'occupied';
+            bin.mixedContents = contents.length > 1 ? contents : bin.mixedContents;
+
+            const used = usedBins.get(bin.id) || { bin, quantity: 0, mixed: false };
+            used.quantity += allocatedQuantity;
+            used.mixed = used.mixed || isMixed;
+            usedBins.set(bin.id, used);
+          });
+
+          lines.push({
+            sku: item.barcode,
+            quantity,
+            allocations: allocationPlan.map(plan => ({ binCode: plan.bin.code, quantity: plan.allocatedQuantity })),
+            unallocated: remainingQuantity,
+            blockedBy: remainingQuantity > 0 && blockedBins.length > 0 ? this.summarizeBlockedBins(blockedBins) : null
+          });
+        });
+
+        const used = [...usedBins.values()];
+        const allocated = used.reduce((sum, entry) => sum + entry.quantity, 0);
+        const groundUnits = used
+          .filter(entry => putAwayStrategyService.getLevelIndex(entry.bin) === 0)
+          .reduce((sum, entry) => sum + entry.quantity, 0);
+        const dockDistance = used.reduce((sum, entry) => sum + putAwayStrategyService.getDockDistance(entry.bin) * entry.quantity, 0);
+
+        return {
+          strategy,
+          label: putAwayStrategyService.strategyLabels[strategy],
+          lines,
+          binsUsed: used.length,
+          mixedBins: used.filter(entry => entry.mixed).length,
+          averageDockDistance: allocated > 0 ? Number((dockDistance / allocated).toFixed(1)) : 0,
+          groundLevelShare: allocated > 0 ? Math.round((groundUnits / allocated) * 100) : 0,
+          allocated,
+          unallocated: lines.reduce((sum, line) => sum + line.unallocated, 0)
+        };
+      });
+    } catch (error) {
+      console.error('Error previewing put-away strategies:', error);
+      throw error;
+    }
+  },
+
   /**
    * Calculate bin efficiency score for intelligent allocation
    */
@@ -1484,42 +3204,98 @@ export const warehouseOperations = {
 
   /**
    * Execute auto-allocation plan (create multiple tasks if needed)
+   * All bins in the plan are updated in a single transaction - if any bin changed
+   * since the plan was calculated the whole allocation is aborted with a conflict error.
    */
   async executeAutoAllocation(warehouseId, sku, allocationPlan, productDetails = {}) {
-    const { lotNumber, expiryDate, notes = '' } = productDetails;
-    const results = [];
+    const { lotNumber, expiryDate, manufactureDate, notes = '', products = null } = productDetails;
+    const binIds = allocationPlan.map(allocation => allocation.bin.id);
 
     try {
-      for (let i = 0; i < allocationPlan.length; i++) {
-        const allocation = allocationPlan[i];
-        const { bin, allocatedQuantity, reason } = allocation;
-
-        // Create individual task for each allocation
-        const taskData = {
-          sku,
-          quantity: allocatedQuantity,
-          lotNumber,
-          expiryDate,
-          suggestedBinId: bin.id,
-          suggestedBinCode: bin.code,
-          priority: 'medium',
-          notes: `${notes}\nAuto-allocated: ${reason}`,
-          autoExecute: true // Auto-execute each allocation
-        };
+      await this.validateBinOperationAgainstPickLocks(warehouseId, binIds, 'auto-allocate to');
+
+      // The plan carries the bin state it was calculated against
+      const expectedBins = {};
+      allocationPlan.forEach(({ bin }) => {
+        if (!expectedBins[bin.id]) {
+          expectedBins[bin.id] = bin;
+        }
+      });
+
+      const { result, taskIds } = await warehouseService.runBinTransaction(warehouseId, binIds, (bins) => {
+        this.assertBinsUnchanged(expectedBins, bins);
+
+        // Working copies so a bin listed twice in the plan accumulates correctly
+        const workingBins = {};
+        const pendingUpdates = {};
+        const taskWrites = [];
+        const completions = [];
+
+        allocationPlan.forEach((allocation, i) => {
+          const { allocatedQuantity, reason } = allocation;
+          const binId = allocation.bin.id;
+          const bin = workingBins[binId] || bins[binId];
+          const quantity = Number(allocatedQuantity);
+
+          if (isNaN(quantity) || quantity <= 0) {
+            throw new Error(`Invalid allocated quantity for bin ${bin.code}: ${allocatedQuantity}`);
+          }
 
-        const task = await this.createPutAwayTask(warehouseId, taskData);
-        results.push({
-          task,
-          allocation,
-          success: task.status === 'completed'
+          const taskData = {
+            sku,
+            quantity,
+            lotNumber: lotNumber || null,
+            expiryDate: expiryDate || null,
+            manufactureDate: manufactureDate || null,
+            suggestedBinId: binId,
+            suggestedBinCode: bin.code,
+            priority: 'medium',
+            assignedTo: null,
+            notes: `${notes}\nAuto-allocated: ${reason}`,
+            estimatedTime: this.estimatePutAwayTime(quantity)
+          };
+
+          const placement = this.applyPutAwayToBin(bin, { sku, quantity, lotNumber, expiryDate, manufactureDate, products });
+          const auditLog = this.buildPutAwayAuditLog(null, taskData, bin, placement, binId);
+
+          workingBins[binId] = { ...bin, ...placement.binUpdateData };
+          pendingUpdates[binId] = { ...(pendingUpdates[binId] || {}), ...placement.binUpdateData };
+
+          const completedTask = {
+            ...taskData,
+            status: 'completed',
+            actualBinId: binId,
+            actualBinCode: bin.code,
+            actualQuantity: quantity,
+            completedAt: new Date().toISOString(),
+            utilizationAfter: placement.utilization.toFixed(1) + '%',
+            allocationType: placement.allocationType,
+            allocationReason: placement.allocationReason,
+            isOptimalPlacement: auditLog.isOptimalPlacement,
+            autoExecuted: true,
+            auditLog: [auditLog]
+          };
+
+          taskWrites.push({ collectionName: 'putAwayTasks', data: completedTask });
+          completions.push({ allocation, completedTask });
+
+          console.log(`Auto-allocation ${i + 1}/${allocationPlan.length} prepared for bin ${bin.code}`);
         });
 
-        console.log(`Auto-allocation ${i + 1}/${allocationPlan.length} completed for bin ${bin.code}`);
-      }
+        return { binUpdates: pendingUpdates, taskWrites, result: completions };
+      });
+
+      const results = result.map(({ allocation, completedTask }, index) => ({
+        task: { id: taskIds[index], ...completedTask },
+        allocation,
+        success: true
+      }));
 
       const successCount = results.filter(r => r.success).length;
       const totalTasks = results.length;
 
+      console.log(`🎉 Auto-allocation committed: ${totalTasks} bins updated for ${sku}`);
+
       return {
         results,
         summary: {
@@ -1930,31 +3706,56 @@ export const warehouseOperations = {
     return Math.ceil(quantity / 10) * 2;
   },
 
-  estimatePickTime(items) {
-    // Estimate 1 minute per item plus 30 seconds per bin
-    const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
-    const uniqueBins = new Set(items.map(item => item.binId)).size;
-    return totalItems + (uniqueBins * 0.5);
+  /**
+   * Estimate pick time in minutes from an optimized route
+   * (travel distance + per-stop handling + per-unit handling + reach height)
+   */
+  estimatePickTime(route) {
+    if (!route || !route.sequence) return 0;
+    return Number((pickRouteService.estimateRouteSeconds(route) / 60).toFixed(1));
   },
 
-  generateRouteInstructions(items) {
-    // Group by grid level and zone for optimal routing
-    const groupedItems = items.reduce((acc, item) => {
-      const key = `${item.zoneId || 'main'}-${item.shelfLevel || 1}`;
-      if (!acc[key]) acc[key] = [];
-      acc[key].push(item);
-      return acc;
-    }, {});
+  /**
+   * Turn an optimized route into step-by-step picker instructions
+   */
+  generateRouteInstructions(route) {
+    if (!route || !route.sequence || route.sequence.length === 0) {
+      return [];
+    }
 
     const instructions = [];
-    Object.keys(groupedItems).sort().forEach(key => {
-      const [zone, shelf] = key.split('-');
-      instructions.push(`Go to Zone ${zone.toUpperCase()}, Shelf ${shelf}`);
-      groupedItems[key].forEach(item => {
-        instructions.push(`  - Pick ${item.quantity} units of ${item.sku} from bin ${item.binCode}`);
+    let currentAisle = null;
+    let currentFloor = null;
+
+    route.sequence.forEach(stop => {
+      const { floor, aisle, grid, level } = stop.coordinates;
+
+      if (floor !== currentFloor) {
+        instructions.push(`Go to floor ${floor}`);
+        currentFloor = floor;
+        currentAisle = null;
+      }
+
+      if (aisle !== currentAisle) {
+        instructions.push(`Enter Aisle ${aisle} (walk ${stop.legDistance} m)`);
+        currentAisle = aisle;
+      }
+
+      instructions.push(
+        `  ${stop.stepNumber}. Grid G${String(grid).padStart(2, '0')}, Level ${level}: ` +
+        `Pick ${stop.quantity} units of ${stop.sku} from bin ${stop.binCode}` +
+        (stop.lotNumber ? ` (Lot ${stop.lotNumber})` : '')
+      );
+
+      // Wave picks: tell the picker how to split the units across order totes
+      (stop.sortInstructions || []).forEach(sort => {
+        instructions.push(`     -> Tote ${sort.toteId} (${sort.orderNumber}): ${sort.quantity} units`);
       });
     });
 
+    instructions.push(`Return to dock (walk ${route.returnDistance} m)`);
+    instructions.push(`Total distance: ${route.totalDistance} m, estimated time: ${this.estimatePickTime(route)} min (${route.strategy} route)`);
+
     return instructions;
   },
 
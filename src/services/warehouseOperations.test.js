@@ -0,0 +1,271 @@
+import { warehouseOperations } from './warehouseOperations';
+import { warehouseService } from './warehouseService';
+import { storageRuleService } from './storageRuleService';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+jest.mock('firebase/firestore', () => ({}));
+jest.mock('file-saver', () => ({}));
+
+describe('pick lock leases', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    warehouseService.serverClockOffsetMs = null;
+  });
+
+  const now = 1000000;
+  const ttlMs = 60000;
+  const lease = (heartbeatAt) => ({ heartbeatAt: { toMillis: () => heartbeatAt }, ttlMs });
+
+  test('a lease is active until ttlMs after its last heartbeat', () => {
+    expect(warehouseOperations.isLockLeaseActive(lease(now - ttlMs + 1), now)).toBe(true);
+    expect(warehouseOperations.isLockLeaseActive(lease(now - ttlMs), now)).toBe(false);
+    expect(warehouseOperations.isLockLeaseActive(lease(now - ttlMs - 1), now)).toBe(false);
+  });
+
+  test('a lease without a server heartbeat is treated as expired', () => {
+    expect(warehouseOperations.isLockLeaseActive({}, now)).toBe(false);
+    expect(warehouseOperations.isLockLeaseActive({ heartbeatAt: null, ttlMs }, now)).toBe(false);
+    expect(warehouseOperations.isLockLeaseActive({ heartbeatAt: now, ttlMs }, now)).toBe(false);
+  });
+
+  test('leases are judged by server time, not the local clock', () => {
+    // This browser's clock runs 5 minutes fast
+    jest.spyOn(Date, 'now').mockReturnValue(now + 5 * 60000);
+    warehouseService.serverClockOffsetMs = -5 * 60000;
+
+    expect(warehouseService.serverNow()).toBe(now);
+    expect(warehouseOperations.isLockLeaseActive(lease(now - 1000))).toBe(true);
+  });
+});
+
+describe('bin reservations', () => {
+  const now = Date.now();
+  const order = { ownerId: 'o1', ownerLabel: 'ORD-1', type: 'order', sku: 'S1', lotNumber: 'L1', expiryDate: null, quantity: 4, reservedAt: '2026-01-01T00:00:00.000Z', expiresAt: null };
+  const soft = { ownerId: 'w1', ownerLabel: 'WAVE-1', type: 'soft', sku: 'S1', lotNumber: 'L1', expiryDate: null, quantity: 3, reservedAt: '2026-01-02T00:00:00.000Z', expiresAt: now + 60000 };
+  const expired = { ...soft, ownerId: 'w0', expiresAt: now - 1 };
+  const bin = { id: 'b1', code: 'A-01', sku: 'S1', lotNumber: 'L1', currentQty: 10, reservations: [order, soft, expired] };
+
+  test('expired soft reservations are left out', () => {
+    expect(warehouseOperations.getBinReservations(bin, now).map(reservation => reservation.ownerId)).toEqual(['o1', 'w1']);
+  });
+
+  test('reserved quantity counts one lot and can leave out one owner', () => {
+    const content = { sku: 'S1', lotNumber: 'L1', expiryDate: null };
+    expect(warehouseOperations.getReservedQuantity(bin, content)).toBe(7);
+    expect(warehouseOperations.getReservedQuantity(bin, content, 'o1')).toBe(3);
+    expect(warehouseOperations.getReservedQuantity(bin, { sku: 'S1', lotNumber: 'L2', expiryDate: null })).toBe(0);
+  });
+
+  test('consumeReservation takes picked units off the owner only', () => {
+    const content = { sku: 'S1', lotNumber: 'L1', expiryDate: null };
+    expect(warehouseOperations.consumeReservation([order, soft], 'o1', content, 3))
+      .toEqual([{ ...order, quantity: 1 }, soft]);
+    expect(warehouseOperations.consumeReservation([order, soft], 'o1', content, 5)).toEqual([soft]);
+  });
+
+  test('fitReservationsToStock trims the newest reservations first', () => {
+    const { reservations, trimmed } = warehouseOperations.fitReservationsToStock(
+      [order, soft],
+      [{ sku: 'S1', lotNumber: 'L1', expiryDate: null, quantity: 5 }]
+    );
+    expect(reservations).toEqual([order, { ...soft, quantity: 1 }]);
+    expect(trimmed).toEqual([expect.objectContaining({ ownerId: 'w1', quantity: 2 })]);
+  });
+
+  test('fitReservationsToStock drops reservations of lots that are gone', () => {
+    const { reservations, trimmed } = warehouseOperations.fitReservationsToStock([order], []);
+    expect(reservations).toEqual([]);
+    expect(trimmed).toEqual([expect.objectContaining({ ownerId: 'o1', quantity: 4 })]);
+  });
+
+  test('applyPickToBin cannot take stock reserved for someone else', () => {
+    expect(() => warehouseOperations.applyPickToBin(bin, { sku: 'S1', quantity: 4, lotNumber: 'L1' }))
+      .toThrow(/reserved for ORD-1, WAVE-1/);
+    const { binUpdate } = warehouseOperations.applyPickToBin(bin, { sku: 'S1', quantity: 3, lotNumber: 'L1' });
+    expect(binUpdate.currentQty).toBe(7);
+    expect(binUpdate.reservations).toEqual([order, soft]);
+  });
+
+  test('applyPickToBin lets an owner pick its reserved stock and uses up its reservation', () => {
+    const { binUpdate } = warehouseOperations.applyPickToBin(bin, { sku: 'S1', quantity: 6, lotNumber: 'L1' }, { reservationOwnerId: 'o1' });
+    expect(binUpdate.currentQty).toBe(4);
+    expect(binUpdate.reservations).toEqual([soft]);
+  });
+});
+
+describe('getAvailableToPromise', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('subtracts reserved and held stock from on-hand', async () => {
+    const { stockHoldService } = require('./stockHoldService');
+    jest.spyOn(warehouseOperations, 'getAllBins').mockResolvedValue([
+      {
+        id: 'b1',
+        sku: 'S1',
+        lotNumber: 'L1',
+        currentQty: 10,
+        reservations: [
+          { ownerId: 'o1', type: 'order', sku: 'S1', lotNumber: 'L1', quantity: 4 },
+          { ownerId: 'w1', type: 'soft', sku: 'S1', lotNumber: 'L1', quantity: 2, expiresAt: Date.now() + 60000 }
+        ]
+      },
+      { id: 'b2', sku: 'S1', lotNumber: 'L2', currentQty: 5 },
+      { id: 'b3', sku: 'S2', currentQty: 7 }
+    ]);
+    jest.spyOn(stockHoldService, 'getActiveHolds').mockResolvedValue([
+      { sku: 'S1', lotNumber: 'L2', binId: null, status: 'active' }
+    ]);
+
+    const rows = await warehouseOperations.getAvailableToPromise('w');
+
+    expect(rows).toEqual([
+      { sku: 'S1', onHand: 15, reserved: 6, softReserved: 2, held: 5, atp: 4 },
+      { sku: 'S2', onHand: 7, reserved: 0, softReserved: 0, held: 0, atp: 7 }
+    ]);
+  });
+});
+
+describe('executePick with a task record', () => {
+  const bin = { id: 'b1', code: 'A-01', sku: 'S1', lotNumber: 'L1', currentQty: 10 };
+  const pick = [{ binId: 'b1', sku: 'S1', quantity: 4, lotNumber: 'L1' }];
+  const taskRecord = { source: 'excel', notes: 'Excel pick - orders.xlsx', customer: '' };
+
+  beforeEach(() => {
+    jest.spyOn(warehouseOperations, 'lockBinsForPicking').mockResolvedValue();
+    jest.spyOn(warehouseOperations, 'releaseBinsFromPicking').mockResolvedValue();
+    jest.spyOn(warehouseService, 'getBin').mockResolvedValue(bin);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const runWith = (pickTask) => jest.spyOn(warehouseService, 'runBinTransaction')
+    .mockImplementation(async (warehouseId, binIds, applyChanges) => applyChanges({ b1: bin }, { pickTask }));
+
+  test('the first pick of a temporary task creates its pick task', async () => {
+    const run = runWith(null);
+
+    await warehouseOperations.executePick('w', 'excel-pick-1', pick, { taskRecord });
+
+    expect(run.mock.calls[0][3].reads).toEqual({ pickTask: { collectionName: 'pickTasks', docId: 'excel-pick-1' } });
+    const { taskWrites } = await run.mock.results[0].value;
+    expect(taskWrites).toHaveLength(1);
+    expect(taskWrites[0]).toEqual(expect.objectContaining({ collectionName: 'pickTasks', taskId: 'excel-pick-1', create: true }));
+    expect(taskWrites[0].data).toEqual(expect.objectContaining({ source: 'excel', status: 'completed', totalQuantityPicked: 4 }));
+  });
+
+  test('later picks add to the saved pick task', async () => {
+    const run = runWith({ id: 'excel-pick-1', status: 'completed', pickedItems: [{ sku: 'S2', pickedQty: 3 }], exceptions: [] });
+
+    await warehouseOperations.executePick('w', 'excel-pick-1', pick, { taskRecord });
+
+    const { taskWrites } = await run.mock.results[0].value;
+    expect(taskWrites[0].create).toBe(false);
+    expect(taskWrites[0].data.source).toBeUndefined();
+    expect(taskWrites[0].data.pickedItems.map(item => item.sku)).toEqual(['S2', 'S1']);
+    expect(taskWrites[0].data.totalQuantityPicked).toBe(7);
+  });
+
+  test('temporary picks without a task record write no pick task', async () => {
+    const run = runWith(null);
+
+    await warehouseOperations.executePick('w', 'excel-pick-1', pick);
+
+    expect(run.mock.calls[0][3].reads).toEqual({});
+    expect((await run.mock.results[0].value).taskWrites).toEqual([]);
+  });
+});
+
+describe('executePick against changed bins', () => {
+  const planned = { id: 'b1', code: 'A-01', sku: 'S1', lotNumber: 'L1', currentQty: 10 };
+  const pick = [{ binId: 'b1', sku: 'S1', quantity: 4, lotNumber: 'L1' }];
+
+  beforeEach(() => {
+    jest.spyOn(warehouseOperations, 'lockBinsForPicking').mockResolvedValue();
+    jest.spyOn(warehouseOperations, 'releaseBinsFromPicking').mockResolvedValue();
+    jest.spyOn(warehouseService, 'getBin').mockResolvedValue(planned);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const runAgainst = (bin) => jest.spyOn(warehouseService, 'runBinTransaction')
+    .mockImplementation(async (warehouseId, binIds, applyChanges) => applyChanges({ b1: bin }, {}));
+
+  test('a put-away into the bin after planning does not stop the pick', async () => {
+    runAgainst({
+      ...planned,
+      sku: null,
+      lotNumber: null,
+      currentQty: 13,
+      mixedContents: [{ sku: 'S1', lotNumber: 'L1', quantity: 10 }, { sku: 'S2', quantity: 3 }]
+    });
+
+    const result = await warehouseOperations.executePick('w', 'excel-pick-1', pick);
+
+    expect(result.binUpdates[0]).toMatchObject({ previousQty: 13, newQty: 9 });
+  });
+
+  test('stock reserved for someone else since planning stops the pick', async () => {
+    runAgainst({
+      ...planned,
+      reservations: [{ ownerId: 'o1', ownerLabel: 'ORD-1', type: 'order', sku: 'S1', lotNumber: 'L1', quantity: 8 }]
+    });
+
+    const pickError = await warehouseOperations.executePick('w', 'excel-pick-1', pick).catch(error => error);
+
+    expect(pickError.code).toBe('stock-reserved');
+    expect(warehouseOperations.isStockChangedError(pickError)).toBe(true);
+  });
+});
+
+describe('storage rules against the bins read in the transaction', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const ruleData = {
+    settings: {},
+    racks: [],
+    products: new Map([['S1', { sku: 'S1', weight: 10 }], ['S2', { sku: 'S2', weight: 10 }]])
+  };
+  const task = { id: 't1', sku: 'S1', quantity: 5, status: 'pending' };
+
+  test('a put-away is blocked by stock placed since the bins were listed', async () => {
+    const listed = { id: 'b1', code: 'A-01', rackId: 'r1', currentQty: 0, storageRules: { maxSkusPerBin: 1 } };
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    jest.spyOn(warehouseOperations, 'getAllBins').mockResolvedValue([listed]);
+    jest.spyOn(storageRuleService, 'loadRuleData').mockResolvedValue(ruleData);
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({ b1: { ...listed, sku: 'S2', currentQty: 3 } }, {})
+    );
+
+    await expect(warehouseOperations.executePutAway('w', 't1', 'b1', 5, task)).rejects.toThrow(/Storage rules block S1 in A-01/);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('a level weight rule reads the rest of the grid in the transaction', async () => {
+    const target = { id: 'b1', code: 'A-01', rackId: 'r1', level: 'A', currentQty: 0, storageRules: { maxWeightPerLevel: 100 } };
+    const neighbour = { id: 'b2', code: 'A-02', rackId: 'r1', level: 'A', currentQty: 0 };
+    const otherRack = { id: 'b3', code: 'B-01', rackId: 'r2', level: 'A', currentQty: 0 };
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    jest.spyOn(warehouseOperations, 'getAllBins').mockResolvedValue([target, neighbour, otherRack]);
+    jest.spyOn(storageRuleService, 'loadRuleData').mockResolvedValue(ruleData);
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({ b1: target, b2: { ...neighbour, sku: 'S2', currentQty: 6 } }, {})
+    );
+
+    await expect(warehouseOperations.executePutAway('w', 't1', 'b1', 5, task)).rejects.toThrow(/only 4 more units of S1 fit on level A/);
+    expect(run.mock.calls[0][1]).toEqual(['b1', 'b1', 'b2']);
+  });
+
+  test('a transfer checks the destination as read in the move transaction', async () => {
+    const fromBin = { id: 'b1', code: 'A-01', rackId: 'r1', sku: 'S1', currentQty: 5 };
+    const toBin = { id: 'b2', code: 'B-01', rackId: 'r2', currentQty: 0, storageRules: { maxSkusPerBin: 1 } };
+    jest.spyOn(warehouseOperations, 'validateBinOperationAgainstPickLocks').mockResolvedValue();
+    const run = jest.spyOn(warehouseService, 'runBinTransaction').mockImplementation(async (warehouseId, binIds, applyChanges) =>
+      applyChanges({ b1: fromBin, b2: { ...toBin, sku: 'S2', currentQty: 2 } }, {})
+    );
+
+    await expect(warehouseOperations.executeTransfer('w', { sku: 'S1', quantity: 2, fromBinId: 'b1', toBinId: 'b2' }, [fromBin, toBin], ruleData, { holds: [] }))
+      .rejects.toThrow(/Storage rules block S1 in B-01/);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
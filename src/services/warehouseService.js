@@ -63,6 +63,20 @@ export const warehouseService = {
     }
   },
 
+  // Merge individual settings into the warehouse's settings map
+  async updateWarehouseSettings(warehouseId, settings) {
+    try {
+      const warehouseRef = doc(db, 'WHT', warehouseId);
+      const updates = Object.fromEntries(
+        Object.entries(settings).map(([key, value]) => [`settings.${key}`, value])
+      );
+      await updateDoc(warehouseRef, { ...updates, updatedAt: serverTimestamp() });
+    } catch (error) {
+      console.error('Error updating warehouse settings:', error);
+      throw error;
+    }
+  },
+
   async getOrCreateDefaultWarehouse() {
     const warehousesRef = collection(db, 'WHT');
     const q = query(warehousesRef, where('isDefault', '==', true), limit(1));
@@ -114,7 +128,19 @@ export const warehouseService = {
         'inventory',
         'operationHistory',
         'allocationHistory',
-        'reports'
+        'reports',
+        'binLocks',
+        'pickWaves',
+        'cycleCounts',
+        'replenishmentRules',
+        'replenishmentTasks',
+        'products',
+        'overflowStock',
+        'zones',
+        'stockHolds',
+        'receipts',
+        'orders',
+        'shipments'
       ];
       
       // Delete all documents in each subcollection
@@ -307,7 +333,7 @@ export const warehouseService = {
       // Import here to avoid circular dependency
       const { warehouseOperations } = await import('./warehouseOperations');
       try {
-        warehouseOperations.validateBinOperationAgainstPickLocks(warehouseId, [binId], 'update', allowedOperationId);
+        await warehouseOperations.validateBinOperationAgainstPickLocks(warehouseId, [binId], 'update', allowedOperationId);
       } catch (lockError) {
         // Add context about which operation was blocked
         throw new Error(`Bin update blocked: ${lockError.message}`);
@@ -323,6 +349,87 @@ export const warehouseService = {
     return { id: binId, ...updateData };
   },
 
+  // Multi-bin transactional writes (read-validate-write)
+  // applyChanges(bins, docs) receives the bins as read inside the transaction and returns
+  // { binUpdates: { binId: data }, taskWrites: [{ collectionName, taskId?, data, create? }], result }.
+  // options.reads ({ key: { collectionName, docId } }) reads other documents in the same transaction;
+  // docs[key] is their data, or null if missing. A taskWrite with create: true sets a new document
+  // under the given taskId instead of updating it.
+  // It may throw to abort the whole operation; Firestore re-runs it if a bin changes before commit.
+  async runBinTransaction(warehouseId, binIds, applyChanges, options = {}) {
+    const { reads = {} } = options;
+    const uniqueBinIds = [...new Set(binIds)];
+
+    // Filter out undefined values to prevent Firestore errors
+    const clean = (data) => {
+      const cleanData = {};
+      Object.keys(data).forEach(key => {
+        if (data[key] !== undefined) {
+          cleanData[key] = data[key];
+        }
+      });
+      return cleanData;
+    };
+
+    return await runTransaction(db, async (transaction) => {
+      const binRefs = uniqueBinIds.map(binId => doc(db, 'WHT', warehouseId, 'bins', binId));
+      const binDocs = await Promise.all(binRefs.map(binRef => transaction.get(binRef)));
+
+      const bins = {};
+      binDocs.forEach((binDoc, index) => {
+        if (!binDoc.exists()) {
+          throw new Error(`Bin ${uniqueBinIds[index]} not found`);
+        }
+        bins[binDoc.id] = { id: binDoc.id, ...binDoc.data() };
+      });
+
+      const readKeys = Object.keys(reads);
+      const readDocs = await Promise.all(readKeys.map(key =>
+        transaction.get(doc(db, 'WHT', warehouseId, reads[key].collectionName, reads[key].docId))
+      ));
+      const docs = {};
+      readDocs.forEach((readDoc, index) => {
+        docs[readKeys[index]] = readDoc.exists() ? { id: readDoc.id, ...readDoc.data() } : null;
+      });
+
+      const { binUpdates = {}, taskWrites = [], result } = applyChanges(bins, docs);
+
+      Object.entries(binUpdates).forEach(([binId, binData]) => {
+        const binRef = doc(db, 'WHT', warehouseId, 'bins', binId);
+        transaction.update(binRef, { ...clean(binData), updatedAt: serverTimestamp() });
+      });
+
+      const taskIds = taskWrites.map(({ collectionName, taskId, data, create = false }) => {
+        if (taskId && create) {
+          transaction.set(doc(db, 'WHT', warehouseId, collectionName, taskId), {
+            ...clean(data),
+            warehouseId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+          });
+          return taskId;
+        }
+
+        if (taskId) {
+          const taskRef = doc(db, 'WHT', warehouseId, collectionName, taskId);
+          transaction.update(taskRef, { ...clean(data), updatedAt: serverTimestamp() });
+          return taskId;
+        }
+
+        const taskRef = doc(collection(db, 'WHT', warehouseId, collectionName));
+        transaction.set(taskRef, {
+          ...clean(data),
+          warehouseId,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        });
+        return taskRef.id;
+      });
+
+      return { result, taskIds };
+    });
+  },
+
   async deleteBin(warehouseId, binId) {
     const binRef = doc(db, 'WHT', warehouseId, 'bins', binId);
     await deleteDoc(binRef);
@@ -400,6 +507,49 @@ export const warehouseService = {
     return { id: docRef.id, ...zoneWithMetadata };
   },
 
+  async getZones(warehouseId) {
+    const zonesRef = collection(db, 'WHT', warehouseId, 'zones');
+    const snapshot = await getDocs(query(zonesRef, orderBy('name')));
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  },
+
+  async updateZone(warehouseId, zoneId, zoneData) {
+    const zoneRef = doc(db, 'WHT', warehouseId, 'zones', zoneId);
+    const updateData = {
+      ...zoneData,
+      updatedAt: serverTimestamp(),
+    };
+    await updateDoc(zoneRef, updateData);
+    return { id: zoneId, ...updateData };
+  },
+
+  // Deleting a zone returns its bins and racks to the main (unassigned) area
+  async deleteZone(warehouseId, zoneId) {
+    const [binsSnapshot, racksSnapshot] = await Promise.all([
+      getDocs(query(collection(db, 'WHT', warehouseId, 'bins'), where('zoneId', '==', zoneId))),
+      getDocs(query(collection(db, 'WHT', warehouseId, 'racks'), where('zoneId', '==', zoneId)))
+    ]);
+
+    await this.assignBinsToZone(warehouseId, binsSnapshot.docs.map(binDoc => binDoc.id), null);
+
+    const batch = writeBatch(db);
+    racksSnapshot.docs.forEach(rackDoc => batch.update(rackDoc.ref, { zoneId: null, updatedAt: serverTimestamp() }));
+    batch.delete(doc(db, 'WHT', warehouseId, 'zones', zoneId));
+    await batch.commit();
+  },
+
+  // Set the zone of many bins at once (null = main); Firestore batches hold at most 500 writes
+  async assignBinsToZone(warehouseId, binIds, zoneId) {
+    const batchSize = 450;
+    for (let i = 0; i < binIds.length; i += batchSize) {
+      const batch = writeBatch(db);
+      binIds.slice(i, i + batchSize).forEach(binId => {
+        batch.update(doc(db, 'WHT', warehouseId, 'bins', binId), { zoneId: zoneId || null, updatedAt: serverTimestamp() });
+      });
+      await batch.commit();
+    }
+  },
+
   subscribeToZones(warehouseId, callback) {
     const zonesRef = collection(db, 'WHT', warehouseId, 'zones');
     const q = query(zonesRef, orderBy('name'));
@@ -410,6 +560,159 @@ export const warehouseService = {
     });
   },
 
+  // Server clock - lock leases are timed by server timestamps, so they are judged against the
+  // server's time rather than this browser's clock. The offset is measured once per session.
+  serverClockOffsetMs: null,
+
+  async syncServerClock(warehouseId) {
+    if (this.serverClockOffsetMs !== null) return;
+
+    const sentAt = Date.now();
+    const probeRef = await addDoc(collection(db, 'WHT', warehouseId, 'serverClock'), { writtenAt: serverTimestamp() });
+    const probe = await getDoc(probeRef);
+    const receivedAt = Date.now();
+    await deleteDoc(probeRef);
+
+    this.serverClockOffsetMs = probe.data().writtenAt.toMillis() - Math.round((sentAt + receivedAt) / 2);
+  },
+
+  serverNow() {
+    return Date.now() + (this.serverClockOffsetMs || 0);
+  },
+
+  // A lease ends ttlMs after its last server-written heartbeat; leases without one count as expired
+  getLockLeaseExpiry(lock) {
+    const heartbeatAt = lock?.heartbeatAt;
+    if (typeof heartbeatAt?.toMillis !== 'function' || typeof lock.ttlMs !== 'number') return null;
+    return heartbeatAt.toMillis() + lock.ttlMs;
+  },
+
+  // Bin Lock Leases (cross-session pick locks)
+  // One lease document per locked bin: WHT/{warehouseId}/binLocks/{binId}
+  async acquireBinLocks(warehouseId, binIds, lease) {
+    const { operationId, sessionId, owner, ttlMs } = lease;
+    await this.syncServerClock(warehouseId);
+
+    return await runTransaction(db, async (transaction) => {
+      const now = this.serverNow();
+      const lockRefs = binIds.map(binId => doc(db, 'WHT', warehouseId, 'binLocks', binId));
+      const lockDocs = await Promise.all(lockRefs.map(lockRef => transaction.get(lockRef)));
+
+      // A lease blocks us only if it is still alive and belongs to another operation
+      const conflicts = [];
+      lockDocs.forEach((lockDoc, index) => {
+        if (!lockDoc.exists()) return;
+        const existing = lockDoc.data();
+        if (this.getLockLeaseExpiry(existing) > now && existing.operationId !== operationId) {
+          conflicts.push({ id: lockDoc.id, binId: binIds[index], ...existing });
+        }
+      });
+
+      if (conflicts.length > 0) {
+        return { acquired: false, conflicts };
+      }
+
+      // Expired leases are simply overwritten (reclaimed)
+      lockRefs.forEach((lockRef, index) => {
+        transaction.set(lockRef, {
+          binId: binIds[index],
+          operationId,
+          sessionId,
+          owner,
+          acquiredAt: serverTimestamp(),
+          heartbeatAt: serverTimestamp(),
+          ttlMs,
+        });
+      });
+
+      return { acquired: true, conflicts: [] };
+    });
+  },
+
+  async renewBinLocks(warehouseId, binIds, operationId, ttlMs) {
+    return await runTransaction(db, async (transaction) => {
+      const lockRefs = binIds.map(binId => doc(db, 'WHT', warehouseId, 'binLocks', binId));
+      const lockDocs = await Promise.all(lockRefs.map(lockRef => transaction.get(lockRef)));
+
+      let renewed = 0;
+      lockDocs.forEach((lockDoc, index) => {
+        // Only extend leases we still own - a reclaimed lease now belongs to someone else
+        if (lockDoc.exists() && lockDoc.data().operationId === operationId) {
+          transaction.update(lockRefs[index], { heartbeatAt: serverTimestamp(), ttlMs });
+          renewed++;
+        }
+      });
+
+      return { renewed, lost: binIds.length - renewed };
+    });
+  },
+
+  async releaseBinLocks(warehouseId, binIds, operationId) {
+    return await runTransaction(db, async (transaction) => {
+      const lockRefs = binIds.map(binId => doc(db, 'WHT', warehouseId, 'binLocks', binId));
+      const lockDocs = await Promise.all(lockRefs.map(lockRef => transaction.get(lockRef)));
+
+      let released = 0;
+      lockDocs.forEach((lockDoc, index) => {
+        if (lockDoc.exists() && lockDoc.data().operationId === operationId) {
+          transaction.delete(lockRefs[index]);
+          released++;
+        }
+      });
+
+      return { released };
+    });
+  },
+
+  async getBinLocks(warehouseId) {
+    const locksRef = collection(db, 'WHT', warehouseId, 'binLocks');
+    const snapshot = await getDocs(locksRef);
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  },
+
+  // Expired leases only - a lease renewed or re-acquired since it was read is left alone
+  async reclaimExpiredBinLocks(warehouseId, lockIds) {
+    if (lockIds.length === 0) return { reclaimed: 0 };
+    await this.syncServerClock(warehouseId);
+
+    return await runTransaction(db, async (transaction) => {
+      const now = this.serverNow();
+      const lockRefs = lockIds.map(lockId => doc(db, 'WHT', warehouseId, 'binLocks', lockId));
+      const lockDocs = await Promise.all(lockRefs.map(lockRef => transaction.get(lockRef)));
+
+      let reclaimed = 0;
+      lockDocs.forEach((lockDoc, index) => {
+        if (lockDoc.exists() && !(this.getLockLeaseExpiry(lockDoc.data()) > now)) {
+          transaction.delete(lockRefs[index]);
+          reclaimed++;
+        }
+      });
+
+      return { reclaimed };
+    });
+  },
+
+  async deleteBinLocks(warehouseId, lockIds) {
+    if (lockIds.length === 0) return;
+
+    const batch = writeBatch(db);
+    lockIds.forEach(lockId => {
+      batch.delete(doc(db, 'WHT', warehouseId, 'binLocks', lockId));
+    });
+    await batch.commit();
+  },
+
+  subscribeToBinLocks(warehouseId, callback) {
+    const locksRef = collection(db, 'WHT', warehouseId, 'binLocks');
+
+    return onSnapshot(locksRef, (snapshot) => {
+      const locks = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      callback(locks);
+    }, (error) => {
+      console.error('Error in bin locks subscription:', error);
+    });
+  },
+
   // Put-Away Tasks
   async createPutAwayTask(warehouseId, taskData) {
     const tasksRef = collection(db, 'WHT', warehouseId, 'putAwayTasks');
@@ -521,6 +824,11 @@ export const warehouseService = {
       const snapshot = await getDocs(q);
       let results = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
       
+      if (status && status !== 'completed' && !completedAfter && !completedBefore) {
+        const toMillis = (value) => value?.toMillis ? value.toMillis() : new Date(value || 0).getTime();
+        results.sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+      }
+      
       // Apply additional filters in memory if we used the fallback approach
       if (whereClauseCount > 1) {
         results = results.filter(task => {
@@ -573,72 +881,108 @@ export const warehouseService = {
   },
 
   // Transaction for moving products between bins
-  async moveBetweenBins(warehouseId, fromBinId, toBinId, sku, quantity, lotNumber = null, allowedOperationId = null) {
+  // Works for pure and mixed-content bins on both sides; pass lotNumber to move a specific lot
+  // and the product map so a volumetric destination is checked by cube and weight.
+  // Stock under an active hold cannot be moved; pass options.holds (the active holds) to avoid re-reading them.
+  // Pass options.placementRules ({ ruleData, bins }) to check the storage rules against the bins read in the transaction.
+  // options.reads, assertDocs(docs) and taskWrites run in the move transaction.
+  async moveBetweenBins(warehouseId, fromBinId, toBinId, sku, quantity, lotNumber = null, allowedOperationId = null, products = null, options = {}) {
+    const { holds = null, placementRules = null, reads = {}, assertDocs = null, taskWrites = [] } = options;
+    const moveQty = parseInt(quantity) || 0;
+
+    if (fromBinId === toBinId) {
+      throw new Error('Source and destination bins must be different');
+    }
+    if (moveQty <= 0) {
+      throw new Error('Transfer quantity must be a positive number');
+    }
+
     // Validate that neither bin is locked for picking before starting the transaction
     const { warehouseOperations } = await import('./warehouseOperations');
     try {
-      warehouseOperations.validateBinOperationAgainstPickLocks(warehouseId, [fromBinId, toBinId], 'move inventory between', allowedOperationId);
+      await warehouseOperations.validateBinOperationAgainstPickLocks(warehouseId, [fromBinId, toBinId], 'move inventory between', allowedOperationId);
     } catch (lockError) {
       throw new Error(`Bin move blocked: ${lockError.message}`);
     }
-    
-    return await runTransaction(db, async (transaction) => {
-      // Get current bin states
-      const fromBinRef = doc(db, 'WHT', warehouseId, 'bins', fromBinId);
-      const toBinRef = doc(db, 'WHT', warehouseId, 'bins', toBinId);
-      
-      const fromBinDoc = await transaction.get(fromBinRef);
-      const toBinDoc = await transaction.get(toBinRef);
 
-      if (!fromBinDoc.exists() || !toBinDoc.exists()) {
-        throw new Error('One or both bins do not exist');
-      }
+    const { stockHoldService } = await import('./stockHoldService');
+    const activeHolds = holds || await stockHoldService.getActiveHolds(warehouseId);
 
-      const fromBin = fromBinDoc.data();
-      const toBin = toBinDoc.data();
+    const { storageRuleService } = await import('./storageRuleService');
+    const ruleTarget = placementRules?.bins.find(bin => bin.id === toBinId);
+    const ruleBinIds = ruleTarget ? storageRuleService.getPlacementBinIds(ruleTarget, placementRules.bins, placementRules.ruleData) : [];
+    
+    const { result } = await this.runBinTransaction(warehouseId, [fromBinId, toBinId, ...ruleBinIds], (bins, docs) => {
+      if (assertDocs) assertDocs(docs);
 
-      // Validate move
-      if (fromBin.sku !== sku) {
-        throw new Error('SKU does not match source bin');
+      const fromBin = bins[fromBinId];
+      const toBin = bins[toBinId];
+
+      // Take the SKU out of the source (primary SKU or mixed contents)
+      const sourceContent = warehouseOperations.findBinContent(fromBin, sku, lotNumber);
+      if (!sourceContent) {
+        throw new Error(`SKU ${sku}${lotNumber ? ` (Lot ${lotNumber})` : ''} not found in source bin ${fromBin.code}`);
       }
 
-      if (fromBin.currentQty < quantity) {
-        throw new Error('Insufficient quantity in source bin');
+      const hold = stockHoldService.findHold(activeHolds, fromBin, sourceContent);
+      if (hold) {
+        throw new Error(`${sku}${sourceContent.lotNumber ? ` (Lot ${sourceContent.lotNumber})` : ''} in bin ${fromBin.code} is on hold (${stockHoldService.getReasonLabel(hold)}) and cannot be moved`);
       }
 
-      if (toBin.currentQty + quantity > toBin.capacity) {
-        throw new Error('Destination bin capacity exceeded');
+      if (ruleTarget) {
+        storageRuleService.assertPlacement(ruleTarget, sku, moveQty, placementRules.bins, placementRules.ruleData, bins);
       }
 
-      // Update bins
-      const newFromBinData = {
-        ...fromBin,
-        currentQty: fromBin.currentQty - quantity,
-        updatedAt: serverTimestamp(),
-      };
+      // A transfer is not a pick, so drop the pick timestamp from the source update
+      const { binUpdate: { lastPickedAt, ...fromBinUpdate } } = warehouseOperations.applyPickToBin(fromBin, {
+        sku,
+        quantity: moveQty,
+        lotNumber: sourceContent.lotNumber,
+        expiryDate: sourceContent.expiryDate
+      });
 
-      // If source bin becomes empty, clear SKU and lot info
-      if (newFromBinData.currentQty === 0) {
-        newFromBinData.sku = null;
-        newFromBinData.lotNumber = null;
-        newFromBinData.expiryDate = null;
-        newFromBinData.status = 'available';
-      }
+      // Place it in the destination, keeping lot and expiry with the stock
+      const placement = warehouseOperations.applyPutAwayToBin(toBin, {
+        sku,
+        quantity: moveQty,
+        lotNumber: sourceContent.lotNumber,
+        expiryDate: sourceContent.expiryDate,
+        manufactureDate: sourceContent.manufactureDate,
+        products
+      });
 
-      const newToBinData = {
-        ...toBin,
-        currentQty: toBin.currentQty + quantity,
-        sku: sku,
-        lotNumber: lotNumber || toBin.lotNumber,
-        updatedAt: serverTimestamp(),
-        status: 'occupied',
-      };
+      const movedAt = new Date().toISOString();
+      const newFromBinData = { ...fromBinUpdate, lastTransferAt: movedAt };
+      const newToBinData = { ...placement.binUpdateData, lastTransferAt: movedAt };
 
-      transaction.update(fromBinRef, newFromBinData);
-      transaction.update(toBinRef, newToBinData);
+      return {
+        binUpdates: { [fromBinId]: newFromBinData, [toBinId]: newToBinData },
+        taskWrites,
+        result: {
+          fromBin: { ...fromBin, ...newFromBinData },
+          toBin: { ...toBin, ...newToBinData },
+          transfer: {
+            sku,
+            quantity: moveQty,
+            lotNumber: sourceContent.lotNumber,
+            expiryDate: sourceContent.expiryDate,
+            manufactureDate: sourceContent.manufactureDate,
+            fromBinId,
+            fromBinCode: fromBin.code,
+            fromQtyBefore: parseInt(fromBin.currentQty) || 0,
+            fromQtyAfter: newFromBinData.currentQty,
+            toBinId,
+            toBinCode: toBin.code,
+            toQtyBefore: parseInt(toBin.currentQty) || 0,
+            toQtyAfter: newToBinData.currentQty,
+            allocationType: placement.allocationType,
+            movedAt
+          }
+        }
+      };
+    }, { reads });
 
-      return { fromBin: newFromBinData, toBin: newToBinData };
-    });
+    return result;
   },
 
   async getBins(warehouseId) {
@@ -663,7 +1007,11 @@ export const warehouseService = {
       const constraints = [];
       
       // Only use complex queries if we have minimal constraints to avoid index issues
-      if (status && !completedAfter && !completedBefore) {
+      if (status && status !== 'completed' && !completedAfter && !completedBefore) {
+        // Open tasks have no completedAt yet - ordering by it would exclude them, so sort in memory
+        constraints.push(where('status', '==', status));
+        constraints.push(limit(maxLimit));
+      } else if (status && !completedAfter && !completedBefore) {
         // Simple status filter
         constraints.push(where('status', '==', status));
         constraints.push(orderBy('completedAt', 'desc'));
@@ -717,7 +1065,7 @@ export const warehouseService = {
       const tasksRef = collection(db, 'WHT', warehouseId, 'pickTasks');
       const taskDoc = await addDoc(tasksRef, {
         ...taskData,
-        status: 'pending',
+        status: taskData.status || 'pending',
         createdAt: serverTimestamp(),
         createdBy: 'system'
       });
@@ -743,4 +1091,53 @@ export const warehouseService = {
       throw error;
     }
   },
+
+  // Pick Waves (several pick orders merged into one consolidated walk)
+  async createPickWave(warehouseId, waveData) {
+    try {
+      const wavesRef = collection(db, 'WHT', warehouseId, 'pickWaves');
+      const waveDoc = await addDoc(wavesRef, {
+        ...waveData,
+        status: 'planned',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      
+      return { id: waveDoc.id, ...waveData, status: 'planned' };
+    } catch (error) {
+      console.error('Error creating pick wave:', error);
+      throw error;
+    }
+  },
+
+  async updatePickWave(warehouseId, waveId, updates) {
+    try {
+      const waveRef = doc(db, 'WHT', warehouseId, 'pickWaves', waveId);
+      await updateDoc(waveRef, {
+        ...updates,
+        updatedAt: serverTimestamp()
+      });
+      
+      return { id: waveId, ...updates };
+    } catch (error) {
+      console.error('Error updating pick wave:', error);
+      throw error;
+    }
+  },
+
+  async getPickWaves(warehouseId, filters = {}) {
+    try {
+      const { status, limit: maxLimit = 20 } = filters;
+      const constraints = status
+        ? [where('status', '==', status), limit(maxLimit)]
+        : [orderBy('createdAt', 'desc'), limit(maxLimit)];
+      
+      const q = query(collection(db, 'WHT', warehouseId, 'pickWaves'), ...constraints);
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting pick waves:', error);
+      return [];
+    }
+  },
 };
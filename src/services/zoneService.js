@@ -0,0 +1,135 @@
+import { warehouseService } from './warehouseService';
+
+/**
+ * Warehouse zones
+ *
+ * Zones live in WHT/{warehouseId}/zones and bins point at one with bin.zoneId. Bins
+ * without a zone (or with 'main') belong to the main area, which behaves as before zones
+ * existed. The zone type decides what operations may do with a bin:
+ * - forward-pick and reserve bins are picked from and filled by put-away
+ * - quarantine, returns and staging bins are never picked from, and put-away only
+ *   uses them when the zone is asked for explicitly
+ */
+export class ZoneService {
+  constructor() {
+    this.zoneTypes = {
+      FORWARD_PICK: 'forward-pick',
+      RESERVE: 'reserve',
+      QUARANTINE: 'quarantine',
+      RETURNS: 'returns',
+      STAGING: 'staging'
+    };
+
+    this.zoneTypeLabels = {
+      'forward-pick': 'Forward pick',
+      'reserve': 'Reserve',
+      'quarantine': 'Quarantine',
+      'returns': 'Returns',
+      'staging': 'Staging'
+    };
+
+    this.mainZoneId = 'main';
+    this.pickableTypes = [this.zoneTypes.FORWARD_PICK, this.zoneTypes.RESERVE];
+    this.putAwayTypes = [this.zoneTypes.FORWARD_PICK, this.zoneTypes.RESERVE];
+  }
+
+  async loadZones(warehouseId) {
+    try {
+      return await warehouseService.getZones(warehouseId);
+    } catch (error) {
+      console.error('Error loading zones:', error);
+      throw error;
+    }
+  }
+
+  getZoneMap(zones = []) {
+    return new Map(zones.map(zone => [zone.id, zone]));
+  }
+
+  getBinZoneId(bin) {
+    return bin.zoneId || this.mainZoneId;
+  }
+
+  /**
+   * Zone type of a bin, or null for the main area and unknown zones
+   */
+  getBinZoneType(bin, zonesById) {
+    return zonesById?.get(bin.zoneId)?.type || null;
+  }
+
+  isPickable(bin, zonesById) {
+    const type = this.getBinZoneType(bin, zonesById);
+    return !type || this.pickableTypes.includes(type);
+  }
+
+  /**
+   * Whether put-away may use a bin; a zone asked for by id is always allowed
+   */
+  isPutAwayAllowed(bin, zonesById, targetZoneId = null) {
+    if (targetZoneId && this.getBinZoneId(bin) === targetZoneId) return true;
+    const type = this.getBinZoneType(bin, zonesById);
+    return !type || this.putAwayTypes.includes(type);
+  }
+
+  /**
+   * Check and clean zone details from the form
+   */
+  validateZone(zoneData, existingZones = [], zoneId = null) {
+    const name = zoneData.name?.toString().trim() || '';
+    const code = zoneData.code?.toString().trim().toUpperCase() || '';
+
+    if (!name) throw new Error('Zone name is required');
+    if (!code) throw new Error('Zone code is required');
+    if (code === this.mainZoneId.toUpperCase()) throw new Error(`${code} is reserved for unassigned bins`);
+    if (!Object.values(this.zoneTypes).includes(zoneData.type)) {
+      throw new Error(`Unknown zone type: ${zoneData.type}`);
+    }
+    if (existingZones.some(zone => zone.id !== zoneId && (zone.code || '').toUpperCase() === code)) {
+      throw new Error(`Zone code ${code} is already used`);
+    }
+
+    return {
+      name,
+      code,
+      type: zoneData.type,
+      description: zoneData.description?.toString().trim() || ''
+    };
+  }
+
+  async createZone(warehouseId, zoneData, existingZones = []) {
+    const zone = this.validateZone(zoneData, existingZones);
+    const created = await warehouseService.createZone(warehouseId, zone);
+    console.log(`🗺️ Zone ${zone.code} (${zone.type}) created`);
+    return created;
+  }
+
+  async updateZone(warehouseId, zoneId, zoneData, existingZones = []) {
+    const zone = this.validateZone(zoneData, existingZones, zoneId);
+    return warehouseService.updateZone(warehouseId, zoneId, zone);
+  }
+
+  async deleteZone(warehouseId, zoneId) {
+    await warehouseService.deleteZone(warehouseId, zoneId);
+    console.log(`🗑️ Zone ${zoneId} deleted, its bins are back in the main area`);
+  }
+
+  /**
+   * Assign a whole rack, or some of its grids, to a zone (null = main area)
+   * The rack records the zone only when all of it is assigned.
+   * @returns {number} bins updated
+   */
+  async assignRackToZone(warehouseId, rack, bins, zoneId, gridNumbers = null) {
+    const rackBins = bins.filter(bin => bin.rackId === rack.id &&
+      (!gridNumbers || gridNumbers.includes(bin.gridLevel || bin.shelfLevel || 1)));
+
+    await warehouseService.assignBinsToZone(warehouseId, rackBins.map(bin => bin.id), zoneId);
+    if (!gridNumbers) {
+      await warehouseService.updateRack(warehouseId, rack.id, { zoneId: zoneId || null });
+    }
+
+    console.log(`🗺️ ${rackBins.length} bins of ${rack.name} assigned to zone ${zoneId || this.mainZoneId}`);
+    return rackBins.length;
+  }
+}
+
+export const zoneService = new ZoneService();